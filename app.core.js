@@ -7,6 +7,7 @@
 const AppCore = (() => {
 
     let refreshTimer;
+    let compareIds = []; // Datasets ticked for compare mode, baseline first
 
     async function init() {
         if (typeof lucide !== 'undefined') lucide.createIcons();
@@ -22,9 +23,11 @@ const AppCore = (() => {
             AdminConsole.logActivity("Session Restored: Previous analytics recovered.");
         }
 
+        restoreAnalysisMode();
         if (Object.keys(DataEngine.getCollection()).length > 0) {
-            DataEngine.prepareMasterData('single');
+            DataEngine.prepareMasterData(getAnalysisMode(), getScopeIds());
             syncState();
+            refreshFilterBar();
         }
 
         restoreSession();
@@ -42,6 +45,92 @@ const AppCore = (() => {
             const roleEl = document.getElementById('role');
             if (roleEl && roleEl.value === 'admin') AdminConsole.startSecurityTimer();
         });
+
+        // Ctrl+V of a spreadsheet range or HTML table anywhere outside a form field becomes a dataset
+        const isFormField = (el) => el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+        document.addEventListener('paste', (e) => {
+            if (isFormField(e.target) || !e.clipboardData) return;
+            const payload = { html: e.clipboardData.getData('text/html'), text: e.clipboardData.getData('text/plain') };
+            if (!payload.html && !payload.text) return;
+            e.preventDefault();
+            handlePaste(payload, 'Clipboard');
+        });
+        // Dropped files go through the normal ingress; dropped text or HTML through the paste preview
+        const isDropTarget = (e) => e.dataTransfer && e.target.type !== 'file' && Array.from(e.dataTransfer.types).some(t => ['Files', 'text/plain', 'text/html'].includes(t));
+        document.addEventListener('dragover', (e) => {
+            if (isDropTarget(e)) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            if (!isDropTarget(e)) return;
+            e.preventDefault();
+            if (e.dataTransfer.files.length > 0) handleIngress({ files: e.dataTransfer.files, value: '' });
+            else handlePaste({ html: e.dataTransfer.getData('text/html'), text: e.dataTransfer.getData('text/plain') }, 'Dropped');
+        });
+    }
+
+    const DELIMITER_NAMES = { '\t': 'tab', ',': 'comma', ';': 'semicolon', '|': 'pipe' };
+
+    async function handlePaste(payload, origin) {
+        let parsed;
+        try {
+            parsed = DataEngine.parsePastedTable(payload);
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+            return;
+        }
+        if (!parsed) {
+            AdminConsole.logActivity(`${origin} Content Ignored: no tabular structure detected.`);
+            return;
+        }
+        AdminConsole.logActivity(`${origin} Table Detected: ${parsed.source === 'html' ? 'HTML table' : `${DELIMITER_NAMES[parsed.delimiter]}-delimited text`}, ${parsed.grid.length} rows, header ${parsed.hasHeader ? 'detected' : 'not detected'}`);
+        const defaultName = parsed.caption || `${origin} ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+        const choice = await UIRenderer.showPastePreview(parsed, defaultName, (delimiter) => DataEngine.parsePastedTable({ text: payload.text }, delimiter));
+        if (!choice) return;
+
+        showLoader("INGESTING PASTED TABLE...");
+        try {
+            const { id, version, status } = await DataEngine.ingestPastedTable('paste_' + Math.random().toString(36).substr(2, 9), choice.name, choice.parsed, choice.hasHeader);
+            const ds = DataEngine.getCollection()[id];
+            if (status === 'unchanged') AdminConsole.logActivity(`Version Unchanged: ${ds.name} matches v${version}; no new version stored`);
+            else AdminConsole.logActivity(`Paste Ingested: ${ds.name} (${ds.meta.rows.toLocaleString()} rows × ${ds.headers.length} columns)${status === 'version' ? ` as v${version}` : ''}`);
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    /**
+     * Terminal lines for one source's ingress outcomes: SQL notes, versions, recipe replays and quarantine.
+     */
+    function logIngressOutcomes(outcomes, fileName) {
+        const stored = outcomes.filter(o => o.status !== 'quarantined');
+        const sql = stored.length ? DataEngine.getCollection()[stored[0].id].meta.sql : null;
+        if (sql) {
+            sql.skipped.forEach(s => AdminConsole.logActivity(`SQL ${s.modifying ? 'Warning' : 'Skipped'}: ${s.count} × ${s.statement}${s.modifying ? ' not applied (data-modifying statement)' : ' (unsupported)'} in ${fileName}`));
+            sql.emptyTables.forEach(t => AdminConsole.logActivity(`SQL Skipped: table ${t} declares no rows`));
+        }
+        const describe = (reasons) => reasons.map(r => `${r.rule}: ${r.message}`).join('; ');
+        outcomes.forEach(({ id: dsId, version, status, name, reasons }) => {
+            if (status === 'quarantined') {
+                AdminConsole.logActivity(`Quarantine: ${name} rejected — ${describe(reasons)}`);
+                return;
+            }
+            const ds = DataEngine.getCollection()[dsId];
+            if (ds.meta.sql && status !== 'unchanged') AdminConsole.logActivity(`SQL Table: ${ds.meta.sql.table} → ${ds.name} (${ds.meta.rows.toLocaleString()} rows, ${ds.meta.sql.statements} data statements${ds.meta.parseErrors ? `, ${ds.meta.parseErrors} malformed rows dropped` : ''})`);
+            if (status === 'unchanged') AdminConsole.logActivity(`Version Unchanged: ${ds.name} matches v${version}; no new version stored`);
+            if (status === 'version') AdminConsole.logActivity(`Version Stored: ${ds.name} v${version} supersedes v${ds.meta.supersedes}`);
+            if (ds.meta.forced && status !== 'unchanged') AdminConsole.logActivity(`Quarantine Override: ${ds.name} force-accepted (${ds.meta.forced})`);
+            if (reasons) AdminConsole.logActivity(`Quarantine: ${ds.name} stored with issues — ${describe(reasons)}`);
+            const c = ds.meta.cleaning;
+            if (status === 'unchanged' || !c) return;
+            AdminConsole.logActivity(`Recipe Replayed: ${ds.name} (${c.steps.length} steps) ${c.before.toLocaleString()} → ${c.after.toLocaleString()} rows`);
+            c.steps.filter(s => s.skipped).forEach(s => AdminConsole.logActivity(`Recipe Warning: ${s.op} skipped — ${s.skipped}`));
+        });
     }
 
     async function handleIngress(input) {
@@ -49,15 +138,176 @@ const AppCore = (() => {
         if (files.length === 0) return;
 
         AdminConsole.logActivity(`Ingress Triggered: ${files.length} sources identified.`);
-        showLoader("ANALYSIS RUNNING...");
+        const controller = new AbortController();
+        showLoader("INGESTING SOURCES...", () => controller.abort());
 
+        let activeId = null;
         try {
+            const ingressOptions = {
+                signal: controller.signal,
+                onProgress: (p) => updateLoaderProgress(p),
+                selectSheets: async (fileName, sheets, remembered) => {
+                    const selection = await UIRenderer.showSheetPicker(fileName, sheets, remembered);
+                    AdminConsole.logActivity(selection ? `Workbook Mapping: ${selection.map(s => s.sheet).join(', ')} from ${fileName}` : `Workbook Skipped: ${fileName}`);
+                    return selection;
+                },
+                resolveLargeFile: async (file, limits) => {
+                    const policy = await UIRenderer.showLargeFilePrompt(file, limits);
+                    if (policy) {
+                        await DataEngine.setIngressLimits({ thresholdMB: policy.thresholdMB, rowLimit: policy.rowLimit });
+                        AdminConsole.logActivity(`Large Source Policy: ${file.name} → ${policy.mode.toUpperCase()}${policy.mode === 'full' ? '' : ` (${policy.rowLimit.toLocaleString()} rows)`}`);
+                    }
+                    return policy;
+                }
+            };
             for (const file of files) {
                 const id = 'ds_' + Math.random().toString(36).substr(2, 9);
-                await DataEngine.parseFileGeneric(file, id);
+                activeId = id;
+                showLoader(`INGESTING ${file.name.toUpperCase()}...`, () => controller.abort());
+                const outcomes = await DataEngine.parseFileGeneric(file, id, ingressOptions);
+                activeId = null;
+                logIngressOutcomes(outcomes, file.name);
             }
 
             AdminConsole.logActivity("Ingress Complete: Enclave collection synchronized.");
+            showLoader("ANALYSIS RUNNING...");
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                // Completed sources are kept; the interrupted one leaves nothing behind
+                if (activeId) await DataEngine.discardIngress(activeId);
+                AdminConsole.logActivity("Ingress Cancelled: Partial source discarded.");
+                syncState();
+            } else {
+                AdminConsole.logActivity(`Critical Error: ${err.message}`);
+                alert(`Governance Alert: ${err.message}.`);
+            }
+        } finally {
+            hideLoader();
+            input.value = '';
+        }
+    }
+
+    async function handleJoin() {
+        const spec = await UIRenderer.showJoinBuilder(DataEngine.getCollection(), DataEngine.previewJoin);
+        if (!spec) return;
+        showLoader("MATERIALIZING JOIN...");
+        try {
+            const { steps } = await DataEngine.joinDatasets(spec);
+            steps.forEach(s => {
+                AdminConsole.logActivity(`Join ${s.type}: [${s.rightName}] ${s.cardinality} → ${s.outputRows.toLocaleString()} rows (${s.unmatchedLeftKeys} left / ${s.unmatchedRightKeys} right keys unmatched)`);
+                s.warnings.forEach(w => AdminConsole.logActivity(`Join Warning: ${w}`));
+            });
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    async function handleCleaning(id) {
+        const ds = DataEngine.getCollection()[id];
+        const recipe = await UIRenderer.showCleaningPanel(ds, (r) => DataEngine.previewRecipe(id, r));
+        if (!recipe) return;
+        showLoader("APPLYING CLEANING RECIPE...");
+        try {
+            const summary = await DataEngine.setCleaningRecipe(id, recipe);
+            if (recipe.length === 0) AdminConsole.logActivity(`Recipe Cleared: ${ds.name} restored to ${summary.after.toLocaleString()} source rows`);
+            else AdminConsole.logActivity(`Recipe Applied: ${ds.name} (${recipe.length} steps) ${summary.before.toLocaleString()} → ${summary.after.toLocaleString()} rows`);
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    async function handleCalculatedColumn(id, previousName) {
+        const ds = DataEngine.getCollection()[id];
+        const existing = previousName ? ds.calculated.find(c => c.name === previousName) : null;
+        const def = await UIRenderer.showCalculatedColumnEditor(ds, existing, (name, expression) => DataEngine.previewCalculatedColumn(id, name, expression, previousName));
+        if (!def) return;
+        try {
+            const entry = await DataEngine.setCalculatedColumn(id, def, previousName);
+            AdminConsole.logActivity(`Calculated Column ${previousName ? 'Updated' : 'Added'}: ${entry.name} = ${entry.expression} (${entry.type.toUpperCase()})`);
+            ds.calculated.filter(c => c.error).forEach(c => AdminConsole.logActivity(`Calculated Column Warning: ${c.name} — ${c.error}`));
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        }
+    }
+
+    async function handleVersionDiff(id, from, to) {
+        showLoader("COMPUTING VERSION DIFF...");
+        try {
+            const diff = await DataEngine.diffVersions(id, from, to);
+            const r = diff.rows;
+            AdminConsole.logActivity(`Version Diff: ${diff.name} v${from} → v${to} +${r.added} / -${r.removed} / ~${r.changed === null ? 'n/a' : r.changed} rows, ${diff.schema.added.length + diff.schema.removed.length + diff.schema.typeChanged.length} schema change(s)`);
+            hideLoader();
+            await UIRenderer.showVersionDiff(diff, (key) => DataEngine.diffVersions(id, from, to, key));
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    /**
+     * Opens a quarantine entry and applies the fix chosen in it (type overrides, force, sheet, encoding, dismiss).
+     */
+    async function handleQuarantine(qid) {
+        const entry = DataEngine.getQuarantine().find(e => e.id === qid);
+        if (!entry) return;
+        const fix = await UIRenderer.showQuarantineEntry(entry, DataEngine.previewQuarantine(qid));
+        if (!fix) return;
+
+        if (fix.action === 'dismiss') {
+            await DataEngine.dismissQuarantine(qid);
+            AdminConsole.logActivity(`Quarantine Dismissed: ${entry.name}${entry.status === 'partial' ? ' accepted with its issues' : ' discarded'}`);
+            syncState();
+            return;
+        }
+
+        showLoader("RE-EVALUATING QUARANTINED SOURCE...");
+        try {
+            let outcomes;
+            if (fix.action === 'sheet') {
+                outcomes = await DataEngine.reingestQuarantine(qid, {
+                    selectSheets: (fileName, sheets, remembered) => UIRenderer.showSheetPicker(fileName, sheets, remembered)
+                });
+            } else if (fix.action === 'encoding') {
+                outcomes = await DataEngine.reingestQuarantine(qid, { encoding: fix.encoding });
+            } else {
+                outcomes = [await DataEngine.retryQuarantine(qid, { schemaOverrides: fix.overrides, force: fix.action === 'force' })];
+            }
+            const overrides = Object.entries(fix.overrides || {}).map(([h, t]) => `${h} → ${t.toUpperCase()}`);
+            AdminConsole.logActivity(`Quarantine Fix: ${entry.name} — ${fix.action.toUpperCase()}${fix.encoding ? ` (${fix.encoding})` : ''}${overrides.length ? ` (${overrides.join(', ')})` : ''}`);
+            logIngressOutcomes(outcomes, entry.source.fileName || entry.name);
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    async function handleRollback(id, version) {
+        const ds = DataEngine.getCollection()[id];
+        showLoader("RESTORING VERSION...");
+        try {
+            const restored = await DataEngine.rollbackVersion(id, version);
+            AdminConsole.logActivity(`Version Rollback: ${ds.name} v${ds.version} → v${version} (${restored.meta.rows.toLocaleString()} rows)`);
             syncState();
             await autoTrigger();
         } catch (err) {
@@ -68,14 +318,128 @@ const AppCore = (() => {
         }
     }
 
+    async function handleUnionMapping() {
+        const mapping = await UIRenderer.showUnionMapper(DataEngine.getCollection(), DataEngine.getUnionMapping(), DataEngine.suggestUnionMapping);
+        if (!mapping) return;
+        try {
+            await DataEngine.setUnionMapping(mapping);
+            const summary = DataEngine.getUnionSummary();
+            AdminConsole.logActivity(`Union Mapping Updated: ${summary.columnCount} columns, ${summary.unaligned.length} unaligned`);
+            summary.reconciled.forEach(r => AdminConsole.logActivity(`Union Type Reconciled: ${r.column} → ${r.type.toUpperCase()}`));
+            syncState();
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        }
+    }
+
+    function getAnalysisMode() {
+        const el = document.getElementById('analysis-mode');
+        return el && el.value ? el.value : 'single';
+    }
+
+    // Compare mode works on the ticked datasets in manifest order; other modes use the whole collection
+    function getScopeIds() {
+        if (getAnalysisMode() !== 'compare') return null;
+        return Object.keys(DataEngine.getCollection()).filter(id => compareIds.includes(id));
+    }
+
+    function restoreAnalysisMode() {
+        let cfg = {};
+        try {
+            cfg = JSON.parse(sessionStorage.getItem('bi_state_config') || '{}');
+        } catch (e) { }
+        const el = document.getElementById('analysis-mode');
+        if (el && cfg.mode) el.value = cfg.mode;
+        compareIds = Array.isArray(cfg.compare) ? cfg.compare : [];
+    }
+
+    async function handleModeChange() {
+        const mode = getAnalysisMode();
+        const ids = Object.keys(DataEngine.getCollection());
+        // Default comparison: the two most recent datasets, older one as baseline
+        if (mode === 'compare' && getScopeIds().length < 2) compareIds = ids.slice(-2);
+        AdminConsole.logActivity(`Analysis Mode: ${mode.toUpperCase()}${mode === 'compare' ? ` (${getScopeIds().length} datasets)` : ''}`);
+        const z = document.getElementById('z-axis').value;
+        if (mode === 'compare' && z) AdminConsole.logActivity(`Breakdown [${z}] does not apply in compare mode: the datasets are the breakdown`);
+        if (mode === 'union') {
+            const summary = DataEngine.getUnionSummary();
+            AdminConsole.logActivity(`Union Alignment: ${summary.columnCount} columns across ${summary.datasetCount} datasets, ${summary.unaligned.length} unaligned`);
+        }
+        saveConfig();
+        syncState();
+        await autoTrigger();
+    }
+
     function syncState() {
-        const mode = 'single';
-        const state = DataEngine.reconcileCollection(mode);
+        const mode = getAnalysisMode();
+        const state = DataEngine.reconcileCollection(mode, getScopeIds());
+
+        const compareBox = document.getElementById('compare-sets');
+        if (compareBox) {
+            compareBox.style.display = mode === 'compare' ? 'flex' : 'none';
+            if (mode === 'compare') {
+                UIRenderer.renderCompareSelector(DataEngine.getCollection(), getScopeIds(), async (ids) => {
+                    compareIds = ids;
+                    saveConfig();
+                    syncState();
+                    await autoTrigger();
+                });
+            }
+        }
+
+        const unionBox = document.getElementById('union-panel');
+        if (unionBox) {
+            unionBox.style.display = mode === 'union' ? 'flex' : 'none';
+            if (mode === 'union') UIRenderer.renderUnionPanel(DataEngine.getUnionSummary(), () => handleUnionMapping());
+        }
 
         UIRenderer.updateDatasetManifest(DataEngine.getCollection(), async (id) => {
             await DataEngine.removeDataset(id);
             syncState();
+        }, {
+            onSchemaChange: async (id, header, type) => {
+                await DataEngine.setColumnType(id, header, type);
+                AdminConsole.logActivity(`Schema Override: ${header} → ${type ? type.toUpperCase() : 'INFERRED'}`);
+                (DataEngine.getCollection()[id].calculated || []).filter(c => c.error).forEach(c => AdminConsole.logActivity(`Calculated Column Warning: ${c.name} — ${c.error}`));
+                syncState();
+                await autoTrigger();
+            },
+            onNumericFormatChange: async (id, patch) => {
+                try {
+                    await DataEngine.setNumericFormat(id, patch);
+                    AdminConsole.logActivity(`Number Format Updated: ${Object.keys(patch).join(', ')}`);
+                } catch (err) {
+                    AdminConsole.logActivity(`Critical Error: ${err.message}`);
+                    alert(`Governance Alert: ${err.message}.`);
+                }
+                syncState();
+                await autoTrigger();
+            },
+            onCalculatedEdit: (id, name) => handleCalculatedColumn(id, name),
+            onCalculatedRemove: async (id, name) => {
+                try {
+                    await DataEngine.removeCalculatedColumn(id, name);
+                    AdminConsole.logActivity(`Calculated Column Removed: ${name}`);
+                    syncState();
+                    await autoTrigger();
+                } catch (err) {
+                    AdminConsole.logActivity(`Critical Error: ${err.message}`);
+                    alert(`Governance Alert: ${err.message}.`);
+                }
+            },
+            onProfile: (id) => {
+                const profile = DataEngine.profileDataset(id);
+                AdminConsole.logActivity(`Quality Profile: ${profile.name} scored ${profile.score} (${profile.grade})`);
+                UIRenderer.showQualityProfile(profile);
+            },
+            onClean: (id) => handleCleaning(id),
+            onVersionDiff: (id, from, to) => handleVersionDiff(id, from, to),
+            onRollback: (id, version) => handleRollback(id, version),
+            onJoin: () => handleJoin()
         });
+        UIRenderer.renderQuarantine(DataEngine.getQuarantine(), (qid) => handleQuarantine(qid));
 
         const candidates = DataEngine.getCoordinateCandidates();
         const x = document.getElementById('x-axis');
@@ -96,13 +460,88 @@ const AppCore = (() => {
         }
     }
 
+    function refreshFilterBar() {
+        UIRenderer.renderFilterBar(DataEngine.getFilterFields(), DataEngine.getRowFilter(), DataEngine.getFilterSummary(), (filter) => handleFilterChange(filter));
+    }
+
+    async function handleFilterChange(filter) {
+        try {
+            const summary = await DataEngine.setRowFilter(filter);
+            AdminConsole.logActivity(summary
+                ? `Filter Applied: ${summary.expression} (${summary.kept.toLocaleString()} of ${summary.total.toLocaleString()} rows)`
+                : "Filter Cleared: All rows in scope.");
+            await autoTrigger();
+        } catch (err) {
+            AdminConsole.logActivity(`Critical Error: ${err.message}`);
+            alert(`Governance Alert: ${err.message}.`);
+        }
+    }
+
+    /**
+     * TIME GRAIN: only a date-typed X is bucketed; the controls are hidden for every other X.
+     */
+    function getTemporalConfig() {
+        const x = document.getElementById('x-axis').value;
+        if (!x || !DataEngine.getActiveSchema().temporal.includes(x)) return null;
+        return {
+            grain: document.getElementById('time-grain').value,
+            fiscalStartMonth: Number(document.getElementById('fiscal-start').value),
+            fill: document.getElementById('gap-fill').value
+        };
+    }
+
+    function refreshTemporalControls() {
+        const box = document.getElementById('temporal-controls');
+        if (!box) return;
+        const temporal = getTemporalConfig();
+        box.style.display = temporal ? 'block' : 'none';
+        document.getElementById('fiscal-start').style.display = temporal && temporal.grain === 'fiscal' ? 'block' : 'none';
+    }
+
+    /**
+     * AGGREGATION of Y per X. The percentile and weight controls only show for the aggregations using them;
+     * weights are offered from the numeric columns of the active schema.
+     */
+    function getAggregationConfig() {
+        const fn = document.getElementById('aggregation').value;
+        const config = { fn };
+        if (fn === 'percentile') config.percentile = Math.min(99, Math.max(1, parseInt(document.getElementById('agg-percentile').value, 10) || 90));
+        if (fn === 'weighted') config.weightBy = document.getElementById('agg-weight').value;
+        return config;
+    }
+
+    function refreshAggregationControls() {
+        const y = document.getElementById('y-axis').value;
+        UIRenderer.populateAggregationControls(document.getElementById('aggregation').value, DataEngine.getActiveSchema().numerical.filter(h => h !== y));
+    }
+
+    /**
+     * BREAKDOWN (Z): any dimension other than X; the schema candidate is flagged as suggested.
+     * Compare mode already splits by dataset, so it offers no breakdown and the selector is disabled.
+     */
+    function getBreakdownConfig() {
+        return getAnalysisMode() === 'compare' ? null : (document.getElementById('z-axis').value || null);
+    }
+
+    function refreshBreakdownControls() {
+        const schema = DataEngine.getActiveSchema();
+        const x = document.getElementById('x-axis').value;
+        const dimensions = getAnalysisMode() === 'compare' ? [] : schema.categorical.filter(h => h !== x && schema.columns?.[h]?.format !== 'id');
+        UIRenderer.populateBreakdownSelector(dimensions, DataEngine.getCoordinateCandidates().z);
+        document.getElementById('z-axis').disabled = getAnalysisMode() === 'compare';
+    }
+
     async function autoTrigger() {
         const x = document.getElementById('x-axis').value;
         const y = document.getElementById('y-axis').value;
 
         // Ensure master data is prepared before checking (Directive 1 Restoration)
-        DataEngine.prepareMasterData('single');
+        DataEngine.prepareMasterData(getAnalysisMode(), getScopeIds());
         const masterData = DataEngine.getMasterData();
+        refreshFilterBar();
+        refreshTemporalControls();
+        refreshAggregationControls();
+        refreshBreakdownControls();
 
         if (x && y && masterData && masterData.length > 0) {
             await triggerAudit(true);
@@ -148,12 +587,15 @@ const AppCore = (() => {
         document.getElementById('analyst-view').style.display = (role === 'analyst' && hasResults && showReportIfAvailable) ? 'flex' : 'none';
         document.getElementById('admin-view').style.display = role === 'admin' ? 'block' : 'none';
 
-        UIRenderer.renderKPIs(role, masterData, yVal, 'single', Object.keys(collection).length);
-        UIRenderer.renderChart(gType, xVal, yVal, 'single', collection, masterData);
+        // Row views are materialised lazily, so the boundary indicator is refreshed once they exist
+        document.getElementById('mem-val').textContent = DataEngine.getMemoryFootprint();
+
+        UIRenderer.renderKPIs(role, masterData, yVal, getAnalysisMode(), Object.keys(collection).length);
+        UIRenderer.renderChart(gType, xVal, yVal, getAnalysisMode(), collection, masterData);
 
         if (role === 'executive') {
             document.getElementById('executive-data-view').style.display = 'flex';
-            UIRenderer.renderTable(masterData);
+            UIRenderer.renderTable(masterData, window.lastAnalysisResults ? window.lastAnalysisResults.anomalies : null);
         } else {
             document.getElementById('executive-data-view').style.display = 'none';
         }
@@ -161,6 +603,7 @@ const AppCore = (() => {
         if (role === 'admin') {
             AdminConsole.renderTrace();
             AdminConsole.startSecurityTimer();
+            UIRenderer.renderQualityPanel(DataEngine.getQualitySummary('union'), (id) => UIRenderer.showQualityProfile(DataEngine.profileDataset(id)));
             if (hasResults) {
                 UIRenderer.renderAnalysis(window.lastAnalysisResults);
                 AdminConsole.auditPersistence(masterData);
@@ -171,7 +614,7 @@ const AppCore = (() => {
             UIRenderer.renderAnalysis(window.lastAnalysisResults);
         }
 
-        const state = DataEngine.reconcileCollection('single');
+        const state = DataEngine.reconcileCollection(getAnalysisMode(), getScopeIds());
         document.getElementById('sync-text').innerText = state.diagnostics.readiness === 100 ? "AUTHORITY_VERIFIED" : "SYNC_ACTIVE";
         document.getElementById('sync-dot').style.backgroundColor = 'var(--success)';
 
@@ -210,16 +653,28 @@ const AppCore = (() => {
             return;
         }
 
+        if (getAggregationConfig().fn === 'weighted' && !getAggregationConfig().weightBy) {
+            AdminConsole.logActivity("Audit Blocked: Weighted average needs a numeric weight column.");
+            if (!isAuto) alert("Select a weight column");
+            return;
+        }
+
+        if (getAnalysisMode() === 'compare' && getScopeIds().length < 2) {
+            AdminConsole.logActivity("Audit Blocked: Compare mode needs two or more datasets.");
+            if (!isAuto) alert("Select at least two datasets to compare");
+            return;
+        }
+
         // Ensure master data is prepared (Directive 1 Restoration)
-        DataEngine.prepareMasterData('single');
+        DataEngine.prepareMasterData(getAnalysisMode(), getScopeIds());
         const masterData = DataEngine.getMasterData();
 
         if (!masterData || masterData.length === 0) {
-            AdminConsole.logActivity("Audit Blocked: Empty Enclave.");
+            AdminConsole.logActivity(DataEngine.getFilterSummary() ? "Audit Blocked: Row filter excludes every row." : "Audit Blocked: Empty Enclave.");
             return;
         }
 
-        AdminConsole.logActivity(`Audit Cycle Initiated: MAP_${xVal}_${yVal}`);
+        AdminConsole.logActivity(`Audit Cycle Initiated: MAP_${xVal}_${yVal}${getBreakdownConfig() ? `_BY_${getBreakdownConfig()}` : ''}`);
 
         // Directive 3: Execution State Handling
         const btn = document.querySelector('.btn-activate');
@@ -228,7 +683,7 @@ const AppCore = (() => {
 
         try {
             // STEP 1: Worker Analysis (Directive 1: worker.postMessage handled via ReasoningEngine)
-            const results = await ReasoningEngine.executeAnalysis(xVal, yVal, 'single', collection, masterData);
+            const results = await runAnalysis(xVal, yVal, masterData);
             window.lastAnalysisResults = results;
 
             // STEP 2: UI Rendering (Directive 4: UI confirms result received)
@@ -247,12 +702,38 @@ const AppCore = (() => {
         }
     }
 
+    /**
+     * Dispatches the audit for the active mode: one analysis, or one per compared dataset.
+     */
+    async function runAnalysis(xVal, yVal, masterData) {
+        const collection = DataEngine.getCollection();
+        const mode = getAnalysisMode();
+        // Quality of the datasets and the active row filter travel with the result into the report
+        const quality = DataEngine.getQualitySummary(mode, getScopeIds());
+        const filter = DataEngine.getFilterSummary();
+        const temporal = getTemporalConfig();
+        const aggregation = getAggregationConfig();
+        const breakdown = getBreakdownConfig();
+        if (mode === 'compare') {
+            const entries = getScopeIds().map(id => ({ id, name: collection[id].name, rows: DataEngine.filterRows(collection[id].data), schema: collection[id].schema, numericFormat: collection[id].numericFormat }));
+            return ReasoningEngine.executeComparison(xVal, yVal, entries, { quality, filter, temporal, aggregation });
+        }
+        return ReasoningEngine.executeAnalysis(xVal, yVal, mode, collection, masterData, { schema: DataEngine.getActiveSchema(), numericFormat: DataEngine.getNumericFormat(), quality, filter, temporal, aggregation, breakdown });
+    }
+
     function saveConfig() {
         const cfg = {
             role: document.getElementById('role').value,
             x: document.getElementById('x-axis').value,
             y: document.getElementById('y-axis').value,
-            graph: document.getElementById('graph').value
+            graph: document.getElementById('graph').value,
+            grain: document.getElementById('time-grain').value,
+            fiscalStart: document.getElementById('fiscal-start').value,
+            gapFill: document.getElementById('gap-fill').value,
+            aggregation: getAggregationConfig(),
+            z: document.getElementById('z-axis').value,
+            mode: getAnalysisMode(),
+            compare: compareIds
         };
         sessionStorage.setItem('bi_state_config', JSON.stringify(cfg));
     }
@@ -278,6 +759,22 @@ const AppCore = (() => {
 
         if (document.getElementById('role')) document.getElementById('role').value = cfg.role || 'analyst';
         if (document.getElementById('graph')) document.getElementById('graph').value = cfg.graph || 'bar';
+        if (document.getElementById('time-grain')) {
+            document.getElementById('time-grain').value = cfg.grain || 'day';
+            document.getElementById('fiscal-start').value = cfg.fiscalStart || '4';
+            document.getElementById('gap-fill').value = cfg.gapFill || 'gap';
+            refreshTemporalControls();
+        }
+        if (document.getElementById('aggregation') && cfg.aggregation) {
+            document.getElementById('aggregation').value = cfg.aggregation.fn || 'sum';
+            if (cfg.aggregation.percentile) document.getElementById('agg-percentile').value = cfg.aggregation.percentile;
+            refreshAggregationControls();
+            if (cfg.aggregation.weightBy) document.getElementById('agg-weight').value = cfg.aggregation.weightBy;
+        }
+        if (document.getElementById('z-axis') && cfg.z) {
+            refreshBreakdownControls();
+            document.getElementById('z-axis').value = cfg.z;
+        }
 
         // Finalize UI if results exist (Directive 5)
         if (window.lastAnalysisResults) {
@@ -287,14 +784,32 @@ const AppCore = (() => {
         }
     }
 
-    function showLoader(msg) {
+    function showLoader(msg, onCancel) {
         const l = document.getElementById('loader');
         l.style.display = 'flex';
         l.querySelector('p').textContent = msg;
+        const progress = document.getElementById('loader-progress');
+        if (!progress) return;
+        progress.style.display = onCancel ? 'flex' : 'none';
+        document.getElementById('loader-bar').style.width = '0%';
+        document.getElementById('loader-stats').textContent = '';
+        document.getElementById('loader-cancel').onclick = onCancel || null;
+    }
+
+    function updateLoaderProgress(p) {
+        const bar = document.getElementById('loader-bar');
+        const stats = document.getElementById('loader-stats');
+        if (!bar || !stats) return;
+        const mb = (b) => (b / (1024 * 1024)).toFixed(1);
+        const eta = p.etaSeconds === null ? '--' : (p.etaSeconds >= 60 ? `${Math.floor(p.etaSeconds / 60)}m ${Math.round(p.etaSeconds % 60)}s` : `${Math.round(p.etaSeconds)}s`);
+        bar.style.width = p.pct.toFixed(1) + '%';
+        stats.textContent = `${p.rows.toLocaleString()} rows · ${mb(p.bytes)} / ${mb(p.total)} MB · ETA ${eta}`;
     }
 
     function hideLoader() {
         document.getElementById('loader').style.display = 'none';
+        const progress = document.getElementById('loader-progress');
+        if (progress) progress.style.display = 'none';
     }
 
     async function handleRoleChange() {
@@ -316,6 +831,8 @@ const AppCore = (() => {
             summary: !!results.reportSections?.[0],
             stats: !!results.statisticsModel,
             graph: !!snapshots.reportChart,
+            comparison: !results.comparison || !!snapshots.compareChart,
+            pareto: !results.concentration || !!snapshots.paretoChart,
             peaks: !!results.peaks,
             advisory: results.advisory?.length > 0
         };
@@ -348,6 +865,24 @@ const AppCore = (() => {
             parent.innerHTML = '';
             parent.appendChild(img);
         }
+        const compareCanvas = reportContent.querySelector('#bi-compare-canvas');
+        if (compareCanvas && snapshots.compareChart) {
+            const img = document.createElement('img');
+            img.src = snapshots.compareChart;
+            img.style.width = "100%";
+            img.style.borderRadius = "8px";
+            img.style.display = "block";
+            compareCanvas.replaceWith(img);
+        }
+        const paretoCanvas = reportContent.querySelector('#bi-pareto-canvas');
+        if (paretoCanvas && snapshots.paretoChart) {
+            const img = document.createElement('img');
+            img.src = snapshots.paretoChart;
+            img.style.width = "100%";
+            img.style.borderRadius = "8px";
+            img.style.display = "block";
+            paretoCanvas.replaceWith(img);
+        }
 
         // Add missing CSS variables and robust print styling (Directive 4 Correction)
         let reportHtml = `
@@ -476,8 +1011,9 @@ const AppCore = (() => {
             const yVal = document.getElementById('y-axis').value;
             const masterData = DataEngine.getMasterData();
 
+            if (getAnalysisMode() === 'compare' && getScopeIds().length < 2) return;
             if (xVal && yVal && masterData && masterData.length > 0) {
-                const results = await ReasoningEngine.executeAnalysis(xVal, yVal, 'single', DataEngine.getCollection(), masterData);
+                const results = await runAnalysis(xVal, yVal, masterData);
                 window.lastAnalysisResults = results;
                 UIRenderer.renderAnalysis(results);
                 AdminConsole.logActivity("Silent Pulse: Integrity Cycle Sync Complete.");
@@ -487,7 +1023,7 @@ const AppCore = (() => {
     }
 
     return {
-        init, handleIngress, activateAnalytics, triggerAudit, handleRoleChange,
+        init, handleIngress, activateAnalytics, triggerAudit, handleRoleChange, handleModeChange,
         autoTrigger, triggerLiveRefresh, startRefreshMonitor, lockSystem: AdminConsole.lockSystem,
         auditPersistence: () => AdminConsole.auditPersistence(DataEngine.getMasterData()),
         finalizeUI: (show = true) => finalizeView(show), exportReport
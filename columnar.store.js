@@ -0,0 +1,237 @@
+/**
+ * COLUMNAR STORE MODULE (v22.1)
+ * Responsibilities: Columnar dataset representation, Typed numeric columns, Dictionary-encoded categories,
+ * Epoch-indexed dates, Row materialisation, Memory accounting.
+ */
+
+const ColumnarStore = (() => {
+    const STATE = { OK: 0, NULL: 1, INVALID: 2 };
+
+    /**
+     * Parses a date cell to UTC epoch milliseconds according to the column's detected format.
+     * Returns NaN when the text is not a date in that format.
+     */
+    function parseDateText(text, format) {
+        const v = String(text).trim();
+        const iso = v.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+        if (iso) {
+            const [, y, mo, d, h = 0, mi = 0, sec = 0, frac = '0', tz] = iso;
+            let ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec, Math.round(parseFloat('0.' + frac) * 1000));
+            if (tz && tz !== 'Z') {
+                const sign = tz[0] === '-' ? -1 : 1;
+                const [oh, om] = [parseInt(tz.slice(1, 3), 10), parseInt(tz.slice(-2), 10)];
+                ms -= sign * (oh * 60 + om) * 60000;
+            }
+            return ms;
+        }
+        const dmy = v.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+        if (dmy) {
+            let [, a, b, y] = dmy;
+            const year = y.length === 2 ? (+y < 70 ? 2000 + +y : 1900 + +y) : +y;
+            const [day, month] = format === 'month-first-date' ? [+b, +a] : [+a, +b];
+            if (month < 1 || month > 12 || day < 1 || day > 31) return NaN;
+            return Date.UTC(year, month - 1, day);
+        }
+        const parsed = Date.parse(v);
+        if (isNaN(parsed)) return NaN;
+        const local = new Date(parsed);
+        return Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(), local.getHours(), local.getMinutes(), local.getSeconds());
+    }
+
+    function formatEpoch(ms) {
+        const iso = new Date(ms).toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19);
+    }
+
+    // Smallest unsigned array able to hold every dictionary code
+    function compactCodes(codes, cardinality) {
+        if (cardinality <= 0xFF) return Uint8Array.from(codes);
+        if (cardinality <= 0xFFFF) return Uint16Array.from(codes);
+        return codes;
+    }
+
+    function encodeDictionary(rows, header) {
+        const index = new Map();
+        const dict = [];
+        const codes = new Uint32Array(rows.length);
+        rows.forEach((row, i) => {
+            const v = row[header] === null || row[header] === undefined ? "" : String(row[header]);
+            let code = index.get(v);
+            if (code === undefined) {
+                code = dict.length;
+                index.set(v, code);
+                dict.push(v);
+            }
+            codes[i] = code;
+        });
+        return { dict, codes: compactCodes(codes, dict.length) };
+    }
+
+    // Decoration around the digits of a numeric cell: "$1,234.50" -> ["$", ""], "12,5 %" -> ["", " %"]
+    function numberAffixes(text) {
+        const m = text.match(/^([^\d.,-]*)-?[\d.,'\s\u00A0\u202F]*?\d[\d.,'\s\u00A0\u202F]*?(\D*)$/);
+        return m ? [m[1], m[2]] : null;
+    }
+
+    /**
+     * Source text of a valid number in its column's notation ({ decimal, prefix, suffix, percent }).
+     * Grouping and trailing zeros are not reproduced; the value and its decoration are.
+     */
+    function formatNumber(value, notation) {
+        if (!notation) return String(value);
+        const magnitude = notation.percent ? Number((Math.abs(value) * 100).toPrecision(15)) : Math.abs(value);
+        const digits = notation.decimal === '.' ? String(magnitude) : String(magnitude).replace('.', notation.decimal);
+        return `${value < 0 ? '-' : ''}${notation.prefix}${digits}${notation.suffix}`;
+    }
+
+    /**
+     * Valid numbers are stored only as Float64 values and re-rendered in the column's notation (taken from the first
+     * cell it reproduces) in raw mode. Source text is kept for the cells that notation cannot reproduce: invalid text, null
+     * tokens, scientific input and cells decorated differently from the rest of the column.
+     */
+    function buildNumberColumn(rows, header, numericFormat) {
+        const fmt = NumericEngine.resolveFormat(numericFormat);
+        const values = new Float64Array(rows.length);
+        const state = new Uint8Array(rows.length);
+        const raw = {};
+        let notation = null;
+        rows.forEach((row, i) => {
+            const text = row[header] === null || row[header] === undefined ? "" : String(row[header]);
+            const n = NumericEngine.parseNumber(text, fmt);
+            if (n === null) {
+                state[i] = STATE.NULL;
+                values[i] = NaN;
+                if (text.trim() !== "") raw[i] = text;
+                return;
+            }
+            if (Number.isNaN(n)) {
+                state[i] = STATE.INVALID;
+                values[i] = NaN;
+                raw[i] = text;
+                return;
+            }
+            values[i] = n;
+            const affixes = numberAffixes(text.trim());
+            const reproduces = (candidate) => affixes[0] === candidate.prefix && affixes[1] === candidate.suffix
+                && !/\d[eE][-+]?\d/.test(text) && NumericEngine.parseNumber(formatNumber(n, candidate), fmt) === n;
+            if (!notation && affixes) {
+                const candidate = { decimal: fmt.decimal, prefix: affixes[0], suffix: affixes[1], percent: fmt.percentScale !== false && affixes[1].trim().endsWith('%') };
+                if (reproduces(candidate)) notation = candidate;
+            }
+            if (!notation || !affixes || !reproduces(notation)) raw[i] = text;
+        });
+        return { kind: 'number', values, state, raw, notation };
+    }
+
+    function buildDateColumn(rows, header, format) {
+        const { dict, codes } = encodeDictionary(rows, header);
+        const epochs = Float64Array.from(dict, text => text === "" ? NaN : parseDateText(text, format));
+        return { kind: 'date', format, dict, codes, epochs };
+    }
+
+    /**
+     * Builds the columnar store from text rows, using the schema to pick each column's encoding.
+     */
+    function fromRows(rows, schema, numericFormat) {
+        const headers = Object.keys(rows[0] || {});
+        const columns = {};
+        headers.forEach(h => {
+            const profile = schema.columns?.[h];
+            const type = profile ? profile.type : (schema.numerical.includes(h) ? 'numerical' : (schema.temporal.includes(h) ? 'temporal' : 'categorical'));
+            if (type === 'numerical') columns[h] = buildNumberColumn(rows, h, numericFormat);
+            else if (type === 'temporal') columns[h] = buildDateColumn(rows, h, profile?.format);
+            else columns[h] = { kind: 'category', ...encodeDictionary(rows, h) };
+        });
+        return { length: rows.length, headers, columns };
+    }
+
+    /**
+     * Cell accessor. Typed mode yields numbers for numeric cells and ISO text for dates;
+     * raw mode yields the original source text (used when the schema or number format changes).
+     */
+    function cell(column, i, raw) {
+        if (column.kind === 'number') {
+            if (raw) return column.raw[i] !== undefined ? column.raw[i] : (column.state[i] === STATE.OK ? formatNumber(column.values[i], column.notation) : "");
+            if (column.state[i] === STATE.OK) return column.values[i];
+            return column.state[i] === STATE.INVALID ? column.raw[i] : "";
+        }
+        const text = column.dict[column.codes[i]];
+        if (column.kind === 'date' && !raw) {
+            const ms = column.epochs[column.codes[i]];
+            return Number.isNaN(ms) ? text : formatEpoch(ms);
+        }
+        return text;
+    }
+
+    function toRows(store, options = {}) {
+        const { headers, columns, length } = store;
+        const rows = new Array(length);
+        for (let i = 0; i < length; i++) {
+            const row = {};
+            for (const h of headers) row[h] = cell(columns[h], i, !!options.raw);
+            rows[i] = row;
+        }
+        return rows;
+    }
+
+    /**
+     * Finite values of a numeric column (optionally the first `limit` rows) without materialising rows.
+     */
+    function numericValues(store, header, limit = Infinity) {
+        const column = store.columns[header];
+        if (!column || column.kind !== 'number') return [];
+        const out = [];
+        const end = Math.min(store.length, limit);
+        for (let i = 0; i < end; i++) if (column.state[i] === STATE.OK) out.push(column.values[i]);
+        return out;
+    }
+
+    const stringBytes = (str) => 40 + str.length * 2;
+
+    /**
+     * Heap footprint of the store: typed array buffers, dictionary strings and retained source text.
+     */
+    function byteSize(store) {
+        let bytes = 0;
+        Object.values(store.columns).forEach(column => {
+            if (column.kind === 'number') {
+                bytes += column.values.byteLength + column.state.byteLength;
+                Object.values(column.raw).forEach(text => bytes += 16 + stringBytes(text));
+            } else {
+                bytes += column.codes.byteLength;
+                column.dict.forEach(text => bytes += stringBytes(text));
+                if (column.epochs) bytes += column.epochs.byteLength;
+            }
+        });
+        return bytes;
+    }
+
+    /**
+     * Approximate footprint of materialised row objects (object header + one slot per cell, plus strings).
+     */
+    function rowBytes(rows) {
+        if (rows.length === 0) return 0;
+        const keys = Object.keys(rows[0]);
+        const step = Math.max(1, Math.floor(rows.length / 1000));
+        let sampled = 0;
+        let bytes = 0;
+        for (let i = 0; i < rows.length; i += step) {
+            sampled++;
+            bytes += 56 + keys.length * 8;
+            keys.forEach(k => { if (typeof rows[i][k] === 'string') bytes += stringBytes(rows[i][k]); });
+        }
+        return Math.round((bytes / sampled) * rows.length);
+    }
+
+    return {
+        STATE,
+        fromRows,
+        toRows,
+        cell,
+        numericValues,
+        byteSize,
+        rowBytes,
+        parseDateText,
+        formatEpoch
+    };
+})();
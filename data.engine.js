@@ -1,132 +1,2015 @@
 /**
  * DATA ENGINE MODULE (v20.5.1)
- * Responsibilities: Ingestion, Parsing (PapaParse/SheetJS), Chunking, Collection Management, Schema Discovery.
+ * Responsibilities: Ingestion, Parsing (PapaParse/SheetJS/JSON/SQL dumps), Chunking, Collection Management, Schema Discovery.
  */
 
 const DataEngine = (() => {
-    let datasetCollection = {}; // { id: { name, data, headers, meta, schema } }
+    let datasetCollection = {}; // { id: { name, store, headers, meta, schema } } — `data` is a lazy row view over `store`
     let masterData = []; // Combined data for union or current active dataset
+    let activeDatasetId = null; // Comparison target in compare mode; otherwise the newest dataset is active
+    let currentMode = 'single'; // Mode of the last reconcile/prepare, decides which schema is active
+    let unionMapping = null; // Column mapping for union mode (persisted config 'union:mapping')
+    let unionView = null; // { rows, schema, bytes } built from the mapping on demand
+    let rowFilter = null; // Global row filter (persisted config 'filter:active'), applied to masterData in every mode
+    let unfilteredData = []; // masterData before the row filter
+    let quarantine = {}; // { qid: entry } rejected or partially failed ingress (persisted store 'quarantine')
+    let rowView = null; // { store, rows, bytes } for the one dataset whose rows were last materialised
 
-    async function parseFileGeneric(file, id) {
-        const ext = file.name.split('.').pop().toLowerCase();
+    /**
+     * Flattens nested objects into dotted headers ({ geo: { city } } -> "geo.city").
+     * Arrays are kept as JSON text so a row never fans out into several rows.
+     */
+    function flattenRecord(record, prefix = '', out = {}) {
+        Object.keys(record).forEach(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const value = record[key];
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                if (Object.keys(value).length === 0) out[path] = "";
+                else flattenRecord(value, path, out);
+            } else if (Array.isArray(value)) {
+                out[path] = JSON.stringify(value);
+            } else {
+                out[path] = value;
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Heterogeneous records (typical for NDJSON) are aligned to the union of their keys.
+     */
+    function alignRecords(records) {
+        const headers = [];
+        const seen = new Set();
+        records.forEach(r => Object.keys(r).forEach(k => { if (!seen.has(k)) { seen.add(k); headers.push(k); } }));
+        return records.map(r => {
+            const row = {};
+            headers.forEach(h => row[h] = r[h] === undefined ? "" : r[h]);
+            return row;
+        });
+    }
+
+    const toRecord = (item) => (item !== null && typeof item === 'object' && !Array.isArray(item)) ? item : { value: item };
+
+    /**
+     * JSON INGESTION: array of records, NDJSON (one object per line) or columnar ({ col: [values] }).
+     */
+    function parseJsonText(text, ext) {
+        const body = text.replace(/^\uFEFF/, '').trim();
+        if (!body) return [];
+
+        let parsed;
+        let isNdjson = ['ndjson', 'jsonl'].includes(ext);
+        if (!isNdjson) {
+            try {
+                parsed = JSON.parse(body);
+            } catch (err) {
+                // Warehouse exports are often NDJSON saved with a .json extension
+                isNdjson = body.startsWith('{') && body.includes('\n');
+                if (!isNdjson) throw new Error(`Governance Failure: Invalid JSON payload (${err.message})`);
+            }
+        }
+
+        if (isNdjson) {
+            return body.split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+                try {
+                    return flattenRecord(toRecord(JSON.parse(line)));
+                } catch (err) {
+                    throw new Error(`Governance Failure: Invalid NDJSON record on line ${i + 1}`);
+                }
+            });
+        }
+
+        if (Array.isArray(parsed)) return parsed.map(item => flattenRecord(toRecord(item)));
+
+        if (parsed !== null && typeof parsed === 'object') {
+            const entries = Object.entries(parsed);
+            const isColumnar = entries.length > 0 && entries.every(([, v]) => Array.isArray(v)) &&
+                entries.some(([, v]) => v.some(cell => cell === null || typeof cell !== 'object'));
+            if (isColumnar) {
+                const length = Math.max(...entries.map(([, v]) => v.length));
+                return Array.from({ length }, (_, i) => {
+                    const row = {};
+                    entries.forEach(([col, values]) => row[col] = values[i] === undefined ? null : values[i]);
+                    return flattenRecord(row);
+                });
+            }
+            // Envelope such as { "data": [ {...}, {...} ] }
+            const envelope = entries.find(([, v]) => Array.isArray(v) && v.length > 0 && v.every(item => item !== null && typeof item === 'object' && !Array.isArray(item)));
+            if (envelope) return envelope[1].map(item => flattenRecord(item));
+            return [flattenRecord(parsed)];
+        }
+
+        throw new Error("Governance Failure: JSON payload contains no tabular records");
+    }
+
+    /**
+     * SQL DUMP INGESTION (mysqldump / pg_dump)
+     * CREATE TABLE declares the columns and their types; multi-row INSERT ... VALUES and pg_dump's COPY ... FROM stdin
+     * blocks carry the rows. Every other statement is tallied and reported rather than dropped silently.
+     */
+    const SQL_CONSTRAINT_WORDS = ['PRIMARY', 'KEY', 'UNIQUE', 'CONSTRAINT', 'INDEX', 'FOREIGN', 'CHECK', 'FULLTEXT', 'SPATIAL', 'EXCLUDE'];
+    const SQL_MODIFYING = ['UPDATE', 'DELETE', 'TRUNCATE', 'MERGE', 'ON DUPLICATE KEY UPDATE'];
+    const MYSQL_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', Z: '\x1A', 0: '' };
+    const COPY_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v' };
+
+    function sqlColumnType(sqlType) {
+        const t = sqlType.toLowerCase();
+        if (/^(date|datetime|timestamp|timestamptz)\b/.test(t)) return 'temporal';
+        if (/^(tinyint|smallint|mediumint|int|integer|bigint|int[248]|serial|smallserial|bigserial|decimal|numeric|number|float[48]?|double|real|money)\b/.test(t)) return 'numerical';
+        return 'categorical';
+    }
+
+    // `db`.`orders`, "public"."orders", [dbo].[order items] -> orders / order items
+    const SQL_IDENTIFIER = '(?:[`"[][^`"\\]]+[`"\\]]|[^.\\s`"[\\]()]+)';
+    const SQL_TABLE_NAME = `((?:${SQL_IDENTIFIER}\\.)?${SQL_IDENTIFIER})`;
+    const SQL_INSERT_HEAD = new RegExp(`^(?:INSERT|REPLACE)\\s+(?:(?:IGNORE|LOW_PRIORITY|DELAYED|HIGH_PRIORITY)\\s+)*INTO\\s+${SQL_TABLE_NAME}\\s*(\\([^)]*\\))?\\s*VALUES\\s*`, 'i');
+    const SQL_COPY_HEAD = new RegExp(`^COPY\\s+${SQL_TABLE_NAME}\\s*(\\([^)]*\\))?\\s+FROM\\s+stdin`, 'i');
+    const unquoteIdentifier = (name) => name.trim().replace(/^[`"[]|[`"\]]$/g, '');
+    const tableName = (name) => unquoteIdentifier(name.trim().match(new RegExp(`${SQL_IDENTIFIER}$`))[0]);
+
+    /**
+     * Splits the dump into statements, skipping comments and honouring quotes (including pg dollar quotes).
+     * A COPY ... FROM stdin statement takes the data lines up to "\." with it.
+     */
+    function splitSqlStatements(text, backslashEscapes) {
+        const statements = [];
+        let i = 0;
+        let current = '';
+        let segment = 0;
+        const n = text.length;
+        while (i < n) {
+            const ch = text[i];
+            const next = text[i + 1];
+            if ((ch === '-' && next === '-') || (ch === '#' && backslashEscapes)) {
+                current += text.slice(segment, i);
+                while (i < n && text[i] !== '\n') i++;
+                segment = i;
+            } else if (ch === '/' && next === '*') {
+                current += text.slice(segment, i);
+                const end = text.indexOf('*/', i + 2);
+                // MySQL conditional comments (/*!40101 SET ... */) are executable, so they are reported like statements
+                if (text[i + 2] === '!') statements.push({ text: text.slice(i, end < 0 ? n : end + 2), kind: 'MYSQL CONDITIONAL COMMENT' });
+                i = end < 0 ? n : end + 2;
+                segment = i;
+            } else if (ch === "'" || ch === '"' || ch === '`') {
+                i++;
+                while (i < n && text[i] !== ch) {
+                    if (text[i] === '\\' && backslashEscapes && ch !== '`') i++;
+                    i++;
+                }
+                // Doubled quotes ('it''s') simply re-enter the quoted state on the next pass
+                i++;
+            } else if (ch === '$' && /^\$[A-Za-z_]*\$/.test(text.slice(i, i + 64))) {
+                const tag = text.slice(i, i + 64).match(/^\$[A-Za-z_]*\$/)[0];
+                const end = text.indexOf(tag, i + tag.length);
+                i = end < 0 ? n : end + tag.length;
+            } else if (ch === ';') {
+                const statement = (current + text.slice(segment, i)).trim();
+                current = '';
+                i++;
+                segment = i;
+                if (!statement) continue;
+                if (/^COPY\s[\s\S]*\sFROM\s+stdin/i.test(statement)) {
+                    // Data lines follow the statement up to a line holding only "\."
+                    const start = text.indexOf('\n', i) + 1;
+                    const terminator = start > 0 ? text.indexOf('\n\\.', start - 1) : -1;
+                    if (terminator < 0) {
+                        statements.push({ text: statement, data: start > 0 ? text.slice(start) : '' });
+                        i = segment = n;
+                    } else {
+                        statements.push({ text: statement, data: text.slice(start, terminator + 1) });
+                        const after = text.indexOf('\n', terminator + 1);
+                        i = segment = after < 0 ? n : after + 1;
+                    }
+                } else {
+                    statements.push({ text: statement });
+                }
+            } else {
+                i++;
+            }
+        }
+        const tail = (current + text.slice(segment)).trim();
+        if (tail) statements.push({ text: tail });
+        return statements;
+    }
+
+    // Reads one quoted string starting at text[i]; returns [value, index after the closing quote]
+    function readSqlString(text, i, backslashEscapes) {
+        const quote = text[i];
+        let out = '';
+        i++;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\\' && backslashEscapes) {
+                const esc = text[i + 1];
+                out += esc in MYSQL_ESCAPES ? MYSQL_ESCAPES[esc] : esc;
+                i += 2;
+            } else if (ch === quote) {
+                if (text[i + 1] === quote) { out += quote; i += 2; }
+                else return [out, i + 1];
+            } else {
+                out += ch;
+                i++;
+            }
+        }
+        throw new Error('unterminated string');
+    }
+
+    // Comma-separated items of a parenthesised list starting at text[i] === '(' -> [items, index after ')']
+    function readSqlTuple(text, i, backslashEscapes) {
+        const items = [];
+        let token = '';
+        let quoted = null;
+        let depth = 0;
+        i++;
+        const flush = () => {
+            const raw = token.trim();
+            if (quoted !== null) items.push(quoted);
+            else if (/^null$/i.test(raw)) items.push(null);
+            else items.push(raw);
+            token = '';
+            quoted = null;
+        };
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === "'" && depth === 0 && token.trim().replace(/^(E|N|_\w+)$/i, '') === '') {
+                // E'..' (pg escape string) always honours backslashes; N'..' / _utf8'..' prefixes are dropped
+                [quoted, i] = readSqlString(text, i, backslashEscapes || /^E$/i.test(token.trim()));
+                token = '';
+            } else if (ch === "'") {
+                const [, end] = readSqlString(text, i, backslashEscapes);
+                token += text.slice(i, end);
+                i = end;
+            } else if (ch === '(') {
+                depth++;
+                token += ch;
+                i++;
+            } else if (ch === ')' && depth > 0) {
+                depth--;
+                token += ch;
+                i++;
+            } else if (ch === ')') {
+                if (items.length || token.trim() || quoted !== null) flush();
+                return [items, i + 1];
+            } else if (ch === ',' && depth === 0) {
+                flush();
+                i++;
+            } else {
+                if (quoted === null) token += ch;
+                i++;
+            }
+        }
+        throw new Error('unterminated value list');
+    }
+
+    function parseCreateTable(statement, backslashEscapes) {
+        const head = statement.match(/^CREATE\s+(?:(?:GLOBAL\s+|LOCAL\s+)?(?:TEMPORARY|TEMP|UNLOGGED)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:[`"[]?[^\s(]+?[`"\]]?\.)?[`"[]?[^(]+?[`"\]]?)\s*\(/i);
+        if (!head) return null;
+        const [defs] = readSqlTuple(statement, head[0].length - 1, backslashEscapes);
+        const columns = [];
+        defs.forEach(def => {
+            const text = String(def ?? '').trim();
+            const first = text.split(/\s+/)[0].toUpperCase();
+            if (!text || SQL_CONSTRAINT_WORDS.includes(first)) return;
+            const m = text.match(/^([`"[][^`"\]]+[`"\]]|\S+)\s+([A-Za-z_][\w]*(?:\s+(?:precision|varying|unsigned|with(?:out)?\s+time\s+zone))*(?:\s*\([^)]*\))?)/i);
+            if (!m) return;
+            columns.push({ name: unquoteIdentifier(m[1]), sqlType: m[2].replace(/\s+/g, ' '), type: sqlColumnType(m[2]) });
+        });
+        return { name: tableName(head[1]), columns };
+    }
+
+    // COPY text format: tab separated, \N is NULL, backslash escapes
+    function parseCopyField(field) {
+        if (field === '\\N') return null;
+        return field.replace(/\\(?:([0-7]{1,3})|x([0-9A-Fa-f]{1,2})|(.))/g, (_, oct, hex, ch) =>
+            oct ? String.fromCharCode(parseInt(oct, 8)) : hex ? String.fromCharCode(parseInt(hex, 16)) : (COPY_ESCAPES[ch] ?? ch));
+    }
+
+    function statementKind(statement) {
+        const words = statement.replace(/\s+/g, ' ').toUpperCase().split(' ');
+        return ['CREATE', 'DROP', 'ALTER', 'LOCK', 'UNLOCK'].includes(words[0]) && words[1] ? `${words[0]} ${words[1]}` : words[0];
+    }
+
+    /**
+     * Parses a dump into tables ({ name, columns, collector, statements, rowErrors }) and a tally of skipped statements.
+     */
+    function parseSqlDump(text, policy) {
+        const body = text.replace(/^\uFEFF/, '');
+        // pg_dump writes standard strings (backslash is literal); MySQL treats backslash as an escape
+        const dialect = /PostgreSQL database dump|standard_conforming_strings\s*=\s*on|^COPY\s/im.test(body) ? 'postgres' : 'mysql';
+        const backslashEscapes = dialect === 'mysql';
+        const tables = new Map();
+        const skipped = new Map();
+        const tableOf = (name) => {
+            if (!tables.has(name)) tables.set(name, { name, columns: [], declared: false, collector: createRowCollector(policy), statements: 0, rowErrors: 0 });
+            return tables.get(name);
+        };
+        const addRows = (table, columnList, tuples) => {
+            const names = columnList || table.columns.map(c => c.name);
+            columnList?.forEach(c => { if (!table.columns.some(col => col.name === c)) table.columns.push({ name: c, sqlType: null, type: null }); });
+            const rows = [];
+            tuples.forEach(values => {
+                if (names.length === 0) names.push(...values.map((_, k) => `col_${k + 1}`));
+                if (values.length !== names.length) { table.rowErrors++; return; }
+                const row = {};
+                table.columns.forEach(c => row[c.name] = '');
+                names.forEach((c, k) => row[c] = values[k]);
+                rows.push(row);
+            });
+            if (table.columns.length === 0) table.columns = names.map(name => ({ name, sqlType: null, type: null }));
+            table.statements++;
+            table.collector.push(cleanRows(rows));
+        };
+        const skip = (statement, reason) => {
+            const kind = reason || statementKind(statement);
+            skipped.set(kind, (skipped.get(kind) || 0) + 1);
+        };
+
+        splitSqlStatements(body, backslashEscapes).forEach(({ text: statement, data, kind }) => {
+            if (kind) return skip(statement, kind);
+            try {
+                if (/^CREATE\s+(?:\w+\s+)*?TABLE\s/i.test(statement) && !/\sAS\s+SELECT\s/i.test(statement)) {
+                    const created = parseCreateTable(statement, backslashEscapes);
+                    if (!created) return skip(statement);
+                    const table = tableOf(created.name);
+                    table.columns = created.columns;
+                    table.declared = true;
+                    return;
+                }
+                const insert = statement.match(SQL_INSERT_HEAD);
+                if (insert) {
+                    const columnList = insert[2] ? readSqlTuple(insert[2], 0, backslashEscapes)[0].map(c => unquoteIdentifier(String(c))) : null;
+                    const tuples = [];
+                    let i = insert[0].length;
+                    while (i < statement.length) {
+                        const ch = statement[i];
+                        if (ch === '(') {
+                            const [values, end] = readSqlTuple(statement, i, backslashEscapes);
+                            tuples.push(values);
+                            i = end;
+                        } else if (ch === ',' || /\s/.test(ch)) {
+                            i++;
+                        } else {
+                            // ON DUPLICATE KEY UPDATE / ON CONFLICT clauses end the value list; the rows are kept as inserted
+                            if (/^ON\s+DUPLICATE\s+KEY\s+UPDATE\b/i.test(statement.slice(i))) skip(statement, 'ON DUPLICATE KEY UPDATE');
+                            break;
+                        }
+                    }
+                    return addRows(tableOf(tableName(insert[1])), columnList, tuples);
+                }
+                const copy = statement.match(SQL_COPY_HEAD);
+                if (copy) {
+                    if (/\b(?:CSV|BINARY)\b/i.test(statement)) return skip(statement, 'COPY (non-text format)');
+                    const columnList = copy[2] ? copy[2].slice(1, -1).split(',').map(unquoteIdentifier) : null;
+                    const lines = (data || '').split('\n').filter(line => line !== '' && line !== '\r');
+                    return addRows(tableOf(tableName(copy[1])), columnList, lines.map(line => line.replace(/\r$/, '').split('\t').map(parseCopyField)));
+                }
+                skip(statement);
+            } catch (err) {
+                skip(statement, `${statementKind(statement)} (unparseable: ${err.message})`);
+            }
+        });
+
+        return {
+            dialect,
+            tables: [...tables.values()],
+            skipped: [...skipped.entries()].map(([statement, count]) => ({ statement, count, modifying: SQL_MODIFYING.some(k => statement.startsWith(k)) })).sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * One dataset per table holding rows ("dump.sql [orders]" when the dump has several tables).
+     * Declared column types become schema overrides; the statement report travels in meta.sql.
+     */
+    async function ingestSqlDump(text, file, id, options = {}) {
+        const dump = parseSqlDump(text, options.policy);
+        const filled = dump.tables.filter(t => t.collector.result().rows.length > 0);
+        const report = {
+            dialect: dump.dialect,
+            skipped: dump.skipped,
+            emptyTables: dump.tables.filter(t => !filled.includes(t)).map(t => t.name)
+        };
+        if (filled.length === 0) {
+            const skippedText = dump.skipped.map(s => `${s.statement} ×${s.count}`).join(', ');
+            throw new Error(`Governance Failure: SQL dump [${file.name}] holds no INSERT or COPY rows${skippedText ? ` (skipped: ${skippedText})` : ''}`);
+        }
+
+        const stored = [];
+        for (const [i, table] of filled.entries()) {
+            if (options.signal && options.signal.aborted) throw createAbortError();
+            const dsId = filled.length > 1 ? `${id}_${i}` : id;
+            const dsName = dump.tables.length > 1 ? `${file.name} [${table.name}]` : file.name;
+            const { rows, seen, truncated, policy } = table.collector.result();
+            const aligned = alignRecords(rows);
+            const headers = Object.keys(aligned[0] || {});
+            const declared = table.columns.filter(c => c.type && headers.includes(c.name));
+            const outcome = await storeDataset(dsId, dsName, aligned, file, {
+                policy,
+                sourceRows: seen,
+                truncated,
+                parseErrors: table.rowErrors,
+                sql: { ...report, table: table.name, statements: table.statements, declaredTypes: Object.fromEntries(declared.map(c => [c.name, c.sqlType])) }
+            }, { preCleaned: true, signal: options.signal, ingressId: id, schemaOverrides: Object.fromEntries(declared.map(c => [c.name, c.type])) });
+            if (outcome) stored.push(outcome);
+        }
+        return stored;
+    }
+
+    /**
+     * CLIPBOARD / DRAG-AND-DROP INGESTION
+     * Spreadsheet ranges arrive as TSV (plus an HTML table), web pages as HTML. Both become a grid of cells;
+     * the delimiter and the header row are detected, and the user confirms both in the preview before storing.
+     */
+    const PASTE_DELIMITERS = ['\t', ',', ';', '|'];
+    const PASTE_SAMPLE_LINES = 50;
+
+    function parseHtmlTable(html) {
+        if (typeof DOMParser === 'undefined') return null;
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const table = doc.querySelector('table');
+        if (!table) return null;
+        const grid = [];
+        const carried = []; // rowspan cells continuing into later rows: column -> { text, left }
+        Array.from(table.rows).forEach(tr => {
+            const row = [];
+            let col = 0;
+            const take = () => {
+                while (carried[col] && carried[col].left > 0) {
+                    row[col] = carried[col].text;
+                    carried[col].left--;
+                    col++;
+                }
+            };
+            Array.from(tr.cells).forEach(cell => {
+                take();
+                const text = cell.textContent.replace(/\s+/g, ' ').trim();
+                const span = Math.max(1, cell.colSpan || 1);
+                for (let k = 0; k < span; k++) {
+                    row[col] = text;
+                    if (cell.rowSpan > 1) carried[col] = { text, left: cell.rowSpan - 1 };
+                    col++;
+                }
+            });
+            take();
+            grid.push(Array.from(row, v => v ?? ''));
+        });
+        const headerRow = table.rows[0] && Array.from(table.rows[0].cells).every(c => c.tagName === 'TH');
+        const caption = table.caption ? table.caption.textContent.trim() : '';
+        return { grid, headerRow, caption };
+    }
+
+    // The delimiter giving the most lines with the same (>1) field count wins; tab wins ties
+    function detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(l => l.trim() !== '').slice(0, PASTE_SAMPLE_LINES);
+        let best = { delimiter: '\t', score: 0 };
+        PASTE_DELIMITERS.forEach(delimiter => {
+            const freq = new Map();
+            lines.forEach(l => {
+                const n = l.split(delimiter).length;
+                freq.set(n, (freq.get(n) || 0) + 1);
+            });
+            const [modal, hits] = [...freq.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+            const score = modal > 1 ? hits * Math.min(modal, 10) : 0;
+            if (score > best.score) best = { delimiter, score };
+        });
+        return best.delimiter;
+    }
+
+    function parseDelimitedText(text, delimiter) {
+        const parser = typeof Papa !== 'undefined' ? Papa : (typeof window !== 'undefined' && window.Papa ? window.Papa : null);
+        if (!parser) throw new Error("Governance Failure: CSV Parser (PapaParse) missing. Check network connection.");
+        return parser.parse(text.replace(/^\uFEFF/, ''), { delimiter, skipEmptyLines: 'greedy' }).data;
+    }
+
+    /**
+     * The first row is a header when it is fully populated with distinct non-numeric labels
+     * and, where the column below is mostly numeric or dates, the label is not.
+     */
+    function detectHeaderRow(grid) {
+        if (grid.length < 2) return false;
+        const first = grid[0].map(v => String(v).trim());
+        if (first.some(v => v === '') || new Set(first).size !== first.length) return false;
+        const isValue = (v) => {
+            const n = NumericEngine.parseNumber(v);
+            return (n !== null && !Number.isNaN(n)) || !Number.isNaN(ColumnarStore.parseDateText(v));
+        };
+        if (first.some(isValue)) return false;
+        const body = grid.slice(1, PASTE_SAMPLE_LINES + 1);
+        const typedColumns = first.filter((_, c) => body.filter(r => isValue(String(r[c] ?? '').trim())).length > body.length / 2).length;
+        const repeated = first.filter((v, c) => body.some(r => String(r[c] ?? '').trim() === v)).length;
+        return typedColumns > 0 || repeated === 0;
+    }
+
+    /**
+     * payload: { html?, text? } from the clipboard or a drop. delimiter: null detects it.
+     * Returns { grid, source, delimiter, hasHeader, caption } or null when there is no table in it.
+     */
+    function parsePastedTable(payload, delimiter = null) {
+        if (payload.html && !delimiter) {
+            const table = parseHtmlTable(payload.html);
+            if (table && table.grid.length > 0 && table.grid.some(r => r.length > 1)) {
+                return { grid: table.grid, source: 'html', delimiter: null, hasHeader: table.headerRow || detectHeaderRow(table.grid), caption: table.caption };
+            }
+        }
+        const text = payload.text || '';
+        if (!text.trim()) return null;
+        const used = delimiter || detectDelimiter(text);
+        const grid = parseDelimitedText(text, used).map(r => r.map(v => String(v ?? '').trim()));
+        if (grid.length === 0 || grid.every(r => r.length < 2)) return null;
+        return { grid, source: 'text', delimiter: used, hasHeader: detectHeaderRow(grid), caption: '' };
+    }
+
+    // Blank header cells become "Column n"; repeated labels get a "_2", "_3" suffix
+    function gridHeaders(first, width, hasHeader) {
+        const seen = new Map();
+        return Array.from({ length: width }, (_, c) => {
+            const label = hasHeader && String(first[c] ?? '').trim() ? String(first[c]).trim() : `Column ${c + 1}`;
+            const n = (seen.get(label) || 0) + 1;
+            seen.set(label, n);
+            return n > 1 ? `${label}_${n}` : label;
+        });
+    }
+
+    /**
+     * Stores a confirmed paste through the normal ingress pipeline (recipes, versioning and governance checks apply).
+     */
+    async function ingestPastedTable(id, name, parsed, hasHeader) {
+        const label = String(name || '').trim();
+        if (!label) throw new Error("Governance Failure: Pasted dataset needs a name");
+        const width = Math.max(...parsed.grid.map(r => r.length));
+        const headers = gridHeaders(parsed.grid[0], width, hasHeader);
+        const records = parsed.grid.slice(hasHeader ? 1 : 0).map(r => {
+            const row = {};
+            headers.forEach((h, c) => row[h] = r[c] ?? '');
+            return row;
+        });
+        const outcome = await storeDataset(id, label, cleanRows(records), null, {
+            size: 'Pasted',
+            type: parsed.source === 'html' ? 'paste/html' : 'paste/text',
+            delimiter: parsed.delimiter,
+            headerRow: hasHeader
+        }, { preCleaned: true, quarantine: false });
+        if (!outcome) throw new Error(`Governance Failure: Pasted table [${label}] rejected: it needs at least one numeric metric and one dimension`);
+        return outcome;
+    }
+
+    /**
+     * WORKBOOK SHEET DISCOVERY
+     * The header row is suggested as the first row reaching the widest populated width,
+     * which skips title blocks sitting above finance tables.
+     */
+    function describeWorkbook(wb) {
+        return wb.SheetNames.map(sheetName => {
+            const ws = wb.Sheets[sheetName];
+            const ref = ws && ws['!ref'] ? ws['!ref'] : '';
+            if (!ref) return { sheet: sheetName, ref: '', rows: 0, cols: 0, startRow: 1, headerRow: 1, preview: [] };
+            const range = XLSX.utils.decode_range(ref);
+            const preview = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", blankrows: true, range: { s: range.s, e: { r: Math.min(range.e.r, range.s.r + 19), c: range.e.c } } });
+            const widths = preview.map(r => r.filter(v => String(v).trim() !== "").length);
+            const maxWidth = Math.max(0, ...widths);
+            const headerIdx = Math.max(0, widths.findIndex(w => w === maxWidth && w > 0));
+            return {
+                sheet: sheetName,
+                ref,
+                rows: range.e.r - range.s.r + 1,
+                cols: range.e.c - range.s.c + 1,
+                startRow: range.s.r + 1,
+                headerRow: range.s.r + headerIdx + 1,
+                preview: preview.slice(0, 8)
+            };
+        });
+    }
+
+    // A typed range must be "A1:D200"; anything else would decode to arbitrary bounds
+    function parseSheetRange(text) {
+        if (!text) return null;
+        if (!/^[A-Z]+\d+:[A-Z]+\d+$/i.test(text)) {
+            throw new Error(`Governance Failure: Cell range "${text}" is not of the form A1:D200`);
+        }
+        return XLSX.utils.decode_range(text.toUpperCase());
+    }
+
+    function readSheetRows(wb, selection) {
+        const ws = wb.Sheets[selection.sheet];
+        if (!ws || !ws['!ref']) return [];
+        const range = parseSheetRange(selection.range) || XLSX.utils.decode_range(ws['!ref']);
+        if (selection.headerRow) range.s.r = Math.max(range.s.r, selection.headerRow - 1);
+        if (range.s.r > range.e.r) return [];
+        return XLSX.utils.sheet_to_json(ws, { defval: "", blankrows: false, range });
+    }
+
+    /**
+     * Every selected sheet becomes its own dataset ("book.xlsx [Sheet]").
+     * The selection is remembered per file name and pre-filled on re-import.
+     */
+    async function ingestWorkbook(wb, file, id, options = {}) {
+        const sheets = describeWorkbook(wb);
+        const memoryKey = `sheets:${file.name}`;
+        const remembered = await PersistenceEngine.getConfig(memoryKey).catch(() => null);
+        const isReusable = Array.isArray(remembered) && remembered.length > 0 && remembered.every(s => wb.SheetNames.includes(s.sheet));
+
+        let selections;
+        if (typeof options.selectSheets === 'function') {
+            selections = await options.selectSheets(file.name, sheets, isReusable ? remembered : null);
+            if (!selections || selections.length === 0) return [];
+            selections.forEach(sel => parseSheetRange(sel.range));
+            await PersistenceEngine.saveConfig(memoryKey, selections);
+        } else if (isReusable) {
+            selections = remembered;
+        } else {
+            selections = [{ sheet: sheets[0].sheet, headerRow: sheets[0].headerRow, range: '' }];
+        }
+
+        const stored = [];
+        for (const [i, sel] of selections.entries()) {
+            if (options.signal && options.signal.aborted) throw createAbortError();
+            const dsId = selections.length > 1 ? `${id}_${i}` : id;
+            const dsName = wb.SheetNames.length > 1 ? `${file.name} [${sel.sheet}]` : file.name;
+            const collector = createRowCollector(options.policy);
+            collector.push(cleanRows(readSheetRows(wb, sel)));
+            const { rows, seen, truncated, policy } = collector.result();
+            const outcome = await storeDataset(dsId, dsName, rows, file, { sheet: sel.sheet, headerRow: sel.headerRow || 1, range: sel.range || '', policy, sourceRows: seen, truncated }, { preCleaned: true, signal: options.signal, ingressId: id });
+            if (outcome) stored.push(outcome);
+        }
+        return stored;
+    }
+
+    /**
+     * INGRESS LIMITS: files above thresholdMB ask for a full / head / sample policy before parsing.
+     */
+    const INGRESS_DEFAULTS = { thresholdMB: 50, rowLimit: 100000 };
+    const INGRESS_CHUNK_SIZE = 4 * 1024 * 1024;
+
+    async function getIngressLimits() {
+        const saved = await PersistenceEngine.getConfig('ingress:limits').catch(() => null);
+        return { ...INGRESS_DEFAULTS, ...(saved || {}) };
+    }
+
+    async function setIngressLimits(limits) {
+        const next = { ...(await getIngressLimits()), ...limits };
+        await PersistenceEngine.saveConfig('ingress:limits', next);
+        return next;
+    }
+
+    function createAbortError() {
+        const err = new Error("Ingress cancelled by operator");
+        err.name = 'AbortError';
+        return err;
+    }
+
+    function cleanRows(rows) {
+        return rows.map(row => {
+            const cleanRow = {};
+            Object.keys(row).forEach(key => cleanRow[key.trim()] = String(row[key] === null || row[key] === undefined ? "" : row[key]).trim());
+            return cleanRow;
+        }).filter(row => Object.values(row).some(v => v !== ""));
+    }
+
+    /**
+     * Row collector applying the ingress policy: 'full', 'head' (first rowLimit rows)
+     * or 'sample' (uniform reservoir sample of rowLimit rows across the whole file).
+     */
+    function createRowCollector(policy) {
+        const mode = policy?.mode || 'full';
+        const limit = policy?.rowLimit || Infinity;
+        const rows = [];
+        let seen = 0;
+        return {
+            push(chunk) {
+                chunk.forEach(row => {
+                    seen++;
+                    if (mode === 'sample') {
+                        if (rows.length < limit) rows.push(row);
+                        else {
+                            const j = Math.floor(Math.random() * seen);
+                            if (j < limit) rows[j] = row;
+                        }
+                    } else if (rows.length < limit) {
+                        rows.push(row);
+                    }
+                });
+                return mode === 'head' && rows.length >= limit;
+            },
+            result: () => ({ rows, seen, policy: mode, truncated: seen > rows.length })
+        };
+    }
+
+    const reportProgress = (options, file, rows, bytes, startedAt) => {
+        if (typeof options.onProgress !== 'function') return;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const rate = elapsed > 0 ? bytes / elapsed : 0;
+        options.onProgress({
+            file: file.name,
+            rows,
+            bytes,
+            total: file.size,
+            pct: file.size ? Math.min(100, (bytes / file.size) * 100) : 0,
+            etaSeconds: rate > 0 ? Math.max(0, (file.size - bytes) / rate) : null
+        });
+    };
+
+    function readFileWithProgress(file, as, options) {
         return new Promise((resolve, reject) => {
-            if (['xlsx', 'xls'].includes(ext)) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const wb = XLSX.read(e.target.result, { type: 'buffer' });
-                        const ws = wb.Sheets[wb.SheetNames[0]];
-                        const json = XLSX.utils.sheet_to_json(ws, { defval: "" });
-                        storeDataset(id, file.name, json, file);
-                        resolve();
-                    } catch (err) {
-                        reject(err);
+            const reader = new FileReader();
+            const startedAt = Date.now();
+            const { signal } = options;
+            const onAbort = () => reader.abort();
+            if (signal) {
+                if (signal.aborted) return reject(createAbortError());
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            reader.onprogress = (e) => reportProgress(options, file, 0, e.loaded, startedAt);
+            reader.onload = (e) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(e.target.result);
+            };
+            reader.onabort = () => reject(createAbortError());
+            reader.onerror = () => reject(new Error("File read error"));
+            if (as === 'text') reader.readAsText(file, options.encoding || 'UTF-8');
+            else reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * CSV STREAMING: PapaParse runs in its own worker and hands back chunks, which are cleaned
+     * and collected incrementally. Nothing reaches the collection until the stream completes.
+     */
+    function streamDelimited(file, options) {
+        const parser = typeof Papa !== 'undefined' ? Papa : (typeof window.Papa !== 'undefined' ? window.Papa : null);
+        if (!parser) return Promise.reject(new Error("Governance Failure: CSV Parser (PapaParse) missing. Check network connection."));
+
+        return new Promise((resolve, reject) => {
+            const { signal } = options;
+            const collector = createRowCollector(options.policy);
+            const startedAt = Date.now();
+            let parseErrors = 0;
+            const parseSamples = [];
+            let seen = 0;
+
+            parser.parse(file, {
+                header: true,
+                skipEmptyLines: 'greedy',
+                worker: true,
+                encoding: options.encoding,
+                chunkSize: INGRESS_CHUNK_SIZE,
+                chunk: (results, handle) => {
+                    if (signal && signal.aborted) return handle.abort();
+                    (results.errors || []).forEach(err => {
+                        parseErrors++;
+                        // Papa's row index is chunk-relative; +2 turns it into the file line (header is line 1)
+                        if (parseSamples.length < QUARANTINE_SAMPLES) parseSamples.push({ row: seen + (err.row ?? 0) + 2, message: err.message });
+                    });
+                    seen += results.data.length;
+                    const isFull = collector.push(cleanRows(results.data));
+                    reportProgress(options, file, seen, results.meta.cursor || 0, startedAt);
+                    if (isFull) handle.abort();
+                },
+                complete: () => {
+                    if (signal && signal.aborted) return reject(createAbortError());
+                    resolve({ ...collector.result(), parseErrors, parseSamples });
+                },
+                error: (err) => reject(err)
+            });
+        });
+    }
+
+    /**
+     * Parses one uploaded file into dataset outcomes. A file the parsers cannot read at all is quarantined
+     * (PARSE_FAILURE) instead of failing the whole ingress; cancellations still propagate.
+     */
+    async function parseFileGeneric(file, id, options = {}) {
+        try {
+            return await readSource(file, id, options);
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            const reason = { rule: 'PARSE_FAILURE', message: err.message.replace(/^Governance Failure:\s*/, '') };
+            const entry = await quarantineIngress({
+                name: file.name,
+                status: 'rejected',
+                datasetId: null,
+                reasons: [reason],
+                issues: { parseErrors: 0, parseSamples: [], encoding: { cells: 0, samples: [] } },
+                store: null,
+                inferred: null,
+                numericFormat: null,
+                source: sourceOf(file, {}),
+                extraMeta: {}
+            });
+            return [{ id: null, name: file.name, status: 'quarantined', quarantineId: entry.id, reasons: entry.reasons }];
+        }
+    }
+
+    async function readSource(file, id, options) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        const limits = await getIngressLimits();
+
+        let policy = { mode: 'full' };
+        if (file.size > limits.thresholdMB * 1024 * 1024 && typeof options.resolveLargeFile === 'function') {
+            policy = await options.resolveLargeFile(file, limits);
+            if (!policy) throw createAbortError();
+        }
+        const ingress = { ...options, policy };
+
+        if (['json', 'ndjson', 'jsonl'].includes(ext)) {
+            const text = await readFileWithProgress(file, 'text', ingress);
+            const collector = createRowCollector(policy);
+            collector.push(cleanRows(alignRecords(parseJsonText(text, ext))));
+            const { rows, seen, truncated } = collector.result();
+            return [await storeDataset(id, file.name, rows, file, { policy: policy.mode, sourceRows: seen, truncated }, { preCleaned: true, signal: options.signal })].filter(Boolean);
+        }
+
+        if (['xlsx', 'xls'].includes(ext)) {
+            const buffer = await readFileWithProgress(file, 'buffer', ingress);
+            const wb = XLSX.read(buffer, { type: 'buffer' });
+            return ingestWorkbook(wb, file, id, ingress);
+        }
+
+        if (ext === 'sql') {
+            return ingestSqlDump(await readFileWithProgress(file, 'text', ingress), file, id, ingress);
+        }
+
+        // CSV Chunked Parsing (Deterministic Performance Rule)
+        const { rows, seen, truncated, parseErrors, parseSamples } = await streamDelimited(file, ingress);
+        return [await storeDataset(id, file.name, rows, file, { policy: policy.mode, sourceRows: seen, truncated, parseErrors }, { preCleaned: true, signal: options.signal, parseSamples })].filter(Boolean);
+    }
+
+    /**
+     * SCHEMA INFERENCE
+     * Every value of the column (or an evenly strided sample above SCHEMA_SAMPLE_LIMIT rows)
+     * is classified, so a column that turns into "N/A" or text codes after row 10 is still caught.
+     */
+    const SCHEMA_SAMPLE_LIMIT = 50000;
+    const SCHEMA_TYPE_THRESHOLD = 0.9;
+    const BOOLEAN_TOKENS = ['true', 'false', 'yes', 'no', 'y', 'n'];
+    const ID_NAME_PATTERN = /(^(id|ID|Id)$|[_\s.-](id|ID|Id)$|[a-z]Id$|(key|Key|KEY|code|Code|CODE)$|uuid|UUID|guid|GUID|sku|SKU)/;
+
+    function classifyValue(raw, numericFormat) {
+        const fmt = numericFormat || NumericEngine.DEFAULT_FORMAT;
+        const v = String(raw === null || raw === undefined ? "" : raw).trim();
+        const lower = v.toLowerCase();
+        if (fmt.nullTokens.includes(lower)) return 'null';
+        if (BOOLEAN_TOKENS.includes(lower)) return 'boolean';
+        if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(v)) return 'iso-date';
+        const dmy = v.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+        if (dmy) {
+            const [a, b] = [parseInt(dmy[1], 10), parseInt(dmy[2], 10)];
+            if (a > 12 && b <= 12) return 'day-first-date';
+            if (b > 12 && a <= 12) return 'month-first-date';
+            if (a <= 12 && b <= 12) return 'ambiguous-date';
+            return 'text';
+        }
+        // Numeric recognition is delegated to the shared parser so schema and statistics agree
+        const n = NumericEngine.parseNumber(v, fmt);
+        if (n !== null && !Number.isNaN(n)) {
+            if (fmt.currencySymbols.some(sym => v.includes(sym))) return 'currency';
+            if (/%$/.test(v)) return 'percent';
+            if (/^[-+(]?\d+\)?-?$/.test(v)) return 'integer';
+            return 'decimal';
+        }
+        if (/^[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4}$|^\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}$/.test(v) && !isNaN(Date.parse(v))) return 'text-date';
+        return 'text';
+    }
+
+    const FORMAT_FAMILIES = {
+        numerical: ['integer', 'decimal', 'currency', 'percent'],
+        temporal: ['iso-date', 'day-first-date', 'month-first-date', 'ambiguous-date', 'text-date'],
+        boolean: ['boolean']
+    };
+
+    function sampleIndices(length) {
+        if (length <= SCHEMA_SAMPLE_LIMIT) return null;
+        const stride = length / SCHEMA_SAMPLE_LIMIT;
+        return Array.from({ length: SCHEMA_SAMPLE_LIMIT }, (_, i) => Math.floor(i * stride));
+    }
+
+    function profileColumn(data, header, indices, numericFormat) {
+        const counts = {};
+        const distinct = new Set();
+        let total = 0;
+        const visit = (row) => {
+            const raw = row[header];
+            const kind = classifyValue(raw, numericFormat);
+            counts[kind] = (counts[kind] || 0) + 1;
+            if (kind !== 'null' && distinct.size <= SCHEMA_SAMPLE_LIMIT) distinct.add(String(raw).trim());
+            total++;
+        };
+        if (indices) indices.forEach(i => visit(data[i]));
+        else data.forEach(visit);
+
+        const nulls = counts.null || 0;
+        const nonNull = total - nulls;
+        const share = (kinds) => kinds.reduce((acc, k) => acc + (counts[k] || 0), 0) / (nonNull || 1);
+        const dominantFormat = (kinds) => kinds.reduce((best, k) => (counts[k] || 0) > (counts[best] || 0) ? k : best, kinds[0]);
+
+        const numericShare = share(FORMAT_FAMILIES.numerical);
+        const temporalShare = share(FORMAT_FAMILIES.temporal);
+        const booleanShare = share(FORMAT_FAMILIES.boolean);
+        const distinctRatio = distinct.size / (nonNull || 1);
+        const idLike = nonNull > 1 && distinctRatio === 1 && (ID_NAME_PATTERN.test(header) || (counts.text || 0) === nonNull && /\d/.test([...distinct][0] || ''));
+
+        let type = 'categorical';
+        let format = 'text';
+        let confidence = share(['text']);
+
+        if (nonNull === 0) {
+            confidence = 0;
+        } else if (idLike && (numericShare >= SCHEMA_TYPE_THRESHOLD || share(['text']) >= SCHEMA_TYPE_THRESHOLD)) {
+            format = 'id';
+            confidence = Math.max(numericShare, share(['text']));
+        } else if (booleanShare >= SCHEMA_TYPE_THRESHOLD) {
+            format = 'boolean';
+            confidence = booleanShare;
+        } else if (numericShare >= SCHEMA_TYPE_THRESHOLD) {
+            type = 'numerical';
+            format = dominantFormat(FORMAT_FAMILIES.numerical);
+            if (format === 'integer' && (counts.decimal || 0) > 0) format = 'decimal';
+            confidence = numericShare;
+        } else if (temporalShare >= SCHEMA_TYPE_THRESHOLD) {
+            type = 'temporal';
+            const dayFirst = counts['day-first-date'] || 0;
+            const monthFirst = counts['month-first-date'] || 0;
+            format = (counts['iso-date'] || 0) >= temporalShare * nonNull / 2 ? 'iso-date' : (dayFirst >= monthFirst ? 'day-first-date' : 'month-first-date');
+            if (format !== 'iso-date' && dayFirst === 0 && monthFirst === 0 && (counts['text-date'] || 0) > 0) format = 'text-date';
+            confidence = temporalShare * (dayFirst > 0 && monthFirst > 0 ? 0.5 : 1);
+        } else {
+            confidence = 1 - Math.max(numericShare, temporalShare, booleanShare);
+        }
+
+        return {
+            type,
+            format,
+            confidence: parseFloat(confidence.toFixed(3)),
+            nullRate: parseFloat((nulls / (total || 1)).toFixed(3)),
+            distinct: distinct.size,
+            sampled: total,
+            mixed: numericShare > 0 && numericShare < SCHEMA_TYPE_THRESHOLD && (counts.text || 0) > 0
+        };
+    }
+
+    /**
+     * Returns the legacy { numerical, categorical, temporal } buckets plus a per-column profile.
+     * User overrides ({ header: type }) win over inference and are flagged as such.
+     */
+    function discoverSchema(data, overrides = {}, inferred = null, numericFormat = null) {
+        if (!data || data.length === 0) return { numerical: [], categorical: [], temporal: [], columns: {} };
+        const headers = Object.keys(data[0]);
+        const indices = inferred ? null : sampleIndices(data.length);
+        const schema = { numerical: [], categorical: [], temporal: [], columns: {} };
+        const fmt = NumericEngine.resolveFormat(numericFormat);
+
+        headers.forEach(h => {
+            const profile = inferred && inferred[h] ? { ...inferred[h] } : profileColumn(data, h, indices, fmt);
+            profile.inferredType = profile.inferredType || profile.type;
+            profile.overridden = !!overrides[h];
+            profile.type = overrides[h] || profile.inferredType;
+            schema.columns[h] = profile;
+            schema[profile.type].push(h);
+        });
+        return schema;
+    }
+
+    /**
+     * Content hash computed cell by cell; the dataset is never serialised into one giant string.
+     */
+    function generateHash(data) {
+        let hash = 0;
+        const mix = (str) => {
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) - hash) + str.charCodeAt(i);
+                hash |= 0;
+            }
+        };
+        data.forEach(row => {
+            Object.keys(row).forEach(k => {
+                mix(k);
+                mix(String(row[k]));
+            });
+            mix('\n');
+        });
+        return hash.toString(36);
+    }
+
+    /**
+     * COLUMNAR STORAGE: datasets keep typed columns (ColumnarStore) as their canonical form.
+     * `ds.data` stays available as a non-enumerable row view so row consumers keep working, and IndexedDB only
+     * ever persists the columns. Only the last dataset viewed keeps its rows (normally the one under analysis),
+     * so a collection never holds a second, row-shaped copy of every dataset.
+     */
+    function attachRowView(ds) {
+        Object.defineProperty(ds, 'data', {
+            configurable: true,
+            enumerable: false,
+            get: () => {
+                if (!rowView || rowView.store !== ds.store) {
+                    const rows = ColumnarStore.toRows(ds.store);
+                    rowView = { store: ds.store, rows, bytes: ColumnarStore.rowBytes(rows) };
+                }
+                return rowView.rows;
+            }
+        });
+        return ds;
+    }
+
+    // The first `limit` rows without materialising (or evicting) the dataset's row view
+    const headRows = (ds, limit) => ColumnarStore.toRows({ ...ds.store, length: Math.min(ds.store.length, limit) });
+
+    // Source text rows (calculated columns excluded), used whenever parsing decisions (types, number format) are revisited
+    const getRawRows = (ds) => {
+        const calculated = calculatedNames(ds);
+        const store = calculated.length ? { ...ds.store, headers: ds.store.headers.filter(h => !calculated.includes(h)) } : ds.store;
+        return ColumnarStore.toRows(store, { raw: true });
+    };
+
+    function rebuildStore(ds, rawRows) {
+        ds.store = ColumnarStore.fromRows(rawRows, ds.schema, ds.numericFormat);
+        materialiseCalculated(ds);
+        unionView = null;
+        ds.meta.bytes = ColumnarStore.byteSize(ds.store);
+    }
+
+    /**
+     * CALCULATED COLUMNS
+     * ds.calculated = [{ name, expression, type }], evaluated in order (a column may use the ones before it)
+     * after every store rebuild and appended to the store and schema like native columns.
+     * A definition whose expression no longer type checks (e.g. after a type override) is kept with `error` set.
+     */
+    const calculatedNames = (ds) => (ds.calculated || []).map(c => c.name);
+
+    // Expression types of the given headers, read from the schema
+    function expressionColumns(schema, headers) {
+        const types = {};
+        headers.forEach(h => types[h] = ExpressionEngine.SCHEMA_TO_TYPE[schema.columns?.[h]?.type || 'categorical']);
+        return types;
+    }
+
+    function materialiseCalculated(ds) {
+        const { schema } = ds;
+        Object.keys(schema.columns).filter(h => schema.columns[h].calculated).forEach(h => delete schema.columns[h]);
+        ['numerical', 'categorical', 'temporal'].forEach(t => schema[t] = schema[t].filter(h => schema.columns[h]));
+        const defs = ds.calculated || [];
+        if (defs.length > 0) {
+            const rows = ColumnarStore.toRows(ds.store);
+            const types = expressionColumns(schema, ds.store.headers);
+            defs.forEach(def => {
+                try {
+                    const compiled = ExpressionEngine.compile(def.expression, types);
+                    const values = ExpressionEngine.evaluate(compiled, rows, { numericFormat: ds.numericFormat });
+                    rows.forEach((r, i) => r[def.name] = values[i]);
+                    const type = compiled.schemaType;
+                    const single = { numerical: [], categorical: [], temporal: [], columns: {} };
+                    single[type].push(def.name);
+                    ds.store.columns[def.name] = ColumnarStore.fromRows(values.map(v => ({ [def.name]: v })), single, null).columns[def.name];
+                    ds.store.headers.push(def.name);
+                    const nulls = values.filter(v => v === '').length;
+                    schema.columns[def.name] = { type, inferredType: type, overridden: false, format: 'calculated', confidence: 1, nullRate: parseFloat((nulls / (values.length || 1)).toFixed(3)), calculated: true, expression: def.expression };
+                    schema[type].push(def.name);
+                    types[def.name] = compiled.type === 'boolean' ? 'text' : compiled.type;
+                    def.type = type;
+                    delete def.error;
+                } catch (err) {
+                    def.error = err.message;
+                }
+            });
+        }
+        ds.headers = ds.store.headers;
+    }
+
+    function compileCalculated(ds, name, expression, previousName) {
+        const label = String(name || '').trim();
+        if (!label) throw new Error("Governance Failure: Calculated column needs a name");
+        if (label === UNION_SOURCE) throw new Error(`Governance Failure: [${UNION_SOURCE}] is reserved for source tagging`);
+        const defs = ds.calculated || [];
+        const position = previousName ? defs.findIndex(c => c.name === previousName) : defs.length;
+        const calculated = calculatedNames(ds);
+        const available = ds.headers.filter(h => !calculated.includes(h)).concat(calculated.slice(0, position < 0 ? defs.length : position));
+        if (ds.headers.includes(label) && label !== previousName) throw new Error(`Governance Failure: Column [${label}] already exists in [${ds.name}]`);
+        const compiled = ExpressionEngine.compile(expression, expressionColumns(ds.schema, available));
+        return { label, compiled, position };
+    }
+
+    /**
+     * Type checks an expression and evaluates it on the first rows, without changing the dataset.
+     */
+    function previewCalculatedColumn(id, name, expression, previousName = null) {
+        const ds = datasetCollection[id];
+        if (!ds) throw new Error("Governance Failure: Dataset not found");
+        const { compiled } = compileCalculated(ds, name, expression, previousName);
+        const sample = ExpressionEngine.evaluate(compiled, headRows(ds, 1000), { numericFormat: ds.numericFormat });
+        return { type: compiled.schemaType, refs: compiled.refs, sample: sample.slice(0, 5), nullShare: sample.filter(v => v === '').length / (sample.length || 1) };
+    }
+
+    /**
+     * Adds a calculated column, or replaces `previousName` in place when editing.
+     */
+    async function setCalculatedColumn(id, def, previousName = null) {
+        const ds = datasetCollection[id];
+        if (!ds) return null;
+        const { label, compiled, position } = compileCalculated(ds, def.name, def.expression, previousName);
+        const entry = { name: label, expression: String(def.expression).trim(), type: compiled.schemaType };
+        const rawRows = getRawRows(ds);
+        ds.calculated = [...(ds.calculated || [])];
+        if (previousName && position >= 0) ds.calculated.splice(position, 1, entry);
+        else ds.calculated.push(entry);
+        rebuildStore(ds, rawRows);
+        await PersistenceEngine.saveDataset(ds);
+        return entry;
+    }
+
+    async function removeCalculatedColumn(id, name) {
+        const ds = datasetCollection[id];
+        if (!ds || !calculatedNames(ds).includes(name)) return null;
+        const dependant = ds.calculated.find(c => c.name !== name && !c.error && ExpressionEngine.compile(c.expression, expressionColumns(ds.schema, ds.headers)).refs.includes(name));
+        if (dependant) throw new Error(`Governance Failure: [${name}] is used by calculated column [${dependant.name}]`);
+        const rawRows = getRawRows(ds);
+        ds.calculated = ds.calculated.filter(c => c.name !== name);
+        rebuildStore(ds, rawRows);
+        await PersistenceEngine.saveDataset(ds);
+        return true;
+    }
+
+    /**
+     * Measured footprint: column buffers and dictionaries (including pre-recipe source text),
+     * plus the row view while this dataset holds it.
+     */
+    function datasetBytes(ds) {
+        return ColumnarStore.byteSize(ds.store) + (ds.sourceStore ? ColumnarStore.byteSize(ds.sourceStore) : 0) + (rowView && rowView.store === ds.store ? rowView.bytes : 0);
+    }
+
+    /**
+     * Row arrays the analysis state still references after the row view moved on (masterData of another dataset),
+     * plus the filtered array, which holds references to the same row objects.
+     */
+    function retainedRowBytes() {
+        let bytes = 0;
+        const viewed = [rowView && rowView.rows, unionView && unionView.rows];
+        if (unfilteredData.length && !viewed.includes(unfilteredData)) bytes += ColumnarStore.rowBytes(unfilteredData);
+        if (masterData !== unfilteredData) bytes += 16 + masterData.length * 8;
+        return bytes;
+    }
+
+    function getMemoryFootprint() {
+        const bytes = Object.values(datasetCollection).reduce((acc, ds) => acc + datasetBytes(ds), 0) + (unionView ? unionView.bytes : 0) + retainedRowBytes();
+        return (bytes / (1024 * 1024)).toFixed(1);
+    }
+
+    /**
+     * Detects the dataset's decimal convention from up to 200 raw cells per column.
+     */
+    function detectNumericFormat(data) {
+        const headers = Object.keys(data[0] || {});
+        const samples = [];
+        const rows = data.slice(0, 200);
+        headers.forEach(h => rows.forEach(r => { if (/\d/.test(r[h])) samples.push(r[h]); }));
+        return NumericEngine.detectFormat(samples);
+    }
+
+    /**
+     * CLEANING RECIPES
+     * An ordered list of steps applied to the text rows after the ingress trim, before schema inference:
+     *   { op: 'dedupe', columns }                    — repeated rows (full row when `columns` is empty)
+     *   { op: 'blanks', column, action, value }      — 'drop' the row, or fill with 'value' | 'mean' | 'median' | 'mode' | 'previous'
+     *   { op: 'replace', column, find, replace, whole } — whole-cell or substring replacement
+     *   { op: 'merge', column, values, into }        — category merging ("U.S.", "USA" → "United States"), case-insensitive
+     *   { op: 'case', column, mode }                 — 'upper' | 'lower' | 'title'
+     *   { op: 'cap', column, method, k, lower, upper } — 'iqr' fences (k × IQR), 'percentile' (0–100) or 'fixed' bounds
+     *   { op: 'filter', column, operator, value }    — keeps matching rows only
+     * The recipe is remembered per dataset name (config 'recipe:<name>') and replayed when that file is ingested again.
+     */
+    const RECIPE_OPS = ['dedupe', 'blanks', 'replace', 'merge', 'case', 'cap', 'filter'];
+    const BLANK_ACTIONS = ['drop', 'value', 'mean', 'median', 'mode', 'previous'];
+    const CASE_MODES = ['upper', 'lower', 'title'];
+    const CAP_METHODS = ['iqr', 'percentile', 'fixed'];
+    const FILTER_OPERATORS = ['eq', 'neq', 'contains', 'not_contains', 'gt', 'gte', 'lt', 'lte', 'blank', 'not_blank'];
+    const FILTER_SYMBOLS = { eq: '=', neq: '≠', contains: 'contains', not_contains: 'does not contain', gt: '>', gte: '≥', lt: '<', lte: '≤', blank: 'is blank', not_blank: 'is not blank' };
+    // Pre-recipe rows are kept as plain dictionary-encoded text so the recipe can be edited and replayed losslessly
+    const TEXT_SCHEMA = { numerical: [], categorical: [], temporal: [], columns: {} };
+
+    const hasValue = (v) => v !== undefined && v !== null && String(v).trim() !== '';
+
+    function describeCleaningStep(step) {
+        switch (step.op) {
+            case 'dedupe': return step.columns && step.columns.length ? `Remove duplicates by ${step.columns.join(', ')}` : 'Remove duplicate rows';
+            case 'blanks': return step.action === 'drop' ? `Drop rows with blank ${step.column}` : `Fill blank ${step.column} with ${step.action === 'value' ? `"${step.value}"` : step.action}`;
+            case 'replace': return `Replace "${step.find}" with "${step.replace}" in ${step.column}${step.whole ? '' : ' (substring)'}`;
+            case 'merge': return `Merge ${step.values.length} values into "${step.into}" in ${step.column}`;
+            case 'case': return `${step.mode.charAt(0).toUpperCase() + step.mode.slice(1)} case ${step.column}`;
+            case 'cap': return `Cap ${step.column} (${step.method === 'iqr' ? `IQR × ${step.k ?? 1.5}` : `${step.method} ${step.lower ?? '−∞'}–${step.upper ?? '∞'}`})`;
+            case 'filter': return `Keep rows where ${step.column} ${FILTER_SYMBOLS[step.operator]}${['blank', 'not_blank'].includes(step.operator) ? '' : ` "${step.value}"`}`;
+            default: return step.op;
+        }
+    }
+
+    // Returns the reason a step cannot run against these headers, or null
+    function checkCleaningStep(step, headers) {
+        if (!RECIPE_OPS.includes(step.op)) return `unknown step [${step.op}]`;
+        const cols = step.op === 'dedupe' ? (step.columns || []) : [step.column];
+        const missing = cols.find(c => !headers.includes(c));
+        if (missing !== undefined) return `column [${missing}] does not exist`;
+        if (step.op === 'blanks' && !BLANK_ACTIONS.includes(step.action)) return `unknown blank action [${step.action}]`;
+        if (step.op === 'replace' && !hasValue(step.find) && !step.whole) return 'substring replacement needs a search value';
+        if (step.op === 'merge' && (!Array.isArray(step.values) || step.values.length === 0 || !hasValue(step.into))) return 'category merge needs source values and a target';
+        if (step.op === 'case' && !CASE_MODES.includes(step.mode)) return `unknown case mode [${step.mode}]`;
+        if (step.op === 'cap') {
+            if (!CAP_METHODS.includes(step.method)) return `unknown capping method [${step.method}]`;
+            if (step.method === 'iqr' && hasValue(step.k) && !(Number(step.k) >= 0)) return 'the IQR multiplier must be a non-negative number';
+            if (step.method !== 'iqr') {
+                // Number('abc') is NaN and compares false against every cell, so the step would change nothing
+                const [lower, upper] = [step.lower, step.upper].map(b => hasValue(b) ? Number(b) : null);
+                if ([lower, upper].some(b => b !== null && !Number.isFinite(b))) return `${step.method} bounds must be numbers`;
+                if (step.method === 'percentile' && [lower, upper].some(p => p !== null && (p < 0 || p > 100))) return 'percentiles must lie between 0 and 100';
+                if (step.method === 'fixed' && lower === null && upper === null) return 'fixed capping needs a lower or upper bound';
+                if (lower !== null && upper !== null && lower > upper) return 'the lower bound exceeds the upper bound';
+            }
+        }
+        if (step.op === 'filter') {
+            if (!FILTER_OPERATORS.includes(step.operator)) return `unknown filter operator [${step.operator}]`;
+            if (!['blank', 'not_blank'].includes(step.operator) && !hasValue(step.value)) return 'filter needs a comparison value';
+        }
+        return null;
+    }
+
+    function quantileOf(sorted, p) {
+        const pos = (sorted.length - 1) * p;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    /**
+     * Applies one step to text rows. Returns { rows, changed } where `changed` counts rewritten cells.
+     * Computed numbers are written back in the dataset's decimal convention so they parse like the source.
+     */
+    function applyCleaningStep(rows, step, fmt) {
+        const col = step.column;
+        const parse = (v) => NumericEngine.parseNumber(v, fmt);
+        const isNumber = (n) => typeof n === 'number' && !Number.isNaN(n);
+        const toText = (n) => {
+            const text = String(+n.toFixed(10));
+            return fmt.decimal === ',' ? text.replace('.', ',') : text;
+        };
+        const isBlank = (v) => v === '' || v === null || v === undefined || fmt.nullTokens.includes(String(v).toLowerCase());
+        let changed = 0;
+        const mapCells = (fn) => rows.map(row => {
+            const next = fn(row[col]);
+            if (next === row[col]) return row;
+            changed++;
+            return { ...row, [col]: next };
+        });
+        const numbers = () => rows.map(r => parse(r[col])).filter(isNumber).sort((a, b) => a - b);
+
+        switch (step.op) {
+            case 'dedupe': {
+                const cols = step.columns && step.columns.length ? step.columns : Object.keys(rows[0] || {});
+                const seen = new Set();
+                return {
+                    rows: rows.filter(row => {
+                        const key = cols.map(c => String(row[c] ?? '')).join(KEY_SEPARATOR);
+                        if (seen.has(key)) return false;
+                        seen.add(key);
+                        return true;
+                    }), changed
+                };
+            }
+            case 'blanks': {
+                if (step.action === 'drop') return { rows: rows.filter(row => !isBlank(row[col])), changed };
+                let fill = null;
+                if (step.action === 'value') fill = String(step.value ?? '');
+                else if (step.action === 'mean' || step.action === 'median') {
+                    const nums = numbers();
+                    if (nums.length) fill = toText(step.action === 'mean' ? nums.reduce((a, b) => a + b, 0) / nums.length : quantileOf(nums, 0.5));
+                } else if (step.action === 'mode') {
+                    const counts = new Map();
+                    rows.forEach(r => { if (!isBlank(r[col])) counts.set(r[col], (counts.get(r[col]) || 0) + 1); });
+                    fill = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+                }
+                if (step.action === 'previous') {
+                    let last = null;
+                    return {
+                        rows: mapCells(v => {
+                            if (!isBlank(v)) { last = v; return v; }
+                            return last === null ? v : last;
+                        }), changed
+                    };
+                }
+                if (fill === null) return { rows, changed };
+                return { rows: mapCells(v => isBlank(v) ? fill : v), changed };
+            }
+            case 'replace': {
+                const find = String(step.find ?? '');
+                const replacement = String(step.replace ?? '');
+                return { rows: mapCells(v => step.whole ? (v === find ? replacement : v) : String(v).split(find).join(replacement)), changed };
+            }
+            case 'merge': {
+                const variants = new Set(step.values.map(v => String(v).trim().toLowerCase()));
+                return { rows: mapCells(v => variants.has(String(v).trim().toLowerCase()) ? step.into : v), changed };
+            }
+            case 'case': {
+                const convert = step.mode === 'upper' ? (v) => v.toUpperCase()
+                    : step.mode === 'lower' ? (v) => v.toLowerCase()
+                        : (v) => v.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+                return { rows: mapCells(v => convert(String(v))), changed };
+            }
+            case 'cap': {
+                let lower = -Infinity;
+                let upper = Infinity;
+                if (step.method === 'fixed') {
+                    if (hasValue(step.lower)) lower = Number(step.lower);
+                    if (hasValue(step.upper)) upper = Number(step.upper);
+                } else {
+                    const nums = numbers();
+                    if (nums.length === 0) return { rows, changed };
+                    if (step.method === 'iqr') {
+                        const q1 = quantileOf(nums, 0.25);
+                        const q3 = quantileOf(nums, 0.75);
+                        const k = hasValue(step.k) ? Number(step.k) : 1.5;
+                        lower = q1 - k * (q3 - q1);
+                        upper = q3 + k * (q3 - q1);
+                    } else {
+                        if (hasValue(step.lower)) lower = quantileOf(nums, Number(step.lower) / 100);
+                        if (hasValue(step.upper)) upper = quantileOf(nums, Number(step.upper) / 100);
                     }
+                }
+                return {
+                    rows: mapCells(v => {
+                        const n = parse(v);
+                        if (!isNumber(n)) return v;
+                        if (n < lower) return toText(lower);
+                        if (n > upper) return toText(upper);
+                        return v;
+                    }), changed
+                };
+            }
+            case 'filter': {
+                const target = String(step.value ?? '');
+                const targetNumber = parse(target);
+                const targetDate = ColumnarStore.parseDateText(target);
+                // Numbers compare numerically, dates chronologically, anything else as text
+                const compare = (v) => {
+                    const n = parse(v);
+                    if (isNumber(n) && isNumber(targetNumber)) return n - targetNumber;
+                    const d = ColumnarStore.parseDateText(v);
+                    if (!Number.isNaN(d) && !Number.isNaN(targetDate)) return d - targetDate;
+                    return String(v).localeCompare(target);
                 };
-                reader.onerror = () => reject(new Error("File read error"));
-                reader.readAsArrayBuffer(file);
+                const keep = {
+                    eq: (v) => String(v).toLowerCase() === target.toLowerCase() || (isNumber(parse(v)) && parse(v) === targetNumber),
+                    neq: (v) => !keep.eq(v),
+                    contains: (v) => String(v).toLowerCase().includes(target.toLowerCase()),
+                    not_contains: (v) => !keep.contains(v),
+                    gt: (v) => !isBlank(v) && compare(v) > 0,
+                    gte: (v) => !isBlank(v) && compare(v) >= 0,
+                    lt: (v) => !isBlank(v) && compare(v) < 0,
+                    lte: (v) => !isBlank(v) && compare(v) <= 0,
+                    blank: (v) => isBlank(v),
+                    not_blank: (v) => !isBlank(v)
+                }[step.operator];
+                return { rows: rows.filter(row => keep(row[col])), changed };
+            }
+        }
+        return { rows, changed };
+    }
+
+    /**
+     * Runs a recipe and records the before/after row count of every step.
+     * `strict` (editing) rejects invalid steps; replays skip steps that no longer fit the file.
+     */
+    function applyRecipe(rows, recipe, numericFormat, strict) {
+        const fmt = NumericEngine.resolveFormat(numericFormat);
+        const headers = Object.keys(rows[0] || {});
+        const summary = { before: rows.length, after: rows.length, steps: [], applied: new Date().toISOString() };
+        let current = rows;
+        recipe.forEach((step, i) => {
+            const problem = checkCleaningStep(step, headers);
+            if (problem && strict) throw new Error(`Governance Failure: Cleaning step ${i + 1} invalid: ${problem}`);
+            const entry = { op: step.op, label: problem ? step.op : describeCleaningStep(step), before: current.length, after: current.length, changed: 0 };
+            if (problem) {
+                entry.skipped = problem;
             } else {
-                // CSV/SQL Chunked Parsing (Deterministic Performance Rule)
-                const parser = typeof Papa !== 'undefined' ? Papa : (typeof window.Papa !== 'undefined' ? window.Papa : null);
-                if (!parser) return reject(new Error("Governance Failure: CSV Parser (PapaParse) missing. Check network connection."));
-
-                parser.parse(file, {
-                    header: true,
-                    skipEmptyLines: 'greedy',
-                    worker: false, // Set to true if worker script is managed properly
-                    complete: (final) => {
-                        storeDataset(id, file.name, final.data, file);
-                        resolve();
-                    },
-                    error: (err) => reject(err)
-                });
+                const result = applyCleaningStep(current, step, fmt);
+                current = result.rows;
+                entry.after = current.length;
+                entry.changed = result.changed;
+            }
+            summary.steps.push(entry);
+        });
+        summary.after = current.length;
+        return { rows: current, summary };
+    }
+
+    // Rows as they were before the recipe ran
+    const getSourceRows = (ds) => ds.sourceStore ? ColumnarStore.toRows(ds.sourceStore) : getRawRows(ds);
+
+    function previewRecipe(id, recipe) {
+        const ds = datasetCollection[id];
+        if (!ds) throw new Error("Governance Failure: Dataset not found");
+        return applyRecipe(getSourceRows(ds), recipe, ds.numericFormat, true).summary;
+    }
+
+    /**
+     * Replaces the dataset's recipe, re-running it from the pre-recipe rows. An empty recipe restores the source.
+     */
+    async function setCleaningRecipe(id, recipe) {
+        const ds = datasetCollection[id];
+        if (!ds) return null;
+        const sourceRows = getSourceRows(ds);
+        const { rows, summary } = applyRecipe(sourceRows, recipe, ds.numericFormat, true);
+        if (rows.length === 0) throw new Error(`Governance Failure: Recipe removes every row of [${ds.name}]`);
+        const schema = discoverSchema(rows, ds.schemaOverrides, null, ds.numericFormat);
+        if (schema.numerical.length === 0 || (schema.categorical.length === 0 && schema.temporal.length === 0)) {
+            throw new Error(`Governance Failure: Cleaned [${ds.name}] no longer has a numeric metric and a dimension`);
+        }
+
+        const active = recipe.length > 0;
+        ds.sourceStore = active ? (ds.sourceStore || ColumnarStore.fromRows(sourceRows, TEXT_SCHEMA)) : null;
+        ds.recipe = active ? recipe : null;
+        ds.schema = schema;
+        rebuildStore(ds, rows);
+        ds.hash = generateHash(rows);
+        ds.meta.rows = ds.store.length;
+        ds.meta.cleaning = active ? summary : null;
+        await PersistenceEngine.saveConfig(`recipe:${ds.name}`, ds.recipe);
+        await PersistenceEngine.saveDataset(ds);
+        return summary;
+    }
+
+    /**
+     * Stores parsed rows as a dataset. An upload whose logical name matches a stored dataset becomes its next version
+     * (same id, so compare selections and union mappings keep pointing at it) and the outgoing version is archived.
+     * Resolves { id, version, status: 'new' | 'version' | 'unchanged' }. Rejected rows are quarantined and resolve
+     * { id: null, status: 'quarantined', quarantineId, reasons } (undefined with options.quarantine === false).
+     * options.force stores rows that fail the coordinate rule (or that the recipe would empty) as they are.
+     */
+    async function storeDataset(id, name, data, file, extraMeta = {}, options = {}) {
+        const cleanData = options.preCleaned ? data : cleanRows(data);
+
+        if (cleanData.length === 0) {
+            return rejectDataset(name, cleanData, file, extraMeta, options, { rule: 'EMPTY_SOURCE', message: 'the source holds no populated rows' });
+        }
+
+        const numericFormat = detectNumericFormat(cleanData);
+        // A recipe recorded for this file name is replayed on every re-ingest
+        const recipe = options.recipe || await PersistenceEngine.getConfig(`recipe:${name}`).catch(() => null);
+        let rows = cleanData;
+        let cleaning = null;
+        let forced = null; // governance rule bypassed by options.force
+        if (Array.isArray(recipe) && recipe.length > 0) {
+            ({ rows, summary: cleaning } = applyRecipe(cleanData, recipe, numericFormat, false));
+            cleaning.replayed = !options.recipe;
+            if (rows.length === 0 && !options.force) {
+                return rejectDataset(name, cleanData, file, extraMeta, options, { rule: 'RECIPE_EMPTY', message: `its cleaning recipe (${recipe.length} step(s)) removes every row` });
+            }
+            if (rows.length === 0) {
+                rows = cleanData;
+                cleaning = null;
+                forced = 'cleaning recipe skipped: it removes every row';
+            }
+        }
+        // Declared types (e.g. from a CREATE TABLE) are applied as overrides
+        const overrides = Object.fromEntries(Object.entries(options.schemaOverrides || {}).filter(([h]) => rows[0] && h in rows[0]));
+        const schema = discoverSchema(rows, overrides, null, numericFormat);
+
+        const failure = coordinateFailure(schema, rows, numericFormat);
+        if (failure && !options.force) return rejectDataset(name, cleanData, file, extraMeta, options, failure, schema, numericFormat);
+        if (failure) forced = failure.message;
+
+        const store = ColumnarStore.fromRows(rows, schema, numericFormat);
+        const dataset = attachRowView({
+            id: id,
+            name: name,
+            store,
+            headers: store.headers,
+            schema,
+            schemaOverrides: overrides,
+            calculated: [],
+            numericFormat,
+            recipe: cleaning ? recipe : null,
+            sourceStore: cleaning ? ColumnarStore.fromRows(cleanData, TEXT_SCHEMA) : null,
+            hash: generateHash(rows),
+            meta: {
+                size: file ? (file.size / 1024).toFixed(2) + ' KB' : 'Cached',
+                type: file ? (file.type || name.split('.').pop()) : 'DB',
+                rows: store.length,
+                bytes: ColumnarStore.byteSize(store),
+                timestamp: new Date().toISOString(),
+                cleaning,
+                ...extraMeta,
+                ...(forced ? { forced } : {})
             }
         });
+
+        // A cancelled ingress must not leave a dataset behind
+        if (options.signal && options.signal.aborted) throw createAbortError();
+
+        const previous = Object.values(datasetCollection).find(ds => ds.name === name && ds.id !== id);
+        let status = 'new';
+        if (previous) {
+            if (previous.hash === dataset.hash) return { id: previous.id, version: previous.version, status: 'unchanged' };
+            await archiveVersion(previous);
+            inheritVersionSettings(dataset, previous, rows);
+            dataset.id = previous.id;
+            dataset.version = Math.max(...previous.versions.map(v => v.version)) + 1;
+            dataset.meta.ingressId = options.ingressId || id;
+            dataset.meta.supersedes = previous.version;
+            dataset.versions = [...previous.versions, versionEntry(dataset)];
+            status = 'version';
+        } else {
+            dataset.version = 1;
+            dataset.versions = [versionEntry(dataset)];
+        }
+
+        datasetCollection[dataset.id] = dataset;
+        unionView = null;
+        // PERSIST TO BROWSER STORAGE (v21.0)
+        await PersistenceEngine.saveDataset(dataset);
+        const outcome = { id: dataset.id, version: dataset.version, status };
+        if (options.quarantine === false) return outcome;
+
+        // Stored, but rows were lost to parse errors or cells were misdecoded: the dataset gets a partial entry
+        await dropPartialEntries(dataset.id, options.quarantineId);
+        const issues = ingressIssues(cleanData, extraMeta, options);
+        const reasons = partialReasons(issues);
+        if (reasons.length === 0) return outcome;
+        const entry = await quarantineIngress({
+            name,
+            status: 'partial',
+            datasetId: dataset.id,
+            version: dataset.version,
+            reasons,
+            issues,
+            store: null,
+            inferred: null,
+            numericFormat,
+            source: sourceOf(file, extraMeta),
+            extraMeta
+        }, options);
+        return { ...outcome, quarantineId: entry.id, reasons };
+    }
+
+    /**
+     * INGRESS QUARANTINE
+     * Rejected sources keep their text rows and the original File (IndexedDB clones Blobs), so they can be fixed
+     * later: retried with column type overrides, force-accepted, re-read from another sheet or in another encoding.
+     */
+    const QUARANTINE_SAMPLES = 20;
+    const QUARANTINE_SHARE_SAMPLE = 2000;
+    const TEXT_EXTENSIONS = ['csv', 'tsv', 'txt', 'json', 'ndjson', 'jsonl', 'sql'];
+
+    const sourceOf = (file, extraMeta) => ({
+        file: file || null,
+        fileName: file ? file.name : null,
+        ext: file ? file.name.split('.').pop().toLowerCase() : null,
+        size: file ? file.size : 0,
+        sheet: extraMeta.sheet || null
+    });
+
+    function encodingIssues(rows) {
+        let cells = 0;
+        const samples = [];
+        rows.forEach((row, i) => Object.entries(row).forEach(([column, value]) => {
+            if (!String(value).includes('\uFFFD')) return;
+            cells++;
+            if (samples.length < QUARANTINE_SAMPLES) samples.push({ row: i + 1, column, value });
+        }));
+        return { cells, samples };
     }
 
-    function discoverSchema(data) {
-        if (!data || data.length === 0) return { numerical: [], categorical: [], temporal: [] };
-        const headers = Object.keys(data[0]);
-        const schema = { numerical: [], categorical: [], temporal: [] };
+    const ingressIssues = (rows, extraMeta, options) => ({
+        parseErrors: extraMeta.parseErrors || 0,
+        parseSamples: options.parseSamples || [],
+        encoding: encodingIssues(rows)
+    });
 
-        headers.forEach(h => {
-            const sample = data.slice(0, 10).map(d => d[h]);
-            let isNumeric = sample.every(v => !isNaN(parseFloat(String(v || "").replace(/[^0-9.-]/g, ""))) && String(v).trim() !== "");
-            let isDate = sample.every(v => !isNaN(Date.parse(v)) && String(v).length > 5);
+    function partialReasons(issues) {
+        const reasons = [];
+        if (issues.parseErrors > 0) reasons.push({ rule: 'PARSE_ERRORS', message: `${issues.parseErrors} row(s) failed to parse cleanly (missing or extra fields)` });
+        if (issues.encoding.cells > 0) reasons.push({ rule: 'ENCODING', message: `${issues.encoding.cells} cell(s) hold undecodable characters; the file may not be UTF-8` });
+        return reasons;
+    }
 
-            if (isNumeric) schema.numerical.push(h);
-            else if (isDate) schema.temporal.push(h);
-            else schema.categorical.push(h);
-        });
-        return schema;
+    /**
+     * Explains a failed coordinate check. For a missing metric the most nearly numeric columns are named,
+     * since a stray "N/A" or an ID-like header is the usual cause.
+     */
+    function coordinateFailure(schema, rows, numericFormat) {
+        if (schema.numerical.length === 0) {
+            const fmt = NumericEngine.resolveFormat(numericFormat);
+            const sample = rows.slice(0, QUARANTINE_SHARE_SAMPLE);
+            const near = Object.keys(rows[0] || {}).map(h => {
+                const filled = sample.map(r => r[h]).filter(v => v !== '');
+                const numeric = filled.filter(v => {
+                    const n = NumericEngine.parseNumber(v, fmt);
+                    return n !== null && !Number.isNaN(n);
+                }).length;
+                return { column: h, share: filled.length ? numeric / filled.length : 0 };
+            }).filter(c => c.share > 0).sort((a, b) => b.share - a.share).slice(0, 3);
+            const hint = near.length ? ` (closest: ${near.map(c => `${c.column} ${Math.round(c.share * 100)}% numeric`).join(', ')})` : '';
+            return { rule: 'NO_NUMERIC_METRIC', message: `no column qualifies as a numeric metric${hint}` };
+        }
+        if (schema.categorical.length === 0 && schema.temporal.length === 0) {
+            return { rule: 'NO_DIMENSION', message: 'no categorical or date column is available as a dimension' };
+        }
+        return null;
     }
 
-    function generateHash(data) {
-        const str = JSON.stringify(data);
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash |= 0;
+    async function quarantineIngress(entry, options = {}) {
+        const record = {
+            id: options.quarantineId || 'q_' + Math.random().toString(36).substr(2, 9),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+        quarantine[record.id] = record;
+        await PersistenceEngine.saveQuarantine(record);
+        return record;
+    }
+
+    async function rejectDataset(name, rows, file, extraMeta, options, reason, schema = null, numericFormat = null) {
+        if (options.quarantine === false) {
+            console.warn(`Governance Alert: Dataset [${name}] rejected: ${reason.message}.`);
+            return;
         }
-        return hash.toString(36);
+        const issues = ingressIssues(rows, extraMeta, options);
+        const entry = await quarantineIngress({
+            name,
+            status: 'rejected',
+            datasetId: null,
+            reasons: [reason, ...partialReasons(issues)],
+            issues,
+            store: rows.length ? ColumnarStore.fromRows(rows, TEXT_SCHEMA) : null,
+            inferred: schema ? Object.fromEntries(Object.entries(schema.columns).map(([h, c]) => [h, c.type])) : null,
+            numericFormat,
+            source: sourceOf(file, extraMeta),
+            extraMeta
+        }, options);
+        return { id: null, name, status: 'quarantined', quarantineId: entry.id, reasons: entry.reasons };
     }
 
-    async function storeDataset(id, name, data, file) {
-        const cleanData = data.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => cleanRow[key.trim()] = String(row[key] === null || row[key] === undefined ? "" : row[key]).trim());
-            return cleanRow;
-        }).filter(row => Object.values(row).some(v => v !== ""));
+    async function dropPartialEntries(datasetId, keepId = null) {
+        const stale = Object.values(quarantine).filter(e => e.datasetId === datasetId && e.id !== keepId);
+        for (const e of stale) await dismissQuarantine(e.id);
+    }
 
-        if (cleanData.length === 0) return;
+    // Fixes a quarantined entry can take, given what it kept
+    function quarantineFixes(entry) {
+        const { file, ext } = entry.source;
+        return {
+            overrideTypes: entry.status === 'rejected' && !!entry.store,
+            force: entry.status === 'rejected' && !!entry.store,
+            sheet: !!file && ['xlsx', 'xls'].includes(ext),
+            encoding: !!file && TEXT_EXTENSIONS.includes(ext)
+        };
+    }
 
-        const schema = discoverSchema(cleanData);
+    function getQuarantine() {
+        return Object.values(quarantine)
+            .map(({ store, ...entry }) => ({ ...entry, rows: store ? store.length : 0, headers: store ? store.headers : [], fixes: quarantineFixes({ ...entry, store }) }))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
 
-        if (schema.numerical.length === 0 || (schema.categorical.length === 0 && schema.temporal.length === 0)) {
-            console.warn(`Governance Alert: Dataset [${name}] rejected due to insufficient coordinate validity.`);
-            return;
+    function getQuarantineEntry(qid) {
+        const entry = quarantine[qid];
+        if (!entry) throw new Error(`Governance Failure: Quarantine entry [${qid}] not found`);
+        return entry;
+    }
+
+    /**
+     * First rows of the quarantined source as text: the kept rows for rejections, the stored dataset for partials.
+     */
+    function previewQuarantine(qid, limit = 15) {
+        const entry = getQuarantineEntry(qid);
+        const ds = entry.datasetId ? datasetCollection[entry.datasetId] : null;
+        const store = entry.store || (ds ? ds.sourceStore || ds.store : null);
+        if (!store) return { headers: [], rows: [], total: 0 };
+        return {
+            headers: store.headers,
+            rows: ColumnarStore.toRows({ ...store, length: Math.min(store.length, limit) }, { raw: true }),
+            total: store.length
+        };
+    }
+
+    /**
+     * Re-runs the kept rows through storeDataset with column type overrides and/or force.
+     * The entry is cleared when the rows are accepted cleanly, and updated in place when they are not.
+     */
+    async function retryQuarantine(qid, fix = {}) {
+        const entry = getQuarantineEntry(qid);
+        if (!entry.store) throw new Error(`Governance Failure: Quarantine entry [${entry.name}] kept no rows to retry`);
+        const outcome = await storeDataset('ds_' + Math.random().toString(36).substr(2, 9), entry.name, ColumnarStore.toRows(entry.store), entry.source.file, entry.extraMeta, {
+            preCleaned: true,
+            schemaOverrides: fix.schemaOverrides || {},
+            force: !!fix.force,
+            parseSamples: entry.issues.parseSamples,
+            quarantineId: qid
+        });
+        if (!outcome.quarantineId) await dismissQuarantine(qid);
+        return outcome;
+    }
+
+    /**
+     * Parses the kept source file again (another sheet, another encoding). The old entry is replaced
+     * by whatever the new ingress produces.
+     */
+    async function reingestQuarantine(qid, options = {}) {
+        const entry = getQuarantineEntry(qid);
+        if (!entry.source.file) throw new Error(`Governance Failure: Quarantine entry [${entry.name}] kept no source file`);
+        const outcomes = await parseFileGeneric(entry.source.file, 'ds_' + Math.random().toString(36).substr(2, 9), options);
+        if (outcomes.length > 0) await dismissQuarantine(qid);
+        return outcomes;
+    }
+
+    async function dismissQuarantine(qid) {
+        delete quarantine[qid];
+        await PersistenceEngine.deleteQuarantine(qid);
+    }
+
+    /**
+     * DATASET VERSIONING
+     * ds.version is the current version; ds.versions lists every version as { version, hash, rows, columns, size, timestamp }.
+     * Snapshots of the non-current versions live in the persisted version archive and are loaded on demand.
+     */
+    const VERSION_DIFF_SAMPLES = 25;
+
+    const versionEntry = (ds) => ({
+        version: ds.version,
+        hash: ds.hash,
+        rows: ds.store.length,
+        columns: ds.headers.length,
+        size: ds.meta.size,
+        timestamp: ds.meta.timestamp
+    });
+
+    // Everything needed to restore the version as-is; the history itself stays with the live dataset
+    async function archiveVersion(ds) {
+        const { versions, ...snapshot } = ds;
+        ds.versions = versions.map(v => v.version === ds.version ? versionEntry(ds) : v);
+        await PersistenceEngine.saveVersion(snapshot);
+    }
+
+    // Type overrides and calculated columns of the previous version carry over where their columns still exist
+    function inheritVersionSettings(dataset, previous, rows) {
+        dataset.schemaOverrides = { ...dataset.schemaOverrides, ...Object.fromEntries(Object.entries(previous.schemaOverrides || {}).filter(([h]) => dataset.headers.includes(h))) };
+        dataset.calculated = (previous.calculated || []).map(({ name, expression }) => ({ name, expression }));
+        if (Object.keys(dataset.schemaOverrides).length === 0 && dataset.calculated.length === 0) return;
+        dataset.schema = discoverSchema(rows, dataset.schemaOverrides, null, dataset.numericFormat);
+        rebuildStore(dataset, rows);
+    }
+
+    async function loadVersion(ds, version) {
+        if (version === ds.version) return ds;
+        const snapshot = await PersistenceEngine.getVersion(ds.id, version);
+        if (!snapshot) throw new Error(`Governance Failure: Version ${version} of [${ds.name}] is not in the archive`);
+        delete snapshot.key;
+        return attachRowView(snapshot);
+    }
+
+    /**
+     * Makes an archived version current again. The history is kept, so rolling forward is another rollback.
+     */
+    async function rollbackVersion(id, version) {
+        const ds = datasetCollection[id];
+        if (!ds) return null;
+        if (version === ds.version) return ds;
+        const restored = await loadVersion(ds, version);
+        await archiveVersion(ds);
+        restored.versions = ds.versions;
+        restored.meta = { ...restored.meta, restoredFrom: ds.version, restoredAt: new Date().toISOString() };
+        datasetCollection[id] = restored;
+        unionView = null;
+        await PersistenceEngine.saveDataset(restored);
+        return restored;
+    }
+
+    // Reverts a version committed by an ingress that was cancelled before it finished
+    async function revertIngressVersion(ds) {
+        const restored = await loadVersion(ds, ds.meta.supersedes);
+        restored.versions = ds.versions.filter(v => v.version !== ds.version);
+        datasetCollection[ds.id] = restored;
+        await PersistenceEngine.saveDataset(restored);
+    }
+
+    const isUniqueKey = (rows, header) => {
+        const seen = new Set();
+        return rows.every(r => r[header] !== '' && !seen.has(r[header]) && seen.add(r[header]));
+    };
+
+    /**
+     * Columns able to key a row diff: present in both versions, never blank and unique in each.
+     * Identifier-like names (id, key, code, number) come first.
+     */
+    function versionKeyCandidates(from, to) {
+        const idLike = (h) => /(^|[^a-z])(id|key|code|no|number|sku)([^a-z]|$)/i.test(h) ? 0 : 1;
+        const fromRows = from.data;
+        const toRows = to.data;
+        return from.headers
+            .filter(h => to.headers.includes(h) && isUniqueKey(fromRows, h) && isUniqueKey(toRows, h))
+            .sort((a, b) => idLike(a) - idLike(b));
+    }
+
+    const diffValue = (v) => typeof v === 'number' ? Number(v.toPrecision(12)) : String(v);
+
+    // Added / removed / changed rows by key; without a key, rows are matched as whole records
+    function diffRows(from, to, key, shared) {
+        const result = { added: 0, removed: 0, changed: 0, unchanged: 0, duplicateKeys: 0, columnChanges: {}, samples: { added: [], removed: [], changed: [] } };
+        const keyOf = (row, cols) => cols.map(k => String(row[k])).join(' | ');
+        // Read each side once: the row view only keeps one dataset's rows at a time
+        const fromRows = from.data;
+        const toRows = to.data;
+
+        if (key.length === 0) {
+            const counts = new Map();
+            fromRows.forEach(r => { const sig = keyOf(r, shared); counts.set(sig, (counts.get(sig) || 0) + 1); });
+            toRows.forEach(r => {
+                const sig = keyOf(r, shared);
+                const n = counts.get(sig) || 0;
+                if (n > 0) { counts.set(sig, n - 1); result.unchanged++; }
+                else { result.added++; if (result.samples.added.length < VERSION_DIFF_SAMPLES) result.samples.added.push(sig); }
+            });
+            counts.forEach((n, sig) => {
+                result.removed += n;
+                if (n > 0 && result.samples.removed.length < VERSION_DIFF_SAMPLES) result.samples.removed.push(sig);
+            });
+            result.changed = null;
+            return result;
         }
 
-        const dataset = {
-            id: id,
-            name: name,
-            data: cleanData,
-            headers: Object.keys(cleanData[0]),
-            schema,
-            hash: generateHash(cleanData),
-            meta: {
-                size: file ? (file.size / 1024).toFixed(2) + ' KB' : 'Cached',
-                type: file ? (file.type || name.split('.').pop()) : 'DB',
-                rows: cleanData.length,
-                timestamp: new Date().toISOString()
-            }
+        const index = (rows) => {
+            const map = new Map();
+            rows.forEach(r => {
+                const k = keyOf(r, key);
+                if (map.has(k)) result.duplicateKeys++;
+                map.set(k, r);
+            });
+            return map;
         };
+        const before = index(fromRows);
+        const after = index(toRows);
+        const compared = shared.filter(h => !key.includes(h));
+        after.forEach((row, k) => {
+            const old = before.get(k);
+            if (!old) {
+                result.added++;
+                if (result.samples.added.length < VERSION_DIFF_SAMPLES) result.samples.added.push(k);
+                return;
+            }
+            const changedCols = compared.filter(h => diffValue(old[h]) !== diffValue(row[h]));
+            if (changedCols.length === 0) { result.unchanged++; return; }
+            result.changed++;
+            changedCols.forEach(h => {
+                result.columnChanges[h] = (result.columnChanges[h] || 0) + 1;
+                if (result.samples.changed.length < VERSION_DIFF_SAMPLES) result.samples.changed.push({ key: k, column: h, before: old[h], after: row[h] });
+            });
+        });
+        before.forEach((row, k) => {
+            if (after.has(k)) return;
+            result.removed++;
+            if (result.samples.removed.length < VERSION_DIFF_SAMPLES) result.samples.removed.push(k);
+        });
+        return result;
+    }
 
-        datasetCollection[id] = dataset;
-        // PERSIST TO BROWSER STORAGE (v21.0)
-        await PersistenceEngine.saveDataset(dataset);
+    function aggregateOf(ds, header) {
+        const values = ColumnarStore.numericValues(ds.store, header);
+        const sum = values.reduce((a, b) => a + b, 0);
+        return { count: values.length, sum, mean: values.length ? sum / values.length : null };
+    }
+
+    /**
+     * Compares two versions of a dataset: schema changes, row changes by key and numeric aggregate deltas.
+     * `key` defaults to the best key candidate; pass [] to compare whole records.
+     */
+    async function diffVersions(id, fromVersion, toVersion, key = null) {
+        const ds = datasetCollection[id];
+        if (!ds) throw new Error("Governance Failure: Dataset not found");
+        const from = await loadVersion(ds, fromVersion);
+        const to = await loadVersion(ds, toVersion);
+
+        const typeOf = (v, h) => v.schema.columns[h]?.type || 'categorical';
+        const shared = from.headers.filter(h => to.headers.includes(h));
+        const keyCandidates = versionKeyCandidates(from, to);
+        const keyColumns = (key || keyCandidates.slice(0, 1)).filter(h => shared.includes(h));
+        const describe = (v) => ({ version: v.version, rows: v.store.length, hash: v.hash, timestamp: v.meta.timestamp });
+
+        const aggregates = shared
+            .filter(h => typeOf(from, h) === 'numerical' && typeOf(to, h) === 'numerical')
+            .map(h => {
+                const a = aggregateOf(from, h);
+                const b = aggregateOf(to, h);
+                return {
+                    column: h,
+                    from: a,
+                    to: b,
+                    delta: {
+                        count: b.count - a.count,
+                        sum: b.sum - a.sum,
+                        mean: a.mean === null || b.mean === null ? null : b.mean - a.mean,
+                        pct: a.sum === 0 ? null : ((b.sum - a.sum) / Math.abs(a.sum)) * 100
+                    }
+                };
+            });
+
+        return {
+            id,
+            name: ds.name,
+            from: describe(from),
+            to: describe(to),
+            key: keyColumns,
+            keyCandidates,
+            schema: {
+                added: to.headers.filter(h => !from.headers.includes(h)),
+                removed: from.headers.filter(h => !to.headers.includes(h)),
+                typeChanged: shared.filter(h => typeOf(from, h) !== typeOf(to, h)).map(h => ({ column: h, from: typeOf(from, h), to: typeOf(to, h) }))
+            },
+            rows: diffRows(from, to, keyColumns, shared),
+            aggregates
+        };
     }
 
     async function loadHydratedCollection() {
         const persisted = await PersistenceEngine.getAllDatasets();
         if (Array.isArray(persisted)) {
+            const migrated = [];
             persisted.forEach(ds => {
-                datasetCollection[ds.id] = ds;
+                ds.schemaOverrides = ds.schemaOverrides || {};
+                // Datasets stored before versioning start their history at version 1
+                if (!ds.versions) {
+                    ds.version = 1;
+                    ds.versions = [versionEntry(ds)];
+                }
+                // Datasets persisted as row arrays (before columnar storage) are converted once and re-saved
+                if (Array.isArray(ds.data)) {
+                    const legacyRows = ds.data;
+                    delete ds.data;
+                    ds.numericFormat = ds.numericFormat || detectNumericFormat(legacyRows);
+                    if (!ds.schema || !ds.schema.columns) ds.schema = discoverSchema(legacyRows, ds.schemaOverrides, null, ds.numericFormat);
+                    rebuildStore(ds, legacyRows);
+                    migrated.push(ds);
+                }
+                datasetCollection[ds.id] = attachRowView(ds);
             });
+            for (const ds of migrated) await PersistenceEngine.saveDataset(ds);
         }
+        unionMapping = await PersistenceEngine.getConfig('union:mapping');
+        rowFilter = await PersistenceEngine.getConfig('filter:active').catch(() => null);
+        const entries = await PersistenceEngine.getQuarantine().catch(() => []);
+        quarantine = Object.fromEntries(entries.map(e => [e.id, e]));
         return datasetCollection;
     }
 
-    function reconcileCollection(analysisMode) {
+    /**
+     * SCHEMA OVERRIDE: pins a column to numerical/categorical/temporal (null restores inference).
+     * The override is persisted with the dataset so it survives reloads.
+     */
+    async function setColumnType(id, header, type) {
+        const ds = datasetCollection[id];
+        if (!ds || !ds.headers.includes(header)) return null;
+        if (type && !['numerical', 'categorical', 'temporal'].includes(type)) throw new Error(`Governance Failure: Unknown column type [${type}]`);
+        if (calculatedNames(ds).includes(header)) throw new Error(`Governance Failure: [${header}] is calculated; its type follows from the expression`);
+
+        if (type) ds.schemaOverrides[header] = type;
+        else delete ds.schemaOverrides[header];
+
+        const rawRows = getRawRows(ds);
+        ds.schema = discoverSchema(rawRows, ds.schemaOverrides, ds.schema.columns, ds.numericFormat);
+        rebuildStore(ds, rawRows);
+        await PersistenceEngine.saveDataset(ds);
+        return ds.schema;
+    }
+
+    /**
+     * NUMBER FORMAT: per-dataset decimal and thousands separators, currency symbols, percent scaling,
+     * parentheses negatives and null tokens.
+     * Classification depends on the format, so the schema is re-inferred from scratch.
+     */
+    async function setNumericFormat(id, patch) {
+        const ds = datasetCollection[id];
+        if (!ds) return null;
+        const next = { ...NumericEngine.resolveFormat(ds.numericFormat), ...patch };
+        if (patch.decimal && patch.thousands === undefined) next.thousands = patch.decimal === ',' ? '.' : ',';
+        if (next.thousands && next.thousands === next.decimal) {
+            throw new Error(`Governance Failure: Thousands separator "${next.thousands}" cannot match the decimal separator`);
+        }
+        ds.numericFormat = next;
+        const rawRows = getRawRows(ds);
+        ds.schema = discoverSchema(rawRows, ds.schemaOverrides, null, ds.numericFormat);
+        rebuildStore(ds, rawRows);
+        await PersistenceEngine.saveDataset(ds);
+        return ds.numericFormat;
+    }
+
+    /**
+     * scopeIds limits shared-header reconciliation to the datasets taking part (compare mode).
+     */
+    function reconcileCollection(analysisMode, scopeIds = null) {
         const ids = Object.keys(datasetCollection);
         if (ids.length === 0) return { allHeaders: [], sharedHeaders: [], totalRows: 0, estMem: 0, diagnostics: { readiness: 0 }, schemas: {} };
+        const scoped = scopeIds && scopeIds.length ? scopeIds.filter(id => datasetCollection[id]) : ids;
+        currentMode = analysisMode || 'single';
 
         let sharedHeaders = [];
         const schemas = {};
-        if (ids.length > 0) {
-            sharedHeaders = [...datasetCollection[ids[0]].headers];
-            ids.forEach(id => {
+        if (scoped.length > 0) {
+            sharedHeaders = [...datasetCollection[scoped[0]].headers];
+            scoped.forEach(id => {
                 const ds = datasetCollection[id];
                 if (ds && ds.headers) {
                     sharedHeaders = sharedHeaders.filter(val => ds.headers.includes(val));
@@ -143,8 +2026,11 @@ const DataEngine = (() => {
             }
         });
 
-        const totalRows = ids.reduce((acc, id) => acc + datasetCollection[id].data.length, 0);
-        const estMem = (JSON.stringify(datasetCollection).length / (1024 * 1024)).toFixed(1);
+        // Union mode maps every dataset onto the canonical columns, plus the source tag
+        if (currentMode === 'union') sharedHeaders = getUnionMapping().columns.map(col => col.name).concat([UNION_SOURCE]);
+
+        const totalRows = ids.reduce((acc, id) => acc + datasetCollection[id].store.length, 0);
+        const estMem = getMemoryFootprint();
 
         return {
             allHeaders: Array.from(allHeadersPool),
@@ -156,29 +2042,746 @@ const DataEngine = (() => {
         };
     }
 
-    function prepareMasterData(mode) {
+    /**
+     * UNION MODE: rows from every dataset stacked under one column mapping.
+     * mapping: { ids: [datasetId], columns: [{ name, type, sources: { datasetId: header | null } }] }
+     * The first dataset's headers seed the canonical columns; other datasets are aligned by fuzzy
+     * name and type matching. Every union row carries a `__source` column naming its dataset.
+     */
+    const UNION_SOURCE = '__source';
+    const UNION_MATCH_THRESHOLD = 0.6;
+
+    const tokenizeHeader = (h) => String(h).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+    function editDistance(a, b) {
+        const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diag = prev[0];
+            prev[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const tmp = prev[j];
+                prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diag = tmp;
+            }
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * 0..1 name similarity: identical token strings, token subsets ("Revenue" ⊂ "revenue_usd"),
+     * token overlap, or small spelling differences.
+     */
+    function headerSimilarity(a, b) {
+        const ta = tokenizeHeader(a), tb = tokenizeHeader(b);
+        const ca = ta.join(''), cb = tb.join('');
+        if (!ca || !cb) return 0;
+        if (ca === cb) return 1;
+        const shared = ta.filter(t => tb.includes(t)).length;
+        const overlap = shared / new Set([...ta, ...tb]).size;
+        const subset = shared > 0 && (shared === ta.length || shared === tb.length) ? 0.5 + 0.5 * (shared / Math.max(ta.length, tb.length)) : 0;
+        const spelling = 1 - editDistance(ca, cb) / Math.max(ca.length, cb.length);
+        return Math.max(overlap, subset, spelling);
+    }
+
+    const typeAffinity = (a, b) => a === b ? 1 : 0.7;
+
+    // Mixed source types fall back to the most permissive type that keeps every value
+    function reconcileUnionType(types) {
+        const present = types.filter(Boolean);
+        if (present.length === 0) return 'categorical';
+        if (present.every(t => t === present[0])) return present[0];
+        const numeric = present.filter(t => t === 'numerical').length;
+        return numeric > present.length / 2 ? 'numerical' : 'categorical';
+    }
+
+    /**
+     * With a prior mapping, its columns (and operator edits) are kept and only datasets it does not
+     * cover yet are aligned; otherwise the first dataset seeds the columns.
+     */
+    function suggestUnionMapping(ids = Object.keys(datasetCollection), prior = null) {
+        const scoped = ids.filter(id => datasetCollection[id]);
+        if (scoped.length === 0) return { ids: [], columns: [] };
+        const typeOf = (ds, h) => ds.schema.columns?.[h]?.type || 'categorical';
+
+        let aligned = prior ? prior.ids.filter(id => scoped.includes(id)) : [];
+        let columns = aligned.length === 0 ? [] : prior.columns.map(col => {
+            const sources = {};
+            aligned.forEach(id => sources[id] = col.sources[id] && datasetCollection[id].headers.includes(col.sources[id]) ? col.sources[id] : null);
+            return { name: col.name, type: col.type, sources };
+        }).filter(col => Object.values(col.sources).some(Boolean));
+        // Types of carried-over columns are operator decisions and are not re-reconciled
+        const keepTypes = columns.length > 0;
+        if (columns.length === 0) {
+            const base = datasetCollection[scoped[0]];
+            columns = base.headers.map(h => ({ name: h, type: typeOf(base, h), sources: { [base.id]: h } }));
+            aligned = [base.id];
+        }
+
+        scoped.filter(id => !aligned.includes(id)).forEach(id => {
+            const ds = datasetCollection[id];
+            const pairs = [];
+            columns.forEach((col, ci) => ds.headers.forEach(h => {
+                // A column matches on its union name or on any header already mapped to it
+                const names = [col.name, ...Object.values(col.sources).filter(Boolean)];
+                const score = Math.max(...names.map(n => headerSimilarity(n, h))) * typeAffinity(col.type, typeOf(ds, h));
+                if (score >= UNION_MATCH_THRESHOLD) pairs.push({ ci, h, score });
+            }));
+            pairs.sort((a, b) => b.score - a.score);
+            const usedCols = new Set(), usedHeaders = new Set();
+            pairs.forEach(p => {
+                if (usedCols.has(p.ci) || usedHeaders.has(p.h)) return;
+                usedCols.add(p.ci);
+                usedHeaders.add(p.h);
+                columns[p.ci].sources[id] = p.h;
+            });
+            columns.forEach(col => { if (!(id in col.sources)) col.sources[id] = null; });
+        });
+
+        const ordered = scoped.filter(id => aligned.includes(id)).concat(scoped.filter(id => !aligned.includes(id)));
+        if (!keepTypes) columns.forEach(col => {
+            col.type = reconcileUnionType(ordered.map(id => col.sources[id] ? typeOf(datasetCollection[id], col.sources[id]) : null));
+        });
+        return { ids: ordered, columns };
+    }
+
+    /**
+     * The stored mapping, extended when datasets were added and pruned when they were removed.
+     */
+    function getUnionMapping() {
         const ids = Object.keys(datasetCollection);
+        const stale = !unionMapping || unionMapping.ids.length !== ids.length || unionMapping.ids.some(id => !datasetCollection[id]);
+        if (stale) {
+            unionMapping = suggestUnionMapping(ids, unionMapping);
+            unionView = null;
+        }
+        return unionMapping;
+    }
+
+    async function setUnionMapping(mapping) {
+        const names = new Set();
+        mapping.columns.forEach(col => {
+            const name = String(col.name || '').trim();
+            if (!name) throw new Error("Governance Failure: Union column names cannot be blank");
+            if (name === UNION_SOURCE) throw new Error(`Governance Failure: [${UNION_SOURCE}] is reserved for source tagging`);
+            if (names.has(name)) throw new Error(`Governance Failure: Duplicate union column [${name}]`);
+            if (!['numerical', 'categorical', 'temporal'].includes(col.type)) throw new Error(`Governance Failure: Unknown column type [${col.type}]`);
+            names.add(name);
+            col.name = name;
+        });
+        unionMapping = { ids: mapping.ids.filter(id => datasetCollection[id]), columns: mapping.columns.filter(col => Object.values(col.sources).some(Boolean)) };
+        unionView = null;
+        await PersistenceEngine.saveConfig('union:mapping', unionMapping);
+        return unionMapping;
+    }
+
+    /**
+     * Columns no mapping row uses, and mapped columns whose source types had to be reconciled.
+     */
+    function getUnionSummary() {
+        const mapping = getUnionMapping();
+        const unaligned = [];
+        mapping.ids.forEach(id => {
+            const ds = datasetCollection[id];
+            const used = new Set(mapping.columns.map(col => col.sources[id]).filter(Boolean));
+            ds.headers.filter(h => !used.has(h)).forEach(h => unaligned.push({ id, dataset: ds.name, header: h, type: ds.schema.columns?.[h]?.type || 'categorical' }));
+        });
+        const reconciled = [];
+        const partial = [];
+        mapping.columns.forEach(col => {
+            const sourceTypes = mapping.ids.filter(id => col.sources[id]).map(id => ({ dataset: datasetCollection[id].name, header: col.sources[id], type: datasetCollection[id].schema.columns?.[col.sources[id]]?.type || 'categorical' }));
+            if (sourceTypes.some(s => s.type !== col.type)) reconciled.push({ column: col.name, type: col.type, sources: sourceTypes });
+            if (sourceTypes.length < mapping.ids.length) partial.push({ column: col.name, missingFrom: mapping.ids.filter(id => !col.sources[id]).map(id => datasetCollection[id].name) });
+        });
+        return { datasetCount: mapping.ids.length, columnCount: mapping.columns.length, unaligned, reconciled, partial };
+    }
+
+    // Converts one source value to the union column's type; values that do not convert are kept as text
+    function coerceUnionValue(value, type, ds, sourceType) {
+        if (value === '' || value === null || value === undefined) return '';
+        if (type === 'numerical') {
+            if (typeof value === 'number') return value;
+            const n = NumericEngine.parseNumber(value, NumericEngine.resolveFormat(ds.numericFormat));
+            return n === null ? '' : (Number.isNaN(n) ? String(value) : n);
+        }
+        if (type === 'temporal' && sourceType !== 'temporal') {
+            const ms = ColumnarStore.parseDateText(value, null);
+            return Number.isNaN(ms) ? String(value) : ColumnarStore.formatEpoch(ms);
+        }
+        return String(value);
+    }
+
+    function buildUnionView() {
+        const mapping = getUnionMapping();
+        const rows = [];
+        mapping.ids.forEach(id => {
+            const ds = datasetCollection[id];
+            const plan = mapping.columns.map(col => [col.name, col.type, col.sources[id], ds.schema.columns?.[col.sources[id]]?.type]);
+            ColumnarStore.toRows(ds.store).forEach(src => {
+                const row = { [UNION_SOURCE]: ds.name };
+                plan.forEach(([name, type, header, sourceType]) => row[name] = header ? coerceUnionValue(src[header], type, ds, sourceType) : '');
+                rows.push(row);
+            });
+        });
+
+        const schema = { numerical: [], categorical: [], temporal: [], columns: {} };
+        mapping.columns.concat([{ name: UNION_SOURCE, type: 'categorical' }]).forEach(col => {
+            const filled = rows.reduce((acc, r) => acc + (r[col.name] === '' ? 0 : 1), 0);
+            schema[col.type].push(col.name);
+            schema.columns[col.name] = { type: col.type, inferredType: col.type, format: col.name === UNION_SOURCE ? 'source' : 'union', confidence: 1, nullRate: rows.length ? 1 - filled / rows.length : 0, overridden: false };
+        });
+        return { rows, schema, bytes: ColumnarStore.rowBytes(rows) };
+    }
+
+    function prepareMasterData(mode, scopeIds = null) {
+        const ids = scopeIds && scopeIds.length ? scopeIds.filter(id => datasetCollection[id]) : Object.keys(datasetCollection);
         if (ids.length === 0) {
-            masterData = [];
+            masterData = unfilteredData = [];
+            activeDatasetId = null;
             return;
         }
 
+        currentMode = mode;
+        activeDatasetId = mode === 'compare' ? ids[ids.length - 1] : null;
         if (mode === 'single') {
-            masterData = datasetCollection[ids[ids.length - 1]].data;
+            unfilteredData = datasetCollection[ids[ids.length - 1]].data;
         } else if (mode === 'union') {
-            masterData = ids.flatMap(id => datasetCollection[id].data);
+            if (!unionView) unionView = buildUnionView();
+            unfilteredData = unionView.rows;
         } else if (mode === 'compare') {
-            masterData = datasetCollection[ids[ids.length - 1]].data;
+            // The comparison target (last selected dataset) drives the table and KPIs
+            unfilteredData = datasetCollection[ids[ids.length - 1]].data;
+        }
+        masterData = filterRows(unfilteredData);
+    }
+
+    /**
+     * ROW FILTER
+     * { combine: 'and' | 'or', conditions: [{ column, op, ... }] } slices the rows before KPIs, charts, the table and the audit.
+     * op: 'in' (values; "" selects blanks), 'range' (min / max), 'dates' (from / to, inclusive days), 'contains' (text),
+     * 'null', 'notnull'. A column missing from a row counts as blank.
+     */
+    const ROW_FILTER_OPS = ['in', 'range', 'dates', 'contains', 'null', 'notnull'];
+    const ROW_FILTER_OPTION_LIMIT = 200;
+    const isBlank = (v) => v === '' || v === null || v === undefined;
+
+    function checkRowFilterCondition(c) {
+        if (!c || !hasValue(c.column)) return 'condition needs a column';
+        if (!ROW_FILTER_OPS.includes(c.op)) return `unknown filter operator [${c.op}]`;
+        if (c.op === 'in' && (!Array.isArray(c.values) || c.values.length === 0)) return `[${c.column}] needs at least one selected value`;
+        if (c.op === 'range' && !hasValue(c.min) && !hasValue(c.max)) return `[${c.column}] range needs a minimum or maximum`;
+        if (c.op === 'range' && [c.min, c.max].some(v => hasValue(v) && !Number.isFinite(Number(v)))) return `[${c.column}] range bounds must be numbers`;
+        if (c.op === 'dates' && !hasValue(c.from) && !hasValue(c.to)) return `[${c.column}] date range needs a start or end`;
+        if (c.op === 'contains' && !hasValue(c.text)) return `[${c.column}] needs search text`;
+        return null;
+    }
+
+    function compileRowCondition(c) {
+        switch (c.op) {
+            case 'in': {
+                const values = new Set(c.values.map(String));
+                return (v) => values.has(isBlank(v) ? '' : String(v));
+            }
+            case 'range': {
+                const min = hasValue(c.min) ? Number(c.min) : -Infinity;
+                const max = hasValue(c.max) ? Number(c.max) : Infinity;
+                return (v) => typeof v === 'number' && v >= min && v <= max;
+            }
+            case 'dates': {
+                // Typed rows carry dates as ISO text, so whole days compare as strings
+                const from = hasValue(c.from) ? String(c.from).slice(0, 10) : '';
+                const to = hasValue(c.to) ? String(c.to).slice(0, 10) : '\uffff';
+                return (v) => {
+                    const day = /^\d{4}-\d{2}-\d{2}/.test(String(v)) ? String(v).slice(0, 10) : null;
+                    return day !== null && day >= from && day <= to;
+                };
+            }
+            case 'contains': {
+                const text = String(c.text).toLowerCase();
+                return (v) => !isBlank(v) && String(v).toLowerCase().includes(text);
+            }
+            case 'null': return isBlank;
+            default: return (v) => !isBlank(v);
+        }
+    }
+
+    function filterRows(rows, filter = rowFilter) {
+        if (!filter) return rows;
+        const tests = filter.conditions.map(c => ({ column: c.column, test: compileRowCondition(c) }));
+        const any = filter.combine === 'or';
+        return rows.filter(row => any ? tests.some(t => t.test(row[t.column])) : tests.every(t => t.test(row[t.column])));
+    }
+
+    function describeRowCondition(c) {
+        switch (c.op) {
+            case 'in': return `${c.column} ∈ {${c.values.map(v => v === '' ? '(blank)' : v).join(', ')}}`;
+            case 'range': return hasValue(c.min) && hasValue(c.max) ? `${c.min} ≤ ${c.column} ≤ ${c.max}` : `${c.column} ${hasValue(c.min) ? `≥ ${c.min}` : `≤ ${c.max}`}`;
+            case 'dates': return hasValue(c.from) && hasValue(c.to) ? `${c.column} from ${c.from} to ${c.to}` : `${c.column} ${hasValue(c.from) ? `from ${c.from}` : `until ${c.to}`}`;
+            case 'contains': return `${c.column} contains "${c.text}"`;
+            case 'null': return `${c.column} is blank`;
+            default: return `${c.column} is not blank`;
+        }
+    }
+
+    const describeRowFilter = (filter) => filter ? filter.conditions.map(describeRowCondition).join(filter.combine === 'or' ? ' OR ' : ' AND ') : '';
+
+    /**
+     * Replaces the global filter (null or no conditions clears it) and persists it.
+     */
+    async function setRowFilter(filter) {
+        const conditions = filter && Array.isArray(filter.conditions) ? filter.conditions : [];
+        const problem = conditions.map(checkRowFilterCondition).find(Boolean);
+        if (problem) throw new Error(`Governance Failure: Filter ${problem}`);
+        rowFilter = conditions.length ? { combine: filter.combine === 'or' ? 'or' : 'and', conditions } : null;
+        masterData = filterRows(unfilteredData);
+        await PersistenceEngine.saveConfig('filter:active', rowFilter);
+        return getFilterSummary();
+    }
+
+    // Active filter with its effect on the current rows; null when nothing is filtered
+    function getFilterSummary() {
+        if (!rowFilter) return null;
+        return { ...rowFilter, expression: describeRowFilter(rowFilter), total: unfilteredData.length, kept: masterData.length };
+    }
+
+    /**
+     * Columns offered by the filter bar, with the choices for categories and the bounds for numbers and dates,
+     * taken from the unfiltered rows of the current mode.
+     */
+    function getFilterFields() {
+        const schema = getActiveSchema();
+        const headers = unfilteredData.length ? Object.keys(unfilteredData[0]) : [];
+        return headers.map(h => {
+            const type = schema.columns?.[h]?.type || 'categorical';
+            const field = { name: h, type };
+            if (type === 'categorical') {
+                const counts = new Map();
+                unfilteredData.forEach(r => {
+                    const v = isBlank(r[h]) ? '' : String(r[h]);
+                    counts.set(v, (counts.get(v) || 0) + 1);
+                });
+                field.distinct = counts.size;
+                field.options = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, ROW_FILTER_OPTION_LIMIT).map(([value, count]) => ({ value, count }));
+            } else {
+                let min = null;
+                let max = null;
+                unfilteredData.forEach(r => {
+                    const v = r[h];
+                    if (type === 'numerical' ? typeof v !== 'number' : !/^\d{4}-\d{2}-\d{2}/.test(String(v))) return;
+                    if (min === null || v < min) min = v;
+                    if (max === null || v > max) max = v;
+                });
+                field.min = type === 'temporal' && min !== null ? min.slice(0, 10) : min;
+                field.max = type === 'temporal' && max !== null ? max.slice(0, 10) : max;
+            }
+            return field;
+        });
+    }
+
+    /**
+     * KEY-BASED JOINS
+     * spec: { baseId, name?, steps: [{ rightId, type: 'inner' | 'left' | 'full' | 'anti', keys: [{ left, right }] }] }
+     * Each step joins the running result (left) with one more dataset (right). Keys are compared on typed
+     * values, so "1.0" and "1" or "13/01/2026" and "2026-01-13" match; blank keys never match (SQL NULL semantics).
+     */
+    const JOIN_TYPES = ['inner', 'left', 'full', 'anti'];
+    const JOIN_ROW_LIMIT = 2000000;
+    const KEY_SEPARATOR = '\u241F';
+
+    function joinKey(row, cols) {
+        const parts = [];
+        for (const c of cols) {
+            const v = row[c];
+            if (v === '' || v === null || v === undefined) return null;
+            parts.push(String(v));
+        }
+        return parts.join(KEY_SEPARATOR);
+    }
+
+    function indexByKey(rows, cols) {
+        const index = new Map();
+        let blanks = 0;
+        rows.forEach((row, i) => {
+            const k = joinKey(row, cols);
+            if (k === null) { blanks++; return; }
+            const bucket = index.get(k);
+            if (bucket) bucket.push(i);
+            else index.set(k, [i]);
+        });
+        return { index, blanks };
+    }
+
+    /**
+     * Profiles one join step before any row is produced: matched / unmatched keys on both sides,
+     * key cardinality and the exact output row count, so row explosions are reported up front.
+     */
+    function profileJoinStep(left, right, step) {
+        const leftCols = step.keys.map(k => k.left);
+        const rightCols = step.keys.map(k => k.right);
+        const L = indexByKey(left.rows, leftCols);
+        const R = indexByKey(right.rows, rightCols);
+
+        let matchedKeys = 0, pairRows = 0, manyToManyKeys = 0;
+        let unmatchedLeftKeys = 0, unmatchedLeftRows = L.blanks;
+        L.index.forEach((li, k) => {
+            const ri = R.index.get(k);
+            if (!ri) {
+                unmatchedLeftKeys++;
+                unmatchedLeftRows += li.length;
+                return;
+            }
+            matchedKeys++;
+            pairRows += li.length * ri.length;
+            if (li.length > 1 && ri.length > 1) manyToManyKeys++;
+        });
+        let unmatchedRightKeys = 0, unmatchedRightRows = R.blanks;
+        R.index.forEach((ri, k) => {
+            if (L.index.has(k)) return;
+            unmatchedRightKeys++;
+            unmatchedRightRows += ri.length;
+        });
+
+        const repeats = (idx) => Array.from(idx.values()).filter(b => b.length > 1).length;
+        const leftRepeats = repeats(L.index);
+        const rightRepeats = repeats(R.index);
+        const cardinality = `${leftRepeats > 0 ? 'many' : 'one'}-to-${rightRepeats > 0 ? 'many' : 'one'}`;
+        const outputRows = {
+            inner: pairRows,
+            left: pairRows + unmatchedLeftRows,
+            full: pairRows + unmatchedLeftRows + unmatchedRightRows,
+            anti: unmatchedLeftRows
+        }[step.type];
+
+        const warnings = [];
+        if (matchedKeys === 0) warnings.push('No key values matched. Check the key columns and their formats.');
+        if (manyToManyKeys > 0) warnings.push(`Many-to-many: ${manyToManyKeys.toLocaleString()} key values repeat on both sides; the join yields ${outputRows.toLocaleString()} rows from ${left.rows.length.toLocaleString()} left rows.`);
+        else if (rightRepeats > 0 && step.type !== 'anti' && pairRows > L.index.size) warnings.push(`Right keys repeat (${rightRepeats.toLocaleString()} values): matching left rows are duplicated.`);
+        if (L.blanks + R.blanks > 0) warnings.push(`${L.blanks.toLocaleString()} left and ${R.blanks.toLocaleString()} right rows have a blank key and never match.`);
+        step.keys.forEach(k => {
+            const lt = left.types[k.left], rt = right.types[k.right];
+            if (lt && rt && lt !== rt) warnings.push(`Key [${k.left}] is ${lt} but [${k.right}] is ${rt}; values only match when their text is identical.`);
+        });
+
+        return {
+            L, R,
+            stats: {
+                leftRows: left.rows.length,
+                rightRows: right.rows.length,
+                matchedKeys,
+                unmatchedLeftKeys,
+                unmatchedLeftRows,
+                unmatchedRightKeys,
+                unmatchedRightRows,
+                cardinality,
+                outputRows,
+                warnings
+            }
+        };
+    }
+
+    /**
+     * Produces the joined rows. Right key columns that share the left key's name are coalesced;
+     * other clashing right columns are suffixed with the right dataset's name.
+     */
+    function materialiseJoin(left, right, step, profile) {
+        const coalesced = {};
+        step.keys.forEach(k => { if (k.left === k.right) coalesced[k.right] = k.left; });
+        const headers = [...left.headers];
+        const rightMap = [];
+        if (step.type !== 'anti') {
+            right.headers.forEach(h => {
+                if (coalesced[h]) return;
+                let out = h;
+                for (let n = 2; headers.includes(out); n++) out = n === 2 ? `${h} (${right.name})` : `${h} (${right.name} ${n})`;
+                headers.push(out);
+                rightMap.push([h, out]);
+            });
+        }
+        const types = { ...left.types };
+        rightMap.forEach(([h, out]) => types[out] = right.types[h]);
+
+        const blankRight = {};
+        rightMap.forEach(([, out]) => blankRight[out] = '');
+        const merge = (l, r) => {
+            const row = { ...l };
+            rightMap.forEach(([h, out]) => row[out] = r[h]);
+            return row;
+        };
+
+        const leftCols = step.keys.map(k => k.left);
+        const rows = [];
+        left.rows.forEach(l => {
+            const k = joinKey(l, leftCols);
+            const matches = k === null ? null : profile.R.index.get(k);
+            if (step.type === 'anti') {
+                if (!matches) rows.push({ ...l });
+                return;
+            }
+            if (matches) matches.forEach(ri => rows.push(merge(l, right.rows[ri])));
+            else if (step.type !== 'inner') rows.push({ ...l, ...blankRight });
+        });
+        if (step.type === 'full') {
+            const blankLeft = {};
+            left.headers.forEach(h => blankLeft[h] = '');
+            const rightCols = step.keys.map(k => k.right);
+            right.rows.forEach(r => {
+                const k = joinKey(r, rightCols);
+                if (k !== null && profile.L.index.has(k)) return;
+                const row = merge(blankLeft, r);
+                Object.entries(coalesced).forEach(([rh, lh]) => row[lh] = r[rh]);
+                rows.push(row);
+            });
+        }
+        return { name: `${left.name} ⋈ ${right.name}`, headers, types, rows };
+    }
+
+    function joinSource(ds) {
+        const types = {};
+        ds.headers.forEach(h => types[h] = ds.schema.columns?.[h]?.type || 'categorical');
+        // Typed rows from the columns, not the cached row view: joins should not pin extra memory
+        return { name: ds.name, headers: ds.headers, types, rows: ColumnarStore.toRows(ds.store) };
+    }
+
+    /**
+     * Runs every step of a join spec. With build = false the last step is only profiled.
+     */
+    function runJoin(spec, build) {
+        const base = datasetCollection[spec.baseId];
+        if (!base) throw new Error(`Governance Failure: Join base dataset [${spec.baseId}] not found`);
+        if (!Array.isArray(spec.steps) || spec.steps.length === 0) throw new Error("Governance Failure: Join requires at least one dataset to join with");
+
+        let current = joinSource(base);
+        const steps = [];
+        spec.steps.forEach((step, i) => {
+            const rightDs = datasetCollection[step.rightId];
+            if (!rightDs) throw new Error(`Governance Failure: Join dataset [${step.rightId}] not found`);
+            if (!JOIN_TYPES.includes(step.type)) throw new Error(`Governance Failure: Unknown join type [${step.type}]`);
+            if (!step.keys || step.keys.length === 0) throw new Error(`Governance Failure: Join step ${i + 1} has no key columns`);
+            step.keys.forEach(k => {
+                if (!current.headers.includes(k.left)) throw new Error(`Governance Failure: Key [${k.left}] missing from left side of step ${i + 1}`);
+                if (!rightDs.headers.includes(k.right)) throw new Error(`Governance Failure: Key [${k.right}] missing from [${rightDs.name}]`);
+            });
+
+            const right = joinSource(rightDs);
+            const profile = profileJoinStep(current, right, step);
+            if (profile.stats.outputRows > JOIN_ROW_LIMIT) profile.stats.warnings.push(`Output exceeds the ${JOIN_ROW_LIMIT.toLocaleString()} row join boundary and will be refused.`);
+            steps.push({ rightId: step.rightId, rightName: rightDs.name, type: step.type, keys: step.keys, ...profile.stats });
+
+            if (i < spec.steps.length - 1 || build) {
+                if (profile.stats.outputRows > JOIN_ROW_LIMIT) throw new Error(`Governance Failure: Join step ${i + 1} would produce ${profile.stats.outputRows.toLocaleString()} rows (boundary ${JOIN_ROW_LIMIT.toLocaleString()})`);
+                current = materialiseJoin(current, right, step, profile);
+                steps[i].headers = current.headers;
+            } else {
+                steps[i].headers = null;
+            }
+        });
+        return { result: current, steps };
+    }
+
+    function previewJoin(spec) {
+        return runJoin(spec, false).steps;
+    }
+
+    async function joinDatasets(spec) {
+        const { result, steps } = runJoin(spec, true);
+        const id = 'join_' + Math.random().toString(36).substr(2, 9);
+        const name = (spec.name || '').trim() || result.name;
+        const sources = [spec.baseId, ...spec.steps.map(s => s.rightId)].map(sid => ({ id: sid, name: datasetCollection[sid].name, hash: datasetCollection[sid].hash }));
+
+        const outcome = await storeDataset(id, name, result.rows, null, {
+            size: 'Derived',
+            type: 'join',
+            provenance: {
+                operation: 'join',
+                sources,
+                steps: steps.map(({ headers, ...s }) => s),
+                created: new Date().toISOString()
+            }
+        }, { quarantine: false });
+        if (!outcome) throw new Error(`Governance Failure: Joined dataset [${name}] rejected: it needs at least one numeric metric and one dimension`);
+        return { ...outcome, steps };
+    }
+
+    /**
+     * DATA QUALITY PROFILING
+     * Measured per column straight from the columnar store: blanks, distinct values, top values, min/max/quantiles,
+     * unparseable cells, near-duplicate category spellings, duplicate keys, mixed types and a histogram.
+     * Profiles are cached per store, so they are recomputed only after the data actually changes.
+     */
+    const QUALITY_HISTOGRAM_BINS = 12;
+    const QUALITY_WEIGHTS = { completeness: 0.35, validity: 0.3, uniqueness: 0.2, consistency: 0.15 };
+    const qualityCache = new WeakMap(); // store -> profile
+
+    const qualityGrade = (score) => score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 65 ? 'C' : score >= 50 ? 'D' : 'F';
+    // Spelling key for suspected duplicates: "U.S.A", "usa " and "USA" collide
+    const variantKey = (v) => v.toLowerCase().replace(/[\s.,\-_'"/]+/g, '');
+
+    function histogramOf(sorted, bins) {
+        if (sorted.length === 0) return [];
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / bins || 1;
+        const counts = new Array(max === min ? 1 : bins).fill(0);
+        sorted.forEach(v => counts[Math.min(counts.length - 1, Math.floor((v - min) / width))]++);
+        return counts.map((count, i) => ({ from: min + i * width, to: max === min ? max : min + (i + 1) * width, count }));
+    }
+
+    function profileQualityColumn(ds, header) {
+        const column = ds.store.columns[header];
+        const schemaCol = ds.schema.columns?.[header] || {};
+        const rows = ds.store.length;
+        const profile = { name: header, type: schemaCol.type || 'categorical', format: schemaCol.format || 'text', calculated: !!schemaCol.calculated, rows, blanks: 0, nullRate: 0, distinct: 0, unparseable: 0, invalidSamples: [], topValues: [], histogram: [], warnings: [] };
+        const counts = new Map();
+        const finite = [];
+
+        if (column.kind === 'number') {
+            for (let i = 0; i < rows; i++) {
+                const state = column.state[i];
+                if (state === ColumnarStore.STATE.NULL) profile.blanks++;
+                else if (state === ColumnarStore.STATE.INVALID) {
+                    profile.unparseable++;
+                    if (profile.invalidSamples.length < 5 && !profile.invalidSamples.includes(column.raw[i])) profile.invalidSamples.push(column.raw[i]);
+                } else {
+                    finite.push(column.values[i]);
+                    counts.set(column.values[i], (counts.get(column.values[i]) || 0) + 1);
+                }
+            }
+        } else {
+            const dictCounts = new Array(column.dict.length).fill(0);
+            for (let i = 0; i < rows; i++) dictCounts[column.codes[i]]++;
+            column.dict.forEach((text, code) => {
+                const n = dictCounts[code];
+                if (n === 0) return;
+                if (text === '') { profile.blanks += n; return; }
+                if (column.kind === 'date') {
+                    const ms = column.epochs[code];
+                    if (Number.isNaN(ms)) {
+                        profile.unparseable += n;
+                        if (profile.invalidSamples.length < 5) profile.invalidSamples.push(text);
+                        return;
+                    }
+                    for (let k = 0; k < n; k++) finite.push(ms);
+                }
+                counts.set(text, n);
+            });
+        }
+
+        const nonNull = rows - profile.blanks;
+        profile.nullRate = rows ? profile.blanks / rows : 0;
+        profile.distinct = counts.size;
+        const display = (v) => column.kind === 'date' ? ColumnarStore.formatEpoch(v) : v;
+        profile.topValues = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value, count]) => ({ value: typeof value === 'number' ? value : String(value), count, share: count / (nonNull || 1) }));
+
+        if (finite.length > 0) {
+            const sorted = Float64Array.from(finite).sort();
+            const q = (p) => display(quantileOf(sorted, p));
+            profile.min = display(sorted[0]);
+            profile.max = display(sorted[sorted.length - 1]);
+            profile.quantiles = { p25: q(0.25), p50: q(0.5), p75: q(0.75) };
+            if (column.kind === 'number') profile.mean = finite.reduce((a, b) => a + b, 0) / finite.length;
+            profile.histogram = histogramOf(sorted, QUALITY_HISTOGRAM_BINS).map(b => ({ from: display(b.from), to: display(b.to), count: b.count }));
+        }
+
+        // Suspected duplicates: spelling variants of one category, or repeated values in a key column
+        profile.variants = [];
+        if (column.kind === 'category') {
+            const groups = new Map();
+            counts.forEach((n, text) => {
+                const key = variantKey(text);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(text);
+            });
+            profile.variants = [...groups.values()].filter(g => g.length > 1).slice(0, 10);
+        }
+        profile.duplicateKeys = schemaCol.format === 'id' || ID_NAME_PATTERN.test(header) ? nonNull - profile.distinct : 0;
+
+        if (profile.nullRate > 0.2) profile.warnings.push(`${Math.round(profile.nullRate * 100)}% blank`);
+        if (profile.unparseable > 0) profile.warnings.push(`${profile.unparseable.toLocaleString()} unparseable ${column.kind === 'date' ? 'dates' : 'numbers'}`);
+        if (schemaCol.mixed) profile.warnings.push('mixed numeric and text values');
+        if (profile.variants.length) profile.warnings.push(`${profile.variants.length} spelling variant group(s), e.g. ${profile.variants[0].slice(0, 3).join(' / ')}`);
+        if (profile.duplicateKeys > 0) profile.warnings.push(`${profile.duplicateKeys.toLocaleString()} repeated key value(s)`);
+        if (nonNull > 1 && profile.distinct === 1) profile.warnings.push('constant column');
+        return profile;
+    }
+
+    function profileDataset(id) {
+        const ds = datasetCollection[id];
+        if (!ds) return null;
+        const cached = qualityCache.get(ds.store);
+        if (cached) return cached;
+
+        const columns = ds.headers.map(h => profileQualityColumn(ds, h));
+        const rows = ds.store.length;
+        const seen = new Set();
+        let duplicateRows = 0;
+        for (let i = 0; i < rows; i++) {
+            const key = ds.headers.map(h => ds.store.columns[h].kind === 'number' ? ColumnarStore.cell(ds.store.columns[h], i, true) : ds.store.columns[h].codes[i]).join(KEY_SEPARATOR);
+            if (seen.has(key)) duplicateRows++;
+            else seen.add(key);
         }
+
+        const cells = rows * (columns.length || 1);
+        const typed = columns.filter(c => c.type !== 'categorical');
+        const typedFilled = typed.reduce((acc, c) => acc + (c.rows - c.blanks), 0);
+        const components = {
+            completeness: 1 - columns.reduce((acc, c) => acc + c.blanks, 0) / (cells || 1),
+            validity: 1 - typed.reduce((acc, c) => acc + c.unparseable, 0) / (typedFilled || 1),
+            uniqueness: 1 - duplicateRows / (rows || 1),
+            consistency: 1 - columns.filter(c => c.variants.length || c.duplicateKeys > 0 || c.warnings.includes('mixed numeric and text values')).length / (columns.length || 1)
+        };
+        const score = Math.round(100 * Object.entries(QUALITY_WEIGHTS).reduce((acc, [k, w]) => acc + w * components[k], 0));
+
+        const profile = {
+            id,
+            name: ds.name,
+            rows,
+            duplicateRows,
+            score,
+            grade: qualityGrade(score),
+            components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, Math.round(v * 1000) / 10])),
+            columns,
+            profiledAt: new Date().toISOString()
+        };
+        qualityCache.set(ds.store, profile);
+        return profile;
+    }
+
+    /**
+     * Row-weighted quality across the datasets in scope (compare: the ticked ones, single: the active one, union: all).
+     */
+    function getQualitySummary(mode = currentMode, scopeIds = null) {
+        let ids = Object.keys(datasetCollection);
+        if (mode === 'compare' && scopeIds && scopeIds.length) ids = scopeIds.filter(id => datasetCollection[id]);
+        else if (mode === 'single' && ids.length) ids = [getActiveDataset().id];
+        const profiles = ids.map(profileDataset);
+        if (profiles.length === 0) return null;
+        const totalRows = profiles.reduce((acc, p) => acc + p.rows, 0) || 1;
+        const weighted = (get) => profiles.reduce((acc, p) => acc + get(p) * p.rows, 0) / totalRows;
+        const score = Math.round(weighted(p => p.score));
+        return {
+            score,
+            grade: qualityGrade(score),
+            components: Object.fromEntries(Object.keys(QUALITY_WEIGHTS).map(k => [k, Math.round(weighted(p => p.components[k]) * 10) / 10])),
+            datasets: profiles.map(p => ({
+                id: p.id,
+                name: p.name,
+                rows: p.rows,
+                score: p.score,
+                grade: p.grade,
+                components: p.components,
+                duplicateRows: p.duplicateRows,
+                columns: p.columns.map(c => ({ name: c.name, type: c.type, nullRate: c.nullRate, distinct: c.distinct, unparseable: c.unparseable, warnings: c.warnings }))
+            }))
+        };
     }
 
     function getOrgSummary() {
         const ids = Object.keys(datasetCollection);
         if (ids.length === 0) return null;
 
-        const totalRows = ids.reduce((acc, id) => acc + datasetCollection[id].data.length, 0);
+        const totalRows = ids.reduce((acc, id) => acc + datasetCollection[id].store.length, 0);
         const avgRows = totalRows / ids.length;
-        const memoryMB = (JSON.stringify(datasetCollection).length / (1024 * 1024)).toFixed(1);
+        const memoryMB = getMemoryFootprint();
 
         const headerFreq = {};
         ids.forEach(id => datasetCollection[id].headers.forEach(h => headerFreq[h] = (headerFreq[h] || 0) + 1));
@@ -187,9 +2790,10 @@ const DataEngine = (() => {
 
         const topHeader = Object.entries(headerFreq).sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
 
-        const integrity = Math.min(100, (sharedCount / (totalUniqueHeaders || 1)) * 100 + 50);
-        const fidelity = ids.length > 1 ? 95 : 70;
-        const alpha = Math.min(100, (totalRows / 1000) + 60);
+        // Every signal is a measurement: schema overlap plus the profiled quality components and score
+        const quality = getQualitySummary('union');
+        const overlap = (sharedCount / (totalUniqueHeaders || 1)) * 100;
+        const { completeness, validity, uniqueness, consistency } = quality.components;
 
         return {
             datasetCount: ids.length,
@@ -197,13 +2801,37 @@ const DataEngine = (() => {
             avgRows,
             memoryMB,
             topHeader,
-            integrityStatus: integrity > 80 ? 'OPTIMAL' : 'STABLE',
-            signals: [integrity, fidelity, 85, Math.min(100, totalRows / 5000 * 100), 90, alpha],
+            quality,
+            integrityStatus: quality.score >= 90 ? 'OPTIMAL' : (quality.score >= 65 ? 'STABLE' : 'DEGRADED'),
+            signals: [overlap, completeness, validity, uniqueness, consistency, quality.score],
             lastSync: new Date().toISOString(),
             activationStatus: ids.length >= 2 ? 'MULTI_SOURCE_ACTIVE' : 'STAGING'
         };
     }
 
+    function getActiveDataset() {
+        if (activeDatasetId && datasetCollection[activeDatasetId]) return datasetCollection[activeDatasetId];
+        const ids = Object.keys(datasetCollection);
+        return ids.length === 0 ? null : datasetCollection[ids[ids.length - 1]];
+    }
+
+    function getActiveSchema() {
+        if (currentMode === 'union' && Object.keys(datasetCollection).length > 0) {
+            if (!unionView) unionView = buildUnionView();
+            return unionView.schema;
+        }
+        const ds = getActiveDataset();
+        if (!ds) return { numerical: [], categorical: [], temporal: [], columns: {} };
+        return ds.schema;
+    }
+
+    function getNumericFormat() {
+        // Union rows are already coerced to numbers, so the default format applies
+        if (currentMode === 'union') return NumericEngine.resolveFormat(null);
+        const ds = getActiveDataset();
+        return NumericEngine.resolveFormat(ds ? ds.numericFormat : null);
+    }
+
     function getCoordinateCandidates() {
         const ids = Object.keys(datasetCollection);
         if (ids.length === 0) return { x: "", y: "", z: "" };
@@ -212,7 +2840,11 @@ const DataEngine = (() => {
 
         const candidates = { x: "", y: "", z: "" };
 
+        // ID-like columns have one row per value and make a meaningless X axis
+        const dimensions = schema.categorical.filter(h => schema.columns?.[h]?.format !== 'id');
+
         if (schema.temporal.length > 0) candidates.x = schema.temporal[0];
+        else if (dimensions.length > 0) candidates.x = dimensions[0];
         else if (schema.categorical.length > 0) candidates.x = schema.categorical[0];
         else candidates.x = ds.headers[0];
 
@@ -221,7 +2853,7 @@ const DataEngine = (() => {
             let maxVar = -1;
             let bestY = numHeaders[0];
             numHeaders.forEach(h => {
-                const vals = ds.data.slice(0, 100).map(d => parseFloat(String(d[h]).replace(/[^0-9.-]/g, "")) || 0);
+                const vals = ColumnarStore.numericValues(ds.store, h, 100);
                 const mean = vals.reduce((a, b) => a + b, 0) / (vals.length || 1);
                 const variance = vals.reduce((a, b) => a + Math.pow(b - mean, 2), 0);
                 if (variance > maxVar) {
@@ -230,9 +2862,14 @@ const DataEngine = (() => {
                 }
             });
             candidates.y = bestY;
-            candidates.z = numHeaders.find(h => h !== bestY) || "";
         }
 
+        // Breakdown: the dimension other than X with the fewest (but at least two) distinct values
+        const segmentable = dimensions
+            .filter(h => h !== candidates.x && (schema.columns?.[h]?.distinct || 0) >= 2)
+            .sort((a, b) => schema.columns[a].distinct - schema.columns[b].distinct);
+        candidates.z = segmentable[0] || "";
+
         return candidates;
     }
 
@@ -241,17 +2878,69 @@ const DataEngine = (() => {
         reconcileCollection,
         prepareMasterData,
         getOrgSummary,
+        profileDataset,
+        getQualitySummary,
         getCoordinateCandidates,
+        getActiveSchema,
+        getNumericFormat,
+        getMemoryFootprint,
+        setColumnType,
+        setNumericFormat,
+        previewRecipe,
+        setCleaningRecipe,
+        previewCalculatedColumn,
+        setCalculatedColumn,
+        removeCalculatedColumn,
         loadHydratedCollection,
         getCollection: () => datasetCollection,
         getMasterData: () => masterData,
+        filterRows: (rows) => filterRows(rows),
+        setRowFilter,
+        getRowFilter: () => rowFilter,
+        getFilterSummary,
+        getFilterFields,
+        getIngressLimits,
+        setIngressLimits,
+        previewJoin,
+        joinDatasets,
+        parsePastedTable,
+        ingestPastedTable,
+        rollbackVersion,
+        diffVersions,
+        getQuarantine,
+        previewQuarantine,
+        retryQuarantine,
+        reingestQuarantine,
+        dismissQuarantine,
+        getUnionMapping,
+        suggestUnionMapping,
+        setUnionMapping,
+        getUnionSummary,
+        discardIngress: async (id) => {
+            // Drops every dataset produced by one ingress (workbook sheets are suffixed "_n")
+            const owned = Object.keys(datasetCollection).filter(k => k === id || k.startsWith(id + '_'));
+            unionView = null;
+            for (const k of owned) {
+                delete datasetCollection[k];
+                await PersistenceEngine.deleteDataset(k);
+            }
+            // ...and takes back the versions it added to existing datasets
+            const versioned = Object.values(datasetCollection).filter(ds => ds.version > 1 && ds.meta.ingressId === id);
+            for (const ds of versioned) await revertIngressVersion(ds);
+            return owned.concat(versioned.map(ds => ds.id));
+        },
         removeDataset: async (id) => {
             delete datasetCollection[id];
+            unionView = null;
             await PersistenceEngine.deleteDataset(id);
+            await PersistenceEngine.deleteVersions(id);
+            await dropPartialEntries(id);
         },
         clearAll: async () => {
             datasetCollection = {};
-            masterData = [];
+            masterData = unfilteredData = [];
+            unionMapping = unionView = rowFilter = null;
+            quarantine = {};
             await PersistenceEngine.clearAll();
         }
     };
@@ -0,0 +1,416 @@
+/**
+ * EXPRESSION ENGINE MODULE (v22.1)
+ * Responsibilities: Calculated column language, Tokenising & parsing, Static type checking against the schema,
+ * Sandboxed row evaluation.
+ * NOTE: Expressions are interpreted from their syntax tree; nothing is ever passed to eval or Function.
+ *
+ * Syntax: [Column Name] or BareColumn, 12.5, 'text' / "text", true, false, null,
+ *         + - * / %, & (text concatenation), = == != <> < <= > >=, and or not, function(args).
+ * Types:  number, text, date, boolean. Blank cells are null; arithmetic on null yields null.
+ */
+
+const ExpressionEngine = (() => {
+    const DAY_MS = 86400000;
+    const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+    const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+
+    // Schema types map onto expression types and back
+    const SCHEMA_TO_TYPE = { numerical: 'number', temporal: 'date', categorical: 'text' };
+    const TYPE_TO_SCHEMA = { number: 'numerical', date: 'temporal', text: 'categorical', boolean: 'categorical', null: 'categorical' };
+
+    const fail = (message, pos) => {
+        throw new Error(`Governance Failure: Expression ${message}${pos !== undefined ? ` (at character ${pos + 1})` : ''}`);
+    };
+
+    function tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const ch = source[i];
+            if (/\s/.test(ch)) { i++; continue; }
+            const start = i;
+            const rest = source.slice(i);
+            const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            if (number) {
+                tokens.push({ kind: 'num', value: parseFloat(number[0]), pos: start });
+                i += number[0].length;
+            } else if (ch === '"' || ch === "'") {
+                let text = '';
+                i++;
+                while (i < source.length && !(source[i] === ch && source[i + 1] !== ch)) {
+                    if (source[i] === ch) i++; // doubled quote escapes itself
+                    else if (source[i] === '\\' && i + 1 < source.length) i++;
+                    text += source[i++];
+                }
+                if (i >= source.length) fail('has an unterminated string', start);
+                i++;
+                tokens.push({ kind: 'str', value: text, pos: start });
+            } else if (ch === '[') {
+                const end = source.indexOf(']', i);
+                if (end === -1) fail('has an unterminated [column] reference', start);
+                tokens.push({ kind: 'col', value: source.slice(i + 1, end), pos: start });
+                i = end + 1;
+            } else if (/[A-Za-z_]/.test(ch)) {
+                const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+                tokens.push({ kind: 'word', value: word, pos: start });
+                i += word.length;
+            } else {
+                const op = ['==', '!=', '<>', '<=', '>=', '&&', '||'].find(o => rest.startsWith(o)) || ('+-*/%&=<>!(),'.includes(ch) ? ch : null);
+                if (!op) fail(`has an unexpected character "${ch}"`, start);
+                tokens.push({ kind: 'op', value: op, pos: start });
+                i += op.length;
+            }
+        }
+        tokens.push({ kind: 'end', pos: source.length });
+        return tokens;
+    }
+
+    /**
+     * Recursive-descent parser. Precedence, lowest first: or, and, not, comparison, &, + -, * / %, unary minus.
+     */
+    function parse(source) {
+        const tokens = tokenize(source);
+        let p = 0;
+        const peek = () => tokens[p];
+        const isOp = (...ops) => peek().kind === 'op' && ops.includes(peek().value);
+        const isWord = (w) => peek().kind === 'word' && peek().value.toLowerCase() === w;
+        const expect = (op) => {
+            if (!isOp(op)) fail(`expected "${op}"`, peek().pos);
+            return tokens[p++];
+        };
+
+        const binary = (next, match, normalise) => () => {
+            let left = next();
+            for (let op = match(); op; op = match()) {
+                const pos = tokens[p].pos;
+                p++;
+                left = { kind: 'binary', op: normalise ? normalise(op) : op, left, right: next(), pos };
+            }
+            return left;
+        };
+
+        const primary = () => {
+            const t = peek();
+            if (t.kind === 'num' || t.kind === 'str') { p++; return { kind: t.kind, value: t.value, pos: t.pos }; }
+            if (t.kind === 'col') { p++; return { kind: 'col', name: t.value, pos: t.pos }; }
+            if (t.kind === 'op' && t.value === '(') {
+                p++;
+                const inner = orExpr();
+                expect(')');
+                return inner;
+            }
+            if (t.kind === 'word') {
+                p++;
+                const lower = t.value.toLowerCase();
+                if (isOp('(')) {
+                    p++;
+                    const args = [];
+                    while (!isOp(')')) {
+                        args.push(orExpr());
+                        if (!isOp(',')) break;
+                        p++;
+                    }
+                    expect(')');
+                    return { kind: 'call', name: lower, args, pos: t.pos };
+                }
+                if (lower === 'true' || lower === 'false') return { kind: 'bool', value: lower === 'true', pos: t.pos };
+                if (lower === 'null') return { kind: 'null', pos: t.pos };
+                if (KEYWORDS.includes(lower)) fail(`has a misplaced "${t.value}"`, t.pos);
+                return { kind: 'col', name: t.value, pos: t.pos };
+            }
+            fail(t.kind === 'end' ? 'ends unexpectedly' : `has an unexpected "${t.value}"`, t.pos);
+        };
+        const unary = () => {
+            if (isOp('-')) {
+                const pos = tokens[p++].pos;
+                return { kind: 'unary', op: '-', arg: unary(), pos };
+            }
+            return primary();
+        };
+        const multiplicative = binary(unary, () => isOp('*', '/', '%') && peek().value);
+        const additive = binary(multiplicative, () => isOp('+', '-') && peek().value);
+        const concat = binary(additive, () => isOp('&') && '&');
+        const comparison = binary(concat, () => isOp('=', '==', '!=', '<>', '<', '<=', '>', '>=') && peek().value, (op) => ({ '=': '==', '<>': '!=' })[op] || op);
+        const notExpr = () => {
+            if (isWord('not') || isOp('!')) {
+                const pos = tokens[p++].pos;
+                return { kind: 'unary', op: 'not', arg: notExpr(), pos };
+            }
+            return comparison();
+        };
+        const andExpr = binary(notExpr, () => (isWord('and') || isOp('&&')) && 'and');
+        const orExpr = binary(andExpr, () => (isWord('or') || isOp('||')) && 'or');
+
+        if (peek().kind === 'end') fail('is empty');
+        const ast = orExpr();
+        if (peek().kind !== 'end') fail(`has an unexpected "${peek().value}"`, peek().pos);
+        return ast;
+    }
+
+    const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    // Two types are compatible when equal or when either side is the null literal
+    const unify = (a, b) => a === 'null' ? b : (b === 'null' || a === b ? a : null);
+
+    const toText = (v, type) => {
+        if (type === 'date') return ColumnarStore.formatEpoch(v);
+        if (type === 'boolean') return v ? 'true' : 'false';
+        return String(v);
+    };
+
+    const isoWeek = (ms) => {
+        const d = new Date(ms);
+        const day = (d.getUTCDay() + 6) % 7;
+        d.setUTCDate(d.getUTCDate() - day + 3);
+        const firstThursday = new Date(Date.UTC(d.getUTCFullYear(), 0, 4));
+        return 1 + Math.round(((d - firstThursday) / DAY_MS - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+    };
+
+    /**
+     * FUNCTION LIBRARY
+     * params: argument types ('any' accepts every type), optional: trailing optional count, variadic: last param repeats.
+     * returns: result type, or a function of the argument types. nullSafe functions receive null arguments;
+     * every other function returns null as soon as an argument is null.
+     */
+    const FUNCTIONS = {
+        abs: { params: ['number'], returns: 'number', impl: (x) => Math.abs(x), doc: 'abs(x)' },
+        round: { params: ['number', 'number'], optional: 1, returns: 'number', impl: (x, d = 0) => { const f = Math.pow(10, d); return Math.round(x * f) / f; }, doc: 'round(x, digits)' },
+        floor: { params: ['number'], returns: 'number', impl: Math.floor, doc: 'floor(x)' },
+        ceil: { params: ['number'], returns: 'number', impl: Math.ceil, doc: 'ceil(x)' },
+        sqrt: { params: ['number'], returns: 'number', impl: (x) => x < 0 ? null : Math.sqrt(x), doc: 'sqrt(x)' },
+        power: { params: ['number', 'number'], returns: 'number', impl: Math.pow, doc: 'power(x, y)' },
+        ln: { params: ['number'], returns: 'number', impl: (x) => x > 0 ? Math.log(x) : null, doc: 'ln(x)' },
+        log: { params: ['number', 'number'], optional: 1, returns: 'number', impl: (x, base = 10) => x > 0 ? Math.log(x) / Math.log(base) : null, doc: 'log(x, base)' },
+        exp: { params: ['number'], returns: 'number', impl: Math.exp, doc: 'exp(x)' },
+        min: { params: ['number', 'number'], variadic: true, returns: 'number', impl: (...a) => Math.min(...a), doc: 'min(a, b, ...)' },
+        max: { params: ['number', 'number'], variadic: true, returns: 'number', impl: (...a) => Math.max(...a), doc: 'max(a, b, ...)' },
+
+        if: { params: ['boolean', 'any', 'any'], nullSafe: true, returns: (t, node) => unify(t[1], t[2]) || fail('if() branches must return the same type', node.pos), impl: (c, a, b) => c ? a : b, doc: 'if(condition, then, else)' },
+        coalesce: {
+            params: ['any', 'any'], variadic: true, nullSafe: true,
+            returns: (t, node) => t.reduce((acc, x) => acc && unify(acc, x), 'null') || fail('coalesce() arguments must share one type', node.pos),
+            impl: (...a) => a.find(v => v !== null) ?? null, doc: 'coalesce(a, b, ...)'
+        },
+        isblank: { params: ['any'], nullSafe: true, returns: 'boolean', impl: (v) => v === null || v === '', doc: 'isblank(x)' },
+        in: { params: ['any', 'any'], variadic: true, returns: 'boolean', impl: (v, ...list) => list.includes(v), doc: 'in(x, a, b, ...)' },
+
+        upper: { params: ['text'], returns: 'text', impl: (s) => s.toUpperCase(), doc: 'upper(s)' },
+        lower: { params: ['text'], returns: 'text', impl: (s) => s.toLowerCase(), doc: 'lower(s)' },
+        trim: { params: ['text'], returns: 'text', impl: (s) => s.trim(), doc: 'trim(s)' },
+        len: { params: ['text'], returns: 'number', impl: (s) => s.length, doc: 'len(s)' },
+        left: { params: ['text', 'number'], returns: 'text', impl: (s, n) => s.slice(0, Math.max(0, n)), doc: 'left(s, n)' },
+        right: { params: ['text', 'number'], returns: 'text', impl: (s, n) => n > 0 ? s.slice(-n) : '', doc: 'right(s, n)' },
+        mid: { params: ['text', 'number', 'number'], optional: 1, returns: 'text', impl: (s, start, n) => s.substr(Math.max(0, start - 1), n === undefined ? s.length : n), doc: 'mid(s, start, length)' },
+        concat: { params: ['any', 'any'], variadic: true, nullSafe: true, returns: 'text', impl: (...a) => a.map(v => v === null ? '' : v).join(''), textArgs: true, doc: 'concat(a, b, ...)' },
+        contains: { params: ['text', 'text'], returns: 'boolean', impl: (s, sub) => s.toLowerCase().includes(sub.toLowerCase()), doc: 'contains(s, part)' },
+        startswith: { params: ['text', 'text'], returns: 'boolean', impl: (s, p) => s.toLowerCase().startsWith(p.toLowerCase()), doc: 'startswith(s, prefix)' },
+        endswith: { params: ['text', 'text'], returns: 'boolean', impl: (s, p) => s.toLowerCase().endsWith(p.toLowerCase()), doc: 'endswith(s, suffix)' },
+        replace: { params: ['text', 'text', 'text'], returns: 'text', impl: (s, a, b) => a === '' ? s : s.split(a).join(b), doc: 'replace(s, find, with)' },
+        text: { params: ['any'], returns: 'text', impl: (v) => v, textArgs: true, doc: 'text(x)' },
+        number: { params: ['text'], returns: 'number', impl: (s, ctx) => { const n = NumericEngine.parseNumber(s, ctx.numericFormat); return typeof n === 'number' && !Number.isNaN(n) ? n : null; }, withContext: true, doc: 'number(s)' },
+
+        date: { params: ['text'], returns: 'date', impl: (s) => { const ms = ColumnarStore.parseDateText(s); return Number.isNaN(ms) ? null : ms; }, doc: "date('2024-01-31')" },
+        year: { params: ['date'], returns: 'number', impl: (d) => new Date(d).getUTCFullYear(), doc: 'year(d)' },
+        quarter: { params: ['date'], returns: 'number', impl: (d) => Math.floor(new Date(d).getUTCMonth() / 3) + 1, doc: 'quarter(d)' },
+        month: { params: ['date'], returns: 'number', impl: (d) => new Date(d).getUTCMonth() + 1, doc: 'month(d)' },
+        monthname: { params: ['date'], returns: 'text', impl: (d) => MONTH_NAMES[new Date(d).getUTCMonth()], doc: 'monthname(d)' },
+        week: { params: ['date'], returns: 'number', impl: isoWeek, doc: 'week(d) (ISO)' },
+        day: { params: ['date'], returns: 'number', impl: (d) => new Date(d).getUTCDate(), doc: 'day(d)' },
+        weekday: { params: ['date'], returns: 'number', impl: (d) => ((new Date(d).getUTCDay() + 6) % 7) + 1, doc: 'weekday(d) (1 = Monday)' },
+        weekdayname: { params: ['date'], returns: 'text', impl: (d) => WEEKDAY_NAMES[(new Date(d).getUTCDay() + 6) % 7], doc: 'weekdayname(d)' },
+        hour: { params: ['date'], returns: 'number', impl: (d) => new Date(d).getUTCHours(), doc: 'hour(d)' },
+        datediff: { params: ['date', 'date'], returns: 'number', impl: (a, b) => (b - a) / DAY_MS, doc: 'datediff(from, to) (days)' },
+
+        // First value of [Result] on the row whose [Key] equals the value; the column arguments are references, not values
+        lookup: { params: ['any', 'column', 'column'], returns: (t, node) => t[2], columnArgs: [1, 2], impl: null, doc: 'lookup(value, [Key], [Result])' }
+    };
+
+    /**
+     * Type checks the tree against column types ({ header: 'number' | 'text' | 'date' }) and annotates every node
+     * with its type. Returns the expression's result type.
+     */
+    function check(node, columns) {
+        const typed = (t) => (node.type = t);
+        switch (node.kind) {
+            case 'num': return typed('number');
+            case 'str': return typed('text');
+            case 'bool': return typed('boolean');
+            case 'null': return typed('null');
+            case 'col':
+                if (!has(columns, node.name)) fail(`references unknown column [${node.name}]`, node.pos);
+                return typed(columns[node.name]);
+            case 'unary': {
+                const t = check(node.arg, columns);
+                if (node.op === '-' && unify(t, 'number') !== 'number') fail(`cannot negate a ${t} value`, node.pos);
+                if (node.op === 'not' && unify(t, 'boolean') !== 'boolean') fail(`"not" needs a true/false value, got ${t}`, node.pos);
+                return typed(node.op === '-' ? 'number' : 'boolean');
+            }
+            case 'binary': {
+                const l = check(node.left, columns);
+                const r = check(node.right, columns);
+                const { op } = node;
+                if (op === '&') return typed('text');
+                if (op === 'and' || op === 'or') {
+                    if (unify(l, 'boolean') !== 'boolean' || unify(r, 'boolean') !== 'boolean') fail(`"${op}" needs true/false values, got ${l} and ${r}`, node.pos);
+                    return typed('boolean');
+                }
+                if (['==', '!=', '<', '<=', '>', '>='].includes(op)) {
+                    const t = unify(l, r);
+                    if (!t) fail(`cannot compare ${l} with ${r}`, node.pos);
+                    if (t === 'boolean' && !['==', '!='].includes(op)) fail(`cannot order true/false values with "${op}"`, node.pos);
+                    return typed('boolean');
+                }
+                // Date arithmetic: date ± days, date − date in days
+                if (l === 'date' && r === 'date' && op === '-') return typed('number');
+                if (l === 'date' && unify(r, 'number') === 'number' && (op === '+' || op === '-')) return typed('date');
+                if (unify(l, 'number') !== 'number' || unify(r, 'number') !== 'number') fail(`"${op}" needs numbers, got ${l} and ${r}`, node.pos);
+                return typed('number');
+            }
+            case 'call': {
+                const fn = has(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+                if (!fn) fail(`uses unknown function ${node.name}()`, node.pos);
+                const required = fn.params.length - (fn.optional || 0);
+                if (node.args.length < required || (!fn.variadic && node.args.length > fn.params.length)) {
+                    fail(`${node.name}() takes ${fn.optional ? `${required}–${fn.params.length}` : `${required}${fn.variadic ? '+' : ''}`} arguments`, node.pos);
+                }
+                const types = node.args.map((arg, i) => {
+                    const expected = fn.params[Math.min(i, fn.params.length - 1)];
+                    if (expected === 'column') {
+                        if (arg.kind !== 'col') fail(`${node.name}() argument ${i + 1} must be a [column] reference`, arg.pos);
+                        return check(arg, columns);
+                    }
+                    const t = check(arg, columns);
+                    if (expected !== 'any' && unify(t, expected) !== expected) fail(`${node.name}() argument ${i + 1} must be ${expected}, got ${t}`, arg.pos);
+                    return t;
+                });
+                if (node.name === 'lookup' && !unify(types[0], types[1])) fail(`lookup() value is ${types[0]} but key column is ${types[1]}`, node.pos);
+                return typed(typeof fn.returns === 'function' ? fn.returns(types, node) : fn.returns);
+            }
+        }
+        fail('is malformed');
+    }
+
+    const referencedColumns = (node, out = new Set()) => {
+        if (node.kind === 'col') out.add(node.name);
+        (node.args || []).forEach(a => referencedColumns(a, out));
+        ['arg', 'left', 'right'].forEach(k => node[k] && referencedColumns(node[k], out));
+        return out;
+    };
+
+    /**
+     * Parses and type checks. Returns { source, ast, type, schemaType, refs } or throws a Governance Failure.
+     */
+    function compile(source, columns) {
+        const ast = parse(String(source || ''));
+        const type = check(ast, columns);
+        if (type === 'null') fail('always evaluates to null');
+        return { source, ast, type, schemaType: TYPE_TO_SCHEMA[type], refs: [...referencedColumns(ast)] };
+    }
+
+    // Typed row cell -> expression value (numbers, epoch ms for dates, text; blanks and invalid cells are null)
+    function readCell(value, type) {
+        if (value === '' || value === null || value === undefined) return null;
+        if (type === 'number') return typeof value === 'number' ? value : null;
+        if (type === 'date') {
+            const ms = ColumnarStore.parseDateText(value);
+            return Number.isNaN(ms) ? null : ms;
+        }
+        return String(value);
+    }
+
+    function evaluateNode(node, row, ctx) {
+        switch (node.kind) {
+            case 'num': case 'str': case 'bool': return node.value;
+            case 'null': return null;
+            case 'col': return readCell(row[node.name], node.type);
+            case 'unary': {
+                const v = evaluateNode(node.arg, row, ctx);
+                if (node.op === 'not') return !v;
+                return v === null ? null : -v;
+            }
+            case 'binary': {
+                const { op } = node;
+                if (op === 'and') return !!evaluateNode(node.left, row, ctx) && !!evaluateNode(node.right, row, ctx);
+                if (op === 'or') return !!evaluateNode(node.left, row, ctx) || !!evaluateNode(node.right, row, ctx);
+                const l = evaluateNode(node.left, row, ctx);
+                const r = evaluateNode(node.right, row, ctx);
+                if (op === '&') return (l === null ? '' : toText(l, node.left.type)) + (r === null ? '' : toText(r, node.right.type));
+                if (l === null || r === null) return op === '==' ? l === r : (op === '!=' ? l !== r : null);
+                switch (op) {
+                    case '==': return l === r;
+                    case '!=': return l !== r;
+                    case '<': return l < r;
+                    case '<=': return l <= r;
+                    case '>': return l > r;
+                    case '>=': return l >= r;
+                    case '+': return node.left.type === 'date' ? l + r * DAY_MS : l + r;
+                    case '-': return node.left.type === 'date' ? (node.right.type === 'date' ? (l - r) / DAY_MS : l - r * DAY_MS) : l - r;
+                    case '*': return l * r;
+                    case '/': return r === 0 ? null : l / r;
+                    case '%': return r === 0 ? null : l % r;
+                }
+                return null;
+            }
+            case 'call': {
+                const fn = FUNCTIONS[node.name];
+                if (node.name === 'lookup') {
+                    const value = evaluateNode(node.args[0], row, ctx);
+                    if (value === null) return null;
+                    const index = ctx.lookupIndex(node.args[1], node.args[2]);
+                    return index.has(value) ? index.get(value) : null;
+                }
+                // if() evaluates only the branch it takes
+                if (node.name === 'if') return evaluateNode(node.args[evaluateNode(node.args[0], row, ctx) ? 1 : 2], row, ctx);
+                const args = node.args.map(a => {
+                    const v = evaluateNode(a, row, ctx);
+                    return fn.textArgs && v !== null ? toText(v, a.type) : v;
+                });
+                if (!fn.nullSafe && args.some(v => v === null)) return null;
+                const out = fn.withContext ? fn.impl(...args, ctx) : fn.impl(...args);
+                return typeof out === 'number' && !Number.isFinite(out) ? null : out;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Evaluates a compiled expression over typed rows. Results are cell values ready for the columnar store:
+     * numbers, ISO date text, text, "true"/"false", and "" for null.
+     */
+    function evaluate(compiled, rows, options = {}) {
+        const lookups = new Map();
+        const ctx = {
+            numericFormat: NumericEngine.resolveFormat(options.numericFormat),
+            lookupIndex: (keyNode, resultNode) => {
+                const id = `${keyNode.name}␟${resultNode.name}`;
+                if (!lookups.has(id)) {
+                    const index = new Map();
+                    rows.forEach(r => {
+                        const k = readCell(r[keyNode.name], keyNode.type);
+                        if (k !== null && !index.has(k)) index.set(k, readCell(r[resultNode.name], resultNode.type));
+                    });
+                    lookups.set(id, index);
+                }
+                return lookups.get(id);
+            }
+        };
+        return rows.map(row => {
+            let v;
+            try {
+                v = evaluateNode(compiled.ast, row, ctx);
+            } catch (e) {
+                v = null;
+            }
+            if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) return '';
+            return compiled.type === 'number' ? v : toText(v, compiled.type);
+        });
+    }
+
+    return {
+        SCHEMA_TO_TYPE,
+        compile,
+        evaluate,
+        listFunctions: () => Object.values(FUNCTIONS).map(fn => fn.doc)
+    };
+})();
@@ -0,0 +1,146 @@
+/**
+ * NUMERIC ENGINE MODULE (v22.1)
+ * Responsibilities: Locale-aware numeric parsing, Per-dataset number format detection, Parse integrity accounting.
+ * NOTE: parseNumber is self-contained so it can be serialised into Worker blobs.
+ */
+
+const NumericEngine = (() => {
+
+    const DEFAULT_FORMAT = {
+        decimal: '.',
+        thousands: ',',
+        currencySymbols: ['$', '€', '£', '¥', '₹', 'USD', 'EUR', 'GBP', 'INR', 'CHF'],
+        parenthesesNegative: true,
+        percentScale: true,
+        scientific: true,
+        nullTokens: ['', 'null', 'n/a', 'na', 'nan', 'none', '-', '--', '#n/a']
+    };
+
+    /**
+     * Returns a finite number, null for blanks / null tokens, or NaN for unparseable text.
+     * "1.234,56" (decimal ','), "(500)" -> -500, "12%" -> 0.12, "1e6" -> 1000000.
+     */
+    function parseNumber(value, format) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'boolean') return NaN;
+
+        const fmt = format || {};
+        const decimal = fmt.decimal || '.';
+        const thousands = fmt.thousands !== undefined ? fmt.thousands : (decimal === ',' ? '.' : ',');
+        const nullTokens = fmt.nullTokens || ['', 'null', 'n/a', 'na', 'nan', 'none', '-', '--', '#n/a'];
+        const symbols = fmt.currencySymbols || ['$', '€', '£', '¥', '₹', 'USD', 'EUR', 'GBP', 'INR', 'CHF'];
+
+        let text = String(value).trim();
+        if (nullTokens.includes(text.toLowerCase())) return null;
+
+        let sign = 1;
+        if (fmt.parenthesesNegative !== false && /^\(.*\)$/.test(text)) {
+            sign = -1;
+            text = text.slice(1, -1).trim();
+        }
+
+        let scale = 1;
+        if (/%$/.test(text)) {
+            if (fmt.percentScale !== false) scale = 0.01;
+            text = text.slice(0, -1).trim();
+        }
+
+        symbols.forEach(sym => { text = text.split(sym).join(''); });
+        text = text.replace(/[\s\u00A0\u202F']/g, '').trim();
+
+        if (/^[-+]/.test(text)) {
+            if (text[0] === '-') sign = -sign;
+            text = text.slice(1);
+        } else if (/-$/.test(text)) {
+            // Trailing minus used by some ERP exports ("500-")
+            sign = -sign;
+            text = text.slice(0, -1);
+        }
+
+        if (fmt.scientific !== false && /^\d+(\.\d+)?e[-+]?\d+$/i.test(text)) {
+            return sign * scale * parseFloat(text);
+        }
+
+        if (thousands) {
+            const groups = text.split(thousands);
+            if (groups.length > 1) {
+                const head = groups[0];
+                const valid = /^\d{1,3}$/.test(head) && groups.slice(1).every((g, i, arr) => i === arr.length - 1 ? new RegExp(`^\\d{3}(\\${decimal}\\d+)?$`).test(g) : /^\d{3}$/.test(g));
+                if (!valid) return NaN;
+                text = groups.join('');
+            }
+        }
+        if (decimal !== '.') {
+            if (text.includes('.')) return NaN;
+            text = text.replace(decimal, '.');
+        }
+        if (!/^(\d+(\.\d*)?|\.\d+)$/.test(text)) return NaN;
+
+        return sign * scale * parseFloat(text);
+    }
+
+    /**
+     * Votes on the decimal separator from raw samples: the separator that appears last,
+     * or a comma followed by 1-2 digits, indicates a comma decimal ("1.234,56", "12,5").
+     */
+    function detectFormat(samples) {
+        let commaVotes = 0;
+        let dotVotes = 0;
+        samples.forEach(raw => {
+            if (typeof raw !== 'string') return;
+            const v = raw.trim();
+            const lastComma = v.lastIndexOf(',');
+            const lastDot = v.lastIndexOf('.');
+            if (lastComma > -1 && lastDot > -1) {
+                if (lastComma > lastDot) commaVotes++;
+                else dotVotes++;
+            } else if (lastComma > -1) {
+                if (/,\d{1,2}\D*$/.test(v) || /,\d{4,}\D*$/.test(v)) commaVotes++;
+            } else if (lastDot > -1) {
+                if (/\.\d{3}\.\d{3}/.test(v)) commaVotes++;
+                else if (!/^\D*\d{1,3}\.\d{3}\D*$/.test(v)) dotVotes++;
+            }
+        });
+        const decimal = commaVotes > dotVotes ? ',' : '.';
+        return { ...DEFAULT_FORMAT, decimal, thousands: decimal === ',' ? '.' : ',' };
+    }
+
+    function resolveFormat(format) {
+        const merged = { ...DEFAULT_FORMAT, ...(format || {}) };
+        if (!format || format.thousands === undefined) merged.thousands = merged.decimal === ',' ? '.' : ',';
+        return merged;
+    }
+
+    /**
+     * Parses a column and accounts for what was not a number, instead of coercing it to 0.
+     */
+    function parseColumn(values, format) {
+        const fmt = resolveFormat(format);
+        const numbers = [];
+        const invalidSamples = [];
+        let nulls = 0;
+        let invalid = 0;
+        values.forEach(v => {
+            const n = parseNumber(v, fmt);
+            if (n === null) nulls++;
+            else if (Number.isNaN(n)) {
+                invalid++;
+                if (invalidSamples.length < 5) invalidSamples.push(String(v));
+            } else numbers.push(n);
+        });
+        return { numbers, nulls, invalid, invalidSamples };
+    }
+
+    return {
+        DEFAULT_FORMAT,
+        parseNumber,
+        detectFormat,
+        resolveFormat,
+        parseColumn,
+        createParser: (format) => {
+            const fmt = resolveFormat(format);
+            return (v) => parseNumber(v, fmt);
+        }
+    };
+})();
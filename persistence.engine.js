@@ -1,16 +1,19 @@
 /**
  * PERSISTENCE ENGINE MODULE (v21.0)
- * Responsibilities: IndexedDB lifecycle, Dataset persistence, Audit history storage, Retrieval.
+ * Responsibilities: IndexedDB lifecycle, Dataset persistence, Dataset version archive, Ingress quarantine,
+ * Audit history storage, Ingress config memory, Retrieval.
  * TECHNOLOGY: Browser-Native IndexedDB (No External Dependencies).
  */
 
 const PersistenceEngine = (() => {
     const DB_NAME = 'BI_AGENTIC';
-    const DB_VERSION = 2;
+    const DB_VERSION = 4;
     const STORES = {
         DATASETS: 'datasets',
         AUDITS: 'audits',
-        CONFIG: 'config'
+        CONFIG: 'config',
+        VERSIONS: 'versions',
+        QUARANTINE: 'quarantine'
     };
 
     let db = null;
@@ -30,6 +33,12 @@ const PersistenceEngine = (() => {
                 if (!db.objectStoreNames.contains(STORES.CONFIG)) {
                     db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
                 }
+                if (!db.objectStoreNames.contains(STORES.VERSIONS)) {
+                    db.createObjectStore(STORES.VERSIONS, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(STORES.QUARANTINE)) {
+                    db.createObjectStore(STORES.QUARANTINE, { keyPath: 'id' });
+                }
             };
 
             request.onsuccess = (e) => {
@@ -75,6 +84,75 @@ const PersistenceEngine = (() => {
         });
     }
 
+    /**
+     * VERSION ARCHIVE: superseded dataset snapshots, keyed "<datasetId>@<version>".
+     */
+    const versionKey = (datasetId, version) => `${datasetId}@${version}`;
+
+    async function saveVersion(snapshot) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.VERSIONS, 'readwrite');
+            const request = tx.objectStore(STORES.VERSIONS).put({ ...snapshot, key: versionKey(snapshot.id, snapshot.version) });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getVersion(datasetId, version) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.VERSIONS, 'readonly');
+            const request = tx.objectStore(STORES.VERSIONS).get(versionKey(datasetId, version));
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function deleteVersions(datasetId) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.VERSIONS, 'readwrite');
+            // Every key of this dataset sorts between "<id>@" and "<id>@\uffff"
+            const request = tx.objectStore(STORES.VERSIONS).delete(IDBKeyRange.bound(`${datasetId}@`, `${datasetId}@\uffff`));
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * QUARANTINE: rejected or partially failed ingress, kept with its source file for later fixes.
+     */
+    async function saveQuarantine(entry) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.QUARANTINE, 'readwrite');
+            const request = tx.objectStore(STORES.QUARANTINE).put(entry);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getQuarantine() {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.QUARANTINE, 'readonly');
+            const request = tx.objectStore(STORES.QUARANTINE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function deleteQuarantine(id) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.QUARANTINE, 'readwrite');
+            const request = tx.objectStore(STORES.QUARANTINE).delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function saveAudit(audit) {
         if (!db) await init();
         return new Promise((resolve, reject) => {
@@ -103,6 +181,28 @@ const PersistenceEngine = (() => {
         });
     }
 
+    async function saveConfig(key, value) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.CONFIG, 'readwrite');
+            const store = tx.objectStore(STORES.CONFIG);
+            const request = store.put({ key, value, updated: new Date().toISOString() });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getConfig(key) {
+        if (!db) await init();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.CONFIG, 'readonly');
+            const store = tx.objectStore(STORES.CONFIG);
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function clearAll() {
         if (!db) await init();
         return new Promise((resolve, reject) => {
@@ -118,8 +218,16 @@ const PersistenceEngine = (() => {
         saveDataset,
         getAllDatasets,
         deleteDataset,
+        saveVersion,
+        getVersion,
+        deleteVersions,
+        saveQuarantine,
+        getQuarantine,
+        deleteQuarantine,
         saveAudit,
         getAuditHistory,
+        saveConfig,
+        getConfig,
         clearAll
     };
 })();
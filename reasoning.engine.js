@@ -10,14 +10,19 @@ const ReasoningEngine = (() => {
     let lastAnalysisHash = null;
     let workerInitializationFailed = false;
 
+    // Hashed cell by cell: serialising millions of rows into one string would exhaust the heap
     const generateHash = (data) => {
-        const str = JSON.stringify(data);
         let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash |= 0;
-        }
+        const mix = (str) => {
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) - hash) + str.charCodeAt(i);
+                hash |= 0;
+            }
+        };
+        data.forEach(row => {
+            for (const k in row) mix(String(row[k]));
+            mix('\n');
+        });
         return hash.toString(36);
     };
 
@@ -30,16 +35,28 @@ const ReasoningEngine = (() => {
         return cleaned.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
     };
 
-    const parseVal = (v) => {
-        if (typeof v === 'number') return v;
-        return parseFloat(String(v || "").replace(/[^0-9.-]/g, "")) || 0;
-    };
+    // Shared locale-aware parser (numeric.engine.js); serialised into the worker below
+    const parseNumber = NumericEngine.parseNumber;
+
+    const createValueParser = (numericFormat) => (v) => parseNumber(v, numericFormat);
 
     /**
      * DIRECTIVE 1: FULL DATA MODEL STATISTICAL ANALYSIS
+     * Blanks/null tokens and unparseable values are counted and excluded, never coerced to 0.
      */
-    const computeFullStats = (data, field) => {
-        const nums = data.map(d => parseVal(d[field])).filter(n => !isNaN(n));
+    const computeFullStats = (data, field, parseVal) => {
+        const nums = [];
+        const invalidSamples = [];
+        let nulls = 0;
+        let invalid = 0;
+        data.forEach(d => {
+            const n = parseVal(d[field]);
+            if (n === null) nulls++;
+            else if (Number.isNaN(n)) {
+                invalid++;
+                if (invalidSamples.length < 3) invalidSamples.push(String(d[field]));
+            } else nums.push(n);
+        });
         const count = nums.length;
         if (count === 0) return null;
 
@@ -64,75 +81,1160 @@ const ReasoningEngine = (() => {
             peak: max,
             lowPoint: min,
             sum,
-            count
+            count,
+            nulls,
+            invalid,
+            invalidSamples
+        };
+    };
+
+    /**
+     * SIGNIFICANCE: two-sided p-values for t, upper-tail p-values for F and chi-square, and two-sided normal p-values.
+     * The regularised incomplete beta uses Lentz's continued fraction; erfc uses the Chebyshev fit (|error| < 1.2e-7).
+     */
+    const logGamma = (x) => {
+        const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        let y = x;
+        let ser = 1.000000000190015;
+        for (let j = 0; j < 6; j++) ser += c[j] / ++y;
+        return (x + 0.5) * Math.log(x + 5.5) - (x + 5.5) + Math.log(2.5066282746310005 * ser / x);
+    };
+
+    const betaContinuedFraction = (a, b, x) => {
+        const tiny = 1e-300;
+        const clamp = (v) => Math.abs(v) < tiny ? tiny : v;
+        let c = 1;
+        let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+        let h = d;
+        for (let m = 1; m <= 300; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a - 1 + m2) * (a + m2));
+            d = 1 / clamp(1 + aa * d);
+            c = clamp(1 + aa / c);
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2));
+            d = 1 / clamp(1 + aa * d);
+            c = clamp(1 + aa / c);
+            h *= d * c;
+            if (Math.abs(d * c - 1) < 3e-14) break;
+        }
+        return h;
+    };
+
+    const incompleteBeta = (x, a, b) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        return x < (a + 1) / (a + b + 2) ? front * betaContinuedFraction(a, b, x) / a : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+    };
+
+    const tTestPValue = (t, df) => {
+        if (!(df > 0) || Number.isNaN(t)) return 1;
+        if (!Number.isFinite(t)) return 0;
+        return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    };
+
+    const fTestPValue = (f, df1, df2) => {
+        if (!(df1 > 0 && df2 > 0) || Number.isNaN(f)) return 1;
+        if (!Number.isFinite(f)) return 0;
+        return f <= 0 ? 1 : incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+    };
+
+    // Upper regularised incomplete gamma Q(a, x): series below a + 1, continued fraction above
+    const incompleteGammaUpper = (a, x) => {
+        if (x <= 0) return 1;
+        const lnFront = -x + a * Math.log(x) - logGamma(a);
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 3e-14) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(lnFront));
+        }
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+            if (Math.abs(d * c - 1) < 3e-14) break;
+        }
+        return Math.exp(lnFront) * h;
+    };
+
+    const chiSquarePValue = (chi2, df) => df > 0 && Number.isFinite(chi2) ? incompleteGammaUpper(df / 2, chi2 / 2) : (df > 0 ? 0 : 1);
+
+    const formatPValue = (p) => p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`;
+
+    const normalPValue = (z) => {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.5 * x);
+        return t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    };
+
+    /**
+     * AGGREGATION of the Y cells in one group: { fn, percentile, weightBy }.
+     * count and distinct take any non-blank cell; the others only parseable numbers
+     * (weighted: rows where both Y and the weight column parse).
+     */
+    const createGroup = () => ({ nums: [], weights: [], cells: 0, distinct: new Set() });
+
+    const addToGroup = (group, d, y, parseVal, aggregation) => {
+        const raw = d[y];
+        if (raw === '' || raw === null || raw === undefined) return;
+        group.cells++;
+        if (aggregation.fn === 'distinct') {
+            group.distinct.add(String(raw));
+            return;
+        }
+        const v = parseVal(raw);
+        if (!Number.isFinite(v)) return;
+        if (aggregation.fn === 'weighted') {
+            const w = parseVal(d[aggregation.weightBy]);
+            if (!Number.isFinite(w)) return;
+            group.weights.push(w);
+        }
+        group.nums.push(v);
+    };
+
+    // null when the group holds nothing the aggregation can use
+    const reduceGroup = (group, aggregation) => {
+        const { fn } = aggregation;
+        const nums = group.nums;
+        if (fn === 'count') return group.cells;
+        if (fn === 'distinct') return group.distinct.size;
+        if (nums.length === 0) return null;
+        if (fn === 'min') return nums.reduce((a, b) => Math.min(a, b), Infinity);
+        if (fn === 'max') return nums.reduce((a, b) => Math.max(a, b), -Infinity);
+        const sum = nums.reduce((a, b) => a + b, 0);
+        if (fn === 'mean') return sum / nums.length;
+        if (fn === 'weighted') {
+            const totalWeight = group.weights.reduce((a, b) => a + b, 0);
+            return totalWeight === 0 ? null : nums.reduce((a, v, i) => a + v * group.weights[i], 0) / totalWeight;
+        }
+        if (fn === 'median' || fn === 'percentile') {
+            // Linear interpolation between the closest ranks
+            const sorted = [...nums].sort((a, b) => a - b);
+            const pos = (sorted.length - 1) * (fn === 'median' ? 50 : aggregation.percentile) / 100;
+            const lo = Math.floor(pos);
+            const hi = Math.ceil(pos);
+            return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+        }
+        return sum;
+    };
+
+    // "Sum of Revenue", "P90 of Latency", "Weighted mean of Price by Units"; additive aggregations can be shared out
+    const describeAggregation = (aggregation, yLabel, weightLabel) => {
+        const fn = aggregation.fn;
+        const names = { sum: 'Sum', count: 'Count', distinct: 'Distinct count', mean: 'Mean', median: 'Median', min: 'Min', max: 'Max' };
+        const label = fn === 'percentile' ? `P${aggregation.percentile} of ${yLabel}`
+            : (fn === 'weighted' ? `Weighted mean of ${yLabel} by ${weightLabel}` : `${names[fn] || 'Sum'} of ${yLabel}`);
+        return { fn, label, additive: fn === 'sum' || fn === 'count' };
+    };
+
+    // Typed rows carry numbers, so 0 is a valid category rather than a blank; null skips the row
+    const categoryKey = (value) => {
+        const k = value === '' || value === null || value === undefined ? 'N/A' : String(value).trim();
+        return !k || k.toLowerCase() === 'null' ? null : k;
+    };
+
+    const getCategoricalStats = (data, x, y, parseVal, aggregation) => {
+        const groups = new Map();
+        data.forEach(d => {
+            const k = categoryKey(d[x]);
+            if (k === null) return;
+            if (!groups.has(k)) groups.set(k, createGroup());
+            addToGroup(groups.get(k), d, y, parseVal, aggregation);
+        });
+        const entries = [];
+        groups.forEach((group, k) => {
+            const v = reduceGroup(group, aggregation);
+            if (v !== null) entries.push([k, v]);
+        });
+        return entries.sort((a, b) => b[1] - a[1]);
+    };
+
+    /**
+     * TEMPORAL BUCKETING
+     * Date cells arrive as ISO text ("2026-01-31" or "2026-01-31T09:30:00"); anything else is undated.
+     * Buckets are keyed by their UTC start, so sorting the keys sorts the periods chronologically.
+     */
+    const TEMPORAL_MAX_BUCKETS = 5000;
+    const DAY_MS = 86400000;
+
+    const parseTemporal = (value) => {
+        const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?$/);
+        return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)) : NaN;
+    };
+
+    // ISO weeks start on Monday; fiscal years start on the 1st of fiscalStartMonth (1-12)
+    const bucketStart = (ms, grain, fiscalStartMonth) => {
+        const d = new Date(ms);
+        const y = d.getUTCFullYear();
+        const m = d.getUTCMonth();
+        const day = Date.UTC(y, m, d.getUTCDate());
+        if (grain === 'hour') return Date.UTC(y, m, d.getUTCDate(), d.getUTCHours());
+        if (grain === 'week') return day - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+        if (grain === 'month') return Date.UTC(y, m, 1);
+        if (grain === 'quarter') return Date.UTC(y, m - (m % 3), 1);
+        if (grain === 'year') return Date.UTC(y, 0, 1);
+        if (grain === 'fiscal') return Date.UTC(m >= fiscalStartMonth - 1 ? y : y - 1, fiscalStartMonth - 1, 1);
+        return day;
+    };
+
+    const nextBucket = (start, grain) => {
+        const d = new Date(start);
+        const months = { month: 1, quarter: 3, year: 12, fiscal: 12 }[grain];
+        if (months) return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1);
+        return start + (grain === 'hour' ? 3600000 : (grain === 'week' ? 7 * DAY_MS : DAY_MS));
+    };
+
+    // Labels sort lexically in the same order as their periods ("2026-W05", "2026-Q1", "FY2026")
+    const bucketLabel = (start, grain, fiscalStartMonth) => {
+        const d = new Date(start);
+        const iso = d.toISOString();
+        if (grain === 'hour') return `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00`;
+        if (grain === 'week') {
+            // The ISO week-numbering year is the year holding the week's Thursday
+            const thursday = new Date(start + 3 * DAY_MS);
+            const year = thursday.getUTCFullYear();
+            const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+            return `${year}-W${String(week).padStart(2, '0')}`;
+        }
+        if (grain === 'month') return iso.slice(0, 7);
+        if (grain === 'quarter') return `${iso.slice(0, 4)}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+        if (grain === 'year') return iso.slice(0, 4);
+        // Fiscal years are named after the calendar year they end in (April start: FY2026 = Apr 2025 – Mar 2026)
+        if (grain === 'fiscal') return `FY${d.getUTCFullYear() + (fiscalStartMonth === 1 ? 0 : 1)}`;
+        return iso.slice(0, 10);
+    };
+
+    /**
+     * Aggregates Y per period of the date X in chronological order. Periods missing between the first and the last one
+     * are filled with null (a gap) or 0 (fill 'zero'); above TEMPORAL_MAX_BUCKETS periods nothing is filled.
+     */
+    const getTemporalStats = (data, x, y, parseVal, temporal, aggregation) => {
+        const grain = temporal.grain || 'day';
+        const fiscalStartMonth = temporal.fiscalStartMonth || 1;
+        const groups = new Map();
+        let undated = 0;
+        data.forEach(d => {
+            const ms = parseTemporal(d[x]);
+            if (Number.isNaN(ms)) {
+                undated++;
+                return;
+            }
+            const key = bucketStart(ms, grain, fiscalStartMonth);
+            if (!groups.has(key)) groups.set(key, createGroup());
+            addToGroup(groups.get(key), d, y, parseVal, aggregation);
+        });
+        const sums = new Map();
+        groups.forEach((group, key) => {
+            const v = reduceGroup(group, aggregation);
+            if (v !== null) sums.set(key, v);
+        });
+
+        const keys = Array.from(sums.keys()).sort((a, b) => a - b);
+        let starts = keys;
+        let capped = false;
+        if (keys.length > 1) {
+            const full = [];
+            for (let k = keys[0]; k <= keys[keys.length - 1] && full.length <= TEMPORAL_MAX_BUCKETS; k = nextBucket(k, grain)) full.push(k);
+            capped = full.length > TEMPORAL_MAX_BUCKETS;
+            if (!capped) starts = full;
+        }
+        const series = starts.map(k => [bucketLabel(k, grain, fiscalStartMonth), sums.has(k) ? sums.get(k) : (temporal.fill === 'zero' ? 0 : null)]);
+        return {
+            grain,
+            fiscalStartMonth,
+            fill: temporal.fill === 'zero' ? 'zero' : 'gap',
+            series,
+            starts,
+            periods: series.length,
+            missing: series.length - keys.length,
+            undated,
+            capped,
+            first: series.length ? series[0][0] : null,
+            last: series.length ? series[series.length - 1][0] : null
+        };
+    };
+
+    /**
+     * TIME-SERIES INTELLIGENCE over the bucketed periods of a date X (gap periods are null).
+     * Trend: OLS slope per period with its t-test, plus the Theil–Sen slope with a Mann–Kendall test on at most
+     * TS_ROBUST_POINTS evenly spaced periods. Seasonality: one-way ANOVA of the detrended values by weekday or month,
+     * only once every slot has been seen in two cycles. Forecast: additive Holt-Winters when two seasons are observed,
+     * otherwise Holt's linear smoothing, fitted by grid search on one-step-ahead errors; gaps are interpolated first.
+     */
+    const TS_MIN_PERIODS = 4;
+    const TS_MIN_FORECAST_PERIODS = 6;
+    const TS_ROBUST_POINTS = 400;
+    const TS_MOVING_WINDOWS = [7, 30];
+    const TS_SEASONS = { hour: 24, day: 7, week: 52, month: 12, quarter: 4 };
+    const TS_HORIZONS = { hour: 24, day: 14, week: 8, month: 6, quarter: 4, year: 3, fiscal: 3 };
+    const TS_GROWTH = [
+        { label: 'DoD', grains: ['hour', 'day'], days: 1 },
+        { label: 'WoW', grains: ['hour', 'day', 'week'], days: 7 },
+        { label: 'MoM', grains: ['day', 'week', 'month'], months: 1 },
+        { label: 'YoY', grains: ['hour', 'day', 'week', 'month', 'quarter', 'year', 'fiscal'], months: 12 }
+    ];
+    const TS_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const TS_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    // Trailing window over the periods that hold a value; null until the window has seen one
+    const movingAverage = (values, window) => values.map((_, i) => {
+        let sum = 0;
+        let n = 0;
+        for (let j = Math.max(0, i - window + 1); j <= i; j++) {
+            if (values[j] !== null) {
+                sum += values[j];
+                n++;
+            }
+        }
+        return n ? sum / n : null;
+    });
+
+    const fitTrend = (values) => {
+        const pts = [];
+        values.forEach((v, i) => { if (v !== null) pts.push([i, v]); });
+        const n = pts.length;
+        const mx = pts.reduce((a, p) => a + p[0], 0) / n;
+        const my = pts.reduce((a, p) => a + p[1], 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        pts.forEach(([i, v]) => {
+            sxx += (i - mx) * (i - mx);
+            sxy += (i - mx) * (v - my);
+            syy += (v - my) * (v - my);
+        });
+        const slope = sxx ? sxy / sxx : 0;
+        const intercept = my - slope * mx;
+        const sse = pts.reduce((a, [i, v]) => a + Math.pow(v - intercept - slope * i, 2), 0);
+        const se = n > 2 && sxx ? Math.sqrt(sse / (n - 2) / sxx) : 0;
+        const pValue = se ? tTestPValue(slope / se, n - 2) : (slope && n > 2 ? 0 : 1);
+
+        const step = Math.max(1, Math.ceil(n / TS_ROBUST_POINTS));
+        const sample = pts.filter((_, k) => k % step === 0);
+        const slopes = [];
+        let s = 0;
+        for (let a = 0; a < sample.length; a++) {
+            for (let b = a + 1; b < sample.length; b++) {
+                const diff = sample[b][1] - sample[a][1];
+                slopes.push(diff / (sample[b][0] - sample[a][0]));
+                s += Math.sign(diff);
+            }
+        }
+        slopes.sort((a, b) => a - b);
+        const mid = slopes.length / 2;
+        const robustSlope = slopes.length ? (slopes.length % 2 ? slopes[Math.floor(mid)] : (slopes[mid - 1] + slopes[mid]) / 2) : 0;
+        const m = sample.length;
+        const z = s === 0 ? 0 : (s - Math.sign(s)) / Math.sqrt(m * (m - 1) * (2 * m + 5) / 18);
+
+        return {
+            slope,
+            intercept,
+            pValue,
+            r2: syy ? 1 - sse / syy : 0,
+            significant: pValue < 0.05,
+            robustSlope,
+            mannKendallZ: z,
+            robustPValue: normalPValue(z)
+        };
+    };
+
+    // Calendar shift that keeps the day inside the target month (31 March - 1 month = 28/29 February)
+    const shiftPeriod = (ms, comparison) => {
+        if (comparison.days) return ms - comparison.days * DAY_MS;
+        const d = new Date(ms);
+        const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - comparison.months, 1, d.getUTCHours()));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+        return target.getTime();
+    };
+
+    const periodGrowth = (series, starts, grain, fiscalStartMonth) => {
+        const byStart = new Map();
+        starts.forEach((start, i) => { if (series[i][1] !== null) byStart.set(start, i); });
+        let last = series.length - 1;
+        while (last >= 0 && series[last][1] === null) last--;
+        if (last < 0) return [];
+        return TS_GROWTH.filter(c => c.grains.includes(grain)).map(c => {
+            const base = byStart.get(bucketStart(shiftPeriod(starts[last], c), grain, fiscalStartMonth));
+            if (base === undefined || base === last) return null;
+            const current = series[last][1];
+            const previous = series[base][1];
+            return { label: c.label, period: series[last][0], basePeriod: series[base][0], value: current, baseValue: previous, change: current - previous, pct: previous ? ((current - previous) / Math.abs(previous)) * 100 : null };
+        }).filter(Boolean);
+    };
+
+    const detectSeasonality = (values, starts, trend, kind) => {
+        const names = kind === 'weekday' ? TS_WEEKDAYS : TS_MONTHS;
+        const slotOf = kind === 'weekday' ? (ms) => (new Date(ms).getUTCDay() + 6) % 7 : (ms) => new Date(ms).getUTCMonth();
+        // A weekday cycle is a week, a month cycle a year
+        const cycleOf = kind === 'weekday' ? (ms) => Math.floor((ms + 3 * DAY_MS) / (7 * DAY_MS)) : (ms) => new Date(ms).getUTCFullYear();
+        const slots = names.map(() => ({ values: [], cycles: new Set() }));
+        values.forEach((v, i) => {
+            if (v === null) return;
+            const slot = slots[slotOf(starts[i])];
+            slot.values.push(v - trend.slope * i);
+            slot.cycles.add(cycleOf(starts[i]));
+        });
+        if (slots.some(s => s.cycles.size < 2)) return null;
+
+        const all = slots.flatMap(s => s.values);
+        const grand = all.reduce((a, v) => a + v, 0) / all.length;
+        const means = slots.map(s => s.values.reduce((a, v) => a + v, 0) / s.values.length);
+        const between = slots.reduce((a, s, k) => a + s.values.length * Math.pow(means[k] - grand, 2), 0);
+        const within = slots.reduce((a, s, k) => a + s.values.reduce((w, v) => w + Math.pow(v - means[k], 2), 0), 0);
+        const dfBetween = names.length - 1;
+        const dfWithin = all.length - names.length;
+        const pValue = within ? fTestPValue((between / dfBetween) / (within / dfWithin), dfBetween, dfWithin) : (between ? 0 : 1);
+        const indices = names.map((name, k) => ({ name, mean: means[k], index: grand ? means[k] / grand : null }));
+        const ranked = [...indices].sort((a, b) => b.mean - a.mean);
+        return {
+            kind,
+            indices,
+            strength: between + within ? between / (between + within) : 0,
+            pValue,
+            significant: pValue < 0.05,
+            peak: ranked[0],
+            trough: ranked[ranked.length - 1]
+        };
+    };
+
+    const forecastSeries = (values, season, horizon) => {
+        // Interior gaps are interpolated linearly; the series always starts and ends on a period with data
+        const filled = values.slice();
+        let interpolated = 0;
+        for (let i = 0; i < filled.length; i++) {
+            if (filled[i] !== null) continue;
+            let j = i;
+            while (filled[j] === null) j++;
+            for (let k = i; k < j; k++) filled[k] = filled[i - 1] + (filled[j] - filled[i - 1]) * (k - i + 1) / (j - i + 1);
+            interpolated += j - i;
+            i = j;
+        }
+        const n = filled.length;
+        const m = season && n >= 2 * season ? season : 0;
+        const mean = (from, to) => filled.slice(from, to).reduce((a, v) => a + v, 0) / (to - from);
+
+        const run = (alpha, beta, gamma) => {
+            let level = m ? mean(0, m) : filled[0];
+            let trend = m ? (mean(m, 2 * m) - mean(0, m)) / m : filled[1] - filled[0];
+            const seasonal = m ? filled.slice(0, m).map(v => v - level) : [];
+            let sse = 0;
+            let steps = 0;
+            for (let t = m || 1; t < n; t++) {
+                const s = m ? seasonal[t % m] : 0;
+                const err = filled[t] - (level + trend + s);
+                sse += err * err;
+                steps++;
+                const nextLevel = alpha * (filled[t] - s) + (1 - alpha) * (level + trend);
+                trend = beta * (nextLevel - level) + (1 - beta) * trend;
+                if (m) seasonal[t % m] = gamma * (filled[t] - nextLevel) + (1 - gamma) * s;
+                level = nextLevel;
+            }
+            return { alpha, beta, gamma, sse, steps, level, trend, seasonal };
+        };
+
+        const grid = [0.1, 0.3, 0.5, 0.7, 0.9];
+        let best = null;
+        grid.forEach(alpha => grid.forEach(beta => (m ? grid : [0]).forEach(gamma => {
+            const fit = run(alpha, beta, gamma);
+            if (!best || fit.sse < best.sse) best = fit;
+        })));
+
+        const sigma = Math.sqrt(best.sse / (best.steps || 1));
+        let spread = 1;
+        const points = [];
+        for (let h = 1; h <= horizon; h++) {
+            // Holt's h-step variance multiplier; the seasonal term is left out, so bands are slightly narrow for Holt-Winters
+            if (h > 1) spread += Math.pow(best.alpha * (1 + (h - 1) * best.beta), 2);
+            const value = best.level + h * best.trend + (m ? best.seasonal[(n + h - 1) % m] : 0);
+            const half = 1.96 * sigma * Math.sqrt(spread);
+            points.push({ value, lower: value - half, upper: value + half });
+        }
+        return {
+            method: m ? 'additive Holt-Winters' : "Holt's linear",
+            season: m,
+            alpha: best.alpha,
+            beta: best.beta,
+            gamma: m ? best.gamma : null,
+            sigma,
+            interpolated,
+            points
+        };
+    };
+
+    const getTimeSeriesStats = (timeline) => {
+        const { series, starts, grain, fiscalStartMonth } = timeline;
+        const values = series.map(e => e[1]);
+        const observed = values.filter(v => v !== null).length;
+        if (timeline.capped || observed < TS_MIN_PERIODS) return null;
+
+        const trend = fitTrend(values);
+        const movingAverages = TS_MOVING_WINDOWS.filter(w => series.length >= w).map(window => ({ window, values: movingAverage(values, window) }));
+        const seasonality = [];
+        if (grain === 'hour' || grain === 'day') seasonality.push(detectSeasonality(values, starts, trend, 'weekday'));
+        if (grain === 'day' || grain === 'week' || grain === 'month') seasonality.push(detectSeasonality(values, starts, trend, 'month'));
+
+        let forecast = null;
+        if (observed >= TS_MIN_FORECAST_PERIODS) {
+            forecast = forecastSeries(values, TS_SEASONS[grain] || 0, TS_HORIZONS[grain] || 6);
+            let start = starts[starts.length - 1];
+            forecast.points.forEach(p => {
+                start = nextBucket(start, grain);
+                p.period = bucketLabel(start, grain, fiscalStartMonth);
+            });
+        }
+
+        return {
+            grain,
+            observed,
+            trend,
+            movingAverages,
+            growth: periodGrowth(series, starts, grain, fiscalStartMonth),
+            seasonality: seasonality.filter(Boolean),
+            forecast
+        };
+    };
+
+    /**
+     * ANOMALY DETECTION: every flag carries its score and the rule that fired.
+     * Rows and categories: z-score beyond ±ANOMALY_Z, MAD modified z-score beyond ±ANOMALY_MODIFIED_Z and
+     * Tukey's outer fences (ANOMALY_IQR_FENCE × IQR). Periods of a date X: robust z-score of the residual from the
+     * linear trend, so a rising series does not flag its own latest periods.
+     */
+    const ANOMALY_Z = 3;
+    const ANOMALY_MODIFIED_Z = 3.5;
+    const ANOMALY_IQR_FENCE = 3;
+    const ANOMALY_MIN_GROUPS = 5;
+    const ANOMALY_MAX_LISTED = 50;
+
+    const quantile = (sorted, q) => {
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    };
+
+    // Indices of the values that trip at least one rule; the strongest rule (MAD, then z, then IQR) gives the score
+    const scoreOutliers = (values) => {
+        const n = values.length;
+        if (n < 3) return [];
+        const mean = values.reduce((a, v) => a + v, 0) / n;
+        const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / n);
+        const sorted = [...values].sort((a, b) => a - b);
+        const median = quantile(sorted, 0.5);
+        const mad = quantile(values.map(v => Math.abs(v - median)).sort((a, b) => a - b), 0.5);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        const flags = [];
+        values.forEach((v, i) => {
+            const fired = [];
+            const modified = mad > 0 ? 0.6745 * (v - median) / mad : 0;
+            if (Math.abs(modified) > ANOMALY_MODIFIED_Z) fired.push({ rule: 'MAD', score: modified, text: `modified z ${modified.toFixed(2)} beyond ±${ANOMALY_MODIFIED_Z}` });
+            const z = sd > 0 ? (v - mean) / sd : 0;
+            if (Math.abs(z) > ANOMALY_Z) fired.push({ rule: 'z-score', score: z, text: `z ${z.toFixed(2)} beyond ±${ANOMALY_Z}` });
+            if (iqr > 0 && (v > q3 + ANOMALY_IQR_FENCE * iqr || v < q1 - ANOMALY_IQR_FENCE * iqr)) {
+                const above = v > q3;
+                fired.push({ rule: 'IQR fence', score: (above ? v - q3 : v - q1) / iqr, text: `${above ? 'above Q3 +' : 'below Q1 −'} ${ANOMALY_IQR_FENCE} × IQR (${(above ? q3 + ANOMALY_IQR_FENCE * iqr : q1 - ANOMALY_IQR_FENCE * iqr).toFixed(2)})` });
+            }
+            if (fired.length === 0) return;
+            flags.push({ i, value: v, score: fired[0].score, rule: fired[0].rule, rules: fired.map(f => f.rule), detail: fired.map(f => f.text).join('; '), direction: v > median ? 'high' : 'low' });
+        });
+        return flags.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+    };
+
+    const detectAnomalies = (data, x, y, parseVal, categorical, timeline, timeSeries) => {
+        const values = [];
+        const indices = [];
+        data.forEach((d, i) => {
+            const v = parseVal(d[y]);
+            if (Number.isFinite(v)) {
+                values.push(v);
+                indices.push(i);
+            }
+        });
+        const rowFlags = scoreOutliers(values);
+        const rows = rowFlags.slice(0, ANOMALY_MAX_LISTED).map(({ i, ...flag }) => ({ ...flag, index: indices[i], x: String(data[indices[i]][x]) }));
+
+        let groups = [];
+        let groupKind = timeline ? 'period' : 'category';
+        if (timeline && timeSeries) {
+            // Residual from the trend line, scaled by the MAD of all residuals
+            const observed = timeline.series.map((e, i) => [e[0], e[1], i]).filter(e => e[1] !== null);
+            const residuals = observed.map(([, v, i]) => v - (timeSeries.trend.intercept + timeSeries.trend.slope * i));
+            const center = quantile([...residuals].sort((a, b) => a - b), 0.5);
+            const mad = quantile(residuals.map(r => Math.abs(r - center)).sort((a, b) => a - b), 0.5);
+            if (mad > 0) {
+                groups = observed.map(([name, value, i], k) => {
+                    const score = 0.6745 * (residuals[k] - center) / mad;
+                    const expected = timeSeries.trend.intercept + timeSeries.trend.slope * i;
+                    return { name, value, expected, score, rule: 'trend residual', rules: ['trend residual'], detail: `residual ${residuals[k] >= 0 ? '+' : ''}${residuals[k].toFixed(2)} against a trend value of ${expected.toFixed(2)} (robust z ${score.toFixed(2)} beyond ±${ANOMALY_MODIFIED_Z})`, direction: residuals[k] > 0 ? 'high' : 'low' };
+                }).filter(g => Math.abs(g.score) > ANOMALY_MODIFIED_Z).sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+            }
+        } else if (!timeline && categorical.length >= ANOMALY_MIN_GROUPS) {
+            groups = scoreOutliers(categorical.map(e => e[1])).map(({ i, ...flag }) => ({ ...flag, name: categorical[i][0] }));
+        } else {
+            groupKind = null;
+        }
+
+        return {
+            field: y,
+            dimension: x,
+            rows,
+            rowCount: rowFlags.length,
+            rowsChecked: values.length,
+            groupKind,
+            groups: groups.slice(0, ANOMALY_MAX_LISTED),
+            groupCount: groups.length,
+            thresholds: { z: ANOMALY_Z, modifiedZ: ANOMALY_MODIFIED_Z, iqrFence: ANOMALY_IQR_FENCE }
+        };
+    };
+
+    /**
+     * CORRELATION MATRIX across the numeric fields: Pearson on the values, Spearman on their average ranks,
+     * each pair over the rows where both parse. Above CORRELATION_SAMPLE_ROWS rows an evenly spaced sample is used.
+     */
+    const CORRELATION_MAX_FIELDS = 15;
+    const CORRELATION_SAMPLE_ROWS = 20000;
+    const REGRESSION_MAX_PREDICTORS = 8;
+
+    const rankValues = (values) => {
+        const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+        const ranks = new Array(values.length);
+        for (let i = 0; i < order.length;) {
+            let j = i;
+            while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+            for (let k = i; k <= j; k++) ranks[order[k][1]] = (i + j) / 2 + 1;
+            i = j + 1;
+        }
+        return ranks;
+    };
+
+    // null when either side is constant
+    const pearson = (a, b) => {
+        const n = a.length;
+        if (n < 3) return null;
+        const ma = a.reduce((s, v) => s + v, 0) / n;
+        const mb = b.reduce((s, v) => s + v, 0) / n;
+        let sab = 0;
+        let saa = 0;
+        let sbb = 0;
+        for (let i = 0; i < n; i++) {
+            sab += (a[i] - ma) * (b[i] - mb);
+            saa += (a[i] - ma) * (a[i] - ma);
+            sbb += (b[i] - mb) * (b[i] - mb);
+        }
+        return saa && sbb ? Math.max(-1, Math.min(1, sab / Math.sqrt(saa * sbb))) : null;
+    };
+
+    const correlationPValue = (r, n) => {
+        if (r === null || n < 3) return null;
+        if (Math.abs(r) >= 1) return 0;
+        return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+    };
+
+    const computeCorrelationMatrix = (data, fields, parseVal) => {
+        const step = Math.max(1, Math.ceil(data.length / CORRELATION_SAMPLE_ROWS));
+        const columns = fields.map(f => {
+            const out = [];
+            for (let i = 0; i < data.length; i += step) {
+                const v = parseVal(data[i][f]);
+                out.push(Number.isFinite(v) ? v : null);
+            }
+            return out;
+        });
+        const square = () => fields.map(() => fields.map(() => null));
+        const matrix = { fields, pearson: square(), spearman: square(), pValues: square(), counts: square(), sampled: step > 1, rowsUsed: columns.length ? columns[0].length : 0 };
+        for (let i = 0; i < fields.length; i++) {
+            for (let j = i; j < fields.length; j++) {
+                const a = [];
+                const b = [];
+                columns[i].forEach((v, k) => {
+                    if (v !== null && columns[j][k] !== null) {
+                        a.push(v);
+                        b.push(columns[j][k]);
+                    }
+                });
+                const r = pearson(a, b);
+                const rho = r === null ? null : pearson(rankValues(a), rankValues(b));
+                [[i, j], [j, i]].forEach(([p, q]) => {
+                    matrix.pearson[p][q] = i === j ? (r === null ? null : 1) : r;
+                    matrix.spearman[p][q] = i === j ? (r === null ? null : 1) : rho;
+                    matrix.pValues[p][q] = i === j ? null : correlationPValue(r, a.length);
+                    matrix.counts[p][q] = a.length;
+                });
+            }
+        }
+        return matrix;
+    };
+
+    // Gauss-Jordan with partial pivoting; null when a pivot vanishes (collinear predictors)
+    const invertMatrix = (m) => {
+        const n = m.length;
+        const a = m.map((row, i) => row.concat(m.map((_, j) => (i === j ? 1 : 0))));
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+            if (Math.abs(a[pivot][col]) < 1e-9) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            const div = a[col][col];
+            for (let k = 0; k < 2 * n; k++) a[col][k] /= div;
+            for (let r = 0; r < n; r++) {
+                if (r === col || a[r][col] === 0) continue;
+                const f = a[r][col];
+                for (let k = 0; k < 2 * n; k++) a[r][k] -= f * a[col][k];
+            }
+        }
+        return a.map(row => row.slice(n));
+    };
+
+    /**
+     * MULTIPLE LINEAR REGRESSION of Y on the candidate fields over the rows where all of them parse.
+     * Predictors are standardised before solving, and a candidate that makes the system singular
+     * (collinear with those already kept) is dropped. Coefficients are reported in original units.
+     */
+    const fitRegression = (data, y, candidates, parseVal) => {
+        const fields = [y].concat(candidates);
+        const rows = [];
+        data.forEach(d => {
+            const vals = fields.map(f => parseVal(d[f]));
+            if (vals.every(Number.isFinite)) rows.push(vals);
+        });
+        const n = rows.length;
+        const k = candidates.length;
+        if (k === 0 || n <= k + 2) return null;
+        const means = fields.map((_, j) => rows.reduce((a, r) => a + r[j], 0) / n);
+        const sds = fields.map((_, j) => Math.sqrt(rows.reduce((a, r) => a + Math.pow(r[j] - means[j], 2), 0) / n));
+        if (!sds[0]) return null;
+        // Cross-products of the standardised predictors (ZtZ) and with the centred Y (Zty)
+        const ztz = candidates.map(() => candidates.map(() => 0));
+        const zty = candidates.map(() => 0);
+        let yty = 0;
+        rows.forEach(r => {
+            const yc = r[0] - means[0];
+            const z = candidates.map((_, j) => sds[j + 1] ? (r[j + 1] - means[j + 1]) / sds[j + 1] : 0);
+            yty += yc * yc;
+            for (let a = 0; a < k; a++) {
+                zty[a] += z[a] * yc;
+                for (let b = a; b < k; b++) ztz[a][b] += z[a] * z[b];
+            }
+        });
+        for (let a = 0; a < k; a++) for (let b = 0; b < a; b++) ztz[a][b] = ztz[b][a];
+
+        let kept = [];
+        let inverse = null;
+        candidates.forEach((_, j) => {
+            if (!sds[j + 1]) return;
+            const trial = kept.concat(j);
+            const inv = invertMatrix(trial.map(a => trial.map(b => ztz[a][b] / n)));
+            if (inv) {
+                kept = trial;
+                inverse = inv;
+            }
+        });
+        const p = kept.length;
+        if (p === 0 || n <= p + 1) return null;
+        const betaZ = kept.map((_, a) => kept.reduce((s, j, b) => s + inverse[a][b] * zty[j] / n, 0));
+        const sse = Math.max(0, yty - betaZ.reduce((s, bz, a) => s + bz * zty[kept[a]], 0));
+        const df = n - p - 1;
+        const sigma2 = sse / df;
+        const r2 = yty ? 1 - sse / yty : 0;
+        const coefficients = kept.map((j, a) => {
+            const coefficient = betaZ[a] / sds[j + 1];
+            const se = Math.sqrt(sigma2 * inverse[a][a] / n) / sds[j + 1];
+            const t = se ? coefficient / se : (coefficient ? Infinity : 0);
+            const pValue = tTestPValue(t, df);
+            return { field: candidates[j], coefficient, standardized: betaZ[a] / sds[0], se, t, pValue, significant: pValue < 0.05 };
+        });
+        const intercept = means[0] - coefficients.reduce((s, c, a) => s + c.coefficient * means[kept[a] + 1], 0);
+        const f = sse ? ((yty - sse) / p) / (sse / df) : Infinity;
+        return {
+            n,
+            intercept,
+            coefficients,
+            dropped: candidates.filter((_, j) => !kept.includes(j)),
+            r2,
+            adjustedR2: 1 - (1 - r2) * (n - 1) / df,
+            fPValue: fTestPValue(f, p, df)
         };
     };
 
-    const computeCorrelation = (data, x, y) => {
-        const xVals = data.map(d => parseVal(d[x]));
-        const yVals = data.map(d => parseVal(d[y]));
-        const n = xVals.length;
-        if (n < 2) return 0;
-        const sumX = xVals.reduce((a, b) => a + b, 0);
-        const sumY = yVals.reduce((a, b) => a + b, 0);
-        const sumXY = xVals.reduce((a, v, i) => a + (v * yVals[i]), 0);
-        const sumX2 = xVals.reduce((a, v) => a + (v * v), 0);
-        const sumY2 = yVals.reduce((a, v) => a + (v * v), 0);
-        const numerator = (n * sumXY) - (sumX * sumY);
-        const denominator = Math.sqrt(((n * sumX2) - (sumX * sumX)) * ((n * sumY2) - (sumY * sumY)));
-        return denominator === 0 ? 0 : numerator / denominator;
+    // Every other numeric field ranked by the strength of its association with Y, then the regression on the strongest
+    const analyzeDrivers = (data, y, matrix, parseVal) => {
+        const yi = matrix.fields.indexOf(y);
+        if (yi < 0) return null;
+        const associations = matrix.fields
+            .map((field, i) => ({ field, pearson: matrix.pearson[yi][i], spearman: matrix.spearman[yi][i], pValue: matrix.pValues[yi][i], n: matrix.counts[yi][i] }))
+            .filter(a => a.field !== y && a.pearson !== null)
+            .sort((a, b) => Math.abs(b.pearson) - Math.abs(a.pearson));
+        if (associations.length === 0) return null;
+        return {
+            associations,
+            regression: fitRegression(data, y, associations.slice(0, REGRESSION_MAX_PREDICTORS).map(a => a.field), parseVal)
+        };
+    };
+
+    /**
+     * BREAKDOWN (X × Z): Y aggregated per X value and Z segment.
+     * Segments are ranked by their own aggregate; past BREAKDOWN_MAX_SEGMENTS the smaller ones fold into one "Other Segments" segment.
+     * X follows the main distribution: periods in time order for a date X, otherwise the largest categories.
+     */
+    const BREAKDOWN_MAX_SEGMENTS = 8;
+    const BREAKDOWN_MAX_ROWS = 200;
+    const BREAKDOWN_OTHER = 'Other Segments';
+
+    const getBreakdownStats = (data, x, z, y, parseVal, aggregation, order, temporal) => {
+        const bySegment = new Map();
+        data.forEach(d => {
+            const k = categoryKey(d[z]) || 'N/A';
+            if (!bySegment.has(k)) bySegment.set(k, createGroup());
+            addToGroup(bySegment.get(k), d, y, parseVal, aggregation);
+        });
+        const ranked = [];
+        bySegment.forEach((group, k) => {
+            const v = reduceGroup(group, aggregation);
+            if (v !== null) ranked.push([k, v]);
+        });
+        ranked.sort((a, b) => b[1] - a[1]);
+        const folded = ranked.length > BREAKDOWN_MAX_SEGMENTS;
+        const segments = ranked.slice(0, BREAKDOWN_MAX_SEGMENTS).map(e => e[0]);
+        if (folded) segments.push(BREAKDOWN_OTHER);
+        const slot = new Map(segments.map((s, i) => [s, i]));
+
+        const grain = temporal ? temporal.grain || 'day' : null;
+        const fiscalStartMonth = temporal ? temporal.fiscalStartMonth || 1 : 1;
+        const xKeyOf = temporal
+            ? (d) => {
+                const ms = parseTemporal(d[x]);
+                return Number.isNaN(ms) ? null : bucketLabel(bucketStart(ms, grain, fiscalStartMonth), grain, fiscalStartMonth);
+            }
+            : (d) => categoryKey(d[x]);
+        const names = temporal ? order : order.slice(0, BREAKDOWN_MAX_ROWS);
+        const cells = new Map(names.map(name => [name, segments.map(() => createGroup())]));
+        data.forEach(d => {
+            const row = cells.get(xKeyOf(d));
+            if (!row) return;
+            const k = categoryKey(d[z]) || 'N/A';
+            const i = slot.has(k) ? slot.get(k) : (folded ? segments.length - 1 : -1);
+            if (i >= 0) addToGroup(row[i], d, y, parseVal, aggregation);
+        });
+        const empty = temporal && temporal.fill === 'zero' ? 0 : null;
+        const rows = names.map(name => [name, cells.get(name).map(group => {
+            const v = reduceGroup(group, aggregation);
+            // count/distinct of an empty cell is 0, which reads as a gap like the other aggregations
+            return v === null || group.cells === 0 ? empty : v;
+        })]);
+
+        // The segment carrying the largest value of each X, and its share of that X across segments
+        const drivers = rows.map(([name, values]) => {
+            let lead = -1;
+            values.forEach((v, i) => { if (v !== null && (lead < 0 || v > values[lead])) lead = i; });
+            const total = values.reduce((a, v) => a + (v || 0), 0);
+            return lead < 0 ? null : { name, segment: segments[lead], value: values[lead], share: total ? (values[lead] / total) * 100 : 0 };
+        }).filter(Boolean);
+
+        // Within each segment: the X value it leans on most, as a share of the segment across X
+        const concentration = segments.map((segment, i) => {
+            let total = 0;
+            let leader = null;
+            let top = -Infinity;
+            rows.forEach(([name, values]) => {
+                const v = values[i];
+                if (v === null) return;
+                total += v;
+                if (v > top) {
+                    top = v;
+                    leader = name;
+                }
+            });
+            return { segment, total, leader, share: leader !== null && total ? (top / total) * 100 : 0 };
+        });
+
+        return { segments, folded, rows, drivers, concentration, totalSegments: ranked.length, totalRows: order.length };
+    };
+
+    /**
+     * ASSOCIATION between X and Y, measured by their column types, each with an effect size and a p-value:
+     * categorical × numeric: eta² from a one-way ANOVA; categorical × categorical: Cramér's V from a chi-square test
+     * (levels past ASSOCIATION_MAX_LEVELS fold into one); numeric × numeric: Pearson r with Spearman ρ alongside.
+     * A date X counts as numeric (its timestamp), so the measure reads as a monotonic trend.
+     * Effect bands (negligible / weak / moderate / strong) follow Cohen's conventions for each measure.
+     */
+    const ASSOCIATION_MAX_LEVELS = 50;
+    const ASSOCIATION_BANDS = { eta2: [0.01, 0.06, 0.14], cramersV: [0.1, 0.3, 0.5], r: [0.1, 0.3, 0.5] };
+    const ASSOCIATION_LEVELS = ['negligible', 'weak', 'moderate', 'strong'];
+    const ASSOCIATION_SYMBOLS = { eta2: 'η²', cramersV: "Cramér's V", r: 'r' };
+
+    const associationLevel = (measure, effect) => ASSOCIATION_LEVELS[ASSOCIATION_BANDS[measure].filter(b => Math.abs(effect) >= b).length];
+
+    // Welford's update per group keeps the sums of squares exact for values with a large mean and a small spread
+    const analyzeVariance = (data, groupField, valueField, valueOf) => {
+        const groups = new Map();
+        data.forEach(d => {
+            const k = categoryKey(d[groupField]);
+            const v = valueOf(d[valueField]);
+            if (k === null || !Number.isFinite(v)) return;
+            if (!groups.has(k)) groups.set(k, { n: 0, mean: 0, m2: 0 });
+            const g = groups.get(k);
+            g.n++;
+            const delta = v - g.mean;
+            g.mean += delta / g.n;
+            g.m2 += delta * (v - g.mean);
+        });
+        let n = 0;
+        let grand = 0;
+        let within = 0;
+        let between = 0;
+        groups.forEach(g => {
+            n += g.n;
+            grand += (g.mean - grand) * g.n / n;
+            within += g.m2;
+        });
+        const k = groups.size;
+        if (k < 2 || n <= k) return null;
+        groups.forEach(g => { between += g.n * (g.mean - grand) * (g.mean - grand); });
+        const total = between + within;
+        const eta2 = total > 0 ? Math.min(1, between / total) : 0;
+        const f = within > 0 ? (between / (k - 1)) / (within / (n - k)) : (between > 0 ? Infinity : 0);
+        return { measure: 'eta2', method: 'one-way ANOVA', effect: eta2, pValue: fTestPValue(f, k - 1, n - k), n, statistic: { name: 'F', value: f, df: [k - 1, n - k] }, groups: k };
     };
 
-    const getCategoricalStats = (data, x, y) => {
-        const freq = {};
+    const chiSquareTest = (data, a, b) => {
+        const pairs = [];
+        const freqA = new Map();
+        const freqB = new Map();
         data.forEach(d => {
-            const k = String(d[x] || 'N/A').trim();
-            if (!k || k.toLowerCase() === 'null') return;
-            freq[k] = (freq[k] || 0) + parseVal(d[y]);
+            const ka = categoryKey(d[a]);
+            const kb = categoryKey(d[b]);
+            if (ka === null || kb === null) return;
+            pairs.push([ka, kb]);
+            freqA.set(ka, (freqA.get(ka) || 0) + 1);
+            freqB.set(kb, (freqB.get(kb) || 0) + 1);
         });
-        let sorted = Object.entries(freq).sort((a, b) => b[1] - a[1]);
-        return sorted;
+        const levels = (freq) => {
+            const kept = Array.from(freq.entries()).sort((x, y) => y[1] - x[1]).slice(0, ASSOCIATION_MAX_LEVELS).map(e => e[0]);
+            return new Map(kept.map((k, i) => [k, i]));
+        };
+        const rowsOf = levels(freqA);
+        const colsOf = levels(freqB);
+        const r = rowsOf.size + (freqA.size > rowsOf.size ? 1 : 0);
+        const c = colsOf.size + (freqB.size > colsOf.size ? 1 : 0);
+        if (r < 2 || c < 2) return null;
+        const observed = Array.from({ length: r }, () => new Array(c).fill(0));
+        pairs.forEach(([ka, kb]) => {
+            observed[rowsOf.has(ka) ? rowsOf.get(ka) : r - 1][colsOf.has(kb) ? colsOf.get(kb) : c - 1]++;
+        });
+        const n = pairs.length;
+        const rowTotals = observed.map(row => row.reduce((s, v) => s + v, 0));
+        const colTotals = observed[0].map((_, j) => observed.reduce((s, row) => s + row[j], 0));
+        let chi2 = 0;
+        let sparse = 0;
+        observed.forEach((row, i) => row.forEach((o, j) => {
+            const e = rowTotals[i] * colTotals[j] / n;
+            if (e < 5) sparse++;
+            if (e > 0) chi2 += (o - e) * (o - e) / e;
+        }));
+        const df = (r - 1) * (c - 1);
+        return {
+            measure: 'cramersV',
+            method: 'chi-square test',
+            effect: Math.sqrt(chi2 / (n * Math.min(r - 1, c - 1))),
+            pValue: chiSquarePValue(chi2, df),
+            n,
+            statistic: { name: 'χ²', value: chi2, df: [df] },
+            // Chi-square is unreliable when over a fifth of the cells expect fewer than 5 rows
+            sparse: sparse / (r * c) > 0.2
+        };
+    };
+
+    const measureAssociation = (data, x, y, xKind, yKind, parseVal) => {
+        const valueOf = (kind) => kind === 'temporal' ? parseTemporal : parseVal;
+        const numericX = xKind !== 'categorical';
+        const numericY = yKind !== 'categorical';
+        let result;
+        if (numericX && numericY) {
+            const a = [];
+            const b = [];
+            data.forEach(d => {
+                const xv = valueOf(xKind)(d[x]);
+                const yv = parseVal(d[y]);
+                if (Number.isFinite(xv) && Number.isFinite(yv)) {
+                    a.push(xv);
+                    b.push(yv);
+                }
+            });
+            const r = pearson(a, b);
+            result = r === null ? null : { measure: 'r', method: 'Pearson correlation', effect: r, pValue: correlationPValue(r, a.length), n: a.length, statistic: { name: 'Spearman ρ', value: pearson(rankValues(a), rankValues(b)) } };
+        } else if (numericX || numericY) {
+            result = numericY ? analyzeVariance(data, x, y, parseVal) : analyzeVariance(data, y, x, valueOf(xKind));
+        } else {
+            result = chiSquareTest(data, x, y);
+        }
+        if (!result) return null;
+        return {
+            ...result,
+            kinds: [xKind, yKind],
+            symbol: ASSOCIATION_SYMBOLS[result.measure],
+            level: associationLevel(result.measure, result.effect),
+            significant: result.pValue < 0.05
+        };
+    };
+
+    // "η² 0.23 (F(4, 295) = 21.30, p < 0.001)"
+    const describeAssociation = (a) => {
+        const stat = a.statistic.df
+            ? `${a.statistic.name}(${a.statistic.df.join(', ')}) = ${Number.isFinite(a.statistic.value) ? a.statistic.value.toFixed(2) : '∞'}, `
+            : (a.statistic.value === null ? '' : `${a.statistic.name} ${a.statistic.value.toFixed(2)}, `);
+        return `${a.symbol} ${a.effect.toFixed(2)} (${stat}p ${formatPValue(a.pValue)})`;
+    };
+
+    const associationSentence = (a, xLabel, yLabel) => {
+        const [xKind, yKind] = a.kinds;
+        let text;
+        if (a.measure === 'eta2') {
+            const [group, value] = yKind === 'categorical' ? [yLabel, xLabel] : [xLabel, yLabel];
+            text = `${group} explains ${(a.effect * 100).toFixed(1)}% of the row-level variance in ${value}, a ${a.level} effect: ${describeAssociation(a)}.`;
+        } else if (a.measure === 'cramersV') {
+            text = `${xLabel} and ${yLabel} show a ${a.level} association: ${describeAssociation(a)}.`;
+        } else {
+            text = xKind === 'temporal'
+                ? `${yLabel} shows a ${a.level} ${a.effect >= 0 ? 'upward' : 'downward'} drift over ${xLabel}: ${describeAssociation(a)}.`
+                : `${xLabel} and ${yLabel} show a ${a.level} ${a.effect >= 0 ? 'positive' : 'negative'} correlation: ${describeAssociation(a)}.`;
+        }
+        if (!a.significant) text += ' It is not significant at p < 0.05.';
+        if (a.sparse) text += ' Over a fifth of the cells expect fewer than 5 rows, so the chi-square p-value is approximate.';
+        return text;
     };
 
-    const biAnalystBrain = (stats, shifts, correlation, xLabel, yLabel, dominantContributor) => {
-        const concentration = (stats.max / (stats.sum || 1)) * 100;
+    /**
+     * CONCENTRATION of the aggregated per-X distribution, never the raw rows: the Pareto point (how few groups carry
+     * PARETO_SHARE% of the total), ABC classes by cumulative share, the Herfindahl-Hirschman index on percentage shares
+     * (0-10,000; under 1,500 unconcentrated, above 2,500 highly concentrated), the Gini coefficient and top-N shares.
+     * Shares need non-negative values, so groups with a negative value are left out and counted as excluded.
+     * kind is 'category' or, for a date X, 'period'.
+     */
+    const PARETO_SHARE = 80;
+    const ABC_BOUNDS = { A: 80, B: 95 };
+    const HHI_BANDS = [1500, 2500];
+    const GINI_BANDS = [0.4, 0.6];
+    const CONCENTRATION_TOP_N = [1, 3, 5, 10];
+    const CONCENTRATION_MAX_LISTED = 1000;
+
+    const getConcentrationStats = (distribution, kind) => {
+        const values = distribution.filter(e => Number.isFinite(e[1]) && e[1] >= 0).sort((a, b) => b[1] - a[1]);
+        const n = values.length;
+        const total = values.reduce((s, e) => s + e[1], 0);
+        if (n === 0 || total <= 0) return null;
+
+        const classes = { A: { count: 0, share: 0 }, B: { count: 0, share: 0 }, C: { count: 0, share: 0 } };
+        let cumulative = 0;
+        let hhi = 0;
+        const items = values.map(([name, value]) => {
+            const share = (value / total) * 100;
+            // A group takes the class its cumulative share starts in, so the one crossing 80% is still A
+            const cls = cumulative < ABC_BOUNDS.A ? 'A' : (cumulative < ABC_BOUNDS.B ? 'B' : 'C');
+            classes[cls].count++;
+            classes[cls].share += share;
+            cumulative += share;
+            hhi += share * share;
+            return { name, value, share, cumulative: Math.min(100, cumulative), class: cls };
+        });
+        const paretoCount = items.filter(item => item.cumulative - item.share < PARETO_SHARE).length;
+
+        // Over the ascending values: 0 is an even spread, (n - 1) / n one group holding everything
+        let weighted = 0;
+        values.forEach((e, i) => { weighted += (n - i) * e[1]; });
+        const gini = n > 1 ? (2 * weighted) / (n * total) - (n + 1) / n : 0;
+
+        return {
+            kind,
+            groups: n,
+            excluded: distribution.length - n,
+            total,
+            pareto: { share: PARETO_SHARE, count: paretoCount, groupShare: (paretoCount / n) * 100 },
+            classes,
+            hhi,
+            hhiLevel: hhi > HHI_BANDS[1] ? 'highly concentrated' : (hhi >= HHI_BANDS[0] ? 'moderately concentrated' : 'unconcentrated'),
+            // The number of equal-sized groups that would give the same HHI
+            equivalentGroups: 10000 / hhi,
+            gini,
+            topShares: CONCENTRATION_TOP_N.filter(k => k === 1 || k < n).map(k => ({ n: k, share: items[k - 1].cumulative })),
+            items: items.slice(0, CONCENTRATION_MAX_LISTED),
+            truncated: n > CONCENTRATION_MAX_LISTED
+        };
+    };
+
+    const biAnalystBrain = (stats, shifts, association, relation, xLabel, yLabel, dominantContributor, aggregate, concentration, timeSeries, anomalies) => {
+        // Concentration rules read the aggregated per-X distribution: top share, HHI and the Pareto point
+        const topShare = concentration ? concentration.topShares[0].share : 0;
+        const hhiLevel = concentration ? concentration.hhiLevel : null;
+        // "Vital few": at most 20% of five or more categories carry the Pareto share; periods are left to the time series
+        const vitalFew = !!concentration && concentration.kind === 'category' && concentration.groups >= 5 && concentration.pareto.groupShare <= 20;
+        const shareText = aggregate.additive ? `of total ${aggregate.label}` : `of the summed per-${xLabel} ${aggregate.label}`;
         const varianceInterpretation = stats.stdDev / (stats.mean || 1) > 0.5 ? "High Variance (Skewed)" : "Stable Distribution (Balanced)";
+        // Effect bands only count once the association is significant at p < 0.05
+        const dependency = association && association.significant ? association.level : null;
+        const bounds = association ? ASSOCIATION_BANDS[association.measure] : null;
+        const bound = association ? (association.measure === 'r' ? '|r|' : association.symbol) : null;
 
         const biInterpretation = {
-            operationalState: concentration > 50 ? "Highly Concentrated (Siloed)" : "Balanced (Distributed)",
-            concentrationRisk: concentration > 40 ? "Critical Alpha Dependency" : "Stable Diversification",
+            operationalState: hhiLevel === 'highly concentrated' ? "Highly Concentrated (Siloed)" : (hhiLevel === 'moderately concentrated' ? "Moderately Concentrated" : "Balanced (Distributed)"),
+            concentrationRisk: topShare > 40 ? "Critical Alpha Dependency" : (vitalFew ? "Vital-Few Dependency (Pareto)" : "Stable Diversification"),
+            inequalityStatus: !concentration ? "Unmeasured" : (concentration.gini >= GINI_BANDS[1] ? "High Inequality" : (concentration.gini >= GINI_BANDS[0] ? "Moderate Inequality" : "Even Spread")),
             stabilityAssessment: Math.abs(shifts.volShift) < 10 ? "Steady-State Operational" : "Volatile Flow Change",
             efficiencyObservation: stats.mean > 0 && stats.stdDev / stats.mean < 0.5 ? "High Precision Flow" : "Dispersed Intensity",
-            varianceStatus: varianceInterpretation
+            varianceStatus: varianceInterpretation,
+            associationStatus: !association ? "Unmeasured" : (dependency ? `${dependency.charAt(0).toUpperCase()}${dependency.slice(1)} Association (${association.symbol})` : "No Significant Association")
         };
 
         const impactMatrix = [
             {
                 label: "Alpha Node Leverage",
-                category: stats.max > (stats.mean * 5) ? "High Impact" : "Medium Impact",
-                detail: `Dominant contributor [${dominantContributor}] controls ${(concentration).toFixed(1)}% of total volume.`,
-                threshold: "Concentration > 40% triggers dependency risk."
+                category: topShare > 40 || hhiLevel === 'highly concentrated' ? "High Impact" : (hhiLevel === 'moderately concentrated' || vitalFew ? "Medium Impact" : "Low Impact"),
+                detail: concentration
+                    ? `Dominant contributor [${dominantContributor}] controls ${topShare.toFixed(1)}% ${shareText}; ${concentration.pareto.count} of ${concentration.groups} ${xLabel} values (${concentration.pareto.groupShare.toFixed(1)}%) produce ${PARETO_SHARE}% of it. HHI ${Math.round(concentration.hhi).toLocaleString()} (${hhiLevel}), Gini ${concentration.gini.toFixed(2)}.`
+                    : `${aggregate.label} has no positive per-${xLabel} values to measure concentration on.`,
+                threshold: `Top share > 40% or HHI > ${HHI_BANDS[1].toLocaleString()} triggers dependency risk; HHI ≥ ${HHI_BANDS[0].toLocaleString()} or ≤ 20% of groups producing ${PARETO_SHARE}% flags a vital-few profile.`
             },
             {
                 label: "Distribution Stability",
                 category: Math.abs(stats.stdDev / (stats.mean || 1)) > 0.8 ? "Critical Risk" : "Stable",
-                detail: `Variance measured at ${(stats.variance).toFixed(1)} with a StdDev of ${(stats.stdDev).toFixed(1)}.`,
+                detail: `Variance measured at ${(stats.variance).toFixed(1)} with a StdDev of ${(stats.stdDev).toFixed(1)}.${anomalies && anomalies.rowCount ? ` ${anomalies.rowCount.toLocaleString()} row(s) flagged as anomalous.` : ''}`,
                 threshold: "Variance within operational stability threshold."
             },
             {
                 label: "Temporal/Relational Lock",
-                category: Math.abs(correlation) > 0.7 ? "Operationally Critical" : "Weak Correlation",
-                detail: `${yLabel} shows a ${Math.abs(correlation).toFixed(2)} correlation strength with ${xLabel}.`,
-                threshold: "Correlation > 0.7 indicates direct operational dependency."
+                category: dependency === 'strong' ? "Operationally Critical" : (dependency === 'moderate' ? "Medium Dependency" : "Weak Association"),
+                detail: `${association ? associationSentence(association, xLabel, yLabel) : `${xLabel} and ${yLabel} share too few complete rows to measure an association.`}${relation ? ` Strongest numeric driver: ${relation.label} (r ${relation.r.toFixed(2)}, p ${formatPValue(relation.pValue)}).` : ''}`,
+                threshold: association
+                    ? `${bound} ≥ ${bounds[2]} with p < 0.05 indicates direct operational dependency (≥ ${bounds[1]} moderate, ≥ ${bounds[0]} weak).`
+                    : "A significant association (p < 0.05) indicates operational dependency."
             }
         ];
 
         const advisory = [];
-        if (concentration > 40) {
+        // Only an additive aggregation (sum, count) measures a dependency that can be redistributed
+        if (aggregate.additive && (topShare > 40 || hhiLevel === 'highly concentrated')) {
             advisory.push({
                 action: "DIVERSIFY",
                 metric: "Concentration",
-                context: `Reduce dependency on dominant nodes ([${dominantContributor}]). High concentration (${concentration.toFixed(1)}%) creates single-point failure risks. Actions should focus on redistributing volume to secondary nodes.`
+                context: `Reduce dependency on dominant nodes ([${dominantContributor}]). High concentration (${topShare.toFixed(1)}% ${shareText}; HHI ${Math.round(concentration.hhi).toLocaleString()}, as concentrated as ${concentration.equivalentGroups.toFixed(1)} equal-sized ${xLabel} values) creates single-point failure risks. Actions should focus on redistributing volume to secondary nodes.`
             });
         }
         if (Math.abs(shifts.volShift) > 15) {
@@ -149,6 +1251,35 @@ const ReasoningEngine = (() => {
                 context: `High data variance detected. Streamline operational nodes to improve flow consistency. Targeted stabilization of high-variance segments is recommended.`
             });
         }
+        // A date X adds the trend (when significant), the forecast and any significant seasonal cycle
+        const amount = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        const unit = timeSeries ? (timeSeries.grain === 'fiscal' ? 'fiscal year' : timeSeries.grain) : null;
+        if (timeSeries && timeSeries.trend.significant) {
+            const t = timeSeries.trend;
+            advisory.push({
+                action: "MONITOR",
+                metric: "Trend",
+                context: `${aggregate.label} is ${t.slope > 0 ? 'rising' : 'falling'} by ${amount(Math.abs(t.slope))} per ${unit} (OLS p ${formatPValue(t.pValue)}, R² ${t.r2.toFixed(2)}; Theil–Sen ${amount(t.robustSlope)} per ${unit}). ${t.slope > 0 ? 'Confirm capacity keeps pace with the sustained increase.' : 'Investigate the drivers of the sustained decline before it compounds.'}`
+            });
+        }
+        // The strongest anomalous periods/categories by name, then the anomalous rows as one item
+        if (anomalies) {
+            anomalies.groups.slice(0, 3).forEach(g => {
+                advisory.push({
+                    action: "MONITOR",
+                    metric: `Anomaly: ${g.name}`,
+                    context: `${anomalies.groupKind === 'period' ? 'Period' : 'Category'} [${g.name}] is abnormally ${g.direction} at ${amount(g.value)} ${aggregate.label} (${g.rule}: ${g.detail}). Verify the source records and any one-off event before it feeds planning.`
+                });
+            });
+            if (anomalies.rowCount > 0) {
+                const top = anomalies.rows[0];
+                advisory.push({
+                    action: "MONITOR",
+                    metric: "Anomalous Rows",
+                    context: `${anomalies.rowCount.toLocaleString()} of ${anomalies.rowsChecked.toLocaleString()} rows have an abnormal ${yLabel}; the strongest is row ${top.index + 1} ([${top.x}], ${amount(top.value)}; ${top.detail}). Review them for entry errors before trusting totals.`
+                });
+            }
+        }
         if (advisory.length === 0) {
             advisory.push({
                 action: "MAINTAIN",
@@ -156,30 +1287,85 @@ const ReasoningEngine = (() => {
                 context: "System operating within balanced parameters. Continue standard monitoring protocol as variance and concentration remain within optimal thresholds."
             });
         }
+        if (dependency === 'strong') {
+            advisory.push({
+                action: "FOCUS",
+                metric: "Association",
+                context: `${xLabel} is a strong lever on ${yLabel} (${describeAssociation(association)}). Set targets and investigate variance per ${xLabel} rather than on the blended total.`
+            });
+        }
+        if (aggregate.additive && vitalFew) {
+            const { A, C } = concentration.classes;
+            advisory.push({
+                action: "FOCUS",
+                metric: "Pareto",
+                context: `${concentration.pareto.count} of ${concentration.groups} ${xLabel} values (${concentration.pareto.groupShare.toFixed(1)}%) produce ${PARETO_SHARE}% of ${aggregate.label}. Prioritise coverage and service levels for the ${A.count} class A values (${A.share.toFixed(1)}%), and review the ${C.count} class C values (${C.share.toFixed(1)}%) for consolidation.`
+            });
+        }
+        if (timeSeries && timeSeries.forecast) {
+            const f = timeSeries.forecast;
+            const first = f.points[0];
+            const last = f.points[f.points.length - 1];
+            advisory.push({
+                action: "PLAN",
+                metric: "Forecast",
+                context: `${f.method} projects ${aggregate.label} at ${amount(first.value)} for ${first.period} and ${amount(last.value)} by ${last.period} (95% interval ${amount(last.lower)} to ${amount(last.upper)}). Commit resources against the lower bound and treat the upper bound as stretch capacity.`
+            });
+        }
+        (timeSeries ? timeSeries.seasonality : []).filter(sea => sea.significant).forEach(sea => {
+            advisory.push({
+                action: "PLAN",
+                metric: sea.kind === 'weekday' ? "Weekly Seasonality" : "Annual Seasonality",
+                context: `${aggregate.label} peaks in ${sea.peak.name} (index ${sea.peak.index === null ? 'n/a' : sea.peak.index.toFixed(2)}) and bottoms in ${sea.trough.name} (index ${sea.trough.index === null ? 'n/a' : sea.trough.index.toFixed(2)}), p ${formatPValue(sea.pValue)}. Schedule staffing, stock and campaigns around the ${sea.kind === 'weekday' ? 'weekly' : 'annual'} cycle.`
+            });
+        });
 
         return { biInterpretation, impactMatrix, advisory };
     };
 
     const runAuditLogic = (payload) => {
-        const { x, y, mode, collection, masterData, history, lastHash } = payload;
+        const { x, y, mode, collection, masterData, history, lastHash, schema, numericFormat, temporal } = payload;
+        const z = payload.breakdown && payload.breakdown !== x ? payload.breakdown : null;
+        const aggregation = payload.aggregation || { fn: 'sum' };
         const currentHash = generateHash(masterData);
         const isDelta = currentHash !== lastHash;
+        const parseVal = createValueParser(numericFormat);
 
+        // The discovered (and user-overridden) schema decides which fields are metrics
         const firstRow = masterData[0] || {};
-        const numericFields = Object.keys(firstRow).filter(k => {
-            const v = parseVal(firstRow[k]);
-            return !isNaN(v) && typeof firstRow[k] !== 'boolean';
-        });
+        const numericFields = schema && Array.isArray(schema.numerical)
+            ? schema.numerical.filter(k => k in firstRow)
+            : Object.keys(firstRow).filter(k => Number.isFinite(parseVal(firstRow[k])));
 
         const statisticsModel = {};
+        const parseIntegrity = {};
         numericFields.forEach(field => {
-            const stats = computeFullStats(masterData, field);
+            const stats = computeFullStats(masterData, field, parseVal);
             if (stats) statisticsModel[field] = stats;
+            if (stats && stats.invalid > 0) parseIntegrity[field] = { invalid: stats.invalid, nulls: stats.nulls, samples: stats.invalidSamples };
         });
 
-        const mainStats = statisticsModel[y] || computeFullStats(masterData, y);
-        const correlation = computeCorrelation(masterData, x, y);
-        const categorical = getCategoricalStats(masterData, x, y);
+        if (aggregation.fn === 'weighted' && !(aggregation.weightBy in firstRow)) throw new Error(`Governance Failure: Weighted mean needs a weight column present in the data`);
+        if (z && !(z in firstRow)) throw new Error(`Governance Failure: Breakdown column [${z}] is not present in the data`);
+        // A date X is bucketed into periods in time order; rankings still come from the largest periods
+        const timeline = temporal && schema && Array.isArray(schema.temporal) && schema.temporal.includes(x)
+            ? getTemporalStats(masterData, x, y, parseVal, temporal, aggregation)
+            : null;
+        const categorical = timeline
+            ? timeline.series.filter(e => e[1] !== null).sort((a, b) => b[1] - a[1])
+            : getCategoricalStats(masterData, x, y, parseVal, aggregation);
+
+        // Counting needs no numeric Y: a text Y is then described by its per-group counts
+        const yStats = statisticsModel[y] || computeFullStats(masterData, y, parseVal);
+        let mainStats = yStats;
+        if (!mainStats && (aggregation.fn === 'count' || aggregation.fn === 'distinct')) mainStats = computeFullStats(categorical.map(e => ({ v: e[1] })), 'v', parseVal);
+        if (!mainStats) throw new Error(`Governance Failure: Target metric [${y}] contains no parseable numeric values`);
+        if (mainStats.invalid > 0 && !parseIntegrity[y]) parseIntegrity[y] = { invalid: mainStats.invalid, nulls: mainStats.nulls, samples: mainStats.invalidSamples };
+        // The measure follows the column types: a date X counts as numeric, an identifier X as categorical
+        const xKind = Array.isArray(schema?.temporal) && schema.temporal.includes(x)
+            ? 'temporal'
+            : (statisticsModel[x] && schema?.columns?.[x]?.format !== 'id' ? 'numeric' : 'categorical');
+        const association = x === y ? null : measureAssociation(masterData, x, y, xKind, yStats ? 'numeric' : 'categorical', parseVal);
 
         const shifts = { volShift: 0, peakShift: 0 };
         if (history && history.length > 0 && history[0].metrics) {
@@ -191,20 +1377,120 @@ const ReasoningEngine = (() => {
         const xLab = cleanLabel(x);
         const yLab = cleanLabel(y);
         const dominantContributor = categorical[0] ? categorical[0][0] : "N/A";
+        const groupTotal = categorical.reduce((a, e) => a + e[1], 0);
+        const aggregate = {
+            ...describeAggregation(aggregation, yLab, cleanLabel(aggregation.weightBy)),
+            total: groupTotal
+        };
 
-        const brain = biAnalystBrain(mainStats, shifts, correlation, xLab, yLab, dominantContributor);
+        const concentration = getConcentrationStats(categorical, timeline ? 'period' : 'category');
+        const topShare = concentration ? concentration.topShares[0].share : 0;
+        const timeSeries = timeline ? getTimeSeriesStats(timeline) : null;
+        const anomalies = detectAnomalies(masterData, x, y, parseVal, categorical, timeline, timeSeries);
+        // Relations across the numeric fields (Y first); identifier columns carry no signal
+        const correlationFields = [...new Set([y].concat(Object.keys(statisticsModel)))]
+            .filter(f => statisticsModel[f] && schema?.columns?.[f]?.format !== 'id')
+            .slice(0, CORRELATION_MAX_FIELDS);
+        const correlations = correlationFields.length >= 2 ? computeCorrelationMatrix(masterData, correlationFields, parseVal) : null;
+        const drivers = correlations ? analyzeDrivers(masterData, y, correlations, parseVal) : null;
+        const lead = drivers ? drivers.associations[0] : null;
+        const relation = lead ? { label: `[${cleanLabel(lead.field)}]`, r: lead.pearson, pValue: lead.pValue } : null;
+
+        const brain = biAnalystBrain(mainStats, shifts, association, relation, xLab, yLab, dominantContributor, aggregate, concentration, timeSeries, anomalies);
+        const zLab = z ? cleanLabel(z) : null;
+        const breakdown = z
+            ? getBreakdownStats(masterData, x, z, y, parseVal, aggregation, timeline ? timeline.series.map(e => e[0]) : categorical.map(e => e[0]), timeline ? temporal : null)
+            : null;
 
         // Directive 1: Executive Summary Correction
-        const concentration = (mainStats.max / (mainStats.sum || 1)) * 100;
-        const execSummary = `Dataset identifies a ${brain.biInterpretation.operationalState} state across ${mainStats.count.toLocaleString()} nodes. Main contributor [${dominantContributor}] accounts for ${concentration.toFixed(1)}% of total volume. Operational variance is ${mainStats.stdDev > mainStats.mean ? 'high' : 'stable'}, indicating a ${brain.biInterpretation.efficiencyObservation.toLowerCase()} baseline.`;
+        const reportSections = [];
+        if (timeline) {
+            const grainName = timeline.grain === 'week' ? 'ISO week' : (timeline.grain === 'fiscal' ? `fiscal year (starting month ${timeline.fiscalStartMonth})` : timeline.grain);
+            const empty = timeline.capped
+                ? `; more than ${TEMPORAL_MAX_BUCKETS} periods, so empty periods are not filled`
+                : (timeline.missing ? `; ${timeline.missing} empty period(s) ${timeline.fill === 'zero' ? 'filled with zeros' : 'left as gaps'}` : '');
+            reportSections.push({
+                title: "Temporal Structure",
+                content: `${aggregate.label} is computed per ${grainName} across ${timeline.periods} period(s), ${timeline.first} → ${timeline.last}${empty}.${timeline.undated ? ` ${timeline.undated.toLocaleString()} row(s) without a parseable ${xLab} are excluded.` : ''} Peak period: [${dominantContributor}].`
+            });
+        }
+
+        if (breakdown) {
+            const leads = new Map();
+            breakdown.drivers.forEach(d => leads.set(d.segment, (leads.get(d.segment) || 0) + 1));
+            const leadText = Array.from(leads.entries()).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([seg, n]) => `[${seg}] leads ${n} of ${breakdown.drivers.length}`).join(', ');
+            const topDrivers = (timeline ? [] : breakdown.drivers.slice(0, 3)).map(d => `[${d.name}] is driven by [${d.segment}] (${d.share.toFixed(1)}%)`).join('; ');
+            const spread = breakdown.concentration.filter(c => c.leader !== null).sort((a, b) => b.share - a.share);
+            const shareWord = aggregate.additive ? 'share' : 'share of the summed values';
+            const spreadText = spread.length > 1
+                ? ` Concentration differs across segments: the leading ${xLab} takes ${spread[0].share.toFixed(1)}% of [${spread[0].segment}] ([${spread[0].leader}]) but ${spread[spread.length - 1].share.toFixed(1)}% of [${spread[spread.length - 1].segment}] ([${spread[spread.length - 1].leader}]), against ${topShare.toFixed(1)}% overall (${shareWord}).`
+                : '';
+            reportSections.push({
+                title: "Segment Breakdown",
+                content: `${aggregate.label} per ${xLab} is split by ${zLab} into ${breakdown.segments.length} segment(s)${breakdown.folded ? `; the ${breakdown.totalSegments - BREAKDOWN_MAX_SEGMENTS} smallest of ${breakdown.totalSegments} are folded into [${BREAKDOWN_OTHER}]` : ''}. Driving segment per ${xLab}: ${leadText || 'none'}.${topDrivers ? ` ${topDrivers}.` : ''}${spreadText}`
+            });
+        }
+
+        if (timeSeries) {
+            const amount = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+            const unit = timeSeries.grain === 'fiscal' ? 'fiscal year' : timeSeries.grain;
+            const t = timeSeries.trend;
+            const trendText = `Trend: ${t.significant ? (t.slope > 0 ? 'significant rise' : 'significant decline') : 'no significant trend'} of ${amount(t.slope)} per ${unit} (OLS p ${formatPValue(t.pValue)}, R² ${t.r2.toFixed(2)}); the outlier-resistant Theil–Sen slope is ${amount(t.robustSlope)} (Mann–Kendall p ${formatPValue(t.robustPValue)}).`;
+            const growthText = timeSeries.growth.length
+                ? ` Growth at ${timeSeries.growth[0].period}: ${timeSeries.growth.map(g => `${g.label} ${g.pct === null ? `${g.change >= 0 ? '+' : ''}${amount(g.change)}` : `${g.pct >= 0 ? '+' : ''}${g.pct.toFixed(1)}%`} vs ${g.basePeriod}`).join(', ')}.`
+                : '';
+            const seasonText = timeSeries.seasonality.map(sea => sea.significant
+                ? ` ${sea.kind === 'weekday' ? 'Weekday' : 'Monthly'} seasonality is significant (p ${formatPValue(sea.pValue)}, ${(sea.strength * 100).toFixed(1)}% of detrended variance): peak ${sea.peak.name}, trough ${sea.trough.name}.`
+                : ` No significant ${sea.kind === 'weekday' ? 'weekday' : 'monthly'} seasonality (p ${formatPValue(sea.pValue)}).`).join('');
+            const f = timeSeries.forecast;
+            const forecastText = f
+                ? ` Forecast (${f.method}${f.season ? `, season of ${f.season}` : ''}): ${f.points.length} ${unit}(s) ahead to ${f.points[f.points.length - 1].period}, ending at ${amount(f.points[f.points.length - 1].value)} with a 95% interval of ${amount(f.points[f.points.length - 1].lower)} to ${amount(f.points[f.points.length - 1].upper)}${f.interpolated ? `; ${f.interpolated} gap period(s) were interpolated for the fit` : ''}.`
+                : ` At least ${TS_MIN_FORECAST_PERIODS} periods with data are needed for a forecast.`;
+            reportSections.push({ title: "Time-Series Intelligence", content: trendText + growthText + seasonText + forecastText });
+        }
+
+        const flaggedRows = anomalies.rowsChecked
+            ? `${anomalies.rowCount.toLocaleString()} of ${anomalies.rowsChecked.toLocaleString()} rows flagged on ${yLab} (z-score beyond ±${ANOMALY_Z}, MAD modified z beyond ±${ANOMALY_MODIFIED_Z} or outside ${ANOMALY_IQR_FENCE} × IQR fences)${anomalies.rows[0] ? `; strongest: row ${anomalies.rows[0].index + 1} ([${anomalies.rows[0].x}], ${anomalies.rows[0].detail})` : ''}.`
+            : `${yLab} holds no numeric values to screen row by row.`;
+        const flaggedGroupName = anomalies.groupKind === 'period' ? 'period' : `${xLab} category`;
+        const flaggedGroups = anomalies.groupKind
+            ? ` ${anomalies.groupCount} ${flaggedGroupName}(s) flagged on ${aggregate.label}${anomalies.groupKind === 'period' ? ' as residuals from the trend' : ''}${anomalies.groups.length ? `: ${anomalies.groups.slice(0, 5).map(g => `[${g.name}] ${g.direction} (${g.rule}, score ${g.score.toFixed(2)})`).join(', ')}` : ''}.`
+            : (timeline ? ' Periods are not screened without a fitted trend.' : ` Too few ${xLab} groups (under ${ANOMALY_MIN_GROUPS}) to screen the aggregated values.`);
+        reportSections.push({ title: "Anomaly Detection", content: flaggedRows + flaggedGroups });
+
+        if (concentration) {
+            const groupName = timeline ? 'period' : `${xLab} value`;
+            const classText = ['A', 'B', 'C'].map(c => `${c} ${concentration.classes[c].count} (${concentration.classes[c].share.toFixed(1)}% of the total)`).join(', ');
+            reportSections.push({
+                title: "Concentration Analysis",
+                content: `${concentration.pareto.count} of ${concentration.groups} ${groupName}s (${concentration.pareto.groupShare.toFixed(1)}%) produce ${PARETO_SHARE}% of ${aggregate.additive ? aggregate.label : `the summed ${aggregate.label}`}. ABC classes (cumulative ${ABC_BOUNDS.A}% / ${ABC_BOUNDS.B}%): ${classText}. HHI ${Math.round(concentration.hhi).toLocaleString()} (${concentration.hhiLevel}; as concentrated as ${concentration.equivalentGroups.toFixed(1)} equal-sized ${groupName}s), Gini ${concentration.gini.toFixed(2)}. Top-N shares: ${concentration.topShares.map(t => `top ${t.n} ${t.share.toFixed(1)}%`).join(', ')}.${concentration.excluded ? ` ${concentration.excluded} ${groupName}(s) with a negative ${aggregate.label} are left out.` : ''}`
+            });
+        }
+
+        const relationalParts = [];
+        if (association) relationalParts.push(associationSentence(association, xLab, yLab));
+        if (drivers) {
+            const described = drivers.associations.slice(0, 3).map(a => `[${cleanLabel(a.field)}] (r ${a.pearson.toFixed(2)}, ρ ${a.spearman === null ? 'n/a' : a.spearman.toFixed(2)}, p ${formatPValue(a.pValue)})`);
+            relationalParts.push(`Across ${correlations.fields.length} numeric fields${correlations.sampled ? ` (sampled to ${correlations.rowsUsed.toLocaleString()} rows)` : ''}, ${yLab} is most associated with ${described.join(', ')}; the strongest link is ${associationLevel('r', lead.pearson)} and ${lead.pearson > 0 ? 'positive' : 'negative'}.`);
+            const reg = drivers.regression;
+            if (reg) {
+                const significant = reg.coefficients.filter(c => c.significant).sort((a, b) => Math.abs(b.standardized) - Math.abs(a.standardized));
+                relationalParts.push(`A multiple linear regression of ${yLab} on ${reg.coefficients.length} field(s) over ${reg.n.toLocaleString()} complete rows explains R² ${reg.r2.toFixed(2)} (adjusted ${reg.adjustedR2.toFixed(2)}, F-test p ${formatPValue(reg.fPValue)}). ${significant.length ? `Significant drivers: ${significant.map(c => `[${cleanLabel(c.field)}] ${c.coefficient >= 0 ? '+' : ''}${c.coefficient.toLocaleString(undefined, { maximumFractionDigits: 3 })} per unit (β ${c.standardized.toFixed(2)}, p ${formatPValue(c.pValue)})`).join(', ')}.` : 'No predictor is significant at p < 0.05 once the others are held constant.'}${reg.dropped.length ? ` Dropped as collinear: ${reg.dropped.map(cleanLabel).join(', ')}.` : ''}`);
+            }
+        }
+        if (!drivers) relationalParts.push(yStats ? `${yLab} is the only numeric field, so no correlation with other metrics can be measured.` : `${yLab} is not numeric, so no correlation with other metrics can be measured.`);
+
+        const execSummary = `Dataset identifies a ${brain.biInterpretation.operationalState} state across ${mainStats.count.toLocaleString()} nodes. Main contributor [${dominantContributor}] accounts for ${topShare.toFixed(1)}% ${aggregate.additive ? `of total ${aggregate.label}` : `of the summed per-${xLab} ${aggregate.label}`}${concentration ? `, and ${concentration.pareto.count} of ${concentration.groups} ${timeline ? 'periods' : `${xLab} values`} produce ${PARETO_SHARE}% of it` : ''}. Operational variance is ${mainStats.stdDev > mainStats.mean ? 'high' : 'stable'}, indicating a ${brain.biInterpretation.efficiencyObservation.toLowerCase()} baseline.`;
 
         return {
             version: "v22.0",
             timestamp: new Date().toISOString(),
             trackId: 'TRK_' + Math.random().toString(36).substr(2, 5).toUpperCase(),
             hash: currentHash,
-            labels: { x: xLab, y: yLab },
+            labels: { x: xLab, y: yLab, z: zLab, metric: aggregate.label },
+            aggregation: { ...aggregation, label: aggregate.label, additive: aggregate.additive },
             statisticsModel,
+            parseIntegrity,
             mainStats,
             metrics: {
                 totalVolume: mainStats.sum,
@@ -213,17 +1499,19 @@ const ReasoningEngine = (() => {
                 nodeCount: mainStats.count,
                 volShift: shifts.volShift,
                 peakShift: shifts.peakShift,
-                correlation
+                correlation: association ? association.effect : 0,
+                association
             },
             statistics: mainStats,
             interpretation: brain.biInterpretation,
             biInterpretation: brain.biInterpretation,
             impactMatrix: brain.impactMatrix,
             advisory: brain.advisory,
+            // The peak is the largest group under the chosen aggregation, against the mean group
             peaks: {
                 point: dominantContributor,
-                value: mainStats.max,
-                intensity: (mainStats.max / (mainStats.mean || 1)).toFixed(2) + "x"
+                value: categorical[0] ? categorical[0][1] : 0,
+                intensity: ((categorical[0] ? categorical[0][1] : 0) / ((groupTotal / (categorical.length || 1)) || 1)).toFixed(2) + "x"
             },
             ranges: {
                 operational: `${mainStats.min.toLocaleString()} → ${mainStats.max.toLocaleString()}`,
@@ -232,13 +1520,21 @@ const ReasoningEngine = (() => {
             dominantDrivers: categorical.slice(0, 5).map(e => ({
                 name: e[0],
                 value: e[1],
-                concentration: ((e[1] / mainStats.sum) * 100).toFixed(1) + "%"
+                concentration: ((e[1] / (groupTotal || 1)) * 100).toFixed(1) + "%"
             })),
-            distributions: categorical,
+            distributions: timeline ? timeline.series : categorical,
+            timeline: timeline ? (({ series, starts, ...summary }) => summary)(timeline) : null,
+            timeSeries,
+            anomalies,
+            concentration,
+            correlations,
+            drivers,
+            breakdown: breakdown ? { field: z, label: zLab, ...breakdown } : null,
             isDelta,
             reportSections: [
                 { title: "Executive Summary", content: execSummary },
-                { title: "Relational Analysis", content: `A ${Math.abs(correlation) > 0.7 ? 'strong' : (Math.abs(correlation) > 0.4 ? 'moderate' : 'weak')} correlation (${correlation.toFixed(2)}) exists between ${xLab} and ${yLab}.` }
+                { title: "Relational Analysis", content: relationalParts.join(' ') },
+                ...reportSections
             ]
         };
     };
@@ -250,18 +1546,98 @@ const ReasoningEngine = (() => {
                 const workerCode = `
                     const generateHash = ${generateHash.toString()};
                     const cleanLabel = ${cleanLabel.toString()};
-                    const parseVal = ${parseVal.toString()};
+                    const parseNumber = ${parseNumber.toString()};
+                    const createValueParser = ${createValueParser.toString()};
                     const computeFullStats = ${computeFullStats.toString()};
-                    const computeCorrelation = ${computeCorrelation.toString()};
+                    const createGroup = ${createGroup.toString()};
+                    const addToGroup = ${addToGroup.toString()};
+                    const reduceGroup = ${reduceGroup.toString()};
+                    const describeAggregation = ${describeAggregation.toString()};
+                    const categoryKey = ${categoryKey.toString()};
                     const getCategoricalStats = ${getCategoricalStats.toString()};
+                    const TEMPORAL_MAX_BUCKETS = ${TEMPORAL_MAX_BUCKETS};
+                    const DAY_MS = ${DAY_MS};
+                    const parseTemporal = ${parseTemporal.toString()};
+                    const bucketStart = ${bucketStart.toString()};
+                    const nextBucket = ${nextBucket.toString()};
+                    const bucketLabel = ${bucketLabel.toString()};
+                    const getTemporalStats = ${getTemporalStats.toString()};
+                    const logGamma = ${logGamma.toString()};
+                    const betaContinuedFraction = ${betaContinuedFraction.toString()};
+                    const incompleteBeta = ${incompleteBeta.toString()};
+                    const tTestPValue = ${tTestPValue.toString()};
+                    const fTestPValue = ${fTestPValue.toString()};
+                    const incompleteGammaUpper = ${incompleteGammaUpper.toString()};
+                    const chiSquarePValue = ${chiSquarePValue.toString()};
+                    const formatPValue = ${formatPValue.toString()};
+                    const normalPValue = ${normalPValue.toString()};
+                    const TS_MIN_PERIODS = ${TS_MIN_PERIODS};
+                    const TS_MIN_FORECAST_PERIODS = ${TS_MIN_FORECAST_PERIODS};
+                    const TS_ROBUST_POINTS = ${TS_ROBUST_POINTS};
+                    const TS_MOVING_WINDOWS = ${JSON.stringify(TS_MOVING_WINDOWS)};
+                    const TS_SEASONS = ${JSON.stringify(TS_SEASONS)};
+                    const TS_HORIZONS = ${JSON.stringify(TS_HORIZONS)};
+                    const TS_GROWTH = ${JSON.stringify(TS_GROWTH)};
+                    const TS_WEEKDAYS = ${JSON.stringify(TS_WEEKDAYS)};
+                    const TS_MONTHS = ${JSON.stringify(TS_MONTHS)};
+                    const movingAverage = ${movingAverage.toString()};
+                    const fitTrend = ${fitTrend.toString()};
+                    const shiftPeriod = ${shiftPeriod.toString()};
+                    const periodGrowth = ${periodGrowth.toString()};
+                    const detectSeasonality = ${detectSeasonality.toString()};
+                    const forecastSeries = ${forecastSeries.toString()};
+                    const getTimeSeriesStats = ${getTimeSeriesStats.toString()};
+                    const ANOMALY_Z = ${ANOMALY_Z};
+                    const ANOMALY_MODIFIED_Z = ${ANOMALY_MODIFIED_Z};
+                    const ANOMALY_IQR_FENCE = ${ANOMALY_IQR_FENCE};
+                    const ANOMALY_MIN_GROUPS = ${ANOMALY_MIN_GROUPS};
+                    const ANOMALY_MAX_LISTED = ${ANOMALY_MAX_LISTED};
+                    const quantile = ${quantile.toString()};
+                    const scoreOutliers = ${scoreOutliers.toString()};
+                    const detectAnomalies = ${detectAnomalies.toString()};
+                    const CORRELATION_MAX_FIELDS = ${CORRELATION_MAX_FIELDS};
+                    const CORRELATION_SAMPLE_ROWS = ${CORRELATION_SAMPLE_ROWS};
+                    const REGRESSION_MAX_PREDICTORS = ${REGRESSION_MAX_PREDICTORS};
+                    const rankValues = ${rankValues.toString()};
+                    const pearson = ${pearson.toString()};
+                    const correlationPValue = ${correlationPValue.toString()};
+                    const computeCorrelationMatrix = ${computeCorrelationMatrix.toString()};
+                    const invertMatrix = ${invertMatrix.toString()};
+                    const fitRegression = ${fitRegression.toString()};
+                    const analyzeDrivers = ${analyzeDrivers.toString()};
+                    const BREAKDOWN_MAX_SEGMENTS = ${BREAKDOWN_MAX_SEGMENTS};
+                    const BREAKDOWN_MAX_ROWS = ${BREAKDOWN_MAX_ROWS};
+                    const BREAKDOWN_OTHER = ${JSON.stringify(BREAKDOWN_OTHER)};
+                    const getBreakdownStats = ${getBreakdownStats.toString()};
+                    const ASSOCIATION_MAX_LEVELS = ${ASSOCIATION_MAX_LEVELS};
+                    const ASSOCIATION_BANDS = ${JSON.stringify(ASSOCIATION_BANDS)};
+                    const ASSOCIATION_LEVELS = ${JSON.stringify(ASSOCIATION_LEVELS)};
+                    const ASSOCIATION_SYMBOLS = ${JSON.stringify(ASSOCIATION_SYMBOLS)};
+                    const associationLevel = ${associationLevel.toString()};
+                    const analyzeVariance = ${analyzeVariance.toString()};
+                    const chiSquareTest = ${chiSquareTest.toString()};
+                    const measureAssociation = ${measureAssociation.toString()};
+                    const describeAssociation = ${describeAssociation.toString()};
+                    const associationSentence = ${associationSentence.toString()};
+                    const PARETO_SHARE = ${PARETO_SHARE};
+                    const ABC_BOUNDS = ${JSON.stringify(ABC_BOUNDS)};
+                    const HHI_BANDS = ${JSON.stringify(HHI_BANDS)};
+                    const GINI_BANDS = ${JSON.stringify(GINI_BANDS)};
+                    const CONCENTRATION_TOP_N = ${JSON.stringify(CONCENTRATION_TOP_N)};
+                    const CONCENTRATION_MAX_LISTED = ${CONCENTRATION_MAX_LISTED};
+                    const getConcentrationStats = ${getConcentrationStats.toString()};
                     const biAnalystBrain = ${biAnalystBrain.toString()};
                     const runAuditLogic = ${runAuditLogic.toString()};
 
                     self.onmessage = function (e) {
                         const { type, payload } = e.data;
                         if (type === 'STAT_AUDIT') {
-                            const result = runAuditLogic(payload);
-                            self.postMessage({ type: 'STAT_AUDIT_RESULT', result });
+                            try {
+                                const result = runAuditLogic(payload);
+                                self.postMessage({ type: 'STAT_AUDIT_RESULT', result });
+                            } catch (err) {
+                                self.postMessage({ type: 'STAT_AUDIT_ERROR', message: err.message });
+                            }
                         }
                     };
                 `;
@@ -275,27 +1651,45 @@ const ReasoningEngine = (() => {
         return worker;
     }
 
-    async function executeAnalysis(x, y, mode, collection, masterData) {
+    async function loadHistory() {
         if (auditHistory.length === 0) {
             const history = await PersistenceEngine.getAuditHistory();
             auditHistory = Array.isArray(history) ? history : [];
         }
-        const currentHash = generateHash(masterData);
-        const auditConfig = { x, y, mode, collection, masterData, history: auditHistory.slice(0, 5), lastHash: lastAnalysisHash };
+    }
+
+    // A worker that timed out or failed is discarded, so its late reply cannot settle the next audit (compare mode)
+    function discardWorker(w) {
+        w.terminate();
+        if (worker === w) worker = null;
+    }
 
+    // Runs one audit in the worker, falling back to the main thread; resolves with the raw result
+    function dispatchAudit(auditConfig) {
         const w = getWorker();
         if (w && !workerInitializationFailed) {
-            return new Promise((resolve) => {
+            return new Promise((resolve, reject) => {
+                const runLocally = () => {
+                    try {
+                        resolve(runAuditLogic(auditConfig));
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
                 const timeout = setTimeout(() => {
                     console.warn("Worker Timeout - Falling back to main thread.");
-                    resolve(finishAnalysis(runAuditLogic(auditConfig)));
+                    discardWorker(w);
+                    runLocally();
                 }, 10000);
 
                 // Directive 4: UI (ReasoningEngine) must listen for STAT_AUDIT_RESULT
                 w.onmessage = (e) => {
                     if (e.data.type === 'STAT_AUDIT_RESULT') {
                         clearTimeout(timeout);
-                        resolve(finishAnalysis(e.data.result));
+                        resolve(e.data.result);
+                    } else if (e.data.type === 'STAT_AUDIT_ERROR') {
+                        clearTimeout(timeout);
+                        reject(new Error(e.data.message));
                     }
                 };
 
@@ -303,17 +1697,113 @@ const ReasoningEngine = (() => {
                     clearTimeout(timeout);
                     console.error("Worker Error", err);
                     workerInitializationFailed = true;
-                    resolve(finishAnalysis(runAuditLogic(auditConfig)));
+                    discardWorker(w);
+                    runLocally();
                 };
 
                 // Directive 1: Execute immediate trigger
                 w.postMessage({ type: 'STAT_AUDIT', payload: auditConfig });
             });
         }
-        return finishAnalysis(runAuditLogic(auditConfig));
+        return Promise.resolve().then(() => runAuditLogic(auditConfig));
     }
 
-    function finishAnalysis(results) {
+    // Only dataset descriptors cross into the worker; the rows travel once, as masterData
+    const summarizeCollection = (collection) => Object.values(collection || {}).map(ds => ({ id: ds.id, name: ds.name, rows: ds.meta ? ds.meta.rows : 0, headers: ds.headers }));
+
+    async function executeAnalysis(x, y, mode, collection, masterData, options = {}) {
+        await loadHistory();
+        const auditConfig = { x, y, mode, collection: summarizeCollection(collection), masterData, history: auditHistory.slice(0, 5), lastHash: lastAnalysisHash, schema: options.schema || null, numericFormat: options.numericFormat || null, temporal: options.temporal || null, aggregation: options.aggregation || null, breakdown: options.breakdown || null };
+        return finishAnalysis(await dispatchAudit(auditConfig), options);
+    }
+
+    const pctChange = (base, value) => base ? ((value - base) / Math.abs(base)) * 100 : null;
+
+    /**
+     * COMPARE MODE: per-dataset audit results aligned on the shared X categories.
+     * The first run is the baseline; every other run is measured against it.
+     */
+    function buildComparison(runs) {
+        const baseline = runs[0];
+        const maps = runs.map(r => new Map(r.result.distributions));
+        const names = new Set();
+        maps.forEach(m => m.forEach((v, k) => names.add(k)));
+
+        const categories = Array.from(names).map(name => {
+            const values = maps.map(m => m.has(name) ? m.get(name) : null);
+            const base = values[0];
+            const deltas = values.slice(1).map(v => ({
+                abs: (v === null ? 0 : v) - (base === null ? 0 : base),
+                pct: base === null ? null : pctChange(base, v === null ? 0 : v),
+                status: base === null ? (v === null ? 'absent' : 'new') : (v === null ? 'disappeared' : 'present')
+            }));
+            return { name, values, deltas };
+        });
+        const lastDelta = (c) => Math.abs(c.deltas[c.deltas.length - 1].abs);
+        // Periods stay in time order (their labels sort chronologically); categories rank by movement
+        if (baseline.result.timeline) categories.sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0));
+        else categories.sort((a, b) => lastDelta(b) - lastDelta(a));
+
+        const pick = (s) => ({ sum: s.sum, mean: s.mean, median: s.median, min: s.min, max: s.max, stdDev: s.stdDev, count: s.count });
+        return {
+            baseline: { id: baseline.id, name: baseline.name },
+            datasets: runs.map(r => ({ id: r.id, name: r.name, stats: pick(r.result.statistics), dominant: r.result.peaks.point, categoryCount: r.result.distributions.length })),
+            pairs: runs.slice(1).map((r, i) => {
+                const b = baseline.result.statistics, t = r.result.statistics;
+                return {
+                    id: r.id,
+                    name: r.name,
+                    sum: { abs: t.sum - b.sum, pct: pctChange(b.sum, t.sum) },
+                    mean: { abs: t.mean - b.mean, pct: pctChange(b.mean, t.mean) },
+                    count: { abs: t.count - b.count, pct: pctChange(b.count, t.count) },
+                    newCategories: categories.filter(c => c.deltas[i].status === 'new').map(c => c.name),
+                    disappearedCategories: categories.filter(c => c.deltas[i].status === 'disappeared').map(c => c.name)
+                };
+            }),
+            // Persisted with the audit, so only the largest movers are kept
+            categories: categories.slice(0, 200),
+            totalCategories: categories.length
+        };
+    }
+
+    /**
+     * Runs the same X/Y audit over each dataset (entries: [{ id, name, rows, schema, numericFormat }])
+     * and returns the last dataset's result carrying the comparison against the first.
+     */
+    async function executeComparison(x, y, entries, options = {}) {
+        if (!entries || entries.length < 2) throw new Error("Governance Failure: Compare mode requires at least two datasets");
+        await loadHistory();
+        const runs = [];
+        for (const entry of entries) {
+            try {
+                const result = await dispatchAudit({ x, y, mode: 'compare', collection: [], masterData: entry.rows, history: [], lastHash: null, schema: entry.schema || null, numericFormat: entry.numericFormat || null, temporal: options.temporal || null, aggregation: options.aggregation || null });
+                runs.push({ id: entry.id, name: entry.name, result });
+            } catch (err) {
+                throw new Error(`${err.message} in [${entry.name}]`);
+            }
+        }
+
+        const comparison = buildComparison(runs);
+        const primary = runs[runs.length - 1].result;
+        const pair = comparison.pairs[comparison.pairs.length - 1];
+        const moveOf = (c) => Math.abs(c.deltas[c.deltas.length - 1].abs);
+        const mover = comparison.categories.reduce((best, c) => moveOf(c) > (best ? moveOf(best) : 0) ? c : best, null);
+        const fmt = (v) => v === null ? 'n/a' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+        const content = `${pair.name} vs baseline ${comparison.baseline.name}: total ${primary.labels.y} moved ${pair.sum.abs >= 0 ? '+' : ''}${pair.sum.abs.toLocaleString(undefined, { maximumFractionDigits: 2 })} (${fmt(pair.sum.pct)}), mean ${fmt(pair.mean.pct)}. ${pair.newCategories.length} new and ${pair.disappearedCategories.length} disappeared ${primary.labels.x} categories.${mover ? ` Largest mover: [${mover.name}] (${mover.deltas[mover.deltas.length - 1].abs >= 0 ? '+' : ''}${mover.deltas[mover.deltas.length - 1].abs.toLocaleString(undefined, { maximumFractionDigits: 2 })}).` : ''}`;
+
+        primary.mode = 'compare';
+        primary.comparison = comparison;
+        primary.hash = runs.map(r => r.result.hash).join('-');
+        primary.metrics.volShift = pair.sum.pct === null ? 0 : parseFloat(pair.sum.pct.toFixed(1));
+        primary.reportSections.push({ title: "Comparative Analysis", content });
+        return finishAnalysis(primary, options);
+    }
+
+    // options.quality (the data quality summary of the analysed datasets) and options.filter (the active row filter)
+    // are stored with the audit for the report
+    function finishAnalysis(results, options = {}) {
+        if (options.quality) results.quality = options.quality;
+        if (options.filter) results.filter = options.filter;
         lastAnalysisHash = results.hash;
         PersistenceEngine.saveAudit(results);
         if (!auditHistory[0] || auditHistory[0].timestamp !== results.timestamp) {
@@ -323,15 +1813,13 @@ const ReasoningEngine = (() => {
     }
 
     async function getHistory() {
-        if (auditHistory.length === 0) {
-            const history = await PersistenceEngine.getAuditHistory();
-            auditHistory = Array.isArray(history) ? history : [];
-        }
+        await loadHistory();
         return auditHistory;
     }
 
     return {
         executeAnalysis,
+        executeComparison,
         cleanLabel,
         getHistory,
         clearHistory: () => { auditHistory = []; lastAnalysisHash = null; }
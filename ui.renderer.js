@@ -7,7 +7,10 @@
 const UIRenderer = (() => {
     let chartInstance = null;
     let reportChartInstance = null;
+    let compareChartInstance = null;
+    let paretoChartInstance = null;
     let chartSnapshots = {};
+    const expandedPanels = new Set();
 
     const formatValue = (val) => {
         if (Math.abs(val) >= 1000000) return (val / 1000000).toFixed(1) + 'M';
@@ -15,19 +18,21 @@ const UIRenderer = (() => {
         return Number.isInteger(val) ? val.toString() : val.toFixed(2);
     };
 
-    const createStat = (l, v) => `
-        <div style="background: rgba(0,0,0,0.2); padding: 10px; border-radius: 6px; text-align: center; border: 1px solid rgba(255,255,255,0.02);">
-            <div style="font-size: 0.55rem; color: var(--text-muted); text-transform: uppercase;">${l}</div>
-            <div style="font-size: 0.85rem; font-weight: 800; color: var(--accent-primary); margin-top: 2px;">${v}</div>
-        </div>
-    `;
-
     function safeText(node, value) {
         const el = document.createElement(node);
         el.textContent = value === undefined || value === null ? '' : String(value);
         return el;
     }
 
+    // Values can be raw cell text (the peak contributor), so the card is built from text nodes
+    function createStat(l, v) {
+        const card = document.createElement('div');
+        card.style.cssText = 'background: rgba(0,0,0,0.2); padding: 10px; border-radius: 6px; text-align: center; border: 1px solid rgba(255,255,255,0.02);';
+        card.appendChild(safeText('div', l)).style.cssText = 'font-size: 0.55rem; color: var(--text-muted); text-transform: uppercase;';
+        card.appendChild(safeText('div', v)).style.cssText = 'font-size: 0.85rem; font-weight: 800; color: var(--accent-primary); margin-top: 2px;';
+        return card;
+    }
+
     function resetDashboard() {
         document.getElementById('idle-state').style.display = 'flex';
         document.getElementById('dashboard').classList.remove('active');
@@ -37,10 +42,12 @@ const UIRenderer = (() => {
         document.getElementById('dataset-manifest').style.display = 'none';
         if (chartInstance) chartInstance.destroy();
         if (reportChartInstance) reportChartInstance.destroy();
+        if (compareChartInstance) compareChartInstance.destroy();
+        if (paretoChartInstance) paretoChartInstance.destroy();
         chartSnapshots = {};
     }
 
-    function updateDatasetManifest(collection, onRemove) {
+    function updateDatasetManifest(collection, onRemove, actions = {}) {
         const list = document.getElementById('file-list');
         const manifest = document.getElementById('dataset-manifest');
         list.textContent = '';
@@ -49,17 +56,923 @@ const UIRenderer = (() => {
         manifest.style.display = 'flex';
         ids.forEach(id => {
             const ds = collection[id];
+            const wrap = document.createElement('div');
+            wrap.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
             const item = document.createElement('div');
             item.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 0.75rem; color: var(--text-main); background: rgba(255,255,255,0.01); padding: 6px 10px; border-radius: 8px; border: 1px solid var(--border);';
             const name = document.createElement('span');
-            name.textContent = ds.name.length > 20 ? ds.name.substring(0, 17) + '...' : ds.name;
+            const versioned = (ds.versions || []).length > 1;
+            name.textContent = (ds.name.length > 20 ? ds.name.substring(0, 17) + '...' : ds.name) + (versioned ? ` · v${ds.version}` : '');
+            name.title = ds.name + describeProvenance(ds);
+            const tools = document.createElement('div');
+            tools.style.cssText = 'display: flex; align-items: center; gap: 2px;';
+            if (actions.onSchemaChange) {
+                const schemaBtn = createManifestToggle(id, 'schema', '⚙', 'Schema editor', () => renderSchemaEditor(ds, actions));
+                tools.appendChild(schemaBtn.button);
+                wrap.appendChild(schemaBtn.panel);
+            }
+            if (actions.onVersionDiff && versioned) {
+                const historyBtn = createManifestToggle(id, 'versions', '⟲', 'Version history', () => renderVersionHistory(ds, actions));
+                tools.appendChild(historyBtn.button);
+                wrap.appendChild(historyBtn.panel);
+            }
+            if (actions.onProfile) {
+                const profileBtn = safeText('button', '◉');
+                profileBtn.title = 'Data quality profile';
+                profileBtn.style.cssText = 'background: none; border: none; color: var(--accent-secondary); font-size: 0.75rem; cursor: pointer; padding: 0 4px;';
+                profileBtn.onclick = (e) => { e.stopPropagation(); actions.onProfile(id); };
+                tools.appendChild(profileBtn);
+            }
+            if (actions.onClean) {
+                const cleanBtn = safeText('button', '🧹');
+                cleanBtn.title = 'Cleaning recipe';
+                cleanBtn.style.cssText = 'background: none; border: none; font-size: 0.75rem; cursor: pointer; padding: 0 4px;';
+                cleanBtn.onclick = (e) => { e.stopPropagation(); actions.onClean(id); };
+                tools.appendChild(cleanBtn);
+            }
             const removeBtn = document.createElement('button');
             removeBtn.innerHTML = '×';
             removeBtn.style.cssText = 'background: none; border: none; color: var(--danger); font-size: 1rem; cursor: pointer; padding: 0 4px;';
             removeBtn.onclick = (e) => { e.stopPropagation(); onRemove(id); };
+            tools.appendChild(removeBtn);
             item.appendChild(name);
-            item.appendChild(removeBtn);
-            list.appendChild(item);
+            item.appendChild(tools);
+            const cleaning = ds.meta?.cleaning;
+            if (cleaning) {
+                const badge = safeText('div', `RECIPE ${cleaning.steps.length} STEPS · ${cleaning.before.toLocaleString()} → ${cleaning.after.toLocaleString()} ROWS${cleaning.replayed ? ' · REPLAYED' : ''}`);
+                badge.title = cleaning.steps.map((s, i) => `${i + 1}. ${s.label}${s.skipped ? ` (skipped: ${s.skipped})` : ''}`).join('\n');
+                badge.style.cssText = `font-size: 0.55rem; font-weight: 800; padding: 0 10px; color: ${cleaning.steps.some(s => s.skipped) ? 'var(--warning)' : 'var(--accent-secondary)'};`;
+                wrap.insertBefore(badge, wrap.firstChild);
+            }
+            wrap.insertBefore(item, wrap.firstChild);
+            list.appendChild(wrap);
+        });
+        if (actions.onJoin && ids.length >= 2) {
+            const joinBtn = safeText('button', '⋈ JOIN DATASETS');
+            joinBtn.style.cssText = 'background: none; border: 1px dashed var(--border); border-radius: 8px; color: var(--accent-primary); font-size: 0.65rem; font-weight: 800; padding: 6px; cursor: pointer;';
+            joinBtn.onclick = () => actions.onJoin();
+            list.appendChild(joinBtn);
+        }
+    }
+
+    // Lineage of derived datasets, shown as the manifest tooltip
+    function describeProvenance(ds) {
+        const p = ds.meta?.provenance;
+        if (!p) return '';
+        const steps = (p.steps || []).map(s => `${s.type.toUpperCase()} JOIN ${s.rightName} ON ${s.keys.map(k => k.left === k.right ? k.left : `${k.left} = ${k.right}`).join(', ')}`);
+        return `\nDerived from ${p.sources[0].name}\n${steps.join('\n')}`;
+    }
+
+    /**
+     * Collapsible manifest panel; the open/closed state survives manifest re-renders.
+     */
+    function createManifestToggle(id, key, glyph, title, build) {
+        const stateKey = `${id}:${key}`;
+        const button = safeText('button', glyph);
+        button.title = title;
+        button.style.cssText = 'background: none; border: none; color: var(--accent-primary); font-size: 0.8rem; cursor: pointer; padding: 0 4px;';
+        const panel = document.createElement('div');
+        panel.style.cssText = 'display: none; flex-direction: column; gap: 6px; padding: 8px; border-radius: 8px; border: 1px dashed var(--border); background: rgba(2, 6, 23, 0.6);';
+        const paint = () => {
+            const open = expandedPanels.has(stateKey);
+            panel.style.display = open ? 'flex' : 'none';
+            panel.textContent = '';
+            if (open) build().forEach(node => panel.appendChild(node));
+        };
+        button.onclick = (e) => {
+            e.stopPropagation();
+            if (expandedPanels.has(stateKey)) expandedPanels.delete(stateKey);
+            else expandedPanels.add(stateKey);
+            paint();
+        };
+        paint();
+        return { button, panel };
+    }
+
+    function renderNumberFormatEditor(ds, onNumericFormatChange) {
+        const fmt = NumericEngine.resolveFormat(ds.numericFormat);
+        const box = document.createElement('div');
+        box.style.cssText = 'display: flex; flex-direction: column; gap: 6px; padding-bottom: 8px; border-bottom: 1px solid var(--border);';
+        const title = safeText('div', 'Number Format');
+        title.style.cssText = 'font-size: 0.6rem; font-weight: 800; color: var(--accent-primary); text-transform: uppercase;';
+        box.appendChild(title);
+
+        const decimal = document.createElement('select');
+        decimal.style.cssText = 'padding: 4px; font-size: 0.65rem; margin: 0; border-radius: 6px;';
+        [['.', 'Decimal "."'], [',', 'Decimal ","']].forEach(([value, text]) => {
+            const opt = safeText('option', text);
+            opt.value = value;
+            decimal.appendChild(opt);
+        });
+        decimal.value = fmt.decimal;
+        decimal.onchange = () => onNumericFormatChange(ds.id, { decimal: decimal.value });
+        box.appendChild(decimal);
+
+        const thousands = document.createElement('select');
+        thousands.style.cssText = decimal.style.cssText;
+        [[',', 'Thousands ","'], ['.', 'Thousands "."'], [' ', 'Thousands " " (space)'], ["'", 'Thousands "\'"'], ['', 'No thousands separator']].forEach(([value, text]) => {
+            const opt = safeText('option', text);
+            opt.value = value;
+            opt.disabled = value !== '' && value === fmt.decimal;
+            thousands.appendChild(opt);
+        });
+        thousands.value = fmt.thousands;
+        thousands.onchange = () => onNumericFormatChange(ds.id, { thousands: thousands.value });
+        box.appendChild(thousands);
+
+        const currency = document.createElement('input');
+        currency.type = 'text';
+        currency.value = fmt.currencySymbols.join(', ');
+        currency.title = 'Currency symbols (comma separated)';
+        currency.style.cssText = 'padding: 4px 6px; font-size: 0.65rem; margin: 0; border-radius: 6px;';
+        currency.onchange = () => onNumericFormatChange(ds.id, { currencySymbols: currency.value.split(',').map(t => t.trim()).filter(Boolean) });
+        box.appendChild(currency);
+
+        const toggle = (key, text) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 0.65rem; color: var(--text-muted);';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = fmt[key] !== false;
+            input.style.cssText = 'width: 14px; margin: 0;';
+            input.onchange = () => onNumericFormatChange(ds.id, { [key]: input.checked });
+            label.append(input, safeText('span', text));
+            return label;
+        };
+        box.appendChild(toggle('parenthesesNegative', '(500) as negative'));
+        box.appendChild(toggle('percentScale', '12% as 0.12'));
+        box.appendChild(toggle('scientific', 'Scientific notation (1e6)'));
+
+        const nulls = document.createElement('input');
+        nulls.type = 'text';
+        nulls.value = fmt.nullTokens.filter(t => t !== '').join(', ');
+        nulls.title = 'Null tokens (comma separated)';
+        nulls.style.cssText = 'padding: 4px 6px; font-size: 0.65rem; margin: 0; border-radius: 6px;';
+        nulls.onchange = () => onNumericFormatChange(ds.id, { nullTokens: [''].concat(nulls.value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)) });
+        box.appendChild(nulls);
+        return box;
+    }
+
+    function renderCalculatedEditor(ds, actions) {
+        const box = document.createElement('div');
+        box.style.cssText = 'display: flex; flex-direction: column; gap: 6px; padding-bottom: 8px; border-bottom: 1px solid var(--border);';
+        const title = safeText('div', 'Calculated Columns');
+        title.style.cssText = 'font-size: 0.6rem; font-weight: 800; color: var(--accent-primary); text-transform: uppercase;';
+        box.appendChild(title);
+        (ds.calculated || []).forEach(def => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: grid; grid-template-columns: 1fr 20px 20px; gap: 4px; align-items: center;';
+            const info = document.createElement('div');
+            info.style.cssText = 'min-width: 0;';
+            const name = safeText('div', `ƒ ${def.name}`);
+            name.style.cssText = 'font-size: 0.7rem; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const detail = safeText('div', def.error || `${def.type} · ${def.expression}`);
+            detail.title = def.expression;
+            detail.style.cssText = `font-size: 0.55rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: ${def.error ? 'var(--danger)' : 'var(--text-muted)'};`;
+            info.append(name, detail);
+            const edit = safeText('button', '✎');
+            const remove = safeText('button', '×');
+            [edit, remove].forEach(btn => btn.style.cssText = 'background: none; border: none; color: var(--accent-primary); font-size: 0.8rem; cursor: pointer; padding: 0;');
+            remove.style.color = 'var(--danger)';
+            edit.onclick = () => actions.onCalculatedEdit(ds.id, def.name);
+            remove.onclick = () => actions.onCalculatedRemove(ds.id, def.name);
+            row.append(info, edit, remove);
+            box.appendChild(row);
+        });
+        const add = safeText('button', '+ CALCULATED COLUMN');
+        add.style.cssText = 'align-self: flex-start; background: none; border: none; color: var(--accent-primary); font-size: 0.6rem; font-weight: 800; cursor: pointer; padding: 0;';
+        add.onclick = () => actions.onCalculatedEdit(ds.id, null);
+        box.appendChild(add);
+        return box;
+    }
+
+    function renderSchemaEditor(ds, actions) {
+        const columns = ds.schema.columns || {};
+        const rows = actions.onNumericFormatChange ? [renderNumberFormatEditor(ds, actions.onNumericFormatChange)] : [];
+        if (actions.onCalculatedEdit) rows.push(renderCalculatedEditor(ds, actions));
+        return rows.concat(ds.headers.filter(h => !columns[h]?.calculated).map(h => {
+            const col = columns[h] || { type: 'categorical', inferredType: 'categorical', format: 'text', confidence: 0, nullRate: 0 };
+            const row = document.createElement('div');
+            row.style.cssText = 'display: grid; grid-template-columns: 1fr 96px; gap: 6px; align-items: center;';
+            const info = document.createElement('div');
+            info.style.cssText = 'min-width: 0;';
+            const colName = safeText('div', h);
+            colName.style.cssText = 'font-size: 0.7rem; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const detail = safeText('div', `${col.format} · ${Math.round(col.confidence * 100)}% conf · ${Math.round(col.nullRate * 100)}% null${col.mixed ? ' · MIXED' : ''}`);
+            detail.style.cssText = `font-size: 0.55rem; color: ${col.confidence < 0.95 || col.mixed ? 'var(--warning)' : 'var(--text-muted)'};`;
+            info.append(colName, detail);
+
+            const select = document.createElement('select');
+            select.style.cssText = 'padding: 4px; font-size: 0.65rem; margin: 0; border-radius: 6px;';
+            [['', `Auto (${col.inferredType})`], ['numerical', 'Numerical'], ['categorical', 'Categorical'], ['temporal', 'Temporal']].forEach(([value, text]) => {
+                const opt = safeText('option', text);
+                opt.value = value;
+                select.appendChild(opt);
+            });
+            select.value = col.overridden ? col.type : '';
+            select.onchange = () => actions.onSchemaChange(ds.id, h, select.value || null);
+            row.append(info, select);
+            return row;
+        }));
+    }
+
+    /**
+     * Version list (newest first) with rollback, plus a from/to picker for diffs.
+     */
+    function renderVersionHistory(ds, actions) {
+        const versions = [...ds.versions].reverse();
+        const nodes = versions.map(v => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: grid; grid-template-columns: 1fr auto; gap: 6px; align-items: center;';
+            const info = document.createElement('div');
+            info.style.cssText = 'min-width: 0;';
+            const label = safeText('div', `v${v.version} · ${new Date(v.timestamp).toLocaleString()}`);
+            label.style.cssText = 'font-size: 0.7rem; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const detail = safeText('div', `${v.rows.toLocaleString()} rows · ${v.columns} cols · ${v.size} · #${String(v.hash).slice(-6)}`);
+            detail.style.cssText = 'font-size: 0.55rem; color: var(--text-muted);';
+            info.append(label, detail);
+            row.appendChild(info);
+            if (v.version === ds.version) {
+                row.appendChild(safeText('span', 'CURRENT')).style.cssText = 'font-size: 0.55rem; font-weight: 800; color: var(--success);';
+            } else {
+                const rollback = safeText('button', 'ROLL BACK');
+                rollback.style.cssText = 'background: none; border: none; color: var(--warning); font-size: 0.55rem; font-weight: 800; cursor: pointer; padding: 0;';
+                rollback.onclick = () => actions.onRollback(ds.id, v.version);
+                row.appendChild(rollback);
+            }
+            return row;
+        });
+
+        const diffRow = document.createElement('div');
+        diffRow.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr auto; gap: 4px; align-items: center; padding-top: 8px; border-top: 1px solid var(--border);';
+        const picker = (selected) => {
+            const select = document.createElement('select');
+            select.style.cssText = 'padding: 4px; font-size: 0.65rem; margin: 0; border-radius: 6px;';
+            versions.forEach(v => {
+                const opt = safeText('option', `v${v.version}`);
+                opt.value = v.version;
+                select.appendChild(opt);
+            });
+            select.value = selected;
+            return select;
+        };
+        const previous = versions.find(v => v.version !== ds.version);
+        const from = picker(previous.version);
+        const to = picker(ds.version);
+        const diff = safeText('button', 'DIFF');
+        diff.style.cssText = 'background: none; border: none; color: var(--accent-primary); font-size: 0.6rem; font-weight: 800; cursor: pointer; padding: 0 4px;';
+        diff.onclick = () => actions.onVersionDiff(ds.id, Number(from.value), Number(to.value));
+        diffRow.append(from, to, diff);
+        return nodes.concat([diffRow]);
+    }
+
+    /**
+     * MODAL SCAFFOLD shared by ingress dialogs. close(value) removes the overlay and resolves.
+     */
+    function openModal(titleText, confirmText, onConfirm, resolve) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(2, 6, 23, 0.85); backdrop-filter: blur(8px); z-index: 300; display: flex; align-items: center; justify-content: center;';
+        const panel = document.createElement('div');
+        panel.className = 'card';
+        panel.style.cssText = 'width: min(760px, 92vw); max-height: 86vh; overflow-y: auto; display: flex; flex-direction: column; gap: 16px; background: var(--bg-secondary);';
+
+        const title = safeText('p', titleText);
+        title.className = 'label';
+        title.style.color = 'var(--accent-primary)';
+        panel.appendChild(title);
+
+        const body = document.createElement('div');
+        body.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+        panel.appendChild(body);
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 10px;';
+        const cancel = safeText('button', 'CANCEL');
+        cancel.className = 'btn-activate';
+        cancel.style.cssText = 'margin: 0; padding: 10px 20px; background: transparent; border: 1px solid var(--border); box-shadow: none;';
+        const confirm = safeText('button', confirmText);
+        confirm.className = 'btn-activate';
+        confirm.style.cssText = 'margin: 0; padding: 10px 20px;';
+        actions.append(cancel, confirm);
+        panel.appendChild(actions);
+
+        const close = (value) => {
+            overlay.remove();
+            resolve(value);
+        };
+        cancel.onclick = () => close(null);
+        confirm.onclick = () => {
+            const value = onConfirm();
+            if (value !== undefined) close(value);
+        };
+
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+        return { body, close };
+    }
+
+    /**
+     * WORKBOOK SHEET PICKER
+     * Resolves with [{ sheet, headerRow, range }] for the ticked sheets, or null when cancelled.
+     */
+    function showSheetPicker(fileName, sheets, remembered) {
+        return new Promise((resolve) => {
+            let rows = [];
+            const { body } = openModal(`Workbook Ingress — ${fileName}`, 'IMPORT SELECTED SHEETS', () => rows.filter(r => r.check.checked).map(r => ({
+                sheet: r.info.sheet,
+                headerRow: Math.max(1, parseInt(r.headerRow.value, 10) || r.info.headerRow),
+                range: r.range.value.trim().toUpperCase()
+            })), resolve);
+
+            rows = sheets.map((info, i) => {
+                const prior = (remembered || []).find(r => r.sheet === info.sheet);
+                const row = document.createElement('div');
+                row.style.cssText = 'display: grid; grid-template-columns: 24px 1fr 110px 140px; gap: 10px; align-items: center; padding: 10px; border: 1px solid var(--border); border-radius: 10px;';
+
+                const check = document.createElement('input');
+                check.type = 'checkbox';
+                check.checked = remembered ? !!prior : i === 0;
+                check.style.cssText = 'width: 16px; margin: 0;';
+                check.disabled = info.rows === 0;
+
+                const label = document.createElement('div');
+                label.appendChild(safeText('div', info.sheet)).style.cssText = 'font-weight: 700; font-size: 0.85rem;';
+                label.appendChild(safeText('div', info.rows ? `${info.ref} · ${info.rows} rows × ${info.cols} cols` : 'Empty sheet')).style.cssText = 'font-size: 0.65rem; color: var(--text-muted);';
+                if (info.preview.length) {
+                    const peek = safeText('pre', info.preview.map((r, idx) => `${String(info.startRow + idx).padStart(3)} │ ${r.slice(0, 6).join(' | ')}`).join('\n'));
+                    peek.style.cssText = "font-family: 'JetBrains Mono', monospace; font-size: 0.6rem; color: #94a3b8; margin-top: 6px; overflow-x: auto; max-width: 100%;";
+                    label.appendChild(peek);
+                }
+
+                const headerRow = document.createElement('input');
+                headerRow.type = 'number';
+                headerRow.min = '1';
+                headerRow.value = prior?.headerRow || info.headerRow;
+                headerRow.title = 'Header row (1-based)';
+
+                const range = document.createElement('input');
+                range.type = 'text';
+                range.placeholder = info.ref || 'A1:Z100';
+                range.value = prior?.range || '';
+                range.title = 'Optional cell range';
+
+                row.append(check, label, headerRow, range);
+                body.appendChild(row);
+                return { info, check, headerRow, range };
+            });
+
+            const legend = safeText('p', 'Header row and cell range apply per sheet. Leave the range empty to read the full used range.');
+            legend.style.cssText = 'font-size: 0.7rem; color: var(--text-muted);';
+            body.appendChild(legend);
+        });
+    }
+
+    /**
+     * PASTE PREVIEW
+     * Resolves with { name, parsed, hasHeader } or null. reparse(delimiter) re-reads pasted text with another delimiter.
+     */
+    const PASTE_PREVIEW_ROWS = 15;
+
+    function showPastePreview(parsed, defaultName, reparse) {
+        return new Promise((resolve) => {
+            let current = parsed;
+            const name = document.createElement('input');
+            const header = document.createElement('input');
+            const { body } = openModal('Paste Ingress — Preview', 'CREATE DATASET', () => {
+                if (!name.value.trim()) {
+                    name.style.borderColor = 'var(--danger)';
+                    return undefined;
+                }
+                return { name: name.value.trim(), parsed: current, hasHeader: header.checked };
+            }, resolve);
+
+            name.type = 'text';
+            name.value = defaultName;
+            name.placeholder = 'Dataset name';
+            body.appendChild(name);
+
+            const controls = document.createElement('div');
+            controls.style.cssText = 'display: flex; align-items: center; gap: 16px; flex-wrap: wrap; font-size: 0.75rem; color: var(--text-muted);';
+            const source = safeText('span', '');
+            controls.appendChild(source);
+            if (parsed.source === 'text') {
+                const delimiter = document.createElement('select');
+                delimiter.style.cssText = 'padding: 4px; font-size: 0.7rem; margin: 0; border-radius: 6px; width: auto;';
+                [['\t', 'Tab'], [',', 'Comma'], [';', 'Semicolon'], ['|', 'Pipe']].forEach(([value, text]) => {
+                    const opt = safeText('option', text);
+                    opt.value = value;
+                    delimiter.appendChild(opt);
+                });
+                delimiter.value = parsed.delimiter;
+                delimiter.onchange = () => {
+                    const next = reparse(delimiter.value);
+                    if (!next) return;
+                    current = next;
+                    header.checked = next.hasHeader;
+                    paint();
+                };
+                const label = document.createElement('label');
+                label.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+                label.append(safeText('span', 'Delimiter'), delimiter);
+                controls.appendChild(label);
+            }
+            const headerLabel = document.createElement('label');
+            headerLabel.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+            header.type = 'checkbox';
+            header.checked = parsed.hasHeader;
+            header.style.cssText = 'width: 14px; margin: 0;';
+            header.onchange = () => paint();
+            headerLabel.append(header, safeText('span', 'First row is the header'));
+            controls.appendChild(headerLabel);
+            body.appendChild(controls);
+
+            const grid = document.createElement('div');
+            grid.style.cssText = 'overflow: auto; max-height: 50vh; border: 1px solid var(--border); border-radius: 8px;';
+            body.appendChild(grid);
+
+            const paint = () => {
+                const width = Math.max(...current.grid.map(r => r.length));
+                const dataRows = current.grid.length - (header.checked ? 1 : 0);
+                source.textContent = `${current.source === 'html' ? 'HTML table' : 'Delimited text'} · ${dataRows.toLocaleString()} rows × ${width} columns`;
+                const heads = Array.from({ length: width }, (_, c) => header.checked && current.grid[0][c] ? current.grid[0][c] : `Column ${c + 1}`);
+                const rows = current.grid.slice(header.checked ? 1 : 0, (header.checked ? 1 : 0) + PASTE_PREVIEW_ROWS);
+                grid.textContent = '';
+                grid.appendChild(buildReportTable(heads, rows.map(r => heads.map((_, c) => [r[c] === undefined || r[c] === '' ? '-' : r[c], r[c] === undefined || r[c] === '' ? 'var(--text-muted)' : null]))));
+                if (dataRows > PASTE_PREVIEW_ROWS) grid.appendChild(safeText('p', `… ${(dataRows - PASTE_PREVIEW_ROWS).toLocaleString()} more rows`)).style.cssText = 'font-size: 0.65rem; color: var(--text-muted); padding: 6px 8px;';
+            };
+            paint();
+            name.focus();
+        });
+    }
+
+    /**
+     * LARGE FILE POLICY
+     * Resolves with { mode: 'full' | 'head' | 'sample', rowLimit, thresholdMB } or null when cancelled.
+     */
+    function showLargeFilePrompt(file, limits) {
+        return new Promise((resolve) => {
+            const sizeMB = (file.size / (1024 * 1024)).toFixed(1);
+            let mode = null;
+            let rowLimit = null;
+            let threshold = null;
+            const { body } = openModal(`Large Source — ${file.name} (${sizeMB} MB)`, 'START INGRESS', () => ({
+                mode: mode.value,
+                rowLimit: Math.max(1, parseInt(rowLimit.value, 10) || limits.rowLimit),
+                thresholdMB: Math.max(1, parseFloat(threshold.value) || limits.thresholdMB)
+            }), resolve);
+
+            const note = safeText('p', `This file exceeds the ${limits.thresholdMB} MB ingress boundary. Choose how much of it to load into the enclave.`);
+            note.style.cssText = 'font-size: 0.8rem; color: var(--text-muted);';
+            body.appendChild(note);
+
+            mode = document.createElement('select');
+            [['head', 'First N rows (fastest)'], ['sample', 'Uniform random sample of N rows'], ['full', 'Full file (may exhaust memory)']].forEach(([value, text]) => {
+                const opt = safeText('option', text);
+                opt.value = value;
+                mode.appendChild(opt);
+            });
+
+            rowLimit = document.createElement('input');
+            rowLimit.type = 'number';
+            rowLimit.min = '1';
+            rowLimit.value = limits.rowLimit;
+
+            threshold = document.createElement('input');
+            threshold.type = 'number';
+            threshold.min = '1';
+            threshold.value = limits.thresholdMB;
+
+            [['Load Policy', mode], ['Row Limit (N)', rowLimit], ['Ask Above (MB)', threshold]].forEach(([text, input]) => {
+                const wrap = document.createElement('div');
+                const label = safeText('label', text);
+                label.className = 'label';
+                wrap.append(label, input);
+                body.appendChild(wrap);
+            });
+        });
+    }
+
+    /**
+     * JOIN BUILDER
+     * Resolves with a join spec ({ baseId, name, steps }) or null when cancelled.
+     * `preview(spec)` profiles the join (matches, cardinality, warnings) while the operator edits it.
+     */
+    function showJoinBuilder(collection, preview) {
+        return new Promise((resolve) => {
+            const datasets = Object.values(collection);
+            const steps = [];
+            let spec = null;
+            let profiled = null;
+            let previewOk = false;
+            const { body } = openModal('Join Builder — Derived Dataset', 'CREATE JOINED DATASET', () => previewOk ? spec : undefined, resolve);
+
+            const makeSelect = (options, value) => {
+                const sel = document.createElement('select');
+                options.forEach(([v, text]) => {
+                    const opt = safeText('option', text);
+                    opt.value = v;
+                    sel.appendChild(opt);
+                });
+                if (value !== undefined) sel.value = value;
+                return sel;
+            };
+            const field = (text, input) => {
+                const wrap = document.createElement('div');
+                const label = safeText('label', text);
+                label.className = 'label';
+                wrap.append(label, input);
+                return wrap;
+            };
+            const dsOptions = datasets.map(ds => [ds.id, `${ds.name} (${ds.meta.rows.toLocaleString()} rows)`]);
+            // Shared names that look like identifiers are the most likely keys
+            const suggestKey = (leftHeaders, rightHeaders) => {
+                const shared = leftHeaders.filter(h => rightHeaders.includes(h));
+                return shared.find(h => /(^id$|_id$|Id$|key$|code$)/i.test(h)) || shared[0] || leftHeaders[0];
+            };
+
+            const base = makeSelect(dsOptions, datasets[0].id);
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.placeholder = 'Derived dataset name (optional)';
+            body.append(field('Base Dataset (Left)', base), field('Derived Name', name));
+
+            const stepsBox = document.createElement('div');
+            stepsBox.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
+            body.appendChild(stepsBox);
+
+            const addStep = safeText('button', '+ JOIN ANOTHER DATASET');
+            addStep.className = 'btn-activate';
+            addStep.style.cssText = 'margin: 0; padding: 8px 14px; background: transparent; border: 1px dashed var(--border); box-shadow: none; font-size: 0.7rem;';
+            body.appendChild(addStep);
+
+            const report = document.createElement('div');
+            report.style.cssText = "display: flex; flex-direction: column; gap: 6px; font-family: 'JetBrains Mono', monospace; font-size: 0.7rem; padding: 10px; border: 1px solid var(--border); border-radius: 10px;";
+            body.appendChild(report);
+
+            // Left-side headers for a step: the base dataset, or the previous step's output
+            const leftHeadersFor = (i) => {
+                if (i === 0) return collection[base.value].headers;
+                if (profiled?.[i - 1]?.headers) return profiled[i - 1].headers;
+                return [...new Set([base.value, ...steps.slice(0, i).map(s => s.right.value)].flatMap(id => collection[id].headers))];
+            };
+
+            const paint = () => {
+                steps.forEach((step, i) => {
+                    const leftHeaders = leftHeadersFor(i);
+                    const rightHeaders = collection[step.right.value].headers;
+                    step.keys.forEach(k => {
+                        const prevL = k.left.value, prevR = k.right.value;
+                        k.left.textContent = k.right.textContent = '';
+                        leftHeaders.forEach(h => k.left.appendChild(safeText('option', h)).value = h);
+                        rightHeaders.forEach(h => k.right.appendChild(safeText('option', h)).value = h);
+                        const suggested = suggestKey(leftHeaders, rightHeaders);
+                        k.left.value = leftHeaders.includes(prevL) ? prevL : suggested;
+                        k.right.value = rightHeaders.includes(prevR) ? prevR : (rightHeaders.includes(k.left.value) ? k.left.value : rightHeaders[0]);
+                    });
+                });
+            };
+
+            const refresh = () => {
+                spec = {
+                    baseId: base.value,
+                    name: name.value,
+                    steps: steps.map(s => ({ rightId: s.right.value, type: s.type.value, keys: s.keys.map(k => ({ left: k.left.value, right: k.right.value })) }))
+                };
+                report.textContent = '';
+                try {
+                    profiled = preview(spec);
+                    previewOk = true;
+                    profiled.forEach((p, i) => {
+                        report.appendChild(safeText('div', `STEP ${i + 1} · ${p.type.toUpperCase()} JOIN [${p.rightName}] · ${p.cardinality.toUpperCase()}`)).style.cssText = 'color: var(--accent-primary); font-weight: 800;';
+                        report.appendChild(safeText('div', `ROWS: ${p.leftRows.toLocaleString()} LEFT × ${p.rightRows.toLocaleString()} RIGHT → ${p.outputRows.toLocaleString()} OUTPUT`));
+                        report.appendChild(safeText('div', `KEYS: ${p.matchedKeys.toLocaleString()} MATCHED · ${p.unmatchedLeftKeys.toLocaleString()} LEFT-ONLY (${p.unmatchedLeftRows.toLocaleString()} rows) · ${p.unmatchedRightKeys.toLocaleString()} RIGHT-ONLY (${p.unmatchedRightRows.toLocaleString()} rows)`));
+                        p.warnings.forEach(w => report.appendChild(safeText('div', `⚠ ${w}`)).style.color = 'var(--warning)');
+                    });
+                } catch (err) {
+                    profiled = null;
+                    previewOk = false;
+                    report.appendChild(safeText('div', err.message)).style.color = 'var(--danger)';
+                }
+            };
+
+            const createStep = () => {
+                const used = [base.value, ...steps.map(s => s.right.value)];
+                const candidate = datasets.find(ds => !used.includes(ds.id)) || datasets[0];
+                const box = document.createElement('div');
+                box.style.cssText = 'display: flex; flex-direction: column; gap: 8px; padding: 10px; border: 1px solid var(--border); border-radius: 10px;';
+                const step = {
+                    right: makeSelect(dsOptions, candidate.id),
+                    type: makeSelect([['inner', 'Inner (matches only)'], ['left', 'Left (keep all left rows)'], ['full', 'Full Outer (keep everything)'], ['anti', 'Anti (left rows without a match)']], 'left'),
+                    keys: []
+                };
+                const head = document.createElement('div');
+                head.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr 28px; gap: 10px; align-items: end;';
+                const remove = safeText('button', '×');
+                remove.style.cssText = 'background: none; border: none; color: var(--danger); font-size: 1rem; cursor: pointer;';
+                head.append(field('Join With (Right)', step.right), field('Join Type', step.type), remove);
+                const keysBox = document.createElement('div');
+                keysBox.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+                const addKey = safeText('button', '+ KEY COLUMN');
+                addKey.style.cssText = 'align-self: flex-start; background: none; border: none; color: var(--accent-primary); font-size: 0.65rem; font-weight: 800; cursor: pointer;';
+                const pushKey = () => {
+                    const k = { left: document.createElement('select'), right: document.createElement('select') };
+                    const row = document.createElement('div');
+                    row.style.cssText = 'display: grid; grid-template-columns: 1fr 20px 1fr; gap: 8px; align-items: center;';
+                    row.append(k.left, safeText('span', '='), k.right);
+                    k.left.onchange = k.right.onchange = refresh;
+                    keysBox.appendChild(row);
+                    step.keys.push(k);
+                };
+                addKey.onclick = () => { pushKey(); paint(); refresh(); };
+                step.right.onchange = () => { paint(); refresh(); };
+                step.type.onchange = refresh;
+                remove.onclick = () => {
+                    if (steps.length === 1) return;
+                    steps.splice(steps.indexOf(step), 1);
+                    box.remove();
+                    paint();
+                    refresh();
+                };
+                pushKey();
+                box.append(head, keysBox, addKey);
+                stepsBox.appendChild(box);
+                steps.push(step);
+            };
+
+            addStep.onclick = () => { createStep(); paint(); refresh(); };
+            base.onchange = () => { paint(); refresh(); };
+            name.oninput = () => { if (spec) spec.name = name.value; };
+
+            createStep();
+            paint();
+            refresh();
+        });
+    }
+
+    /**
+     * CLEANING PANEL
+     * Resolves with the ordered recipe ([{ op, ... }]) or null when cancelled. An empty recipe restores the source rows.
+     * `preview(recipe)` returns the before/after row counts per step while the operator edits.
+     */
+    const CLEANING_OPS = [['dedupe', 'Remove duplicates'], ['blanks', 'Blank values'], ['replace', 'Replace value'], ['merge', 'Merge categories'], ['case', 'Normalise case'], ['cap', 'Cap outliers'], ['filter', 'Filter rows']];
+    const CLEANING_FIELDS = {
+        dedupe: [{ key: 'columns', label: 'Key Columns (none = full row)', kind: 'columns' }],
+        blanks: [
+            { key: 'column', label: 'Column', kind: 'column' },
+            { key: 'action', label: 'Action', kind: 'select', options: [['drop', 'Drop row'], ['value', 'Fill with value'], ['mean', 'Fill with mean'], ['median', 'Fill with median'], ['mode', 'Fill with most frequent'], ['previous', 'Fill with previous row']] },
+            { key: 'value', label: 'Fill Value', kind: 'text' }
+        ],
+        replace: [
+            { key: 'column', label: 'Column', kind: 'column' },
+            { key: 'find', label: 'Find', kind: 'text' },
+            { key: 'replace', label: 'Replace With', kind: 'text' },
+            { key: 'whole', label: 'Whole cell only', kind: 'check' }
+        ],
+        merge: [
+            { key: 'column', label: 'Column', kind: 'column' },
+            { key: 'values', label: 'Variants (one per line)', kind: 'lines' },
+            { key: 'into', label: 'Merge Into', kind: 'text' }
+        ],
+        case: [
+            { key: 'column', label: 'Column', kind: 'column' },
+            { key: 'mode', label: 'Case', kind: 'select', options: [['title', 'Title Case'], ['upper', 'UPPER'], ['lower', 'lower']] }
+        ],
+        cap: [
+            { key: 'column', label: 'Column', kind: 'column', numeric: true },
+            { key: 'method', label: 'Method', kind: 'select', options: [['iqr', 'IQR fences'], ['percentile', 'Percentiles'], ['fixed', 'Fixed bounds']] },
+            { key: 'k', label: 'IQR Multiplier', kind: 'number', value: 1.5 },
+            { key: 'lower', label: 'Lower (pct / bound)', kind: 'number' },
+            { key: 'upper', label: 'Upper (pct / bound)', kind: 'number' }
+        ],
+        filter: [
+            { key: 'column', label: 'Column', kind: 'column' },
+            { key: 'operator', label: 'Keep Rows Where', kind: 'select', options: [['eq', 'equals'], ['neq', 'does not equal'], ['contains', 'contains'], ['not_contains', 'does not contain'], ['gt', '>'], ['gte', '≥'], ['lt', '<'], ['lte', '≤'], ['blank', 'is blank'], ['not_blank', 'is not blank']] },
+            { key: 'value', label: 'Value', kind: 'text' }
+        ]
+    };
+
+    function showCleaningPanel(ds, preview) {
+        return new Promise((resolve) => {
+            const steps = [];
+            let recipe = [];
+            let previewOk = true;
+            const { body } = openModal(`Cleaning Recipe — ${ds.name}`, 'APPLY RECIPE', () => previewOk ? recipe : undefined, resolve);
+
+            const note = safeText('p', 'Steps run in order on the source rows. The recipe is saved with the dataset and replayed whenever a file with this name is ingested again.');
+            note.style.cssText = 'font-size: 0.75rem; color: var(--text-muted);';
+            body.appendChild(note);
+
+            const stepsBox = document.createElement('div');
+            stepsBox.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
+            const addStep = safeText('button', '+ CLEANING STEP');
+            addStep.className = 'btn-activate';
+            addStep.style.cssText = 'margin: 0; padding: 8px 14px; background: transparent; border: 1px dashed var(--border); box-shadow: none; font-size: 0.7rem;';
+            const report = document.createElement('div');
+            report.style.cssText = "display: flex; flex-direction: column; gap: 6px; font-family: 'JetBrains Mono', monospace; font-size: 0.7rem; padding: 10px; border: 1px solid var(--border); border-radius: 10px;";
+            body.append(stepsBox, addStep, report);
+
+            // Recipes run before calculated columns exist, so only source columns are offered
+            const headers = ds.headers.filter(h => !ds.schema.columns?.[h]?.calculated);
+            const numericHeaders = headers.filter(h => ds.schema.numerical.includes(h));
+            const buildInput = (field, value) => {
+                let input;
+                if (field.kind === 'column' || field.kind === 'select') {
+                    input = document.createElement('select');
+                    const options = field.kind === 'select' ? field.options : (field.numeric && numericHeaders.length ? numericHeaders : headers).map(h => [h, h]);
+                    options.forEach(([v, text]) => input.appendChild(safeText('option', text)).value = v);
+                    if (value !== undefined) input.value = value;
+                } else if (field.kind === 'columns') {
+                    input = document.createElement('select');
+                    input.multiple = true;
+                    input.size = Math.min(5, headers.length);
+                    headers.forEach(h => {
+                        const opt = input.appendChild(safeText('option', h));
+                        opt.value = h;
+                        opt.selected = (value || []).includes(h);
+                    });
+                } else if (field.kind === 'check') {
+                    input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.style.cssText = 'width: 16px; margin: 0;';
+                    input.checked = value !== undefined ? !!value : true;
+                } else if (field.kind === 'lines') {
+                    input = document.createElement('textarea');
+                    input.rows = 3;
+                    input.style.cssText = 'width: 100%; resize: vertical;';
+                    input.value = (value || []).join('\n');
+                } else {
+                    input = document.createElement('input');
+                    input.type = field.kind === 'number' ? 'number' : 'text';
+                    const initial = value !== undefined ? value : field.value;
+                    input.value = initial === undefined || initial === null ? '' : initial;
+                }
+                input.onchange = refresh;
+                if (input.tagName !== 'SELECT' && input.type !== 'checkbox') input.oninput = refresh;
+                return input;
+            };
+            const readValue = (field, input) => {
+                if (field.kind === 'columns') return Array.from(input.selectedOptions).map(o => o.value);
+                if (field.kind === 'check') return input.checked;
+                if (field.kind === 'lines') return input.value.split('\n').map(v => v.trim()).filter(Boolean);
+                if (field.kind === 'number') return input.value === '' ? null : Number(input.value);
+                return input.value;
+            };
+
+            const createStep = (initial) => {
+                const box = document.createElement('div');
+                box.style.cssText = 'display: flex; flex-direction: column; gap: 8px; padding: 10px; border: 1px solid var(--border); border-radius: 10px;';
+                const head = document.createElement('div');
+                head.style.cssText = 'display: grid; grid-template-columns: 1fr 24px 24px 24px; gap: 6px; align-items: center;';
+                const op = document.createElement('select');
+                CLEANING_OPS.forEach(([v, text]) => op.appendChild(safeText('option', text)).value = v);
+                op.value = initial.op;
+                const tool = (glyph, color) => {
+                    const btn = safeText('button', glyph);
+                    btn.style.cssText = `background: none; border: none; color: ${color}; font-size: 0.9rem; cursor: pointer;`;
+                    return btn;
+                };
+                const up = tool('↑', 'var(--accent-primary)');
+                const down = tool('↓', 'var(--accent-primary)');
+                const remove = tool('×', 'var(--danger)');
+                head.append(op, up, down, remove);
+                const fieldsBox = document.createElement('div');
+                fieldsBox.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 8px; align-items: end;';
+                box.append(head, fieldsBox);
+
+                const step = { box, op, inputs: [] };
+                const paintFields = (values) => {
+                    fieldsBox.textContent = '';
+                    step.inputs = CLEANING_FIELDS[op.value].map(field => {
+                        const input = buildInput(field, values[field.key]);
+                        const wrap = document.createElement('div');
+                        const label = safeText('label', field.label);
+                        label.className = 'label';
+                        wrap.append(label, input);
+                        fieldsBox.appendChild(wrap);
+                        return { field, input };
+                    });
+                };
+                op.onchange = () => { paintFields({}); refresh(); };
+                const move = (delta) => {
+                    const i = steps.indexOf(step);
+                    const j = i + delta;
+                    if (j < 0 || j >= steps.length) return;
+                    steps.splice(i, 1);
+                    steps.splice(j, 0, step);
+                    steps.forEach(s => stepsBox.appendChild(s.box));
+                    refresh();
+                };
+                up.onclick = () => move(-1);
+                down.onclick = () => move(1);
+                remove.onclick = () => {
+                    steps.splice(steps.indexOf(step), 1);
+                    box.remove();
+                    refresh();
+                };
+                paintFields(initial);
+                stepsBox.appendChild(box);
+                steps.push(step);
+            };
+
+            function refresh() {
+                recipe = steps.map(s => {
+                    const out = { op: s.op.value };
+                    s.inputs.forEach(({ field, input }) => out[field.key] = readValue(field, input));
+                    return out;
+                });
+                report.textContent = '';
+                try {
+                    const summary = preview(recipe);
+                    previewOk = true;
+                    report.appendChild(safeText('div', `ROWS: ${summary.before.toLocaleString()} BEFORE → ${summary.after.toLocaleString()} AFTER (${(summary.after - summary.before).toLocaleString()})`)).style.cssText = 'color: var(--accent-primary); font-weight: 800;';
+                    summary.steps.forEach((s, i) => {
+                        const removed = s.before - s.after;
+                        report.appendChild(safeText('div', `${i + 1}. ${s.label} · ${removed ? `−${removed.toLocaleString()} rows` : 'rows kept'}${s.changed ? ` · ${s.changed.toLocaleString()} cells changed` : ''}`));
+                    });
+                } catch (err) {
+                    previewOk = false;
+                    report.appendChild(safeText('div', err.message)).style.color = 'var(--danger)';
+                }
+            }
+
+            addStep.onclick = () => { createStep({ op: 'dedupe' }); refresh(); };
+            (ds.recipe || []).forEach(step => createStep(step));
+            refresh();
+        });
+    }
+
+    /**
+     * CALCULATED COLUMN EDITOR
+     * Resolves with { name, expression } or null when cancelled. `preview(name, expression)` type checks
+     * against the schema and returns { type, sample } so errors show while typing.
+     */
+    function showCalculatedColumnEditor(ds, existing, preview) {
+        return new Promise((resolve) => {
+            let valid = false;
+            const { body } = openModal(`${existing ? 'Edit' : 'New'} Calculated Column — ${ds.name}`, existing ? 'UPDATE COLUMN' : 'ADD COLUMN', () => valid ? { name: name.value.trim(), expression: expression.value } : undefined, resolve);
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.placeholder = 'Margin';
+            name.value = existing ? existing.name : '';
+            const expression = document.createElement('textarea');
+            expression.rows = 3;
+            expression.placeholder = '([Revenue] - [Cost]) / [Revenue]';
+            expression.style.cssText = "width: 100%; resize: vertical; font-family: 'JetBrains Mono', monospace;";
+            expression.value = existing ? existing.expression : '';
+            [['Column Name', name], ['Expression', expression]].forEach(([text, input]) => {
+                const wrap = document.createElement('div');
+                const label = safeText('label', text);
+                label.className = 'label';
+                wrap.append(label, input);
+                body.appendChild(wrap);
+            });
+
+            const status = document.createElement('div');
+            status.style.cssText = "font-family: 'JetBrains Mono', monospace; font-size: 0.7rem; padding: 10px; border: 1px solid var(--border); border-radius: 10px;";
+            body.appendChild(status);
+
+            // Column chips insert a bracketed reference at the cursor
+            const chips = document.createElement('div');
+            chips.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+            ds.headers.filter(h => h !== existing?.name).forEach(h => {
+                const chip = safeText('button', h);
+                chip.title = ds.schema.columns?.[h]?.type || 'categorical';
+                chip.style.cssText = 'background: rgba(14, 165, 233, 0.08); border: 1px solid var(--border); border-radius: 6px; color: var(--text-main); font-size: 0.6rem; padding: 3px 8px; cursor: pointer;';
+                chip.onclick = () => {
+                    const at = expression.selectionStart ?? expression.value.length;
+                    expression.value = expression.value.slice(0, at) + `[${h}]` + expression.value.slice(expression.selectionEnd ?? at);
+                    expression.focus();
+                    refresh();
+                };
+                chips.appendChild(chip);
+            });
+            body.appendChild(chips);
+
+            const reference = safeText('p', `Operators: + - * / % & = != < <= > >= and or not · Functions: ${ExpressionEngine.listFunctions().join(', ')}`);
+            reference.style.cssText = 'font-size: 0.6rem; color: var(--text-muted); line-height: 1.5;';
+            body.appendChild(reference);
+
+            const refresh = () => {
+                status.textContent = '';
+                if (!expression.value.trim()) {
+                    valid = false;
+                    status.appendChild(safeText('div', 'Type an expression.')).style.color = 'var(--text-muted)';
+                    return;
+                }
+                try {
+                    const result = preview(name.value, expression.value);
+                    valid = true;
+                    status.appendChild(safeText('div', `✓ ${result.type.toUpperCase()} · uses ${result.refs.join(', ') || 'no columns'}`)).style.cssText = 'color: var(--success); font-weight: 800;';
+                    status.appendChild(safeText('div', `SAMPLE: ${result.sample.map(v => v === '' ? 'null' : v).join(' | ')}`));
+                    if (result.nullShare > 0.5) status.appendChild(safeText('div', `⚠ ${Math.round(result.nullShare * 100)}% of sampled rows evaluate to null`)).style.color = 'var(--warning)';
+                } catch (err) {
+                    valid = false;
+                    status.appendChild(safeText('div', err.message)).style.color = 'var(--danger)';
+                }
+            };
+            name.oninput = expression.oninput = refresh;
+            refresh();
         });
     }
 
@@ -68,10 +981,7 @@ const UIRenderer = (() => {
         const y = document.getElementById('y-axis');
         const currentX = x.value;
         const currentY = y.value;
-        const state = DataEngine.reconcileCollection(mode);
-        const schemas = state.schemas || {};
-        const firstId = Object.keys(schemas)[0];
-        const schema = firstId ? schemas[firstId] : { numerical: [], categorical: [], temporal: [] };
+        const schema = DataEngine.getActiveSchema();
         x.textContent = y.textContent = '';
         const targetHeaders = mode === 'single' ? allHeaders : sharedHeaders;
         targetHeaders.forEach(h => {
@@ -85,18 +995,659 @@ const UIRenderer = (() => {
             y.appendChild(optY);
         });
         if (currentX && targetHeaders.includes(currentX)) x.value = currentX;
-        else if (schema.categorical.length > 0) x.value = schema.categorical[0];
+        else if (schema.categorical.length > 0) x.value = schema.categorical.find(h => schema.columns?.[h]?.format !== 'id') || schema.categorical[0];
         if (currentY && targetHeaders.includes(currentY)) y.value = currentY;
         else if (schema.numerical.length > 0) y.value = schema.numerical[0];
     }
 
+    /**
+     * COMPARE MODE: dataset picker. The first ticked dataset (manifest order) is the baseline.
+     */
+    // Percentile and weight inputs only show for the aggregations that use them
+    function populateAggregationControls(fn, weightHeaders) {
+        const weight = document.getElementById('agg-weight');
+        const current = weight.value;
+        weight.textContent = '';
+        weightHeaders.forEach(h => {
+            const opt = safeText('option', `Weight: ${h}`);
+            opt.value = h;
+            weight.appendChild(opt);
+        });
+        if (weightHeaders.includes(current)) weight.value = current;
+        document.getElementById('agg-percentile').style.display = fn === 'percentile' ? 'block' : 'none';
+        weight.style.display = fn === 'weighted' ? 'block' : 'none';
+    }
+
+    // "None" plus every dimension other than X; the schema's candidate is flagged
+    function populateBreakdownSelector(dimensions, suggested) {
+        const z = document.getElementById('z-axis');
+        const current = z.value;
+        z.textContent = '';
+        z.appendChild(safeText('option', 'None')).value = '';
+        dimensions.forEach(h => {
+            const opt = safeText('option', h + (h === suggested ? ' (suggested)' : ''));
+            opt.value = h;
+            z.appendChild(opt);
+        });
+        z.value = dimensions.includes(current) ? current : '';
+    }
+
+    function renderCompareSelector(collection, selectedIds, onChange) {
+        const box = document.getElementById('compare-sets');
+        if (!box) return;
+        box.textContent = '';
+        const ids = Object.keys(collection);
+        const baselineId = ids.find(id => selectedIds.includes(id));
+        ids.forEach(id => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 0.7rem; color: var(--text-main); cursor: pointer;';
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.checked = selectedIds.includes(id);
+            check.style.cssText = 'width: 14px; margin: 0;';
+            check.onchange = () => onChange(ids.filter(other => other === id ? check.checked : selectedIds.includes(other)));
+            const name = safeText('span', collection[id].name);
+            name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            row.append(check, name);
+            if (id === baselineId) {
+                const tag = safeText('span', 'BASELINE');
+                tag.style.cssText = 'font-size: 0.55rem; font-weight: 800; color: var(--accent-secondary);';
+                row.appendChild(tag);
+            }
+            box.appendChild(row);
+        });
+        if (selectedIds.length < 2) {
+            const hint = safeText('div', 'Tick two or more datasets to compare.');
+            hint.style.cssText = 'font-size: 0.65rem; color: var(--warning);';
+            box.appendChild(hint);
+        }
+    }
+
+    /**
+     * UNION MODE: alignment summary (aligned columns, leftovers per dataset, type reconciliations).
+     */
+    function renderUnionPanel(summary, onEdit) {
+        const box = document.getElementById('union-summary');
+        if (!box) return;
+        box.textContent = '';
+        const line = (text, color) => {
+            const el = safeText('div', text);
+            el.style.cssText = `font-size: 0.65rem; color: ${color || 'var(--text-muted)'};`;
+            return box.appendChild(el);
+        };
+        line(`${summary.columnCount} ALIGNED COLUMNS ACROSS ${summary.datasetCount} DATASETS`, 'var(--text-main)').style.fontWeight = '800';
+        summary.reconciled.forEach(r => line(`↺ ${r.column} → ${r.type.toUpperCase()} (${r.sources.map(s => `${s.dataset}: ${s.type}`).join(', ')})`, 'var(--accent-secondary)'));
+        summary.partial.forEach(p => line(`◐ ${p.column} missing from ${p.missingFrom.join(', ')}`, 'var(--warning)'));
+        if (summary.unaligned.length) line(`UNALIGNED: ${summary.unaligned.map(u => `${u.dataset} › ${u.header}`).join(', ')}`, 'var(--warning)');
+        const edit = document.getElementById('union-edit');
+        if (edit) edit.onclick = onEdit;
+    }
+
+    /**
+     * UNION MAPPER
+     * Resolves with a mapping ({ ids, columns: [{ name, type, sources }] }) or null when cancelled.
+     * `suggest(ids, prior)` re-runs automatic alignment; `prior` keeps the operator's confirmed columns.
+     */
+    function showUnionMapper(collection, mapping, suggest) {
+        return new Promise((resolve) => {
+            const ids = mapping.ids.filter(id => collection[id]);
+            let rows = [];
+            const { body } = openModal('Union Mapper — Schema Alignment', 'APPLY MAPPING', () => ({
+                ids,
+                columns: rows.map(r => ({
+                    name: r.name.value.trim(),
+                    type: r.type.value,
+                    sources: Object.fromEntries(ids.map(id => [id, r.sources[id].value || null]))
+                })).filter(col => col.name && Object.values(col.sources).some(Boolean))
+            }), resolve);
+
+            const note = safeText('p', 'Each row is one column of the unioned dataset. Pick the source column from every dataset, or leave it unmapped to fill blanks. A __source column tags every row with its dataset.');
+            note.style.cssText = 'font-size: 0.75rem; color: var(--text-muted);';
+            body.appendChild(note);
+
+            const grid = document.createElement('div');
+            grid.style.cssText = 'display: flex; flex-direction: column; gap: 6px; overflow-x: auto;';
+            body.appendChild(grid);
+            const leftovers = document.createElement('div');
+            leftovers.style.cssText = 'font-size: 0.65rem; color: var(--warning);';
+            const columnsTemplate = `minmax(120px, 1fr) 110px repeat(${ids.length}, minmax(120px, 1fr)) 24px`;
+
+            const paintLeftovers = () => {
+                const unused = ids.flatMap(id => {
+                    const used = new Set(rows.map(r => r.sources[id].value).filter(Boolean));
+                    return collection[id].headers.filter(h => !used.has(h)).map(h => `${collection[id].name} › ${h}`);
+                });
+                leftovers.textContent = unused.length ? `UNALIGNED: ${unused.join(', ')}` : 'Every source column is aligned.';
+            };
+
+            const header = document.createElement('div');
+            header.style.cssText = `display: grid; grid-template-columns: ${columnsTemplate}; gap: 8px;`;
+            ['Union Column', 'Type', ...ids.map(id => collection[id].name), ''].forEach(text => {
+                const label = safeText('span', text);
+                label.className = 'label';
+                label.style.cssText = 'margin: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                header.appendChild(label);
+            });
+            grid.appendChild(header);
+
+            const addRow = (col) => {
+                const row = document.createElement('div');
+                row.style.cssText = `display: grid; grid-template-columns: ${columnsTemplate}; gap: 8px; align-items: center;`;
+                const entry = { name: document.createElement('input'), type: document.createElement('select'), sources: {} };
+                entry.name.type = 'text';
+                entry.name.value = col.name;
+                [['numerical', 'Numerical'], ['categorical', 'Categorical'], ['temporal', 'Temporal']].forEach(([v, text]) => {
+                    entry.type.appendChild(safeText('option', text)).value = v;
+                });
+                entry.type.value = col.type;
+                row.append(entry.name, entry.type);
+                ids.forEach(id => {
+                    const sel = document.createElement('select');
+                    sel.appendChild(safeText('option', '— none —')).value = '';
+                    collection[id].headers.forEach(h => sel.appendChild(safeText('option', h)).value = h);
+                    sel.value = col.sources[id] || '';
+                    sel.onchange = paintLeftovers;
+                    entry.sources[id] = sel;
+                    row.appendChild(sel);
+                });
+                const remove = safeText('button', '×');
+                remove.style.cssText = 'background: none; border: none; color: var(--danger); font-size: 1rem; cursor: pointer;';
+                remove.onclick = () => {
+                    rows.splice(rows.indexOf(entry), 1);
+                    row.remove();
+                    paintLeftovers();
+                };
+                row.appendChild(remove);
+                grid.appendChild(row);
+                rows.push(entry);
+            };
+
+            const paint = (columns) => {
+                rows.forEach(() => grid.lastChild.remove());
+                rows = [];
+                columns.forEach(addRow);
+                paintLeftovers();
+            };
+
+            const tools = document.createElement('div');
+            tools.style.cssText = 'display: flex; gap: 10px;';
+            const add = safeText('button', '+ UNION COLUMN');
+            const resuggest = safeText('button', '↻ RE-SUGGEST FROM HEADERS');
+            [add, resuggest].forEach(btn => {
+                btn.className = 'btn-activate';
+                btn.style.cssText = 'margin: 0; padding: 8px 14px; background: transparent; border: 1px dashed var(--border); box-shadow: none; font-size: 0.7rem;';
+            });
+            add.onclick = () => {
+                addRow({ name: '', type: 'categorical', sources: {} });
+                paintLeftovers();
+            };
+            resuggest.onclick = () => paint(suggest(ids).columns);
+            tools.append(add, resuggest);
+            body.append(tools, leftovers);
+
+            paint(mapping.columns);
+        });
+    }
+
+    const formatDelta = (d) => d.pct === null ? `${d.abs >= 0 ? '+' : ''}${formatValue(d.abs)}` : `${d.abs >= 0 ? '+' : ''}${formatValue(d.abs)} (${d.pct >= 0 ? '+' : ''}${d.pct.toFixed(1)}%)`;
+    const comparePalette = ['#64748b', '#0ea5e9', '#8b5cf6', '#10b981', '#f59e0b', '#ec4899'];
+
+    // Grouped bars (or one line per dataset) over the categories that moved most
+    function buildComparisonChartData(comparison, limit) {
+        const cats = comparison.categories.slice(0, limit);
+        return {
+            labels: cats.map(c => c.name),
+            datasets: comparison.datasets.map((ds, i) => ({
+                label: ds.name,
+                data: cats.map(c => c.values[i] === null ? 0 : c.values[i]),
+                backgroundColor: comparePalette[i % comparePalette.length] + (i === 0 ? '99' : ''),
+                borderColor: comparePalette[i % comparePalette.length],
+                borderWidth: 1.5,
+                borderRadius: 4
+            }))
+        };
+    }
+
+    function renderComparisonChart(type, comparison) {
+        window.requestAnimationFrame(() => {
+            const canvas = document.getElementById('canvas');
+            chartInstance = new Chart(canvas.getContext('2d'), {
+                type: type === 'line' ? 'line' : 'bar',
+                data: buildComparisonChartData(comparison, 15),
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: {
+                        onComplete: () => {
+                            chartSnapshots.mainEffect = canvas.toDataURL("image/png");
+                        }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top', labels: { color: '#94a3b8', font: { size: 10 } } },
+                        tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${formatValue(c.raw)}` } }
+                    },
+                    scales: {
+                        y: { grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#64748b', callback: (v) => formatValue(v) } },
+                        x: { grid: { display: false }, ticks: { color: '#64748b', font: { size: 9 }, maxRotation: 45 } }
+                    }
+                }
+            });
+        });
+    }
+
+    function buildReportTable(headers, rows) {
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 0.75rem;';
+        const head = document.createElement('tr');
+        headers.forEach(h => {
+            const th = safeText('th', h);
+            th.style.cssText = 'text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border); color: var(--text-muted); font-size: 0.6rem; text-transform: uppercase;';
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+        rows.forEach(cells => {
+            const tr = document.createElement('tr');
+            cells.forEach(([text, color]) => {
+                const td = safeText('td', text);
+                td.style.cssText = `padding: 6px 8px; border-bottom: 1px solid rgba(255,255,255,0.03); color: ${color || '#f1f5f9'};`;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    function renderComparisonSection(results) {
+        const cmp = results.comparison;
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 15px;";
+        box.appendChild(safeText('div', `2.1 Comparative Analysis — ${cmp.datasets.length} Datasets vs Baseline [${cmp.baseline.name}]`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Comparative Analysis');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+
+        const deltaColor = (d) => d.abs === 0 ? null : (d.abs > 0 ? 'var(--success)' : 'var(--danger)');
+        const statRows = [['Total (Sum)', 'sum'], ['Mean', 'mean'], ['Median', 'median'], ['Maximum', 'max'], ['Std Dev', 'stdDev'], ['Nodes', 'count']].map(([label, key]) => {
+            const base = cmp.datasets[0].stats[key];
+            return [[label]].concat(cmp.datasets.map((ds, i) => {
+                const v = ds.stats[key];
+                if (i === 0) return [formatValue(v)];
+                const d = { abs: v - base, pct: base ? ((v - base) / Math.abs(base)) * 100 : null };
+                return [`${formatValue(v)}  ${formatDelta(d)}`, deltaColor(d)];
+            }));
+        });
+        box.appendChild(buildReportTable(['Statistic'].concat(cmp.datasets.map((ds, i) => i === 0 ? `${ds.name} (baseline)` : ds.name)), statRows));
+
+        const others = cmp.datasets.slice(1);
+        const catRows = cmp.categories.slice(0, 15).map(c => [[c.name]]
+            .concat(c.values.map(v => [v === null ? '—' : formatValue(v)]))
+            .concat(c.deltas.map(d => [d.status === 'new' ? `NEW ${formatDelta(d)}` : (d.status === 'disappeared' ? `GONE ${formatDelta(d)}` : formatDelta(d)), d.status === 'present' ? deltaColor(d) : 'var(--warning)'])));
+        box.appendChild(safeText('div', results.timeline ? `Per-Period Deltas (${metricLabel(results)}) — first ${Math.min(15, cmp.totalCategories)} of ${cmp.totalCategories} periods` : `Per-Category Deltas (${metricLabel(results)}) — top ${Math.min(15, cmp.totalCategories)} of ${cmp.totalCategories} by absolute change`)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+        box.appendChild(buildReportTable([results.labels.x].concat(cmp.datasets.map(ds => ds.name)).concat(others.map(ds => `Δ ${ds.name}`)), catRows));
+
+        cmp.pairs.forEach(pair => {
+            const list = (items) => items.length === 0 ? 'none' : items.slice(0, 12).join(', ') + (items.length > 12 ? ` (+${items.length - 12} more)` : '');
+            const churn = safeText('div', `${pair.name} — New: ${list(pair.newCategories)} · Disappeared: ${list(pair.disappearedCategories)}`);
+            churn.style.cssText = 'font-size: 0.75rem; color: #94a3b8;';
+            box.appendChild(churn);
+        });
+
+        const chartWrap = document.createElement('div');
+        chartWrap.style.cssText = 'background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); min-height: 300px; position: relative;';
+        const canvas = document.createElement('canvas');
+        canvas.id = 'bi-compare-canvas';
+        canvas.style.cssText = 'display: block; width: 100%; height: 260px;';
+        chartWrap.appendChild(canvas);
+        box.appendChild(chartWrap);
+        return box;
+    }
+
+    /**
+     * DATA QUALITY: score header, column table with inline histograms, shared by the profile view,
+     * the admin panel and the report section.
+     */
+    const qualityColor = (score) => score >= 90 ? 'var(--success)' : (score >= 65 ? 'var(--warning)' : 'var(--danger)');
+    const formatQualityValue = (v) => v === undefined || v === null ? '—' : (typeof v === 'number' ? formatValue(v) : String(v));
+
+    function renderHistogram(bins) {
+        const box = document.createElement('div');
+        box.style.cssText = 'display: flex; align-items: flex-end; gap: 1px; height: 28px; min-width: 72px;';
+        const peak = Math.max(1, ...bins.map(b => b.count));
+        bins.forEach(b => {
+            const bar = document.createElement('div');
+            bar.title = `${formatQualityValue(b.from)} – ${formatQualityValue(b.to)}: ${b.count.toLocaleString()}`;
+            bar.style.cssText = `flex: 1; min-width: 3px; height: ${Math.max(2, Math.round((b.count / peak) * 28))}px; background: #38bdf8aa; border-radius: 1px;`;
+            box.appendChild(bar);
+        });
+        return box;
+    }
+
+    function renderQualityScore(quality) {
+        const head = document.createElement('div');
+        head.style.cssText = 'display: flex; align-items: center; gap: 18px; flex-wrap: wrap;';
+        const score = safeText('div', `${quality.score}`);
+        score.style.cssText = `font-size: 2rem; font-weight: 900; color: ${qualityColor(quality.score)};`;
+        const grade = safeText('div', `GRADE ${quality.grade}`);
+        grade.style.cssText = `font-size: 0.65rem; font-weight: 800; color: ${qualityColor(quality.score)};`;
+        head.append(score, grade);
+        Object.entries(quality.components).forEach(([k, v]) => {
+            const item = document.createElement('div');
+            item.appendChild(safeText('div', k)).style.cssText = 'font-size: 0.55rem; color: var(--text-muted); text-transform: uppercase;';
+            item.appendChild(safeText('div', `${v.toFixed(1)}%`)).style.cssText = `font-size: 0.85rem; font-weight: 800; color: ${qualityColor(v)};`;
+            head.appendChild(item);
+        });
+        return head;
+    }
+
+    function buildQualityColumnTable(columns, detailed) {
+        const table = buildReportTable(detailed
+            ? ['Column', 'Type', 'Blank', 'Distinct', 'Unparseable', 'Min', 'P25 / Median / P75', 'Max', 'Top Values', 'Histogram', 'Warnings']
+            : ['Column', 'Type', 'Blank', 'Distinct', 'Unparseable', 'Warnings'], columns.map(c => {
+                const base = [[c.name], [c.type], [`${(c.nullRate * 100).toFixed(1)}%`, c.nullRate > 0.2 ? 'var(--warning)' : null], [c.distinct.toLocaleString()], [c.unparseable.toLocaleString(), c.unparseable ? 'var(--danger)' : null]];
+                const warnings = [c.warnings.join('; ') || 'OK', c.warnings.length ? 'var(--warning)' : 'var(--success)'];
+                if (!detailed) return base.concat([warnings]);
+                const q = c.quantiles;
+                return base.concat([
+                    [formatQualityValue(c.min)],
+                    [q ? `${formatQualityValue(q.p25)} / ${formatQualityValue(q.p50)} / ${formatQualityValue(q.p75)}` : '—'],
+                    [formatQualityValue(c.max)],
+                    [c.topValues.slice(0, 3).map(t => `${t.value} (${t.count.toLocaleString()})`).join(', ') || '—'],
+                    [''],
+                    warnings
+                ]);
+            }));
+        // Histogram cells hold DOM bars rather than text
+        if (detailed) Array.from(table.rows).slice(1).forEach((tr, i) => {
+            const bins = columns[i].histogram;
+            if (bins.length) tr.cells[9].appendChild(renderHistogram(bins));
+        });
+        return table;
+    }
+
+    /**
+     * Per-dataset profiling view (modal).
+     */
+    function showQualityProfile(profile) {
+        return new Promise((resolve) => {
+            const { body } = openModal(`Data Quality Profile — ${profile.name}`, 'CLOSE', () => true, resolve);
+            body.parentElement.style.width = 'min(1200px, 96vw)';
+            body.appendChild(renderQualityScore(profile));
+            const note = safeText('p', `${profile.rows.toLocaleString()} rows · ${profile.duplicateRows.toLocaleString()} exact duplicate rows · profiled ${new Date(profile.profiledAt).toLocaleString()}`);
+            note.style.cssText = 'font-size: 0.7rem; color: var(--text-muted);';
+            body.appendChild(note);
+            const wrap = document.createElement('div');
+            wrap.style.cssText = 'overflow-x: auto;';
+            wrap.appendChild(buildQualityColumnTable(profile.columns, true));
+            body.appendChild(wrap);
+        });
+    }
+
+    /**
+     * VERSION DIFF view. rediff(keyColumns) recomputes the diff when another row key is picked.
+     */
+    function showVersionDiff(diff, rediff) {
+        return new Promise((resolve) => {
+            const { body } = openModal(`Version Diff — ${diff.name} v${diff.from.version} → v${diff.to.version}`, 'CLOSE', () => true, resolve);
+            body.parentElement.style.width = 'min(1000px, 96vw)';
+            const heading = (text) => {
+                const el = safeText('div', text);
+                el.style.cssText = 'font-size: 0.6rem; font-weight: 800; color: var(--accent-primary); text-transform: uppercase;';
+                return el;
+            };
+            const fmt = (n, digits = 2) => n === null || n === undefined ? '—' : Number(n).toLocaleString(undefined, { maximumFractionDigits: digits });
+            const signed = (n, digits = 2) => n === null ? '—' : `${n > 0 ? '+' : ''}${fmt(n, digits)}`;
+            const deltaColor = (n) => !n ? null : (n > 0 ? 'var(--success)' : 'var(--danger)');
+
+            const keyRow = document.createElement('label');
+            keyRow.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 0.7rem; color: var(--text-muted);';
+            const keySelect = document.createElement('select');
+            keySelect.style.cssText = 'padding: 4px; font-size: 0.7rem; margin: 0; border-radius: 6px; width: auto;';
+            [['', 'Whole records (no key)']].concat(diff.keyCandidates.map(k => [k, k])).forEach(([value, text]) => {
+                const opt = safeText('option', text);
+                opt.value = value;
+                keySelect.appendChild(opt);
+            });
+            keySelect.value = diff.key[0] || '';
+            keyRow.append(safeText('span', 'Row key'), keySelect);
+            body.appendChild(keyRow);
+            if (diff.keyCandidates.length === 0) body.appendChild(safeText('p', 'No column is unique in both versions; rows are matched as whole records.')).style.cssText = 'font-size: 0.65rem; color: var(--warning);';
+
+            const content = document.createElement('div');
+            content.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+            body.appendChild(content);
+
+            const paint = (d) => {
+                content.textContent = '';
+                const r = d.rows;
+                content.appendChild(buildReportTable(['Rows v' + d.from.version, 'Rows v' + d.to.version, 'Added', 'Removed', 'Changed', 'Unchanged'], [[
+                    [d.from.rows.toLocaleString()], [d.to.rows.toLocaleString()],
+                    [r.added.toLocaleString(), r.added ? 'var(--success)' : null],
+                    [r.removed.toLocaleString(), r.removed ? 'var(--danger)' : null],
+                    [r.changed === null ? 'n/a' : r.changed.toLocaleString(), r.changed ? 'var(--warning)' : null],
+                    [r.unchanged.toLocaleString()]
+                ]]));
+                if (r.duplicateKeys) content.appendChild(safeText('p', `${r.duplicateKeys.toLocaleString()} duplicate key value(s); the last row of each key was compared.`)).style.cssText = 'font-size: 0.65rem; color: var(--warning);';
+
+                content.appendChild(heading('Schema Changes'));
+                const s = d.schema;
+                const schemaRows = s.added.map(c => [[c], ['added', 'var(--success)'], ['—']])
+                    .concat(s.removed.map(c => [[c], ['removed', 'var(--danger)'], ['—']]))
+                    .concat(s.typeChanged.map(c => [[c.column], ['type changed', 'var(--warning)'], [`${c.from} → ${c.to}`]]));
+                if (schemaRows.length) content.appendChild(buildReportTable(['Column', 'Change', 'Detail'], schemaRows));
+                else content.appendChild(safeText('p', 'No schema changes.')).style.cssText = 'font-size: 0.7rem; color: var(--text-muted);';
+
+                if (d.aggregates.length) {
+                    content.appendChild(heading('Aggregate Deltas'));
+                    content.appendChild(buildReportTable(['Metric', `Sum v${d.from.version}`, `Sum v${d.to.version}`, 'Δ Sum', 'Δ %', 'Δ Mean', 'Δ Count'], d.aggregates.map(a => [
+                        [a.column], [fmt(a.from.sum)], [fmt(a.to.sum)],
+                        [signed(a.delta.sum), deltaColor(a.delta.sum)],
+                        [a.delta.pct === null ? '—' : `${signed(a.delta.pct, 1)}%`, deltaColor(a.delta.pct)],
+                        [signed(a.delta.mean)], [signed(a.delta.count, 0)]
+                    ])));
+                }
+
+                const changedCols = Object.entries(r.columnChanges).sort((a, b) => b[1] - a[1]);
+                if (changedCols.length) {
+                    content.appendChild(heading('Changed Columns'));
+                    content.appendChild(safeText('p', changedCols.map(([c, n]) => `${c} (${n.toLocaleString()})`).join(' · '))).style.cssText = 'font-size: 0.7rem;';
+                    content.appendChild(buildReportTable([d.key.join(' | '), 'Column', `v${d.from.version}`, `v${d.to.version}`], r.samples.changed.map(c => [[c.key], [c.column], [String(c.before), 'var(--danger)'], [String(c.after), 'var(--success)']])));
+                }
+                [['Added', r.samples.added, r.added], ['Removed', r.samples.removed, r.removed]].forEach(([label, sample, total]) => {
+                    if (!sample.length) return;
+                    content.appendChild(heading(`${label} Rows${total > sample.length ? ` (first ${sample.length} of ${total.toLocaleString()})` : ''}`));
+                    content.appendChild(safeText('p', sample.join('\n'))).style.cssText = 'font-size: 0.65rem; font-family: monospace; white-space: pre-wrap; max-height: 160px; overflow-y: auto; color: var(--text-muted);';
+                });
+            };
+
+            keySelect.onchange = async () => {
+                content.style.opacity = '0.4';
+                try {
+                    paint(await rediff(keySelect.value ? [keySelect.value] : []));
+                } finally {
+                    content.style.opacity = '1';
+                }
+            };
+            paint(diff);
+        });
+    }
+
+    /**
+     * Admin view: overall score plus one row per dataset, each opening its profile.
+     */
+    function renderQualityPanel(summary, onOpen) {
+        const box = document.getElementById('admin-quality');
+        if (!box) return;
+        box.textContent = '';
+        if (!summary) {
+            box.appendChild(safeText('div', 'No datasets profiled.')).style.cssText = 'font-size: 0.75rem; color: var(--text-muted);';
+            return;
+        }
+        box.appendChild(renderQualityScore(summary));
+        summary.datasets.forEach(ds => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: grid; grid-template-columns: 1fr 60px 120px; gap: 10px; align-items: center; padding: 8px 10px; border: 1px solid var(--border); border-radius: 8px; cursor: pointer; font-size: 0.75rem;';
+            row.title = 'Open profile';
+            row.appendChild(safeText('span', ds.name)).style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            row.appendChild(safeText('span', `${ds.score} ${ds.grade}`)).style.cssText = `font-weight: 800; color: ${qualityColor(ds.score)};`;
+            const issues = ds.columns.filter(c => c.warnings.length).length;
+            row.appendChild(safeText('span', issues ? `${issues} column warning(s)` : 'no warnings')).style.color = issues ? 'var(--warning)' : 'var(--text-muted)';
+            row.onclick = () => onOpen(ds.id);
+            box.appendChild(row);
+        });
+    }
+
+    /**
+     * QUARANTINE PANEL: one line per rejected or partially failed source; clicking opens the entry.
+     */
+    function renderQuarantine(entries, onOpen) {
+        const panel = document.getElementById('quarantine-panel');
+        const list = document.getElementById('quarantine-list');
+        if (!panel || !list) return;
+        list.textContent = '';
+        panel.style.display = entries.length ? 'flex' : 'none';
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; flex-direction: column; gap: 2px; padding: 8px 10px; border: 1px solid var(--border); border-radius: 8px; cursor: pointer; font-size: 0.7rem;';
+            row.title = 'Open quarantine entry';
+            const head = document.createElement('div');
+            head.style.cssText = 'display: flex; justify-content: space-between; gap: 8px;';
+            head.appendChild(safeText('span', entry.name)).style.cssText = 'font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            head.appendChild(safeText('span', entry.status === 'rejected' ? 'REJECTED' : 'PARTIAL')).style.cssText = `font-weight: 800; font-size: 0.6rem; color: ${entry.status === 'rejected' ? 'var(--danger)' : 'var(--warning)'};`;
+            row.appendChild(head);
+            row.appendChild(safeText('span', entry.reasons.map(r => r.rule).join(' · '))).style.color = 'var(--text-muted)';
+            row.onclick = () => onOpen(entry.id);
+            list.appendChild(row);
+        });
+    }
+
+    const QUARANTINE_ENCODINGS = ['windows-1252', 'iso-8859-1', 'utf-16le', 'shift_jis', 'gb18030'];
+    const QUARANTINE_TYPES = [['', 'Inferred'], ['numerical', 'Numerical'], ['categorical', 'Categorical'], ['temporal', 'Temporal']];
+
+    /**
+     * QUARANTINE ENTRY: reasons, parse/encoding samples, a data preview and the fixes the entry supports.
+     * Resolves { action: 'retry' | 'force', overrides } | { action: 'sheet' } | { action: 'encoding', encoding }
+     * | { action: 'dismiss' }, or null when closed.
+     */
+    function showQuarantineEntry(entry, preview) {
+        return new Promise((resolve) => {
+            const { body, close } = openModal(`Quarantine — ${entry.name}`, 'CLOSE', () => null, resolve);
+            body.parentElement.style.width = 'min(1000px, 94vw)';
+            const note = (text) => {
+                const p = safeText('p', text);
+                p.style.cssText = 'font-size: 0.7rem; color: var(--text-muted);';
+                return body.appendChild(p);
+            };
+            const heading = (text) => {
+                const p = safeText('p', text);
+                p.className = 'label';
+                p.style.fontSize = '0.6rem';
+                return body.appendChild(p);
+            };
+            const scroll = (node) => {
+                const wrap = document.createElement('div');
+                wrap.style.cssText = 'overflow-x: auto; max-height: 260px; overflow-y: auto;';
+                wrap.appendChild(node);
+                return body.appendChild(wrap);
+            };
+            const button = (text, onClick) => {
+                const btn = safeText('button', text);
+                btn.className = 'btn-activate';
+                btn.style.cssText = 'margin: 0; padding: 8px 12px; font-size: 0.65rem;';
+                btn.onclick = onClick;
+                return btn;
+            };
+
+            const source = [entry.source.fileName, entry.source.sheet ? `sheet ${entry.source.sheet}` : ''].filter(Boolean).join(' · ');
+            note(`${entry.status === 'rejected' ? 'REJECTED — nothing was stored' : `STORED WITH ISSUES — dataset v${entry.version} is in the collection`} · ${source || 'no source file kept'} · ${new Date(entry.timestamp).toLocaleString()}`);
+
+            heading('Reasons');
+            entry.reasons.forEach(r => {
+                const line = document.createElement('div');
+                line.style.cssText = 'display: grid; grid-template-columns: 150px 1fr; gap: 10px; font-size: 0.75rem;';
+                line.appendChild(safeText('span', r.rule)).style.cssText = `font-weight: 800; color: ${entry.status === 'rejected' ? 'var(--danger)' : 'var(--warning)'};`;
+                line.appendChild(safeText('span', r.message));
+                body.appendChild(line);
+            });
+
+            const { parseErrors, parseSamples, encoding } = entry.issues;
+            if (parseSamples.length) {
+                heading(`Parse errors — first ${parseSamples.length} of ${parseErrors}`);
+                scroll(buildReportTable(['Line', 'Error'], parseSamples.map(e => [[String(e.row)], [e.message, 'var(--warning)']])));
+            }
+            if (encoding.samples.length) {
+                heading(`Undecodable cells — first ${encoding.samples.length} of ${encoding.cells}`);
+                scroll(buildReportTable(['Row', 'Column', 'Value'], encoding.samples.map(e => [[String(e.row)], [e.column], [e.value, 'var(--warning)']])));
+            }
+
+            if (preview.rows.length) {
+                heading(`Preview — first ${preview.rows.length} of ${preview.total.toLocaleString()} rows`);
+                scroll(buildReportTable(preview.headers, preview.rows.map(r => preview.headers.map(h => [r[h]]))));
+            }
+
+            heading('Fixes');
+            const fixes = document.createElement('div');
+            fixes.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
+            body.appendChild(fixes);
+
+            let typeSelects = [];
+            const overrides = () => Object.fromEntries(typeSelects.filter(t => t.select.value).map(t => [t.header, t.select.value]));
+            if (entry.fixes.overrideTypes) {
+                const grid = document.createElement('div');
+                grid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 6px;';
+                typeSelects = entry.headers.map(header => {
+                    const cell = document.createElement('label');
+                    cell.style.cssText = 'display: grid; grid-template-columns: 1fr 110px; gap: 6px; align-items: center; font-size: 0.7rem;';
+                    const inferred = entry.inferred ? entry.inferred[header] : null;
+                    cell.appendChild(safeText('span', inferred ? `${header} (${inferred})` : header)).style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                    const select = document.createElement('select');
+                    select.style.cssText = 'margin: 0; padding: 4px; font-size: 0.65rem;';
+                    QUARANTINE_TYPES.forEach(([value, label]) => select.appendChild(safeText('option', label)).value = value);
+                    cell.appendChild(select);
+                    grid.appendChild(cell);
+                    return { header, select };
+                });
+                fixes.appendChild(grid);
+            }
+
+            const bar = document.createElement('div');
+            bar.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; align-items: center;';
+            fixes.appendChild(bar);
+            if (entry.fixes.overrideTypes) bar.appendChild(button('RETRY WITH TYPE OVERRIDES', () => close({ action: 'retry', overrides: overrides() })));
+            if (entry.fixes.force) bar.appendChild(button('FORCE-ACCEPT', () => close({ action: 'force', overrides: overrides() })));
+            if (entry.fixes.sheet) bar.appendChild(button('CHOOSE ANOTHER SHEET', () => close({ action: 'sheet' })));
+            if (entry.fixes.encoding) {
+                const select = document.createElement('select');
+                select.style.cssText = 'margin: 0; padding: 6px; font-size: 0.65rem; width: auto;';
+                QUARANTINE_ENCODINGS.forEach(enc => select.appendChild(safeText('option', enc)).value = enc);
+                bar.append(select, button('RE-READ WITH ENCODING', () => close({ action: 'encoding', encoding: select.value })));
+            }
+            const dismiss = button(entry.status === 'rejected' ? 'DISCARD' : 'ACCEPT AS-IS', () => close({ action: 'dismiss' }));
+            dismiss.style.background = 'transparent';
+            dismiss.style.border = '1px solid var(--border)';
+            dismiss.style.boxShadow = 'none';
+            bar.appendChild(dismiss);
+            if (entry.fixes.force) note('Force-accept stores the rows even though they fail the governance rule; analyses on them may be limited.');
+        });
+    }
+
+    function renderQualitySection(quality) {
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 15px;";
+        box.appendChild(safeText('div', `2.2 Data Quality Profile — Score ${quality.score} (Grade ${quality.grade})`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        box.appendChild(renderQualityScore(quality));
+        quality.datasets.forEach(ds => {
+            box.appendChild(safeText('div', `${ds.name} — ${ds.score} (${ds.grade}) · ${ds.rows.toLocaleString()} rows · ${ds.duplicateRows.toLocaleString()} duplicate rows`)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+            box.appendChild(buildQualityColumnTable(ds.columns, false));
+        });
+        return box;
+    }
+
     function renderKPIs(role, data, yCol, mode, datasetCount) {
         const row = document.getElementById('kpi-out');
         row.textContent = '';
         const results = window.lastAnalysisResults;
-        const parseVal = (v) => parseFloat(String(v || "").replace(/[^0-9.-]/g, "")) || 0;
-        const nums = data.map(d => parseVal(d[yCol]));
-        const sum = nums.reduce((a, b) => a + b, 0);
+        const sum = NumericEngine.parseColumn(data.map(d => d[yCol]), DataEngine.getNumericFormat()).numbers.reduce((a, b) => a + b, 0);
         const cert = AdminConsole.verifyCertification(results);
 
         let displayStats = [];
@@ -118,7 +1669,7 @@ const UIRenderer = (() => {
             displayStats = [
                 ['BI Pulse ID', results?.trackId || 'v22.0'],
                 ['Peak Influence', results?.peaks?.intensity || '0x'],
-                ['Relational Sync', (results?.metrics?.correlation || 0).toFixed(2)],
+                ['Relational Sync', results?.metrics?.association ? `${results.metrics.association.symbol} ${results.metrics.association.effect.toFixed(2)} · ${results.metrics.association.significant ? results.metrics.association.level : 'n.s.'}` : (results?.metrics?.correlation || 0).toFixed(2)],
                 ['Impact Level', results?.impactMatrix?.[0]?.category || 'Stable']
             ];
         }
@@ -142,10 +1693,22 @@ const UIRenderer = (() => {
         });
     }
 
+    // Audits stored before aggregations were selectable always summed Y
+    const metricLabel = (results) => results.labels.metric || `Sum of ${results.labels.y}`;
+
+    const anomalyColor = '#ef4444';
+
+    // Flagged categories or periods of the audit, by name
+    const anomalousGroups = (results) => new Map(results.anomalies ? results.anomalies.groups.map(g => [g.name, g]) : []);
+
     function renderChart(type, xCol, yCol, mode, collection, masterData) {
         if (chartInstance) chartInstance.destroy();
         const results = window.lastAnalysisResults;
         if (!results || !results.distributions) return;
+        if (results.comparison) return renderComparisonChart(type, results.comparison);
+        if (type === 'pareto' && results.concentration && !results.timeline) return renderParetoChart(results);
+        if (results.breakdown) return renderBreakdownChart(type, results);
+        if (results.timeline) return renderTimelineChart(type, results);
         let agg = results.distributions.filter(e => e[0] && e[0] !== 'N/A' && e[0] !== 'null');
         if (agg.length < 1) return;
         if (agg.length > 20) {
@@ -157,12 +1720,13 @@ const UIRenderer = (() => {
         if (agg.length === 1) agg.push(["Reference Baseline", agg[0][1] * 0.05]);
         const premiumColors = ['#0ea5e9', '#6366f1', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899'];
         const isRadial = ['pie', 'doughnut', 'polarArea', 'radar'].includes(type);
+        const flagged = anomalousGroups(results);
         const chartData = {
             labels: agg.map(e => e[0]),
             datasets: [{
-                label: `BI Magnitude: ${yCol}`,
+                label: `BI Magnitude: ${metricLabel(results)}`,
                 data: agg.map(e => e[1]),
-                backgroundColor: isRadial ? premiumColors : agg.map((e, i) => i === 0 ? '#0ea5e9' : '#0ea5e966'),
+                backgroundColor: isRadial ? premiumColors : agg.map((e, i) => flagged.has(e[0]) ? anomalyColor : (i === 0 ? '#0ea5e9' : '#0ea5e966')),
                 borderColor: '#0ea5e9',
                 borderWidth: 1.5,
                 borderRadius: 4
@@ -173,7 +1737,7 @@ const UIRenderer = (() => {
         window.requestAnimationFrame(() => {
             const canvas = document.getElementById('canvas');
             chartInstance = new Chart(canvas.getContext('2d'), {
-                type: type,
+                type: type === 'stacked' || type === 'pareto' ? 'bar' : type,
                 data: chartData,
                 options: {
                     responsive: true,
@@ -185,7 +1749,7 @@ const UIRenderer = (() => {
                     },
                     plugins: {
                         legend: { display: isRadial, position: 'right', labels: { color: '#94a3b8', font: { size: 10 } } },
-                        tooltip: { callbacks: { label: (c) => `Value: ${formatValue(c.raw)}` } }
+                        tooltip: { callbacks: { label: (c) => `Value: ${formatValue(c.raw)}${flagged.has(c.label) ? ` — anomaly (${flagged.get(c.label).rule})` : ''}` } }
                     },
                     scales: isRadial ? {} : {
                         y: { max: axisMax, grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#64748b', callback: (v) => formatValue(v) } },
@@ -196,12 +1760,462 @@ const UIRenderer = (() => {
         });
     }
 
+    /**
+     * Date X: every period in time order, no top-N folding. Gap periods are null and break the line;
+     * radial chart types have no time axis, so periods fall back to a line.
+     */
+    // Observed periods plus the moving averages and the forecast with its 95% band; forecast periods extend the axis
+    function buildTimelineChartData(results, chartType) {
+        const series = results.distributions;
+        const ts = results.timeSeries;
+        const forecast = ts && ts.forecast ? ts.forecast.points : [];
+        const pad = (values) => values.concat(forecast.map(() => null));
+        const datasets = [{
+            label: `BI Magnitude: ${metricLabel(results)} per ${results.timeline.grain}`,
+            data: pad(series.map(e => e[1])),
+            backgroundColor: chartType === 'line' ? '#0ea5e933' : '#0ea5e9aa',
+            borderColor: '#0ea5e9',
+            borderWidth: 1.5,
+            borderRadius: 4,
+            pointRadius: series.length > 120 ? 0 : 2,
+            spanGaps: false,
+            fill: chartType === 'line'
+        }];
+        (ts ? ts.movingAverages : []).forEach((ma, i) => datasets.push({
+            type: 'line',
+            label: `${ma.window}-period moving average`,
+            data: pad(ma.values),
+            borderColor: ['#f59e0b', '#a78bfa'][i % 2],
+            borderWidth: 1.2,
+            borderDash: [4, 3],
+            pointRadius: 0,
+            fill: false
+        }));
+        const flagged = anomalousGroups(results);
+        if (flagged.size) {
+            datasets.push({
+                type: 'line',
+                label: 'Anomalous period',
+                data: pad(series.map(e => flagged.has(e[0]) ? e[1] : null)),
+                showLine: false,
+                pointRadius: 5,
+                pointBackgroundColor: anomalyColor,
+                borderColor: anomalyColor
+            });
+        }
+        if (forecast.length) {
+            // The forecast starts from the last observed period so the two lines join
+            const lead = series.map((e, i) => i === series.length - 1 ? e[1] : null);
+            const none = series.map(() => null);
+            datasets.push({ type: 'line', label: `Forecast (${ts.forecast.method})`, data: lead.concat(forecast.map(p => p.value)), borderColor: '#10b981', borderWidth: 1.5, borderDash: [6, 4], pointRadius: 2, fill: false });
+            datasets.push({ type: 'line', label: '95% lower bound', data: none.concat(forecast.map(p => p.lower)), borderColor: 'transparent', pointRadius: 0, fill: false });
+            datasets.push({ type: 'line', label: '95% prediction interval', data: none.concat(forecast.map(p => p.upper)), borderColor: 'transparent', backgroundColor: '#10b98122', pointRadius: 0, fill: '-1' });
+        }
+        return { labels: series.map(e => e[0]).concat(forecast.map(p => p.period)), datasets };
+    }
+
+    const timelineLegend = (results, color) => ({
+        display: !!results.timeSeries,
+        position: 'top',
+        labels: { color, font: { size: 9 }, filter: (item) => item.text !== '95% lower bound' }
+    });
+
+    function renderTimelineChart(type, results) {
+        const series = results.distributions;
+        if (series.length < 1) return;
+        const isRadial = ['pie', 'doughnut', 'polarArea', 'radar'].includes(type);
+        const chartType = isRadial ? 'line' : (type === 'stacked' || type === 'pareto' ? 'bar' : type);
+        window.requestAnimationFrame(() => {
+            const canvas = document.getElementById('canvas');
+            chartInstance = new Chart(canvas.getContext('2d'), {
+                type: chartType,
+                data: buildTimelineChartData(results, chartType),
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: {
+                        onComplete: () => {
+                            chartSnapshots.mainEffect = canvas.toDataURL("image/png");
+                        }
+                    },
+                    plugins: {
+                        legend: timelineLegend(results, '#94a3b8'),
+                        tooltip: { callbacks: { label: (c) => c.raw === null ? 'No data' : `${c.dataset.label}: ${formatValue(c.raw)}` } }
+                    },
+                    scales: {
+                        y: { grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#64748b', callback: (v) => formatValue(v) } },
+                        x: { grid: { display: false }, ticks: { color: '#64748b', font: { size: 9 }, maxRotation: 45, autoSkip: true } }
+                    }
+                }
+            });
+        });
+    }
+
+    const segmentPalette = ['#0ea5e9', '#6366f1', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#14b8a6', '#64748b'];
+
+    // One dataset per Z segment: every period for a date X, otherwise the largest categories
+    function buildBreakdownChartData(results, limit, asLine) {
+        const b = results.breakdown;
+        const rows = results.timeline ? b.rows : b.rows.slice(0, limit);
+        return {
+            labels: rows.map(r => r[0]),
+            datasets: b.segments.map((segment, i) => ({
+                label: segment,
+                data: rows.map(r => r[1][i]),
+                backgroundColor: segmentPalette[i % segmentPalette.length] + (asLine ? '33' : 'cc'),
+                borderColor: segmentPalette[i % segmentPalette.length],
+                borderWidth: 1.5,
+                borderRadius: asLine ? 0 : 4,
+                pointRadius: rows.length > 120 ? 0 : 2,
+                spanGaps: false,
+                fill: false
+            }))
+        };
+    }
+
+    /**
+     * X × Z: grouped bars, stacked bars ("stacked") or one line per segment. Radial types cannot carry
+     * several series, so a date X falls back to lines and categories to grouped bars.
+     */
+    function renderBreakdownChart(type, results) {
+        if (results.breakdown.rows.length < 1) return;
+        const isRadial = ['pie', 'doughnut', 'polarArea', 'radar'].includes(type);
+        const asLine = type === 'line' || (isRadial && !!results.timeline);
+        const stacked = type === 'stacked';
+        window.requestAnimationFrame(() => {
+            const canvas = document.getElementById('canvas');
+            chartInstance = new Chart(canvas.getContext('2d'), {
+                type: asLine ? 'line' : 'bar',
+                data: buildBreakdownChartData(results, 15, asLine),
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: {
+                        onComplete: () => {
+                            chartSnapshots.mainEffect = canvas.toDataURL("image/png");
+                        }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top', labels: { color: '#94a3b8', font: { size: 10 } } },
+                        tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${c.raw === null ? 'No data' : formatValue(c.raw)}` } }
+                    },
+                    scales: {
+                        y: { stacked, grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#64748b', callback: (v) => formatValue(v) } },
+                        x: { stacked, grid: { display: false }, ticks: { color: '#64748b', font: { size: 9 }, maxRotation: 45, autoSkip: true } }
+                    }
+                }
+            });
+        });
+    }
+
+    function renderBreakdownSection(results) {
+        const b = results.breakdown;
+        const additive = results.aggregation ? results.aggregation.additive : true;
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.4 Segment Breakdown — ${metricLabel(results)} by ${results.labels.x} × ${b.label}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Segment Breakdown');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+
+        const shown = b.rows.slice(0, 15);
+        const drivers = new Map(b.drivers.map(d => [d.name, d]));
+        box.appendChild(safeText('div', results.timeline ? `Cross-Tab — first ${shown.length} of ${b.totalRows} periods` : `Cross-Tab — top ${shown.length} of ${b.totalRows} ${results.labels.x} values`)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+        box.appendChild(buildReportTable(
+            [results.labels.x].concat(b.segments).concat(additive ? ['Total'] : []).concat(['Driving Segment']),
+            shown.map(([name, values]) => {
+                const driver = drivers.get(name);
+                return [[name]]
+                    .concat(values.map(v => [v === null ? '—' : formatValue(v)]))
+                    .concat(additive ? [[formatValue(values.reduce((a, v) => a + (v || 0), 0))]] : [])
+                    .concat([[driver ? `${driver.segment} (${driver.share.toFixed(1)}%)` : '—', 'var(--accent-primary)']]);
+            })
+        ));
+
+        box.appendChild(safeText('div', `Concentration by ${b.label}`)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+        box.appendChild(buildReportTable(
+            ['Segment', additive ? 'Total' : 'Sum of Values', `Leading ${results.labels.x}`, 'Share of Segment'],
+            b.concentration.map(c => [[c.segment], [formatValue(c.total)], [c.leader === null ? '—' : c.leader], [`${c.share.toFixed(1)}%`, c.share > 40 ? 'var(--warning)' : null]])
+        ));
+        return box;
+    }
+
+    function renderTimeSeriesSection(results) {
+        const ts = results.timeSeries;
+        const unit = ts.grain === 'fiscal' ? 'fiscal year' : ts.grain;
+        const pText = (p) => p < 0.001 ? '< 0.001' : p.toFixed(3);
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.5 Time-Series Intelligence — ${metricLabel(results)} per ${unit}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Time-Series Intelligence');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+        const subhead = (text) => {
+            box.appendChild(safeText('div', text)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+        };
+
+        const t = ts.trend;
+        const trendColor = t.significant ? (t.slope > 0 ? 'var(--success)' : 'var(--danger)') : null;
+        box.appendChild(buildReportTable(['Method', `Slope per ${unit}`, 'p-value', 'Fit'], [
+            [['OLS linear'], [formatValue(t.slope), trendColor], [pText(t.pValue), trendColor], [`R² ${t.r2.toFixed(2)}`]],
+            [['Theil–Sen / Mann–Kendall'], [formatValue(t.robustSlope)], [pText(t.robustPValue)], [`Z ${t.mannKendallZ.toFixed(2)}`]]
+        ]));
+
+        if (ts.growth.length) {
+            subhead('Period-over-Period Growth');
+            box.appendChild(buildReportTable(['Comparison', 'Period', 'Value', 'Base Period', 'Base Value', 'Change'], ts.growth.map(g => [
+                [g.label], [g.period], [formatValue(g.value)], [g.basePeriod], [formatValue(g.baseValue)],
+                [formatDelta({ abs: g.change, pct: g.pct }), g.change === 0 ? null : (g.change > 0 ? 'var(--success)' : 'var(--danger)')]
+            ])));
+        }
+
+        ts.seasonality.forEach(sea => {
+            subhead(`${sea.kind === 'weekday' ? 'Weekday' : 'Monthly'} Seasonality — ${sea.significant ? 'significant' : 'not significant'} (p ${pText(sea.pValue)})`);
+            box.appendChild(buildReportTable(sea.indices.map(i => i.name), [sea.indices.map(i => [
+                i.index === null ? '—' : i.index.toFixed(2),
+                sea.significant && i.name === sea.peak.name ? 'var(--success)' : (sea.significant && i.name === sea.trough.name ? 'var(--danger)' : null)
+            ])]));
+        });
+
+        if (ts.forecast) {
+            const f = ts.forecast;
+            subhead(`Forecast — ${f.method}${f.season ? ` (season ${f.season})` : ''}, α ${f.alpha} β ${f.beta}${f.gamma !== null ? ` γ ${f.gamma}` : ''}`);
+            box.appendChild(buildReportTable(['Period', 'Forecast', '95% Lower', '95% Upper'], f.points.map(p => [[p.period], [formatValue(p.value), 'var(--success)'], [formatValue(p.lower)], [formatValue(p.upper)]])));
+        }
+        return box;
+    }
+
+    function renderAnomalySection(results) {
+        const a = results.anomalies;
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.6 Anomaly Detection — ${a.rowCount.toLocaleString()} row(s), ${a.groupCount} ${a.groupKind === 'period' ? 'period(s)' : 'category(s)'} flagged`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Anomaly Detection');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+        const subhead = (text) => {
+            box.appendChild(safeText('div', text)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase;';
+        };
+        const directionColor = (f) => f.direction === 'high' ? 'var(--danger)' : 'var(--warning)';
+        if (a.groups.length) {
+            subhead(a.groupKind === 'period' ? `Anomalous Periods — residual from trend, ${metricLabel(results)}` : `Anomalous ${results.labels.x} Categories — ${metricLabel(results)}`);
+            box.appendChild(buildReportTable([results.labels.x, 'Value', 'Rule', 'Score', 'Detail'], a.groups.slice(0, 15).map(g => [
+                [g.name], [formatValue(g.value), directionColor(g)], [g.rules.join(' + ')], [g.score.toFixed(2)], [g.detail, '#94a3b8']
+            ])));
+        }
+        if (a.rows.length) {
+            subhead(`Anomalous Rows — ${results.labels.y}, strongest ${Math.min(15, a.rows.length)} of ${a.rowCount.toLocaleString()}`);
+            box.appendChild(buildReportTable(['Row', results.labels.x, results.labels.y, 'Rule', 'Score', 'Detail'], a.rows.slice(0, 15).map(r => [
+                [String(r.index + 1)], [r.x], [formatValue(r.value), directionColor(r)], [r.rules.join(' + ')], [r.score.toFixed(2)], [r.detail, '#94a3b8']
+            ])));
+        }
+        return box;
+    }
+
+    // Matrix cells tinted by sign and strength: blue for positive, red for negative
+    function buildHeatmap(fields, values) {
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse: collapse; font-size: 0.65rem;';
+        const head = document.createElement('tr');
+        head.appendChild(document.createElement('th'));
+        fields.forEach(f => {
+            const th = safeText('th', f);
+            th.style.cssText = 'padding: 4px 6px; color: var(--text-muted); font-size: 0.55rem; text-transform: uppercase; writing-mode: vertical-rl; transform: rotate(180deg); text-align: left;';
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+        fields.forEach((f, i) => {
+            const tr = document.createElement('tr');
+            const th = safeText('th', f);
+            th.style.cssText = 'padding: 4px 8px; color: var(--text-muted); font-size: 0.55rem; text-transform: uppercase; text-align: right; white-space: nowrap;';
+            tr.appendChild(th);
+            values[i].forEach(v => {
+                const td = safeText('td', v === null ? '—' : v.toFixed(2));
+                const tint = v === null ? 'transparent' : (v >= 0 ? `rgba(14, 165, 233, ${Math.abs(v).toFixed(2)})` : `rgba(239, 68, 68, ${Math.abs(v).toFixed(2)})`);
+                td.style.cssText = `width: 44px; height: 28px; text-align: center; color: ${v !== null && Math.abs(v) > 0.6 ? 'white' : '#cbd5e1'}; background: ${tint}; border: 1px solid rgba(2, 6, 23, 0.6);`;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    function renderCorrelationSection(results) {
+        const m = results.correlations;
+        const d = results.drivers;
+        const a = results.metrics?.association;
+        const pText = (p) => p === null ? '—' : (p < 0.001 ? '< 0.001' : p.toFixed(3));
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.7 Correlation & Driver Analysis${m ? ` — ${m.fields.length} numeric fields${m.sampled ? `, ${m.rowsUsed.toLocaleString()} sampled rows` : ''}` : ''}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Relational Analysis');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+        const subhead = (text, parent = box) => {
+            parent.appendChild(safeText('div', text)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-weight: 800; text-transform: uppercase; margin-bottom: 6px;';
+        };
+
+        // The X-Y measure follows the column types: η² (categorical × numeric), Cramér's V (categorical × categorical), r (numeric × numeric)
+        if (a) {
+            const statText = a.statistic.value === null ? '—' : `${a.statistic.name}${a.statistic.df ? `(${a.statistic.df.join(', ')})` : ''} ${Number.isFinite(a.statistic.value) ? a.statistic.value.toFixed(2) : '∞'}`;
+            box.appendChild(buildReportTable(['Association', 'Method', 'Effect Size', 'Strength', 'Test Statistic', 'p-value', 'Rows'], [[
+                [`${results.labels.x} × ${results.labels.y}`], [a.method], [`${a.symbol} ${a.effect.toFixed(3)}`, a.significant && (a.level === 'strong' || a.level === 'moderate') ? 'var(--accent-primary)' : null],
+                [a.significant ? a.level : `${a.level} (n.s.)`], [statText], [pText(a.pValue), a.sparse ? 'var(--warning)' : null], [a.n.toLocaleString()]
+            ]]));
+        }
+
+        if (m) {
+            const maps = document.createElement('div');
+            maps.style.cssText = 'display: flex; flex-wrap: wrap; gap: 25px; overflow-x: auto;';
+            [['Pearson r', m.pearson], ['Spearman ρ', m.spearman]].forEach(([title, values]) => {
+                const wrap = document.createElement('div');
+                subhead(title, wrap);
+                wrap.appendChild(buildHeatmap(m.fields, values));
+                maps.appendChild(wrap);
+            });
+            box.appendChild(maps);
+        }
+
+        if (d) {
+            const coefficients = new Map(d.regression ? d.regression.coefficients.map(c => [c.field, c]) : []);
+            subhead(`Drivers of ${results.labels.y} — ranked by |r|`);
+            box.appendChild(buildReportTable(['Field', 'Pearson r', 'Spearman ρ', 'p-value', 'Rows', 'Coefficient', 'Std. β', 'Coef. p-value'], d.associations.map(a => {
+                const c = coefficients.get(a.field);
+                const color = a.pValue !== null && a.pValue < 0.05 ? (a.pearson > 0 ? 'var(--success)' : 'var(--danger)') : null;
+                return [
+                    [a.field], [a.pearson.toFixed(2), color], [a.spearman === null ? '—' : a.spearman.toFixed(2)], [pText(a.pValue)], [a.n.toLocaleString()],
+                    [c ? formatValue(c.coefficient) : (d.regression && d.regression.dropped.includes(a.field) ? 'collinear' : '—')],
+                    [c ? c.standardized.toFixed(2) : '—'],
+                    [c ? pText(c.pValue) : '—', c && c.significant ? 'var(--accent-primary)' : null]
+                ];
+            })));
+            if (d.regression) {
+                const reg = d.regression;
+                box.appendChild(buildReportTable(['Regression', 'Rows', 'R²', 'Adjusted R²', 'F-test p', 'Intercept'], [[
+                    [`${results.labels.y} ~ ${reg.coefficients.map(c => c.field).join(' + ')}`], [reg.n.toLocaleString()], [reg.r2.toFixed(3)], [reg.adjustedR2.toFixed(3)], [pText(reg.fPValue)], [formatValue(reg.intercept)]
+                ]]));
+            }
+        }
+        return box;
+    }
+
+    const abcPalette = { A: '#0ea5e9', B: '#f59e0b', C: '#64748b' };
+
+    // Bars coloured by ABC class in descending order, the cumulative share on a 0-100% axis and the Pareto line;
+    // groups past limit fold into one bar
+    function buildParetoChartData(results, limit) {
+        const c = results.concentration;
+        const shown = c.items.slice(0, limit);
+        const rest = c.groups - shown.length;
+        const items = rest > 0
+            ? shown.concat([{ name: `[Other Clusters] (${rest})`, value: c.total - shown.reduce((s, i) => s + i.value, 0), cumulative: 100, class: 'C' }])
+            : shown;
+        return {
+            labels: items.map(i => i.name),
+            datasets: [
+                { type: 'line', label: 'Cumulative share', data: items.map(i => i.cumulative), yAxisID: 'share', borderColor: '#f1f5f9', borderWidth: 1.5, pointRadius: items.length > 40 ? 0 : 2, fill: false },
+                { type: 'line', label: `${c.pareto.share}% line`, data: items.map(() => c.pareto.share), yAxisID: 'share', borderColor: '#ef4444', borderWidth: 1, borderDash: [4, 4], pointRadius: 0, fill: false },
+                { type: 'bar', label: metricLabel(results), data: items.map(i => i.value), yAxisID: 'y', backgroundColor: items.map(i => abcPalette[i.class]), borderRadius: 4 }
+            ]
+        };
+    }
+
+    const paretoScales = (color) => ({
+        y: { position: 'left', grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#64748b', callback: (v) => formatValue(v) } },
+        share: { position: 'right', min: 0, max: 100, grid: { display: false }, ticks: { color: '#64748b', callback: (v) => `${v}%` } },
+        x: { grid: { display: false }, ticks: { color, font: { size: 9 }, maxRotation: 45, autoSkip: true } }
+    });
+
+    function renderParetoChart(results) {
+        window.requestAnimationFrame(() => {
+            const canvas = document.getElementById('canvas');
+            chartInstance = new Chart(canvas.getContext('2d'), {
+                type: 'bar',
+                data: buildParetoChartData(results, 30),
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: {
+                        onComplete: () => {
+                            chartSnapshots.mainEffect = canvas.toDataURL("image/png");
+                        }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top', labels: { color: '#94a3b8', font: { size: 10 } } },
+                        tooltip: { callbacks: { label: (c) => c.dataset.yAxisID === 'share' ? `${c.dataset.label}: ${c.raw.toFixed(1)}%` : `Value: ${formatValue(c.raw)}` } }
+                    },
+                    scales: paretoScales('#64748b')
+                }
+            });
+        });
+    }
+
+    function renderConcentrationSection(results) {
+        const c = results.concentration;
+        const groupName = results.timeline ? 'periods' : `${results.labels.x} values`;
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.8 Concentration & Pareto — ${metricLabel(results)} across ${c.groups} ${groupName}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Concentration Analysis');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+
+        const levelColor = c.hhiLevel === 'highly concentrated' ? 'var(--danger)' : (c.hhiLevel === 'moderately concentrated' ? 'var(--warning)' : 'var(--success)');
+        box.appendChild(buildReportTable(['Groups', `Produce ${c.pareto.share}%`, 'HHI', 'Equivalent Groups', 'Gini'].concat(c.topShares.map(t => `Top ${t.n}`)), [[
+            [c.excluded ? `${c.groups} (+${c.excluded} negative)` : String(c.groups)],
+            [`${c.pareto.count} (${c.pareto.groupShare.toFixed(1)}%)`],
+            [`${Math.round(c.hhi).toLocaleString()} · ${c.hhiLevel}`, levelColor],
+            [c.equivalentGroups.toFixed(1)],
+            [c.gini.toFixed(2)]
+        ].concat(c.topShares.map(t => [`${t.share.toFixed(1)}%`]))]));
+
+        // Members are listed largest first; a long class shows its leaders only
+        box.appendChild(buildReportTable(['ABC Class', 'Groups', '% of Groups', '% of Total', 'Largest Members'], ['A', 'B', 'C'].map(cls => {
+            const members = c.items.filter(i => i.class === cls);
+            const count = c.classes[cls].count;
+            return [
+                [cls, abcPalette[cls]], [String(count)], [`${((count / c.groups) * 100).toFixed(1)}%`], [`${c.classes[cls].share.toFixed(1)}%`],
+                [members.length ? members.slice(0, 6).map(i => i.name).join(', ') + (count > 6 ? ` (+${count - 6} more)` : '') : '—']
+            ];
+        })));
+
+        const chartWrap = document.createElement('div');
+        chartWrap.style.cssText = 'background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); min-height: 300px; position: relative;';
+        const canvas = document.createElement('canvas');
+        canvas.id = 'bi-pareto-canvas';
+        canvas.style.cssText = 'display: block; width: 100%; height: 260px;';
+        chartWrap.appendChild(canvas);
+        box.appendChild(chartWrap);
+        return box;
+    }
+
+    function renderTemporalSection(results) {
+        const t = results.timeline;
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border); display: flex; flex-direction: column; gap: 12px;";
+        box.appendChild(safeText('div', `2.3 Temporal Structure — ${results.labels.x} by ${t.grain === 'fiscal' ? 'fiscal year' : t.grain}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const narrative = results.reportSections.find(sec => sec.title === 'Temporal Structure');
+        if (narrative) box.appendChild(safeText('p', narrative.content)).style.cssText = 'font-size: 0.85rem; color: #cbd5e1; line-height: 1.6;';
+        box.appendChild(buildReportTable(['Grain', 'Periods', 'First', 'Last', 'Empty Periods', 'Undated Rows'], [[
+            [t.grain === 'fiscal' ? `Fiscal (month ${t.fiscalStartMonth})` : t.grain],
+            [String(t.periods)],
+            [t.first || '—'],
+            [t.last || '—'],
+            [t.capped ? 'not filled' : `${t.missing} (${t.fill === 'zero' ? 'zero' : 'gap'})`, t.missing ? 'var(--warning)' : null],
+            [t.undated.toLocaleString(), t.undated ? 'var(--warning)' : null]
+        ]]));
+        return box;
+    }
+
     /**
      * DIRECTIVE 1, 2, 3, 5 & 6: REPORT ASSEMBLY & BI INTERPRETATION
      */
     function renderAnalysis(results) {
         const reportText = document.getElementById('report-text');
         reportText.textContent = '';
+        delete chartSnapshots.compareChart;
+        delete chartSnapshots.paretoChart;
         const cert = AdminConsole.verifyCertification(results);
 
         // Directive 6: Completeness Validation
@@ -229,16 +2243,13 @@ const UIRenderer = (() => {
         `;
         reportText.appendChild(certBadge);
         if (typeof lucide !== 'undefined') lucide.createIcons();
+        if (results.filter) reportText.appendChild(renderFilterNotice(results.filter));
 
         // 1. Executive Summary (Directive 1)
         const summary = document.createElement('div');
         summary.className = 'section';
-        summary.innerHTML = `
-            <div style="font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase; margin-bottom: 8px;">1. Executive Summary</div>
-            <p style="font-size: 0.95rem; line-height: 1.6; color: white; background: rgba(56,189,248,0.05); padding: 15px; border-radius: 8px; border-left: 3px solid var(--accent-primary);">
-                ${results.reportSections[0].content}
-            </p>
-        `;
+        summary.appendChild(safeText('div', '1. Executive Summary')).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase; margin-bottom: 8px;';
+        summary.appendChild(safeText('p', results.reportSections[0].content)).style.cssText = 'font-size: 0.95rem; line-height: 1.6; color: white; background: rgba(56,189,248,0.05); padding: 15px; border-radius: 8px; border-left: 3px solid var(--accent-primary);';
         reportText.appendChild(summary);
 
         // 2. Full Statistical Visibility (Directive 2: System Authority Statistics)
@@ -246,25 +2257,45 @@ const UIRenderer = (() => {
         statsBox.style.cssText = "margin-top: 25px; background: rgba(15,23,42,0.4); padding: 20px; border-radius: 12px; border: 1px solid var(--border);";
         const s = results.statistics;
         const vRatio = s.stdDev / (s.mean || 1);
-        statsBox.innerHTML = `
-            <div style="font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase; margin-bottom: 15px;">2. System Authority — Deterministic Statistics</div>
-            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px;">
-                ${createStat('Mean Value', formatValue(s.mean))}
-                ${createStat('Median Value', formatValue(s.median))}
-                ${createStat('Standard Dev', formatValue(s.stdDev))}
-                ${createStat('Minimum', formatValue(s.min))}
-                ${createStat('Maximum', formatValue(s.max))}
-                ${createStat('Operational Range', s.range.toLocaleString())}
-                ${createStat('Peak Contributor', results.peaks.point)}
-                ${createStat('Intensity Bias', results.peaks.intensity)}
-                ${createStat('Stability Threshold', vRatio.toFixed(2))}
-            </div>
-            <div style="margin-top: 15px; font-size: 0.8rem; color: #94a3b8; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.05);">
-                <strong>Statistical Interpretation:</strong> ${vRatio > 0.8 ? 'High variance indicates uneven distribution across nodes.' : 'Variance within operational stability threshold, indicating balanced flow.'} ${s.max > s.mean * 3 ? 'Significant alpha Bias detected in peak segments.' : 'Distribution shows no extreme single-node dominance.'}
-            </div>
-        `;
+        statsBox.appendChild(safeText('div', '2. System Authority — Deterministic Statistics')).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase; margin-bottom: 15px;';
+        const statGrid = document.createElement('div');
+        statGrid.style.cssText = 'display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px;';
+        [
+            ['Mean Value', formatValue(s.mean)],
+            ['Median Value', formatValue(s.median)],
+            ['Standard Dev', formatValue(s.stdDev)],
+            ['Minimum', formatValue(s.min)],
+            ['Maximum', formatValue(s.max)],
+            ['Operational Range', s.range.toLocaleString()],
+            [results.timeline ? 'Peak Period' : 'Peak Contributor', results.peaks.point],
+            ['Intensity Bias', results.peaks.intensity],
+            ['Stability Threshold', vRatio.toFixed(2)]
+        ].forEach(([l, v]) => statGrid.appendChild(createStat(l, v)));
+        statsBox.appendChild(statGrid);
+        // Labels and unparseable samples are uploaded text: they only ever reach the page as text nodes
+        const note = (title, text, css) => {
+            const div = document.createElement('div');
+            div.style.cssText = css;
+            div.append(safeText('strong', title), ` ${text}`);
+            statsBox.appendChild(div);
+        };
+        if (s.invalid > 0 || s.nulls > 0) {
+            note('Parse Integrity:', `${(s.invalid || 0).toLocaleString()} unparseable and ${(s.nulls || 0).toLocaleString()} blank values in ${results.labels.y} were excluded, not coerced to zero.${s.invalidSamples?.length ? ` Examples: ${s.invalidSamples.map(v => `"${v}"`).join(', ')}.` : ''}`,
+                'margin-top: 15px; font-size: 0.75rem; color: var(--warning);');
+        }
+        note('Statistical Interpretation:', `${vRatio > 0.8 ? 'High variance indicates uneven distribution across nodes.' : 'Variance within operational stability threshold, indicating balanced flow.'} ${s.max > s.mean * 3 ? 'Significant alpha Bias detected in peak segments.' : 'Distribution shows no extreme single-node dominance.'}`,
+            'margin-top: 15px; font-size: 0.8rem; color: #94a3b8; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.05);');
         reportText.appendChild(statsBox);
 
+        if (results.comparison) reportText.appendChild(renderComparisonSection(results));
+        if (results.quality) reportText.appendChild(renderQualitySection(results.quality));
+        if (results.timeline) reportText.appendChild(renderTemporalSection(results));
+        if (results.breakdown) reportText.appendChild(renderBreakdownSection(results));
+        if (results.timeSeries) reportText.appendChild(renderTimeSeriesSection(results));
+        if (results.anomalies) reportText.appendChild(renderAnomalySection(results));
+        if (results.correlations || results.metrics?.association) reportText.appendChild(renderCorrelationSection(results));
+        if (results.concentration) reportText.appendChild(renderConcentrationSection(results));
+
         // 3. Impact Classification Matrix (Directive 4)
         const matrixHeader = document.createElement('div');
         matrixHeader.innerHTML = `<div style="font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase; margin-top: 25px; margin-bottom: 12px;">3. Impact Classification & Justification</div>`;
@@ -276,14 +2307,12 @@ const UIRenderer = (() => {
             const card = document.createElement('div');
             const color = item.category.includes('High') || item.category.includes('Critical') ? 'var(--danger)' : (item.category.includes('Medium') ? 'var(--accent-secondary)' : 'var(--success)');
             card.style.cssText = `background: rgba(15,23,42,0.4); padding: 12px; border-radius: 8px; border: 1px solid var(--border); border-top: 3px solid ${color}; display: flex; flex-direction: column; gap: 8px;`;
-            card.innerHTML = `
-                <div>
-                    <div style="font-size: 0.55rem; color: var(--text-muted); text-transform: uppercase;">Condition: ${item.label}</div>
-                    <div style="font-size: 0.8rem; font-weight: 800; color: ${color}; margin-top: 2px;">${item.category}</div>
-                </div>
-                <div style="font-size: 0.75rem; color: #f1f5f9; line-height: 1.4;">${item.detail}</div>
-                <div style="font-size: 0.6rem; color: var(--text-muted); font-style: italic; border-top: 1px solid rgba(255,255,255,0.05); padding-top: 4px;">Trigger: ${item.threshold}</div>
-            `;
+            const head = document.createElement('div');
+            head.appendChild(safeText('div', `Condition: ${item.label}`)).style.cssText = 'font-size: 0.55rem; color: var(--text-muted); text-transform: uppercase;';
+            head.appendChild(safeText('div', item.category)).style.cssText = `font-size: 0.8rem; font-weight: 800; color: ${color}; margin-top: 2px;`;
+            card.appendChild(head);
+            card.appendChild(safeText('div', item.detail)).style.cssText = 'font-size: 0.75rem; color: #f1f5f9; line-height: 1.4;';
+            card.appendChild(safeText('div', `Trigger: ${item.threshold}`)).style.cssText = 'font-size: 0.6rem; color: var(--text-muted); font-style: italic; border-top: 1px solid rgba(255,255,255,0.05); padding-top: 4px;';
             matrixGrid.appendChild(card);
         });
         reportText.appendChild(matrixGrid);
@@ -292,25 +2321,30 @@ const UIRenderer = (() => {
         const distributionBox = document.createElement('div');
         distributionBox.style.cssText = "margin-top: 35px; display: flex; flex-direction: column; gap: 20px;";
 
-        const concentration = (results.statistics.max / (results.statistics.sum || 1)) * 100;
-        const graphInterpretation = `The distribution chart highlights ${concentration > 30 ? 'strong dominance' : 'balanced participation'} in cluster [${results.peaks.point}]. Total volume flows primarily through top ${results.dominantDrivers.length} nodes, with ${concentration.toFixed(1)}% concentration in the primary coordinate. ${results.statistics.stdDev > results.statistics.mean ? 'Significant imbalance detected across the operational tail.' : 'Distribution participation remains stable across lower-tier clusters.'}`;
-
-        distributionBox.innerHTML = `
-            <div style="font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;">4. Graphical Evidence & Distribution Interpretation</div>
-            <div style="background: rgba(15,23,42,0.4); padding: 25px; border-radius: 12px; border: 1px solid var(--border); min-height: 320px; width: 100%; display: block; position: relative;">
-                <canvas id="bi-report-canvas" style="display: block; width: 100%; height: 270px;"></canvas>
-            </div>
-            <div style="background: rgba(56, 189, 248, 0.03); border: 1px dashed var(--accent-primary); padding: 18px; border-radius: 8px; font-size: 0.85rem; color: #cbd5e1; line-height: 1.6; display: block; width: 100%; word-wrap: break-word; box-sizing: border-box;">
-                <strong style="display: block; margin-bottom: 6px; color: var(--accent-primary);">Visual Interpretation:</strong> ${graphInterpretation}
-            </div>
-        `;
+        const concentration = parseFloat(results.dominantDrivers[0]?.concentration) || 0;
+        const graphInterpretation = `The distribution chart of ${metricLabel(results)} per ${results.labels.x} highlights ${concentration > 30 ? 'strong dominance' : 'balanced participation'} in cluster [${results.peaks.point}]. Total volume flows primarily through top ${results.dominantDrivers.length} nodes, with ${concentration.toFixed(1)}% concentration in the primary coordinate${results.concentration ? ` and ${results.concentration.pareto.count} of ${results.concentration.groups} nodes producing ${results.concentration.pareto.share}% of the total` : ''}. ${results.statistics.stdDev > results.statistics.mean ? 'Significant imbalance detected across the operational tail.' : 'Distribution participation remains stable across lower-tier clusters.'}`;
+
+        distributionBox.appendChild(safeText('div', `4. Graphical Evidence & Distribution Interpretation — ${metricLabel(results)} per ${results.labels.x}`)).style.cssText = 'font-size: 0.65rem; color: var(--accent-primary); font-weight: 900; text-transform: uppercase;';
+        const reportChartWrap = document.createElement('div');
+        reportChartWrap.style.cssText = 'background: rgba(15,23,42,0.4); padding: 25px; border-radius: 12px; border: 1px solid var(--border); min-height: 320px; width: 100%; display: block; position: relative;';
+        const reportCanvas = document.createElement('canvas');
+        reportCanvas.id = 'bi-report-canvas';
+        reportCanvas.style.cssText = 'display: block; width: 100%; height: 270px;';
+        reportChartWrap.appendChild(reportCanvas);
+        distributionBox.appendChild(reportChartWrap);
+        const interpretationBox = document.createElement('div');
+        interpretationBox.style.cssText = 'background: rgba(56, 189, 248, 0.03); border: 1px dashed var(--accent-primary); padding: 18px; border-radius: 8px; font-size: 0.85rem; color: #cbd5e1; line-height: 1.6; display: block; width: 100%; word-wrap: break-word; box-sizing: border-box;';
+        interpretationBox.appendChild(safeText('strong', 'Visual Interpretation:')).style.cssText = 'display: block; margin-bottom: 6px; color: var(--accent-primary);';
+        interpretationBox.append(graphInterpretation);
+        distributionBox.appendChild(interpretationBox);
 
         const driversGrid = document.createElement('div');
         driversGrid.style.cssText = "display: grid; grid-template-columns: repeat(5, 1fr); gap: 10px;";
         results.dominantDrivers.forEach(d => {
             const div = document.createElement('div');
             div.style.cssText = "padding: 10px; background: rgba(0,0,0,0.2); border-radius: 6px; border: 1px solid rgba(255,255,255,0.02); text-align: center;";
-            div.innerHTML = `<div style="font-size: 0.5rem; color: var(--text-muted); text-transform: uppercase;">${d.name}</div><div style="font-size: 0.8rem; font-weight: 800; color: #38bdf8; margin-top: 2px;">${d.concentration}</div>`;
+            div.appendChild(safeText('div', d.name)).style.cssText = 'font-size: 0.5rem; color: var(--text-muted); text-transform: uppercase;';
+            div.appendChild(safeText('div', d.concentration)).style.cssText = 'font-size: 0.8rem; font-weight: 800; color: #38bdf8; margin-top: 2px;';
             driversGrid.appendChild(div);
         });
         distributionBox.appendChild(driversGrid);
@@ -327,10 +2361,8 @@ const UIRenderer = (() => {
             const isCritical = item.action === 'DIVERSIFY' || item.action === 'REDUCE';
             const div = document.createElement('div');
             div.style.cssText = `padding: 15px; background: ${isCritical ? 'rgba(239, 68, 68, 0.05)' : 'rgba(16, 185, 129, 0.05)'}; border-left: 4px solid ${isCritical ? 'var(--danger)' : 'var(--success)'}; border-radius: 8px; font-size: 0.9rem;`;
-            div.innerHTML = `
-                <div style="font-weight: 800; color: ${isCritical ? 'var(--danger)' : 'var(--success)'}; text-transform: uppercase; font-size: 0.75rem; margin-bottom: 5px;">${item.action} : ${item.metric}</div>
-                <div style="color: #cbd5e1; line-height: 1.6;">${item.context}</div>
-            `;
+            div.appendChild(safeText('div', `${item.action} : ${item.metric}`)).style.cssText = `font-weight: 800; color: ${isCritical ? 'var(--danger)' : 'var(--success)'}; text-transform: uppercase; font-size: 0.75rem; margin-bottom: 5px;`;
+            div.appendChild(safeText('div', item.context)).style.cssText = 'color: #cbd5e1; line-height: 1.6;';
             advisoryList.appendChild(div);
         });
         reportText.appendChild(advisoryList);
@@ -341,12 +2373,42 @@ const UIRenderer = (() => {
             const rCtx = rCanvas?.getContext('2d');
             if (rCtx) {
                 if (reportChartInstance) reportChartInstance.destroy();
-                const distData = results.distributions.slice(0, 10);
-                reportChartInstance = new Chart(rCtx, {
+                // Periods are shown in time order; categories as the top 10 by volume
+                const distData = results.timeline ? results.distributions : results.distributions.slice(0, 10);
+                // A breakdown shows its segments: one line each over time, stacked bars per category
+                reportChartInstance = results.breakdown ? new Chart(rCtx, {
+                    type: results.timeline ? 'line' : 'bar',
+                    data: buildBreakdownChartData(results, 10, !!results.timeline),
+                    options: {
+                        indexAxis: results.timeline ? 'x' : 'y', responsive: true, maintainAspectRatio: false,
+                        animation: {
+                            onComplete: () => {
+                                chartSnapshots.reportChart = rCanvas.toDataURL("image/png");
+                            }
+                        },
+                        plugins: { legend: { display: true, labels: { color: 'white', font: { size: 9 } } } },
+                        scales: results.timeline
+                            ? { x: { grid: { display: false }, ticks: { color: 'white', font: { size: 9 }, autoSkip: true } }, y: { ticks: { color: '#64748b', callback: (v) => formatValue(v) } } }
+                            : { x: { stacked: true, display: false }, y: { stacked: true, grid: { display: false }, ticks: { color: 'white', font: { size: 9 } } } }
+                    }
+                }) : results.timeline ? new Chart(rCtx, {
+                    type: 'line',
+                    data: buildTimelineChartData(results, 'line'),
+                    options: {
+                        responsive: true, maintainAspectRatio: false,
+                        animation: {
+                            onComplete: () => {
+                                chartSnapshots.reportChart = rCanvas.toDataURL("image/png");
+                            }
+                        },
+                        plugins: { legend: timelineLegend(results, 'white') },
+                        scales: { x: { grid: { display: false }, ticks: { color: 'white', font: { size: 9 }, autoSkip: true } }, y: { ticks: { color: '#64748b', callback: (v) => formatValue(v) } } }
+                    }
+                }) : new Chart(rCtx, {
                     type: 'bar',
                     data: {
                         labels: distData.map(d => d[0]),
-                        datasets: [{ label: 'Intensity', data: distData.map(d => d[1]), backgroundColor: distData.map((d, i) => i === 0 ? '#38bdf8' : '#38bdf844'), borderRadius: 4 }]
+                        datasets: [{ label: metricLabel(results), data: distData.map(d => d[1]), backgroundColor: distData.map((d, i) => anomalousGroups(results).has(d[0]) ? anomalyColor : (i === 0 ? '#38bdf8' : '#38bdf844')), borderRadius: 4 }]
                     },
                     options: {
                         indexAxis: 'y', responsive: true, maintainAspectRatio: false,
@@ -360,6 +2422,42 @@ const UIRenderer = (() => {
                     }
                 });
             }
+            const cCanvas = document.getElementById('bi-compare-canvas');
+            if (cCanvas && results.comparison) {
+                if (compareChartInstance) compareChartInstance.destroy();
+                compareChartInstance = new Chart(cCanvas.getContext('2d'), {
+                    type: 'bar',
+                    data: buildComparisonChartData(results.comparison, 10),
+                    options: {
+                        responsive: true, maintainAspectRatio: false,
+                        animation: {
+                            onComplete: () => {
+                                chartSnapshots.compareChart = cCanvas.toDataURL("image/png");
+                            }
+                        },
+                        plugins: { legend: { display: true, labels: { color: 'white', font: { size: 9 } } } },
+                        scales: { x: { grid: { display: false }, ticks: { color: 'white', font: { size: 9 } } }, y: { ticks: { color: '#64748b', callback: (v) => formatValue(v) } } }
+                    }
+                });
+            }
+            const pCanvas = document.getElementById('bi-pareto-canvas');
+            if (pCanvas && results.concentration) {
+                if (paretoChartInstance) paretoChartInstance.destroy();
+                paretoChartInstance = new Chart(pCanvas.getContext('2d'), {
+                    type: 'bar',
+                    data: buildParetoChartData(results, 20),
+                    options: {
+                        responsive: true, maintainAspectRatio: false,
+                        animation: {
+                            onComplete: () => {
+                                chartSnapshots.paretoChart = pCanvas.toDataURL("image/png");
+                            }
+                        },
+                        plugins: { legend: { display: true, labels: { color: 'white', font: { size: 9 } } } },
+                        scales: paretoScales('white')
+                    }
+                });
+            }
         }, 50);
 
         // Sidebar update
@@ -367,19 +2465,37 @@ const UIRenderer = (() => {
         const leaks = document.getElementById('audit-leaks');
         const upgrades = document.getElementById('audit-upgrades');
         if (integrity && leaks && upgrades) {
-            integrity.innerHTML = `<li><span style="color:var(--accent-primary)">State:</span> ${results.interpretation.operationalState}</li><li><span style="color:var(--text-muted)">Stability:</span> ${results.interpretation.varianceStatus}</li>`;
+            integrity.innerHTML = `<li><span style="color:var(--accent-primary)">State:</span> ${results.interpretation.operationalState}</li><li><span style="color:var(--text-muted)">Stability:</span> ${results.interpretation.varianceStatus}</li><li><span style="color:var(--text-muted)">Association:</span> ${results.interpretation.associationStatus || 'Unmeasured'}</li>`;
             leaks.innerHTML = results.impactMatrix.filter(m => m.category.includes('High') || m.category.includes('Critical')).map(m => `<li style="color:var(--danger)">[${m.category.toUpperCase()}] ${m.label}</li>`).join('') || '<li>Balanced Distribution.</li>';
-            upgrades.innerHTML = results.advisory.map(a => `<li style="color:var(--success)">[${a.action}] ${a.metric}</li>`).join('');
+            // Advisory metrics can name a category ("Anomaly: ..."), so they go in as text
+            upgrades.textContent = '';
+            results.advisory.forEach(a => {
+                upgrades.appendChild(safeText('li', `[${a.action}] ${a.metric}`)).style.color = 'var(--success)';
+            });
         }
     }
 
-    function renderTable(data) {
+    /**
+     * Preview of the first 50 rows. Rows the last audit flagged as anomalous are listed first, tinted, with the rule
+     * that fired; flags are only applied while they still line up with the rows (same X at the same position).
+     */
+    function renderTable(data, anomalies) {
         const table = document.getElementById('data-table');
         if (!data || data.length === 0) return;
         table.textContent = '';
         const headers = Object.keys(data[0]);
+        const flags = (anomalies ? anomalies.rows : []).filter(a => data[a.index] && String(data[a.index][anomalies.dimension]) === a.x);
+        const flaggedIndex = new Set(flags.map(a => a.index));
+        const shown = flags.map(a => [data[a.index], a])
+            .concat(data.slice(0, 50).filter((row, i) => !flaggedIndex.has(i)).map(row => [row, null]))
+            .slice(0, 50);
         const thead = document.createElement('thead');
         const trH = document.createElement('tr');
+        if (flags.length) {
+            const th = safeText('th', 'Anomaly');
+            th.style.cssText = "padding: 12px 15px; border-bottom: 2px solid var(--border); color: var(--danger); text-transform: uppercase; font-size: 0.65rem; font-weight: 900;";
+            trH.appendChild(th);
+        }
         headers.forEach(h => {
             const th = safeText('th', h);
             th.style.cssText = "padding: 12px 15px; border-bottom: 2px solid var(--border); color: #38bdf8; text-transform: uppercase; font-size: 0.65rem; font-weight: 900;";
@@ -388,16 +2504,171 @@ const UIRenderer = (() => {
         thead.appendChild(trH);
         table.appendChild(thead);
         const tbody = document.createElement('tbody');
-        data.slice(0, 50).forEach(row => {
+        shown.forEach(([row, flag]) => {
             const tr = document.createElement('tr');
-            headers.forEach(h => tr.appendChild(safeText('td', row[h] || '-')).style.padding = "10px 15px");
+            if (flags.length) {
+                const td = safeText('td', flag ? `Row ${flag.index + 1} · ${flag.rules.join(' + ')} · ${flag.score.toFixed(2)}` : '');
+                td.style.cssText = 'padding: 10px 15px; color: var(--danger); font-size: 0.7rem; white-space: nowrap;';
+                if (flag) td.title = flag.detail;
+                tr.appendChild(td);
+            }
+            if (flag) tr.style.background = 'rgba(239, 68, 68, 0.08)';
+            headers.forEach(h => tr.appendChild(safeText('td', row[h] === '' || row[h] === null || row[h] === undefined ? '-' : row[h])).style.padding = "10px 15px");
             tbody.appendChild(tr);
         });
         table.appendChild(tbody);
     }
 
+    /**
+     * GLOBAL FILTER BAR
+     * Conditions are edited on a draft; onApply(filter | null) commits them. fields: DataEngine.getFilterFields().
+     */
+    const FILTER_OPS_BY_TYPE = {
+        categorical: [['in', 'is one of'], ['contains', 'contains'], ['null', 'is blank'], ['notnull', 'is not blank']],
+        numerical: [['range', 'between'], ['null', 'is blank'], ['notnull', 'is not blank']],
+        temporal: [['dates', 'between'], ['null', 'is blank'], ['notnull', 'is not blank']]
+    };
+
+    function renderFilterBar(fields, filter, summary, onApply) {
+        const bar = document.getElementById('filter-bar');
+        if (!bar) return;
+        bar.textContent = '';
+        bar.style.display = fields.length ? 'flex' : 'none';
+        if (!fields.length) return;
+        const draft = filter ? JSON.parse(JSON.stringify(filter)) : { combine: 'and', conditions: [] };
+        const fieldOf = (name) => fields.find(f => f.name === name) || { name, type: 'categorical', options: [] };
+        const inputCss = 'padding: 4px 6px; font-size: 0.7rem; margin: 0; border-radius: 6px; width: auto;';
+        const linkCss = 'background: none; border: none; font-size: 0.65rem; font-weight: 800; cursor: pointer; padding: 0 4px;';
+
+        const head = document.createElement('div');
+        head.style.cssText = 'display: flex; align-items: center; gap: 10px; flex-wrap: wrap;';
+        const title = safeText('span', 'Row Filter');
+        title.className = 'label';
+        title.style.cssText = 'margin: 0; color: var(--accent-primary);';
+        const combine = document.createElement('select');
+        combine.style.cssText = inputCss;
+        [['and', 'Match ALL (AND)'], ['or', 'Match ANY (OR)']].forEach(([value, text]) => {
+            const opt = safeText('option', text);
+            opt.value = value;
+            combine.appendChild(opt);
+        });
+        combine.value = draft.combine;
+        const status = safeText('span', summary
+            ? `${summary.kept.toLocaleString()} of ${summary.total.toLocaleString()} rows in scope`
+            : 'No filter — all rows in scope');
+        status.style.cssText = `font-size: 0.7rem; flex: 1; color: ${summary && summary.kept === 0 ? 'var(--danger)' : 'var(--text-muted)'};`;
+        const add = safeText('button', '+ CONDITION');
+        add.style.cssText = linkCss + ' color: var(--accent-primary);';
+        const apply = safeText('button', 'APPLY');
+        apply.style.cssText = linkCss + ' color: var(--success);';
+        const clear = safeText('button', 'CLEAR');
+        clear.style.cssText = linkCss + ' color: var(--danger);';
+        head.append(title, combine, status, add, apply, clear);
+        bar.appendChild(head);
+
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+        bar.appendChild(list);
+
+        const blankCondition = (name) => {
+            const field = fieldOf(name);
+            return { column: field.name, op: FILTER_OPS_BY_TYPE[field.type][0][0] };
+        };
+
+        const valueEditor = (c, field) => {
+            const box = document.createElement('div');
+            box.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+            const input = (type, key, placeholder) => {
+                const el = document.createElement('input');
+                el.type = type;
+                el.placeholder = placeholder;
+                el.value = c[key] ?? '';
+                el.style.cssText = inputCss + ' width: 130px;';
+                el.onchange = () => c[key] = el.value;
+                return el;
+            };
+            if (c.op === 'in') {
+                const select = document.createElement('select');
+                select.multiple = true;
+                select.size = Math.min(5, Math.max(2, (field.options || []).length));
+                select.style.cssText = inputCss + ' min-width: 220px;';
+                const chosen = new Set(c.values || []);
+                (field.options || []).forEach(o => {
+                    const opt = safeText('option', `${o.value === '' ? '(blank)' : o.value} (${o.count.toLocaleString()})`);
+                    opt.value = o.value;
+                    opt.selected = chosen.has(o.value);
+                    select.appendChild(opt);
+                });
+                select.onchange = () => c.values = Array.from(select.selectedOptions).map(o => o.value);
+                box.appendChild(select);
+                if (field.distinct > (field.options || []).length) box.appendChild(safeText('span', `top ${field.options.length} of ${field.distinct.toLocaleString()}`)).style.cssText = 'font-size: 0.6rem; color: var(--warning);';
+            } else if (c.op === 'range') {
+                box.append(input('number', 'min', field.min ?? 'min'), safeText('span', '–'), input('number', 'max', field.max ?? 'max'));
+            } else if (c.op === 'dates') {
+                const from = input('date', 'from', '');
+                const to = input('date', 'to', '');
+                if (field.min) from.min = to.min = field.min;
+                if (field.max) from.max = to.max = field.max;
+                box.append(from, safeText('span', '–'), to);
+            } else if (c.op === 'contains') {
+                box.appendChild(input('text', 'text', 'text'));
+            }
+            return box;
+        };
+
+        const paint = () => {
+            list.textContent = '';
+            draft.conditions.forEach((c, i) => {
+                const field = fieldOf(c.column);
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; flex-wrap: wrap;';
+                const column = document.createElement('select');
+                column.style.cssText = inputCss;
+                fields.forEach(f => {
+                    const opt = safeText('option', f.name);
+                    opt.value = f.name;
+                    column.appendChild(opt);
+                });
+                column.value = c.column;
+                column.onchange = () => { draft.conditions[i] = blankCondition(column.value); paint(); };
+                const op = document.createElement('select');
+                op.style.cssText = inputCss;
+                FILTER_OPS_BY_TYPE[field.type].forEach(([value, text]) => {
+                    const opt = safeText('option', text);
+                    opt.value = value;
+                    op.appendChild(opt);
+                });
+                op.value = c.op;
+                op.onchange = () => { draft.conditions[i] = { column: c.column, op: op.value }; paint(); };
+                const remove = safeText('button', '×');
+                remove.style.cssText = 'background: none; border: none; color: var(--danger); font-size: 1rem; cursor: pointer; padding: 0 4px;';
+                remove.onclick = () => { draft.conditions.splice(i, 1); paint(); };
+                if (i > 0) row.appendChild(safeText('span', draft.combine.toUpperCase())).style.cssText = 'font-size: 0.6rem; font-weight: 800; color: var(--accent-secondary); width: 26px;';
+                row.append(column, op, valueEditor(c, field), remove);
+                list.appendChild(row);
+            });
+        };
+
+        combine.onchange = () => { draft.combine = combine.value; paint(); };
+        add.onclick = () => { draft.conditions.push(blankCondition(fields[0].name)); paint(); };
+        apply.onclick = () => onApply(draft.conditions.length ? draft : null);
+        clear.onclick = () => onApply(null);
+        paint();
+    }
+
+    function renderFilterNotice(filter) {
+        const box = document.createElement('div');
+        box.className = 'section';
+        box.style.cssText = 'margin-bottom: 25px; padding: 12px 15px; border-radius: 8px; background: rgba(129, 140, 248, 0.08); border-left: 3px solid var(--accent-secondary);';
+        box.appendChild(safeText('div', 'Active Row Filter')).style.cssText = 'font-size: 0.65rem; color: var(--accent-secondary); font-weight: 900; text-transform: uppercase; margin-bottom: 6px;';
+        box.appendChild(safeText('p', filter.expression)).style.cssText = 'font-size: 0.85rem; color: white; font-family: monospace;';
+        const share = filter.total ? (filter.kept / filter.total) * 100 : 0;
+        box.appendChild(safeText('p', `${filter.kept.toLocaleString()} of ${filter.total.toLocaleString()} rows (${share.toFixed(1)}%) analysed; every figure in this report reflects the filtered rows only.`)).style.cssText = 'font-size: 0.7rem; color: var(--text-muted); margin-top: 4px;';
+        return box;
+    }
+
     return {
-        safeText, resetDashboard, updateDatasetManifest, populateSelectors,
+        safeText, resetDashboard, updateDatasetManifest, populateSelectors, renderCompareSelector, renderUnionPanel, showUnionMapper, showSheetPicker, showPastePreview, showLargeFilePrompt, showJoinBuilder, showCleaningPanel, showCalculatedColumnEditor, showQualityProfile, renderQualityPanel, populateAggregationControls, populateBreakdownSelector, renderQuarantine, showQuarantineEntry, showVersionDiff, renderFilterBar,
         renderKPIs, renderChart, renderTable, renderAnalysis,
         getSnapshots: () => chartSnapshots
     };